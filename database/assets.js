@@ -28,7 +28,7 @@ function categoryFromMime(mime) {
 
 // ── List ──────────────────────────────────────────────────────────────────────
 // Always scoped to a client. Optional filters: category, source, brand_kit_id,
-// tags (any-match), search (name OR original_name ILIKE).
+// tags (any-match), search (name, original_name OR description ILIKE).
 
 async function getAllAssets({
   clientId,
@@ -59,7 +59,7 @@ async function getAllAssets({
     values.push(tags);
   }
   if (search) {
-    conditions.push(`(name ILIKE $${i} OR original_name ILIKE $${i})`);
+    conditions.push(`(name ILIKE $${i} OR original_name ILIKE $${i} OR description ILIKE $${i})`);
     i++;
     values.push(`%${search}%`);
   }
@@ -81,6 +81,14 @@ async function getAssetById(id, clientId) {
   return rows[0] || null;
 }
 
+async function getAssetByFileUrl(fileUrl, clientId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM assets WHERE file_url = $1 AND client_id = $2 ORDER BY id DESC LIMIT 1',
+    [fileUrl, clientId]
+  );
+  return rows[0] || null;
+}
+
 // ── Create ────────────────────────────────────────────────────────────────────
 // `category` defaults to the MIME-derived value; callers can override explicitly.
 
@@ -94,6 +102,9 @@ async function createAsset({
   file_size     = null,
   width         = null,
   height        = null,
+  thumbnail_url = null,
+  derivatives   = {},
+  palette       = [],
   source        = 'upload',
   tags          = [],
   category,           // if omitted, derive from file_type
@@ -105,12 +116,14 @@ async function createAsset({
     `INSERT INTO assets
        (client_id, brand_kit_id, name, original_name,
         file_url, file_type, file_size, width, height,
+        thumbnail_url, derivatives, palette,
         source, tags, category, metadata)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16)
      RETURNING *`,
     [
       client_id, brand_kit_id, name, original_name,
       file_url, file_type, file_size, width, height,
+      thumbnail_url, JSON.stringify(derivatives), JSON.stringify(palette),
       source, JSON.stringify(tags), resolvedCategory,
       JSON.stringify(metadata),
     ]
@@ -119,13 +132,14 @@ async function createAsset({
 }
 
 // ── Update ────────────────────────────────────────────────────────────────────
-// Updatable by users: name, tags, category, brand_kit_id, metadata.
+// Updatable by users: name, tags, category, brand_kit_id, description, metadata.
 // file_url / file_type are immutable after upload.
 
-const UPDATABLE = new Set(['name', 'tags', 'category', 'brand_kit_id', 'metadata']);
+const UPDATABLE = new Set(['name', 'tags', 'category', 'brand_kit_id', 'description', 'metadata']);
 const JSON_FIELDS = new Set(['tags', 'metadata']);
 
-async function updateAsset(id, clientId, fields) {
+// Runs the UPDATE for one asset on `db` (the pool or a transaction client).
+async function applyUpdate(db, id, clientId, fields) {
   const sets   = [];
   const values = [];
   let   i      = 1;
@@ -136,12 +150,15 @@ async function updateAsset(id, clientId, fields) {
     values.push(JSON_FIELDS.has(key) ? JSON.stringify(fields[key]) : fields[key]);
   }
 
-  if (sets.length === 0) return getAssetById(id, clientId);
+  if (sets.length === 0) {
+    const { rows } = await db.query('SELECT * FROM assets WHERE id = $1 AND client_id = $2', [id, clientId]);
+    return rows[0] || null;
+  }
 
   sets.push(`updated_at = NOW()`);
   values.push(id, clientId);
 
-  const { rows } = await pool.query(
+  const { rows } = await db.query(
     `UPDATE assets
         SET ${sets.join(', ')}
       WHERE id = $${i} AND client_id = $${i + 1}
@@ -151,6 +168,50 @@ async function updateAsset(id, clientId, fields) {
   return rows[0] || null;
 }
 
+function updateAsset(id, clientId, fields) {
+  return applyUpdate(pool, id, clientId, fields);
+}
+
+// ── Bulk update ───────────────────────────────────────────────────────────────
+// `updates` is [{ id, ...fields }]. All rows are written in one transaction;
+// ids that don't exist or belong to another client are skipped.
+// Returns the updated rows.
+
+async function updateAssets(updates, clientId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const updated = [];
+    for (const { id, ...fields } of updates) {
+      const row = await applyUpdate(client, id, clientId, fields);
+      if (row) updated.push(row);
+    }
+    await client.query('COMMIT');
+    return updated;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── Derivatives ───────────────────────────────────────────────────────────────
+// Records one named derivative (e.g. "cutout") without touching the others.
+// Not user-updatable, so kept separate from updateAsset.
+
+async function setAssetDerivative(id, clientId, name, variant) {
+  const { rows } = await pool.query(
+    `UPDATE assets
+        SET derivatives = COALESCE(derivatives, '{}'::jsonb) || jsonb_build_object($3::text, $4::jsonb),
+            updated_at  = NOW()
+      WHERE id = $1 AND client_id = $2
+      RETURNING *`,
+    [id, clientId, name, JSON.stringify(variant)]
+  );
+  return rows[0] || null;
+}
+
 // ── Delete ────────────────────────────────────────────────────────────────────
 // Returns the deleted row so the caller can clean up the file on disk.
 
@@ -181,8 +242,11 @@ module.exports = {
   categoryFromMime,
   getAllAssets,
   getAssetById,
+  getAssetByFileUrl,
   createAsset,
   updateAsset,
+  updateAssets,
+  setAssetDerivative,
   deleteAsset,
   deleteAssets,
 };
@@ -1,6 +1,8 @@
 const { pool } = require('./init');
 
 // ── Queries ───────────────────────────────────────────────────────────────────
+// A client may own many kits (sub-brands, seasonal kits); exactly one of them
+// is the default, used whenever a request does not name a brand_kit_id.
 
 async function getBrandKitByClientId(clientId) {
   const { rows } = await pool.query(
@@ -10,8 +12,176 @@ async function getBrandKitByClientId(clientId) {
   return rows[0] || null;
 }
 
-// ── Upsert ────────────────────────────────────────────────────────────────────
-// INSERT the first kit for a client; UPDATE it on every subsequent call.
+async function getBrandKitById(id, clientId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM brand_kits WHERE id = $1 AND client_id = $2',
+    [id, clientId]
+  );
+  return rows[0] || null;
+}
+
+// Default kit first, then alphabetical.
+async function getBrandKitsByClientId(clientId) {
+  const { rows } = await pool.query(
+    `SELECT * FROM brand_kits
+      WHERE client_id = $1
+      ORDER BY is_default DESC, name ASC, id ASC`,
+    [clientId]
+  );
+  return rows;
+}
+
+// The kit a request asked for, or the client's default when brandKitId is
+// empty. Returns null when the requested id is invalid or not this client's —
+// callers treat `brandKitId && !kit` as "not found".
+async function resolveBrandKit(clientId, brandKitId) {
+  if (brandKitId === undefined || brandKitId === null || brandKitId === '') {
+    return getBrandKitByClientId(clientId);
+  }
+  const id = parseInt(brandKitId, 10);
+  if (isNaN(id)) return null;
+  return getBrandKitById(id, clientId);
+}
+
+// ── Create ────────────────────────────────────────────────────────────────────
+// The client's first kit always becomes the default.
+
+const KIT_COLUMNS = [
+  'name', 'description',
+  'primary_colors', 'secondary_colors', 'accent_colors',
+  'fonts', 'logo_url', 'logo_dark_url', 'icon_url',
+  'tone_of_voice', 'tagline', 'metadata',
+];
+const KIT_JSON_FIELDS = new Set(['primary_colors', 'secondary_colors', 'accent_colors', 'fonts', 'metadata']);
+
+async function createBrandKit(clientId, fields) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const { rows: countRows } = await client.query(
+      'SELECT COUNT(*)::int AS total FROM brand_kits WHERE client_id = $1',
+      [clientId]
+    );
+    const isDefault = countRows[0].total === 0 || Boolean(fields.is_default);
+    if (isDefault) {
+      await client.query(
+        'UPDATE brand_kits SET is_default = FALSE, updated_at = NOW() WHERE client_id = $1 AND is_default = TRUE',
+        [clientId]
+      );
+    }
+
+    const {
+      name             = 'Brand Kit',
+      description      = null,
+      primary_colors   = [],
+      secondary_colors = [],
+      accent_colors    = [],
+      fonts            = {},
+      logo_url         = null,
+      logo_dark_url    = null,
+      icon_url         = null,
+      tone_of_voice    = null,
+      tagline          = null,
+      metadata         = {},
+    } = fields;
+
+    const { rows } = await client.query(
+      `INSERT INTO brand_kits
+         (client_id, name, description, is_default,
+          primary_colors, secondary_colors, accent_colors,
+          fonts, logo_url, logo_dark_url, icon_url,
+          tone_of_voice, tagline, metadata)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14)
+       RETURNING *`,
+      [
+        clientId, name, description, isDefault,
+        JSON.stringify(primary_colors),
+        JSON.stringify(secondary_colors),
+        JSON.stringify(accent_colors),
+        JSON.stringify(fonts),
+        logo_url, logo_dark_url, icon_url,
+        tone_of_voice, tagline,
+        JSON.stringify(metadata),
+      ]
+    );
+
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── Update ────────────────────────────────────────────────────────────────────
+// Partial update of one kit — only keys present in `fields` are written.
+// is_default is not writable here; use setDefaultBrandKit.
+
+async function updateBrandKit(id, clientId, fields) {
+  const sets   = [];
+  const values = [];
+  let   i      = 1;
+
+  for (const key of KIT_COLUMNS) {
+    if (!(key in fields)) continue;
+    sets.push(`${key} = $${i++}`);
+    values.push(KIT_JSON_FIELDS.has(key) ? JSON.stringify(fields[key] ?? (key === 'fonts' || key === 'metadata' ? {} : [])) : fields[key]);
+  }
+
+  if (sets.length === 0) return getBrandKitById(id, clientId);
+
+  sets.push('updated_at = NOW()');
+  values.push(id, clientId);
+
+  const { rows } = await pool.query(
+    `UPDATE brand_kits
+        SET ${sets.join(', ')}
+      WHERE id = $${i} AND client_id = $${i + 1}
+      RETURNING *`,
+    values
+  );
+  return rows[0] || null;
+}
+
+// Makes one kit the client's default. Clearing the old default first keeps
+// the partial unique index satisfied inside the transaction.
+async function setDefaultBrandKit(id, clientId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: target } = await client.query(
+      'SELECT id FROM brand_kits WHERE id = $1 AND client_id = $2 FOR UPDATE',
+      [id, clientId]
+    );
+    if (!target[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    await client.query(
+      `UPDATE brand_kits SET is_default = FALSE, updated_at = NOW()
+        WHERE client_id = $1 AND is_default = TRUE AND id <> $2`,
+      [clientId, id]
+    );
+    const { rows } = await client.query(
+      'UPDATE brand_kits SET is_default = TRUE, updated_at = NOW() WHERE id = $1 RETURNING *',
+      [id]
+    );
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── Upsert (default kit) ──────────────────────────────────────────────────────
+// Backs the single-kit /api/brand-kit endpoints: INSERT the client's default
+// kit if there is none; otherwise UPDATE the default.
 // The partial unique index on (client_id) WHERE is_default = TRUE is the
 // conflict target, enforcing exactly one default kit per client at the DB level.
 //
@@ -74,33 +244,63 @@ async function upsertBrandKit(clientId, fields) {
 // `field` must be one of: logo_url | logo_dark_url | icon_url
 const LOGO_FIELDS = new Set(['logo_url', 'logo_dark_url', 'icon_url']);
 
-async function setLogoField(clientId, field, publicPath) {
+async function setLogoField(id, clientId, field, publicPath) {
   if (!LOGO_FIELDS.has(field)) throw new Error(`Invalid logo field: ${field}`);
 
   const { rows } = await pool.query(
     `UPDATE brand_kits
         SET ${field} = $1, updated_at = NOW()
-      WHERE client_id = $2 AND is_default = TRUE
+      WHERE id = $2 AND client_id = $3
       RETURNING *`,
-    [publicPath, clientId]
+    [publicPath, id, clientId]
   );
   return rows[0] || null;
 }
 
-async function clearLogoField(clientId, field) {
-  return setLogoField(clientId, field, null);
+async function clearLogoField(id, clientId, field) {
+  return setLogoField(id, clientId, field, null);
 }
 
-async function deleteBrandKit(clientId) {
-  const { rows } = await pool.query(
-    'DELETE FROM brand_kits WHERE client_id = $1 AND is_default = TRUE RETURNING *',
-    [clientId]
-  );
-  return rows[0] || null;
+// ── Delete ────────────────────────────────────────────────────────────────────
+// Deleting the default promotes the oldest remaining kit so the client keeps
+// a default whenever it has any kit at all.
+
+async function deleteBrandKit(id, clientId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'DELETE FROM brand_kits WHERE id = $1 AND client_id = $2 RETURNING *',
+      [id, clientId]
+    );
+    const deleted = rows[0] || null;
+
+    if (deleted?.is_default) {
+      await client.query(
+        `UPDATE brand_kits SET is_default = TRUE, updated_at = NOW()
+          WHERE id = (SELECT id FROM brand_kits WHERE client_id = $1 ORDER BY created_at ASC, id ASC LIMIT 1)`,
+        [clientId]
+      );
+    }
+
+    await client.query('COMMIT');
+    return deleted;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
 }
 
 module.exports = {
   getBrandKitByClientId,
+  getBrandKitById,
+  getBrandKitsByClientId,
+  resolveBrandKit,
+  createBrandKit,
+  updateBrandKit,
+  setDefaultBrandKit,
   upsertBrandKit,
   setLogoField,
   clearLogoField,
@@ -1,17 +1,84 @@
-const { pool } = require('./init');
+const { pool }                            = require('./init');
+const { publishBatch, publishGeneration } = require('../services/progress');
+const { isStoredUrl }                     = require('../services/storage');
+
+const CANCELLED_ERROR = 'Cancelled';
 
 // ── Create ────────────────────────────────────────────────────────────────────
 
-async function createCampaignBatch({ client_id, goal = null, total_items = 0, metadata = {} }) {
+async function createCampaignBatch({
+  client_id,
+  goal                  = null,
+  total_items           = 0,
+  metadata              = {},
+  campaign_plan_id      = null,
+  campaign_plan_version = null,
+}) {
   const { rows } = await pool.query(
-    `INSERT INTO campaign_batches (client_id, goal, total_items, metadata)
-     VALUES ($1, $2, $3, $4)
+    `INSERT INTO campaign_batches
+       (client_id, goal, total_items, metadata, campaign_plan_id, campaign_plan_version)
+     VALUES ($1, $2, $3, $4, $5, $6)
      RETURNING *`,
-    [client_id, goal, total_items, JSON.stringify(metadata)]
+    [client_id, goal, total_items, JSON.stringify(metadata), campaign_plan_id, campaign_plan_version]
   );
   return rows[0];
 }
 
+// ── List ──────────────────────────────────────────────────────────────────────
+// Newest first, each with its live item counts:
+//   counts: { total, done, failed, cancelled, in_flight }
+// Filters (all optional): status (array), createdFrom / createdTo (Date),
+// planId, limit, offset.
+
+async function listCampaignBatches(clientId, {
+  status      = null,
+  createdFrom = null,
+  createdTo   = null,
+  planId      = null,
+  limit       = 50,
+  offset      = 0,
+} = {}) {
+  const conditions = ['b.client_id = $1'];
+  const values     = [clientId];
+
+  if (planId) {
+    values.push(planId);
+    conditions.push(`b.campaign_plan_id = $${values.length}`);
+  }
+  if (status?.length) {
+    values.push(status);
+    conditions.push(`b.status = ANY($${values.length})`);
+  }
+  if (createdFrom) {
+    values.push(createdFrom);
+    conditions.push(`b.created_at >= $${values.length}`);
+  }
+  if (createdTo) {
+    values.push(createdTo);
+    conditions.push(`b.created_at < $${values.length}`);
+  }
+  values.push(limit, offset);
+
+  const { rows } = await pool.query(
+    `SELECT b.*,
+            json_build_object(
+              'total',     COUNT(g.id),
+              'done',      COUNT(g.id) FILTER (WHERE g.status = 'done'),
+              'failed',    COUNT(g.id) FILTER (WHERE g.status = 'failed' AND NOT (g.metadata ? 'cancelled_at')),
+              'cancelled', COUNT(g.id) FILTER (WHERE g.status = 'failed' AND (g.metadata ? 'cancelled_at')),
+              'in_flight', COUNT(g.id) FILTER (WHERE g.status IN ('pending','processing'))
+            ) AS counts
+       FROM campaign_batches b
+       LEFT JOIN generations g ON g.campaign_batch_id = b.id AND g.client_id = b.client_id
+      WHERE ${conditions.join(' AND ')}
+      GROUP BY b.id
+      ORDER BY b.created_at DESC, b.id DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}`,
+    values
+  );
+  return rows;
+}
+
 // ── Fetch with per-item generation status ─────────────────────────────────────
 
 async function getCampaignBatch(batchId, clientId) {
@@ -26,7 +93,7 @@ async function getCampaignBatch(batchId, clientId) {
   // Pull all generations linked to this batch, ordered by creation
   const { rows: genRows } = await pool.query(
     `SELECT id, status, prompt, headline, cta, concept, avatar,
-            selected_image_url, generated_images, error, metadata, created_at
+            selected_image_url, generated_images, error, metadata, created_at, updated_at
      FROM generations
      WHERE campaign_batch_id = $1 AND client_id = $2
      ORDER BY id ASC`,
@@ -48,48 +115,297 @@ async function getCampaignBatch(batchId, clientId) {
       image_url:     g.selected_image_url || firstImage?.url || null,
       error:         g.error,
       created_at:    g.created_at,
+      updated_at:    g.updated_at,
     };
   });
 
   return batch;
 }
 
+// ── Cancel ────────────────────────────────────────────────────────────────────
+// Items still waiting for a worker have their queued job cancelled and their
+// generation marked failed with error "Cancelled" and metadata.cancelled_at.
+// Items a worker has already picked up are flagged cancel_requested: one that
+// succeeds keeps its images, one that fails or whose worker dies is not
+// retried but marked cancelled the same way (see cancelBatchItem). Runs on
+// `db` (a pool client inside a transaction, or the pool). Returns the
+// generations cancelled now.
+
+async function markItemsCancelled(db, generationIds, clientId) {
+  const { rows } = await db.query(
+    `UPDATE generations
+        SET status = 'failed', error = $3, updated_at = NOW(),
+            metadata = metadata || jsonb_build_object('cancelled_at', NOW())
+      WHERE id = ANY($1) AND client_id = $2 AND status IN ('pending','processing')
+      RETURNING *`,
+    [generationIds, clientId, CANCELLED_ERROR]
+  );
+  return rows;
+}
+
+async function cancelQueuedItems(db, batchId, clientId) {
+  await db.query(
+    `UPDATE jobs
+        SET cancel_requested = TRUE, updated_at = NOW()
+      WHERE campaign_batch_id = $1 AND client_id = $2 AND status = 'running'`,
+    [batchId, clientId]
+  );
+  const { rows: jobRows } = await db.query(
+    `UPDATE jobs
+        SET status = 'cancelled', last_error = $3, locked_at = NULL, updated_at = NOW()
+      WHERE campaign_batch_id = $1 AND client_id = $2 AND status = 'queued'
+      RETURNING generation_id`,
+    [batchId, clientId, CANCELLED_ERROR]
+  );
+  const ids = jobRows.map(r => r.generation_id).filter(id => id != null);
+  if (!ids.length) return [];
+  return markItemsCancelled(db, ids, clientId);
+}
+
+// Marks one item cancelled after its running job was stopped on a cancel
+// request, and publishes the change. Returns the row, or null when the item
+// had already finished.
+async function cancelBatchItem(generationId, clientId) {
+  const [row] = await markItemsCancelled(pool, [generationId], clientId);
+  if (row) await publishGeneration(row);
+  return row || null;
+}
+
+// Cancels the batch's waiting items. Returns null when the batch is not
+// found, otherwise { cancelled, still_running, status }.
+async function cancelCampaignBatch(batchId, clientId) {
+  const client = await pool.connect();
+  let cancelled;
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'SELECT id FROM campaign_batches WHERE id = $1 AND client_id = $2 FOR UPDATE',
+      [batchId, clientId]
+    );
+    if (!rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    cancelled = await cancelQueuedItems(client, batchId, clientId);
+    await client.query(
+      `UPDATE campaign_batches
+          SET metadata = metadata || jsonb_build_object('cancelled_at', NOW()), updated_at = NOW()
+        WHERE id = $1`,
+      [batchId]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  for (const row of cancelled) await publishGeneration(row);
+  const { status, counts } = await refreshBatchStatus(batchId, clientId, { withCounts: true });
+  return { cancelled: cancelled.length, still_running: counts.in_flight, status };
+}
+
+// ── Retry ─────────────────────────────────────────────────────────────────────
+// Puts the batch's failed generations (cancelled ones included) back to
+// 'pending' and clears their error. The caller queues a job for each returned
+// row. Returns null when the batch is not found.
+
+async function resetFailedItems(batchId, clientId) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows: batchRows } = await client.query(
+      'SELECT id FROM campaign_batches WHERE id = $1 AND client_id = $2 FOR UPDATE',
+      [batchId, clientId]
+    );
+    if (!batchRows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const { rows } = await client.query(
+      `UPDATE generations
+          SET status = 'pending', error = NULL, updated_at = NOW(),
+              metadata = metadata - 'cancelled_at'
+        WHERE campaign_batch_id = $1 AND client_id = $2 AND status = 'failed'
+        RETURNING *`,
+      [batchId, clientId]
+    );
+    if (rows.length) {
+      await client.query(
+        `UPDATE campaign_batches
+            SET status = 'running', metadata = metadata - 'cancelled_at', updated_at = NOW()
+          WHERE id = $1`,
+        [batchId]
+      );
+    }
+    await client.query('COMMIT');
+
+    for (const row of rows) await publishGeneration(row);
+    return rows;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── Delete ────────────────────────────────────────────────────────────────────
+// Removes a batch. Waiting items are cancelled first so no work runs for a
+// batch that no longer exists. With deleteGenerations the batch's generations
+// (and, by cascade, their jobs and tag links) are deleted too; otherwise they
+// stay in the history with campaign_batch_id cleared.
+// Returns null when the batch is not found, otherwise
+// { cancelled, generations_deleted, generations_kept, unreferenced_files }.
+// unreferenced_files lists the deleted generations' stored images, scenes and
+// masks that nothing else refers to any more (mirrored files are shared by
+// content, and other generations or assets may point at the same file); the
+// caller removes them from storage.
+
+// URLs of the files a generation row owns in storage
+function generationFileUrls(row) {
+  const meta   = row.metadata || {};
+  const images = Array.isArray(row.generated_images) ? row.generated_images : [];
+  const urls   = [
+    row.selected_image_url,
+    ...images.map(img => (typeof img === 'string' ? img : img?.url)),
+    ...(Array.isArray(meta.scene_images) ? meta.scene_images : []),
+    meta.mask_url,
+  ];
+  return [...new Set(urls.filter(url => typeof url === 'string' && isStoredUrl(url)))];
+}
+
+// The subset of `urls` no generation or asset refers to
+async function unreferencedUrls(urls) {
+  if (!urls.length) return [];
+  const { rows } = await pool.query(
+    `SELECT u.url FROM unnest($1::text[]) AS u(url)
+      WHERE NOT EXISTS (
+              SELECT 1 FROM generations g
+               WHERE g.selected_image_url = u.url
+                  OR g.generated_images @> jsonb_build_array(jsonb_build_object('url', u.url))
+                  OR g.generated_images @> jsonb_build_array(u.url)
+                  OR g.metadata->'scene_images' @> jsonb_build_array(u.url)
+                  OR g.metadata->>'parent_image_url' = u.url
+                  OR g.metadata->>'mask_url' = u.url)
+        AND NOT EXISTS (SELECT 1 FROM assets a WHERE a.file_url = u.url)`,
+    [urls]
+  );
+  return rows.map(r => r.url);
+}
+
+async function deleteCampaignBatch(batchId, clientId, { deleteGenerations = false } = {}) {
+  const client = await pool.connect();
+  let result, cancelled, fileUrls = [];
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'SELECT id FROM campaign_batches WHERE id = $1 AND client_id = $2 FOR UPDATE',
+      [batchId, clientId]
+    );
+    if (!rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    cancelled = await cancelQueuedItems(client, batchId, clientId);
+
+    let deleted = 0;
+    if (deleteGenerations) {
+      const { rows: removed } = await client.query(
+        `DELETE FROM generations WHERE campaign_batch_id = $1 AND client_id = $2
+         RETURNING selected_image_url, generated_images, metadata`,
+        [batchId, clientId]
+      );
+      deleted  = removed.length;
+      fileUrls = [...new Set(removed.flatMap(generationFileUrls))];
+    }
+    const { rows: kept } = await client.query(
+      'SELECT COUNT(*)::int AS n FROM generations WHERE campaign_batch_id = $1 AND client_id = $2',
+      [batchId, clientId]
+    );
+
+    await client.query('DELETE FROM campaign_batches WHERE id = $1 AND client_id = $2', [batchId, clientId]);
+    await client.query('COMMIT');
+    result = { cancelled: cancelled.length, generations_deleted: deleted, generations_kept: kept[0].n };
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  for (const row of cancelled) await publishGeneration(row);
+  return { ...result, unreferenced_files: await unreferencedUrls(fileUrls) };
+}
+
 // ── Update batch status ───────────────────────────────────────────────────────
 // Recalculates batch status from its generation rows.
-// Call after every item update to keep the batch status in sync.
+// Call after every item update to keep the batch status in sync. The new
+// status and counts are published to progress subscribers (SSE).
+//
+// running while any item is pending/processing; afterwards cancelled if any
+// item was cancelled, failed if every item failed, done otherwise. Cancelled
+// items are counted apart from failed ones. Returns the status, or
+// { status, counts } with `withCounts`.
 
-async function refreshBatchStatus(batchId, clientId) {
+async function refreshBatchStatus(batchId, clientId, { withCounts = false } = {}) {
   const { rows } = await pool.query(
     `SELECT
        COUNT(*)                                    AS total,
        COUNT(*) FILTER (WHERE status = 'done')     AS done_count,
        COUNT(*) FILTER (WHERE status = 'failed')   AS failed_count,
+       COUNT(*) FILTER (WHERE status = 'failed' AND metadata ? 'cancelled_at') AS cancelled_count,
        COUNT(*) FILTER (WHERE status IN ('pending','processing')) AS in_flight
      FROM generations
      WHERE campaign_batch_id = $1 AND client_id = $2`,
     [batchId, clientId]
   );
 
-  const { total, done_count, failed_count, in_flight } = rows[0];
-  const inFlight = parseInt(in_flight, 10);
+  const { total, done_count, failed_count, cancelled_count, in_flight } = rows[0];
+  const inFlight  = parseInt(in_flight, 10);
+  const cancelled = parseInt(cancelled_count, 10);
 
   let status;
   if (inFlight > 0) {
     status = 'running';
+  } else if (cancelled > 0) {
+    status = 'cancelled';
   } else if (parseInt(failed_count, 10) === parseInt(total, 10)) {
     status = 'failed';
   } else {
     status = 'done';
   }
 
-  await pool.query(
+  const { rows: updated } = await pool.query(
     `UPDATE campaign_batches
         SET status = $1, updated_at = NOW()
-      WHERE id = $2 AND client_id = $3`,
+      WHERE id = $2 AND client_id = $3
+      RETURNING updated_at`,
     [status, batchId, clientId]
   );
 
-  return status;
+  const counts = {
+    total:     parseInt(total, 10),
+    done:      parseInt(done_count, 10),
+    failed:    parseInt(failed_count, 10) - cancelled,
+    cancelled,
+    in_flight: inFlight,
+  };
+  await publishBatch(batchId, status, counts, updated[0]?.updated_at ?? null);
+
+  return withCounts ? { status, counts } : status;
 }
 
-module.exports = { createCampaignBatch, getCampaignBatch, refreshBatchStatus };
+module.exports = {
+  createCampaignBatch,
+  listCampaignBatches,
+  getCampaignBatch,
+  cancelCampaignBatch,
+  cancelBatchItem,
+  resetFailedItems,
+  deleteCampaignBatch,
+  refreshBatchStatus,
+};
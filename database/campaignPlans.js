@@ -0,0 +1,240 @@
+const { pool } = require('./init');
+
+// ── Campaign plans ────────────────────────────────────────────────────────────
+// A plan is the persona × angle matrix POST /api/campaign/plan produces, kept
+// as a draft so it can be edited and launched later. The row holds the
+// current state; every change bumps `version` and writes a full snapshot to
+// campaign_plan_versions, so any earlier version can be viewed, restored or
+// launched.
+
+// Fields captured in each version snapshot
+const SNAPSHOT_FIELDS = [
+  'name', 'goal', 'brand_kit_id', 'brand_intelligence_id',
+  'personas', 'angles', 'inputs', 'items',
+];
+
+// JSONB columns — serialised on write
+const JSON_FIELDS = new Set(['personas', 'angles', 'inputs', 'items']);
+
+function snapshotOf(plan) {
+  const snapshot = {};
+  for (const field of SNAPSHOT_FIELDS) snapshot[field] = plan[field] ?? null;
+  return snapshot;
+}
+
+async function insertVersion(db, plan, change) {
+  await db.query(
+    `INSERT INTO campaign_plan_versions (plan_id, version, snapshot, change)
+     VALUES ($1, $2, $3, $4)`,
+    [plan.id, plan.version, JSON.stringify(snapshotOf(plan)), change]
+  );
+}
+
+// ── Create ────────────────────────────────────────────────────────────────────
+// Inserts the plan as version 1 together with its first snapshot.
+
+async function createCampaignPlan({
+  client_id,
+  name                  = null,
+  goal                  = null,
+  brand_kit_id          = null,
+  brand_intelligence_id = null,
+  personas              = [],
+  angles                = [],
+  inputs                = {},
+  items                 = [],
+  model                 = null,
+}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      `INSERT INTO campaign_plans
+         (client_id, name, goal, brand_kit_id, brand_intelligence_id,
+          personas, angles, inputs, items, model)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+       RETURNING *`,
+      [
+        client_id,
+        name,
+        goal,
+        brand_kit_id          || null,
+        brand_intelligence_id || null,
+        JSON.stringify(personas),
+        JSON.stringify(angles),
+        JSON.stringify(inputs),
+        JSON.stringify(items),
+        model,
+      ]
+    );
+    await insertVersion(client, rows[0], 'Planned');
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── List ──────────────────────────────────────────────────────────────────────
+// Newest change first, without the items array (item_count instead).
+// Filters (optional): status ('draft' | 'launched'), limit, offset.
+
+async function listCampaignPlans(clientId, { status = null, limit = 50, offset = 0 } = {}) {
+  const conditions = ['client_id = $1'];
+  const values     = [clientId];
+  if (status) {
+    values.push(status);
+    conditions.push(`status = $${values.length}`);
+  }
+  values.push(limit, offset);
+
+  const { rows } = await pool.query(
+    `SELECT id, client_id, name, status, version, goal, brand_kit_id, brand_intelligence_id,
+            personas, angles, jsonb_array_length(items) AS item_count, model,
+            launched_version, last_launched_at, created_at, updated_at
+       FROM campaign_plans
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY updated_at DESC, id DESC
+      LIMIT $${values.length - 1} OFFSET $${values.length}`,
+    values
+  );
+  return rows;
+}
+
+// ── Fetch single ──────────────────────────────────────────────────────────────
+
+async function getCampaignPlan(id, clientId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM campaign_plans WHERE id = $1 AND client_id = $2',
+    [id, clientId]
+  );
+  return rows[0] || null;
+}
+
+// ── Update (new version) ──────────────────────────────────────────────────────
+// Applies a change to the plan under a row lock. `mutate(plan)` receives the
+// current row and returns the fields to change (any of SNAPSHOT_FIELDS); it
+// may throw to abort. The version is bumped and snapshotted with `change` as
+// its description.
+//
+// With expectedVersion the update is refused (code PLAN_VERSION_CONFLICT)
+// when someone else saved a newer version in the meantime.
+// Returns the updated row, or null when the plan is not found.
+
+async function updateCampaignPlan(id, clientId, mutate, { change = null, expectedVersion = null } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'SELECT * FROM campaign_plans WHERE id = $1 AND client_id = $2 FOR UPDATE',
+      [id, clientId]
+    );
+    if (!rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const current = rows[0];
+    if (expectedVersion != null && current.version !== expectedVersion) {
+      throw Object.assign(
+        new Error(`Plan is at version ${current.version}, not ${expectedVersion}; reload it and try again`),
+        { code: 'PLAN_VERSION_CONFLICT', version: current.version }
+      );
+    }
+
+    const fields = mutate(current) || {};
+    const sets   = [];
+    const values = [];
+    for (const field of SNAPSHOT_FIELDS) {
+      if (!(field in fields)) continue;
+      values.push(JSON_FIELDS.has(field) ? JSON.stringify(fields[field]) : fields[field]);
+      sets.push(`${field} = $${values.length}`);
+    }
+    values.push(id);
+
+    const { rows: [updated] } = await client.query(
+      `UPDATE campaign_plans
+          SET ${[...sets, 'version = version + 1', 'updated_at = NOW()'].join(', ')}
+        WHERE id = $${values.length}
+        RETURNING *`,
+      values
+    );
+    await insertVersion(client, updated, change);
+    await client.query('COMMIT');
+    return updated;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── Version history ───────────────────────────────────────────────────────────
+
+// Newest first, without snapshots
+async function getCampaignPlanVersions(planId, clientId) {
+  const { rows } = await pool.query(
+    `SELECT v.version, v.change, v.created_at,
+            jsonb_array_length(v.snapshot->'items') AS item_count
+       FROM campaign_plan_versions v
+       JOIN campaign_plans p ON p.id = v.plan_id
+      WHERE v.plan_id = $1 AND p.client_id = $2
+      ORDER BY v.version DESC`,
+    [planId, clientId]
+  );
+  return rows;
+}
+
+// One version with its snapshot
+async function getCampaignPlanVersion(planId, clientId, version) {
+  const { rows } = await pool.query(
+    `SELECT v.*
+       FROM campaign_plan_versions v
+       JOIN campaign_plans p ON p.id = v.plan_id
+      WHERE v.plan_id = $1 AND p.client_id = $2 AND v.version = $3`,
+    [planId, clientId, version]
+  );
+  return rows[0] || null;
+}
+
+// ── Launch ────────────────────────────────────────────────────────────────────
+// Records that `version` of the plan was launched as a batch. Launching does
+// not create a new version.
+
+async function markCampaignPlanLaunched(id, clientId, version) {
+  const { rows } = await pool.query(
+    `UPDATE campaign_plans
+        SET status = 'launched', launched_version = $3, last_launched_at = NOW()
+      WHERE id = $1 AND client_id = $2
+      RETURNING *`,
+    [id, clientId, version]
+  );
+  return rows[0] || null;
+}
+
+// ── Delete ────────────────────────────────────────────────────────────────────
+// Versions go with the plan; batches launched from it keep their generations
+// and lose only the link.
+
+async function deleteCampaignPlan(id, clientId) {
+  const { rows } = await pool.query(
+    'DELETE FROM campaign_plans WHERE id = $1 AND client_id = $2 RETURNING *',
+    [id, clientId]
+  );
+  return rows[0] || null;
+}
+
+module.exports = {
+  createCampaignPlan,
+  listCampaignPlans,
+  getCampaignPlan,
+  updateCampaignPlan,
+  getCampaignPlanVersions,
+  getCampaignPlanVersion,
+  markCampaignPlanLaunched,
+  deleteCampaignPlan,
+};
@@ -0,0 +1,185 @@
+const { pool } = require('./init');
+
+// ── Slugs ─────────────────────────────────────────────────────────────────────
+// "Goal: Spring Sale" → "goal-spring-sale". Slugs are unique per client;
+// global tags (client_id NULL) are shared by every client.
+
+function slugifyTag(name) {
+  return String(name)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, 100);
+}
+
+// ── Queries ───────────────────────────────────────────────────────────────────
+// A client sees its own tags plus every global tag. generation_count only
+// counts the client's own generations.
+
+async function getTagsForClient(clientId) {
+  const { rows } = await pool.query(
+    `SELECT t.*,
+            (SELECT COUNT(*)::int
+               FROM generation_campaign_tags gct
+               JOIN generations g ON g.id = gct.generation_id
+              WHERE gct.tag_id = t.id AND g.client_id = $1) AS generation_count
+       FROM campaign_tags t
+      WHERE t.client_id = $1 OR t.client_id IS NULL
+      ORDER BY t.client_id NULLS FIRST, t.name ASC`,
+    [clientId]
+  );
+  return rows;
+}
+
+async function getTagById(id, clientId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM campaign_tags WHERE id = $1 AND (client_id = $2 OR client_id IS NULL)',
+    [id, clientId]
+  );
+  return rows[0] || null;
+}
+
+// Visible tags matching any of the given ids or slugs (for list filters).
+async function findTags(clientId, { ids = [], slugs = [] }) {
+  const { rows } = await pool.query(
+    `SELECT * FROM campaign_tags
+      WHERE (client_id = $1 OR client_id IS NULL)
+        AND (id = ANY($2::int[]) OR slug = ANY($3::text[]))`,
+    [clientId, ids, slugs]
+  );
+  return rows;
+}
+
+// Tags attached to each generation, keyed by generation id.
+async function getTagsForGenerations(generationIds) {
+  const map = {};
+  if (!generationIds.length) return map;
+
+  const { rows } = await pool.query(
+    `SELECT gct.generation_id, t.id, t.client_id, t.name, t.slug, t.color
+       FROM generation_campaign_tags gct
+       JOIN campaign_tags t ON t.id = gct.tag_id
+      WHERE gct.generation_id = ANY($1::int[])
+      ORDER BY t.name ASC`,
+    [generationIds]
+  );
+  for (const { generation_id, ...tag } of rows) {
+    (map[generation_id] ||= []).push(tag);
+  }
+  return map;
+}
+
+// ── Create / update / delete ──────────────────────────────────────────────────
+// Pass client_id null for a global tag. Duplicate slugs raise the pg unique
+// violation (23505) — routes map it to 409.
+
+async function createTag({ client_id = null, name, color }) {
+  const { rows } = await pool.query(
+    `INSERT INTO campaign_tags (client_id, name, slug, color)
+     VALUES ($1, $2, $3, COALESCE($4, '#6366f1'))
+     RETURNING *`,
+    [client_id, name, slugifyTag(name), color || null]
+  );
+  return rows[0];
+}
+
+async function updateTag(id, clientId, { name, color } = {}) {
+  const sets   = [];
+  const values = [];
+  let   i      = 1;
+
+  if (name !== undefined) {
+    sets.push(`name = $${i++}`, `slug = $${i++}`);
+    values.push(name, slugifyTag(name));
+  }
+  if (color !== undefined) {
+    sets.push(`color = $${i++}`);
+    values.push(color);
+  }
+  if (sets.length === 0) return getTagById(id, clientId);
+
+  values.push(id, clientId);
+  const { rows } = await pool.query(
+    `UPDATE campaign_tags
+        SET ${sets.join(', ')}
+      WHERE id = $${i} AND (client_id = $${i + 1} OR client_id IS NULL)
+      RETURNING *`,
+    values
+  );
+  return rows[0] || null;
+}
+
+async function deleteTag(id, clientId) {
+  const { rows } = await pool.query(
+    'DELETE FROM campaign_tags WHERE id = $1 AND (client_id = $2 OR client_id IS NULL) RETURNING *',
+    [id, clientId]
+  );
+  return rows[0] || null;
+}
+
+// Find-or-create client tags by name; returns the rows in input order.
+// Used for automatic tagging, so an existing tag keeps its name and colour.
+async function ensureTags(clientId, names) {
+  const tags = [];
+  for (const name of names) {
+    const slug = slugifyTag(name);
+    if (!slug) continue;
+    const { rows } = await pool.query(
+      `INSERT INTO campaign_tags (client_id, name, slug)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (client_id, slug) DO UPDATE SET slug = EXCLUDED.slug
+       RETURNING *`,
+      [clientId, String(name).slice(0, 100), slug]
+    );
+    tags.push(rows[0]);
+  }
+  return tags;
+}
+
+// ── Attach / detach ───────────────────────────────────────────────────────────
+// Both only touch generations owned by the client and tags visible to it;
+// other ids are ignored. Return the number of links added or removed.
+
+async function attachTags(clientId, generationIds, tagIds) {
+  if (!generationIds.length || !tagIds.length) return 0;
+  const { rowCount } = await pool.query(
+    `INSERT INTO generation_campaign_tags (generation_id, tag_id)
+     SELECT g.id, t.id
+       FROM generations g
+       CROSS JOIN campaign_tags t
+      WHERE g.id = ANY($2::int[]) AND g.client_id = $1
+        AND t.id = ANY($3::int[]) AND (t.client_id = $1 OR t.client_id IS NULL)
+     ON CONFLICT DO NOTHING`,
+    [clientId, generationIds, tagIds]
+  );
+  return rowCount;
+}
+
+async function detachTags(clientId, generationIds, tagIds) {
+  if (!generationIds.length || !tagIds.length) return 0;
+  const { rowCount } = await pool.query(
+    `DELETE FROM generation_campaign_tags gct
+      USING generations g
+      WHERE gct.generation_id = g.id
+        AND g.client_id = $1
+        AND gct.generation_id = ANY($2::int[])
+        AND gct.tag_id        = ANY($3::int[])`,
+    [clientId, generationIds, tagIds]
+  );
+  return rowCount;
+}
+
+module.exports = {
+  slugifyTag,
+  getTagsForClient,
+  getTagById,
+  findTags,
+  getTagsForGenerations,
+  createTag,
+  updateTag,
+  deleteTag,
+  ensureTags,
+  attachTags,
+  detachTags,
+};
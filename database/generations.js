@@ -1,11 +1,19 @@
-const { pool } = require('./init');
+const { pool }              = require('./init');
+const { publishGeneration } = require('../services/progress');
 
 // ── Image normalisation ───────────────────────────────────────────────────────
 // Every entry stored in generated_images carries a consistent shape so the
 // history board can render, score, and filter images without defensive checks.
 //
-// Shape: { url, width, height, content_type, is_selected, score, status }
+// Shape: { url, width, height, content_type, is_selected, score, status,
+//          source_url, checksum, size_bytes, derived_from, variant }
 //   status values: 'ready' | 'archived'
+//   source_url/checksum/size_bytes are set once the image is mirrored locally
+//   (services/imageMirror.js); source_url is the original provider URL.
+//   derived_from/variant are set on images made from another image (an
+//   upscale of a variant, a product composite over a generated scene):
+//   derived_from is the source image's URL and variant describes the step,
+//   e.g. { type: 'upscale', scale: 2, provider, model }.
 
 function normalizeImageEntry(img, selectedUrl) {
   const url = typeof img === 'string' ? img : (img?.url || null);
@@ -18,6 +26,11 @@ function normalizeImageEntry(img, selectedUrl) {
     is_selected:  Boolean(selectedUrl && url === selectedUrl),
     score:        img?.score        ?? null,
     status:       img?.status       ?? 'ready',
+    source_url:   img?.source_url   ?? null,
+    checksum:     img?.checksum     ?? null,
+    size_bytes:   img?.size_bytes   ?? null,
+    derived_from: img?.derived_from ?? null,
+    variant:      img?.variant      ?? null,
   };
 }
 
@@ -36,15 +49,244 @@ async function getGenerationById(id, clientId) {
   return rows[0] || null;
 }
 
+// True when one of the client's generations was inpainted with the stored
+// mask at `maskUrl` (metadata.mask_url).
+async function isGenerationMask(maskUrl, clientId) {
+  const { rows } = await pool.query(
+    `SELECT 1 FROM generations WHERE client_id = $1 AND metadata->>'mask_url' = $2 LIMIT 1`,
+    [clientId, maskUrl]
+  );
+  return rows.length > 0;
+}
+
+// True when `url` is one of the client's asset files or generation images —
+// the only image inputs a request may hand to an image provider or the
+// compositor, which fetch or read them server-side.
+async function isClientImageUrl(url, clientId) {
+  if (typeof url !== 'string' || !url) return false;
+  const { rows } = await pool.query(
+    `SELECT EXISTS (SELECT 1 FROM assets WHERE client_id = $1 AND file_url = $2)
+         OR EXISTS (
+              SELECT 1 FROM generations
+               WHERE client_id = $1
+                 AND (selected_image_url = $2
+                      OR generated_images @> jsonb_build_array(jsonb_build_object('url', $2::text))
+                      OR generated_images @> jsonb_build_array($2::text))
+            ) AS owned`,
+    [clientId, url]
+  );
+  return rows[0].owned;
+}
+
 // ── List ──────────────────────────────────────────────────────────────────────
+// Newest first, keyset-paginated on (created_at, id). Every filter is optional:
+//
+//   status             string[]   any of pending | processing | done | failed
+//   brandKitId         number
+//   templateId         number
+//   campaignBatchId    number
+//   persona, angle     string     case-insensitive match on metadata.persona / .angle
+//   assetId            number     generations that used this asset (asset_ids)
+//   createdFrom        Date       created_at >= createdFrom
+//   createdTo          Date       created_at <  createdTo
+//   search             string     full-text (web search syntax) over headline,
+//                                 concept and prompt
+//   tagIds             number[]   campaign tags, matched per tagMatch "any" | "all"
+//   hasSelection       boolean    selected_image_url set (true) or not (false)
+//   minScore           number     at least one image scored >= minScore
+//   imageStatus        string     at least one image with this status ('ready' | 'archived')
+//   cursor             string     nextCursor from the previous page
+//   offset             number     legacy paging; ignored when cursor is given
+//
+// Returns { generations, nextCursor } — nextCursor is null on the last page.
+
+const SEARCH_VECTOR = `(
+    setweight(to_tsvector('english', coalesce(g.headline, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(g.concept,  '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(g.prompt,   '')), 'C')
+  )`;
+
+// Cursors carry created_at as Postgres text so microsecond precision survives
+// the round trip (a JS Date would truncate to milliseconds and skip rows).
+function encodeCursor(row) {
+  return Buffer.from(JSON.stringify([row.sort_created_at, row.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const [createdAt, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || !Number.isInteger(id)) return null;
+    return { createdAt, id };
+  } catch {
+    return null;
+  }
+}
+
+async function getAllGenerations(clientId, {
+  limit = 50,
+  offset = 0,
+  cursor,
+  status,
+  brandKitId,
+  templateId,
+  campaignBatchId,
+  persona,
+  angle,
+  assetId,
+  createdFrom,
+  createdTo,
+  search,
+  tagIds,
+  tagMatch = 'any',
+  hasSelection,
+  minScore,
+  imageStatus,
+} = {}) {
+  const conditions = ['g.client_id = $1'];
+  const values     = [clientId];
+  let   i          = 2;
+
+  if (Array.isArray(status) && status.length > 0) {
+    conditions.push(`g.status = ANY($${i++}::text[])`);
+    values.push(status);
+  }
+  if (brandKitId !== undefined) {
+    conditions.push(`g.brand_kit_id = $${i++}`);
+    values.push(brandKitId);
+  }
+  if (templateId !== undefined) {
+    conditions.push(`g.template_id = $${i++}`);
+    values.push(templateId);
+  }
+  if (campaignBatchId !== undefined) {
+    conditions.push(`g.campaign_batch_id = $${i++}`);
+    values.push(campaignBatchId);
+  }
+  if (persona) {
+    conditions.push(`lower(g.metadata->>'persona') = lower($${i++})`);
+    values.push(persona);
+  }
+  if (angle) {
+    conditions.push(`lower(g.metadata->>'angle') = lower($${i++})`);
+    values.push(angle);
+  }
+  if (assetId !== undefined) {
+    conditions.push(`g.asset_ids @> $${i++}::jsonb`);
+    values.push(JSON.stringify([assetId]));
+  }
+  if (createdFrom) {
+    conditions.push(`g.created_at >= $${i++}`);
+    values.push(createdFrom);
+  }
+  if (createdTo) {
+    conditions.push(`g.created_at < $${i++}`);
+    values.push(createdTo);
+  }
+  if (search) {
+    conditions.push(`${SEARCH_VECTOR} @@ websearch_to_tsquery('english', $${i++})`);
+    values.push(search);
+  }
+  if (Array.isArray(tagIds) && tagIds.length > 0) {
+    if (tagMatch === 'all') {
+      conditions.push(
+        `(SELECT COUNT(DISTINCT gct.tag_id) FROM generation_campaign_tags gct
+           WHERE gct.generation_id = g.id AND gct.tag_id = ANY($${i}::int[])) = cardinality($${i}::int[])`
+      );
+    } else {
+      conditions.push(
+        `EXISTS (SELECT 1 FROM generation_campaign_tags gct
+                  WHERE gct.generation_id = g.id AND gct.tag_id = ANY($${i}::int[]))`
+      );
+    }
+    i++;
+    values.push(tagIds);
+  }
+
+  if (hasSelection !== undefined) {
+    conditions.push(hasSelection ? 'g.selected_image_url IS NOT NULL' : 'g.selected_image_url IS NULL');
+  }
+  if (minScore !== undefined) {
+    conditions.push(`jsonb_path_exists(g.generated_images, '$[*] ? (@.score >= $min)', jsonb_build_object('min', $${i++}::int))`);
+    values.push(minScore);
+  }
+  if (imageStatus) {
+    conditions.push(`g.generated_images @> $${i++}::jsonb`);
+    values.push(JSON.stringify([{ status: imageStatus }]));
+  }
+
+  const after = cursor ? decodeCursor(cursor) : null;
+  if (cursor && !after) {
+    throw Object.assign(new Error('Invalid cursor'), { code: 'INVALID_CURSOR' });
+  }
+  if (after) {
+    conditions.push(`(g.created_at, g.id) < ($${i}::timestamptz, $${i + 1})`);
+    i += 2;
+    values.push(after.createdAt, after.id);
+  }
 
-async function getAllGenerations(clientId, { limit = 50, offset = 0 } = {}) {
+  // One extra row tells us whether another page exists
+  values.push(limit + 1, after ? 0 : offset);
   const { rows } = await pool.query(
-    `SELECT * FROM generations
-     WHERE client_id = $1
-     ORDER BY created_at DESC
-     LIMIT $2 OFFSET $3`,
-    [clientId, limit, offset]
+    `SELECT g.*, g.created_at::text AS sort_created_at
+       FROM generations g
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY g.created_at DESC, g.id DESC
+      LIMIT $${i} OFFSET $${i + 1}`,
+    values
+  );
+
+  const hasMore    = rows.length > limit;
+  const page       = rows.slice(0, limit);
+  const nextCursor = hasMore ? encodeCursor(page[page.length - 1]) : null;
+  for (const row of page) delete row.sort_created_at;
+
+  return { generations: page, nextCursor };
+}
+
+// ── Lineage ───────────────────────────────────────────────────────────────────
+// Every generation in the same family tree as `id`: walks parent_generation_id
+// up to the root, then collects all descendants of that root. Rows are
+// returned flat (with depth from the root), oldest first; null when `id` is
+// not found for the client. MAX_LINEAGE_DEPTH guards against metadata cycles.
+
+const MAX_LINEAGE_DEPTH = 50;
+const MAX_LINEAGE_NODES = 500;
+
+async function getGenerationLineage(id, clientId) {
+  const { rows: rootRows } = await pool.query(
+    `WITH RECURSIVE ancestors AS (
+       SELECT id, metadata, 0 AS depth
+         FROM generations
+        WHERE id = $1 AND client_id = $2
+       UNION ALL
+       SELECT p.id, p.metadata, a.depth + 1
+         FROM generations p
+         JOIN ancestors a ON p.id::text = a.metadata->>'parent_generation_id'
+        WHERE p.client_id = $2 AND a.depth < $3
+     )
+     SELECT id FROM ancestors ORDER BY depth DESC LIMIT 1`,
+    [id, clientId, MAX_LINEAGE_DEPTH]
+  );
+  if (!rootRows[0]) return null;
+
+  const { rows } = await pool.query(
+    `WITH RECURSIVE tree AS (
+       SELECT id, 0 AS depth
+         FROM generations
+        WHERE id = $1 AND client_id = $2
+       UNION
+       SELECT c.id, t.depth + 1
+         FROM generations c
+         JOIN tree t ON c.metadata->>'parent_generation_id' = t.id::text
+        WHERE c.client_id = $2 AND t.depth < $3
+     )
+     SELECT g.id, g.status, g.prompt, g.headline, g.selected_image_url,
+            g.generated_images, g.metadata, g.error, g.created_at, t.depth
+       FROM tree t
+       JOIN generations g ON g.id = t.id
+      ORDER BY g.created_at ASC, g.id ASC
+      LIMIT $4`,
+    [rootRows[0].id, clientId, MAX_LINEAGE_DEPTH, MAX_LINEAGE_NODES]
   );
   return rows;
 }
@@ -62,14 +304,15 @@ async function createGeneration({
   concept       = null,
   avatar        = null,
   asset_ids     = [],
+  campaign_batch_id = null,
   metadata      = {},
 }) {
   const { rows } = await pool.query(
     `INSERT INTO generations
        (client_id, brand_kit_id, template_id, status,
         prompt, headline, body_copy, cta,
-        concept, avatar, asset_ids, metadata)
-     VALUES ($1, $2, $3, 'pending', $4, $5, $6, $7, $8, $9, $10, $11)
+        concept, avatar, asset_ids, campaign_batch_id, metadata)
+     VALUES ($1, $2, $3, 'pending', $4, $5, $6, $7, $8, $9, $10, $11, $12)
      RETURNING *`,
     [
       client_id,
@@ -82,6 +325,7 @@ async function createGeneration({
       concept,
       avatar,
       JSON.stringify(Array.isArray(asset_ids) ? asset_ids : []),
+      campaign_batch_id || null,
       JSON.stringify(metadata),
     ]
   );
@@ -92,6 +336,7 @@ async function createGeneration({
 // generated_images is normalized before storage: each entry is enriched with
 // is_selected, score, and status so the board UX never needs to guard against
 // missing fields. All other updatable fields are written as-is.
+// Status and image changes are published to progress subscribers (SSE).
 
 const UPDATABLE   = new Set([
   'status', 'generated_images', 'selected_image_url', 'error',
@@ -133,13 +378,208 @@ async function updateGeneration(id, clientId, fields) {
       RETURNING *`,
     values
   );
-  return rows[0] || null;
+
+  const row = rows[0] || null;
+  if (row && ('status' in fields || 'generated_images' in fields)) {
+    await publishGeneration(row);
+  }
+  return row;
+}
+
+// ── Per-image curation ────────────────────────────────────────────────────────
+// Changes one entry of generated_images (by array index) under a row lock so
+// concurrent score/select calls cannot overwrite each other. `changes` may set
+// score (1–5 or null), status ('ready' | 'archived') and/or selected (boolean).
+// selected_image_url is kept in sync: selecting an image replaces the previous
+// selection; archiving or deselecting the selected image clears it.
+//
+// Returns the updated row, null when the generation is missing, or throws
+// IMAGE_NOT_FOUND (bad index) / IMAGE_ARCHIVED (selecting an archived image).
+
+async function updateGenerationImage(id, clientId, index, changes) {
+  const client = await pool.connect();
+  let row;
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'SELECT * FROM generations WHERE id = $1 AND client_id = $2 FOR UPDATE',
+      [id, clientId]
+    );
+    if (!rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const current = rows[0];
+    let   selected = current.selected_image_url;
+    const images   = normalizeGenerationImages(current.generated_images, selected);
+    const image    = images[index];
+    if (!image) {
+      throw Object.assign(new Error(`Generation ${id} has no image at index ${index}`), { code: 'IMAGE_NOT_FOUND' });
+    }
+
+    if ('score'  in changes) image.score  = changes.score;
+    if ('status' in changes) image.status = changes.status;
+
+    if (changes.selected === true) {
+      if (image.status === 'archived') {
+        throw Object.assign(new Error('Archived images cannot be selected; restore it first'), { code: 'IMAGE_ARCHIVED' });
+      }
+      selected = image.url;
+    } else if (image.url === selected && (changes.selected === false || image.status === 'archived')) {
+      selected = null;
+    }
+
+    const normalized = normalizeGenerationImages(images, selected);
+    ({ rows: [row] } = await client.query(
+      `UPDATE generations
+          SET generated_images = $1, selected_image_url = $2, updated_at = NOW()
+        WHERE id = $3
+        RETURNING *`,
+      [JSON.stringify(normalized), selected, id]
+    ));
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await publishGeneration(row);
+  return row;
+}
+
+// ── Derived images ────────────────────────────────────────────────────────────
+// Appends one entry to generated_images under a row lock, so curation or other
+// derived images written meanwhile are kept. The selection is left alone.
+// Returns the updated row or null when the generation is missing.
+
+async function appendGenerationImage(id, clientId, entry) {
+  const client = await pool.connect();
+  let row;
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'SELECT * FROM generations WHERE id = $1 AND client_id = $2 FOR UPDATE',
+      [id, clientId]
+    );
+    if (!rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const current  = rows[0];
+    const selected = current.selected_image_url;
+    const images   = [...normalizeGenerationImages(current.generated_images, selected), entry];
+
+    ({ rows: [row] } = await client.query(
+      `UPDATE generations
+          SET generated_images = $1, updated_at = NOW()
+        WHERE id = $2
+        RETURNING *`,
+      [JSON.stringify(normalizeGenerationImages(images, selected)), id]
+    ));
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await publishGeneration(row);
+  return row;
+}
+
+// ── Mirrored URL rewrite ──────────────────────────────────────────────────────
+// Swaps remote image entries for their mirrored copies, keyed by the original
+// URL, under a row lock so curation done meanwhile (score, status) is kept.
+// selected_image_url follows its image. Returns the updated row or null.
+
+async function applyMirroredImages(id, clientId, mirroredByUrl) {
+  const client = await pool.connect();
+  let row;
+  try {
+    await client.query('BEGIN');
+    const { rows } = await client.query(
+      'SELECT * FROM generations WHERE id = $1 AND client_id = $2 FOR UPDATE',
+      [id, clientId]
+    );
+    if (!rows[0]) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const current  = rows[0];
+    let   selected = current.selected_image_url;
+    const images   = normalizeGenerationImages(current.generated_images, selected).map(img => {
+      const copy = mirroredByUrl.get(img.url);
+      if (!copy) return img;
+      if (selected === img.url) selected = copy.url;
+      return {
+        ...img,
+        url:          copy.url,
+        source_url:   copy.source_url,
+        checksum:     copy.checksum,
+        size_bytes:   copy.size_bytes,
+        width:        copy.width,
+        height:       copy.height,
+        content_type: copy.content_type,
+      };
+    });
+
+    ({ rows: [row] } = await client.query(
+      `UPDATE generations
+          SET generated_images = $1, selected_image_url = $2, updated_at = NOW()
+        WHERE id = $3
+        RETURNING *`,
+      [JSON.stringify(normalizeGenerationImages(images, selected)), selected, id]
+    ));
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+  return row;
+}
+
+// Finished generations that still reference remote (http/https) image URLs,
+// as objects or legacy plain strings. Ordered by id so the backfill can page
+// with afterId.
+async function getGenerationsWithRemoteImages({ afterId = 0, limit = 25, clientId } = {}) {
+  const values = [afterId, limit];
+  const scope  = clientId ? `AND client_id = $${values.push(clientId)}` : '';
+  const { rows } = await pool.query(
+    `SELECT id, client_id, generated_images, selected_image_url
+       FROM generations
+      WHERE id > $1
+        AND status = 'done'
+        AND jsonb_path_exists(
+              generated_images,
+              '$[*] ? (@ like_regex "^https?://" || @.url like_regex "^https?://")'
+            )
+        ${scope}
+      ORDER BY id ASC
+      LIMIT $2`,
+    values
+  );
+  return rows;
 }
 
 module.exports = {
   getGenerationById,
+  isGenerationMask,
+  isClientImageUrl,
   getAllGenerations,
+  getGenerationLineage,
   createGeneration,
   updateGeneration,
+  appendGenerationImage,
+  updateGenerationImage,
+  applyMirroredImages,
+  getGenerationsWithRemoteImages,
   normalizeGenerationImages,
 };
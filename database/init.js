@@ -242,7 +242,8 @@ const INIT_SQL = `
   CREATE INDEX IF NOT EXISTS idx_brand_intelligence_source ON brand_intelligence (source);
 
   -- Campaign batches: top-level record for a bulk generation run
-  -- status values: 'running' | 'done' | 'failed'
+  -- status values: 'running' | 'done' | 'failed' | 'cancelled'
+  -- metadata.cancelled_at is set while a cancellation is in effect
   CREATE TABLE IF NOT EXISTS campaign_batches (
     id             SERIAL       PRIMARY KEY,
     client_id      INTEGER      NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
@@ -255,11 +256,134 @@ const INIT_SQL = `
   );
 
   CREATE INDEX IF NOT EXISTS idx_campaign_batches_client ON campaign_batches (client_id);
+  CREATE INDEX IF NOT EXISTS idx_campaign_batches_created ON campaign_batches (client_id, created_at DESC);
 
   -- Link generations back to the batch that spawned them
   ALTER TABLE generations ADD COLUMN IF NOT EXISTS campaign_batch_id INTEGER REFERENCES campaign_batches(id) ON DELETE SET NULL;
 
   CREATE INDEX IF NOT EXISTS idx_generations_batch ON generations (campaign_batch_id) WHERE campaign_batch_id IS NOT NULL;
+
+  -- Templates: layout schema — named, positioned slots (headline, body, cta,
+  -- logo, product_image, background) that the renderer fills from a generation
+  ALTER TABLE templates ADD COLUMN IF NOT EXISTS layout JSONB NOT NULL DEFAULT '{}';
+
+  -- Jobs: durable work queue drained by services/jobQueue.js workers.
+  -- status values: 'queued' | 'running' | 'done' | 'failed' | 'cancelled'
+  -- A job is claimed with FOR UPDATE SKIP LOCKED; failed attempts are re-queued
+  -- with run_at pushed back until attempts reaches max_attempts.
+  CREATE TABLE IF NOT EXISTS jobs (
+    id                 SERIAL       PRIMARY KEY,
+    client_id          INTEGER      NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    type               VARCHAR(50)  NOT NULL,
+    status             VARCHAR(20)  NOT NULL DEFAULT 'queued',
+    generation_id      INTEGER      REFERENCES generations(id) ON DELETE CASCADE,
+    campaign_batch_id  INTEGER      REFERENCES campaign_batches(id) ON DELETE SET NULL,
+    payload            JSONB        NOT NULL DEFAULT '{}',
+    result             JSONB,
+    attempts           INTEGER      NOT NULL DEFAULT 0,
+    max_attempts       INTEGER      NOT NULL DEFAULT 3,
+    run_at             TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    locked_at          TIMESTAMPTZ,
+    last_error         TEXT,
+    created_at         TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    updated_at         TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    CONSTRAINT chk_jobs_status
+      CHECK (status IN ('queued','running','done','failed','cancelled'))
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_jobs_claim      ON jobs (run_at, id) WHERE status = 'queued';
+  CREATE INDEX IF NOT EXISTS idx_jobs_status     ON jobs (status);
+  CREATE INDEX IF NOT EXISTS idx_jobs_generation ON jobs (generation_id) WHERE generation_id IS NOT NULL;
+  CREATE INDEX IF NOT EXISTS idx_jobs_batch      ON jobs (campaign_batch_id) WHERE campaign_batch_id IS NOT NULL;
+
+  -- Set when a running job's campaign batch is cancelled: the worker does not
+  -- retry it if it fails
+  ALTER TABLE jobs ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN NOT NULL DEFAULT FALSE;
+
+  -- Generations: campaign items finished before the job queue recorded their
+  -- seed and model only as fal_seed / fal_model; copy them to the seed / model
+  -- keys every generation now carries (the old keys stay). Re-run safe.
+  UPDATE generations
+     SET metadata = metadata || jsonb_strip_nulls(jsonb_build_object(
+           'seed',  metadata->'fal_seed',
+           'model', metadata->'fal_model'))
+   WHERE metadata ? 'fal_seed' AND NOT (metadata ? 'seed');
+
+  -- Generation history: keyset pagination walks (created_at, id) newest first;
+  -- full-text search over prompt/headline/concept. The expression must match
+  -- SEARCH_VECTOR in database/generations.js for the index to be used.
+  CREATE INDEX IF NOT EXISTS idx_generations_client_created
+    ON generations (client_id, created_at DESC, id DESC);
+  CREATE INDEX IF NOT EXISTS idx_generations_search ON generations USING gin((
+    setweight(to_tsvector('english', coalesce(headline, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(concept,  '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(prompt,   '')), 'C')
+  ));
+  CREATE INDEX IF NOT EXISTS idx_generations_persona ON generations ((lower(metadata->>'persona')));
+  CREATE INDEX IF NOT EXISTS idx_generations_angle   ON generations ((lower(metadata->>'angle')));
+
+  -- Lineage: children are found by metadata.parent_generation_id (set by
+  -- POST /api/generate/edit and other derived generations)
+  CREATE INDEX IF NOT EXISTS idx_generations_parent
+    ON generations ((metadata->>'parent_generation_id'))
+    WHERE metadata ? 'parent_generation_id';
+
+  -- Assets: web-sized thumbnail, WebP derivatives and dominant colours,
+  -- written on upload by services/assetDerivatives.js
+  -- derivatives: { thumb, thumb_webp, web_webp, poster?, cutout? } → { url, width, height, content_type, size_bytes }
+  -- palette:     [{ hex, share }] most common first
+  ALTER TABLE assets ADD COLUMN IF NOT EXISTS thumbnail_url TEXT;
+  ALTER TABLE assets ADD COLUMN IF NOT EXISTS derivatives   JSONB NOT NULL DEFAULT '{}';
+  ALTER TABLE assets ADD COLUMN IF NOT EXISTS palette       JSONB NOT NULL DEFAULT '[]';
+
+  -- Assets: one-line description, written by hand or accepted from the
+  -- vision model's suggestions (POST /api/assets/auto-tag)
+  ALTER TABLE assets ADD COLUMN IF NOT EXISTS description TEXT;
+
+  -- Campaign plans: saved persona × angle matrices (database/campaignPlans.js).
+  -- status values: 'draft' | 'launched'
+  -- inputs: { headline, cta, product_image_url, ads_per_combo, image_size } as planned
+  -- items:  [{ index, persona, angle, prompt, concept, headline, cta, image_size,
+  --            product_image_url, metadata }] — the same shape POST /plan returns
+  -- Every edit bumps version and snapshots the plan into campaign_plan_versions.
+  CREATE TABLE IF NOT EXISTS campaign_plans (
+    id                     SERIAL       PRIMARY KEY,
+    client_id              INTEGER      NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    name                   VARCHAR(255),
+    status                 VARCHAR(20)  NOT NULL DEFAULT 'draft',
+    version                INTEGER      NOT NULL DEFAULT 1,
+    goal                   TEXT,
+    brand_kit_id           INTEGER      REFERENCES brand_kits(id) ON DELETE SET NULL,
+    brand_intelligence_id  INTEGER      REFERENCES brand_intelligence(id) ON DELETE SET NULL,
+    personas               JSONB        NOT NULL DEFAULT '[]',
+    angles                 JSONB        NOT NULL DEFAULT '[]',
+    inputs                 JSONB        NOT NULL DEFAULT '{}',
+    items                  JSONB        NOT NULL DEFAULT '[]',
+    model                  VARCHAR(100),
+    launched_version       INTEGER,
+    last_launched_at       TIMESTAMPTZ,
+    created_at             TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    updated_at             TIMESTAMPTZ  NOT NULL DEFAULT NOW()
+  );
+
+  CREATE INDEX IF NOT EXISTS idx_campaign_plans_client ON campaign_plans (client_id, updated_at DESC);
+
+  -- snapshot: { name, goal, brand_kit_id, brand_intelligence_id, personas, angles, inputs, items }
+  CREATE TABLE IF NOT EXISTS campaign_plan_versions (
+    id          SERIAL       PRIMARY KEY,
+    plan_id     INTEGER      NOT NULL REFERENCES campaign_plans(id) ON DELETE CASCADE,
+    version     INTEGER      NOT NULL,
+    snapshot    JSONB        NOT NULL,
+    change      TEXT,
+    created_at  TIMESTAMPTZ  NOT NULL DEFAULT NOW(),
+    UNIQUE (plan_id, version)
+  );
+
+  -- Campaign batches: the plan (and version of it) a batch was launched from
+  ALTER TABLE campaign_batches ADD COLUMN IF NOT EXISTS campaign_plan_id      INTEGER REFERENCES campaign_plans(id) ON DELETE SET NULL;
+  ALTER TABLE campaign_batches ADD COLUMN IF NOT EXISTS campaign_plan_version INTEGER;
+
+  CREATE INDEX IF NOT EXISTS idx_campaign_batches_plan ON campaign_batches (campaign_plan_id) WHERE campaign_plan_id IS NOT NULL;
 `;
 
 // ── Bootstrap ─────────────────────────────────────────────────────────────────
@@ -269,7 +393,7 @@ async function initDatabase() {
     console.log('[db] Running schema bootstrap…');
     await client.query(INIT_SQL);
     console.log('[db] Schema ready  (clients, brand_kits, brand_intelligence,');
-    console.log('[db]               templates, assets, campaign_tags, generations)');
+    console.log('[db]               templates, assets, campaign_tags, campaign_plans, generations, jobs)');
   } catch (err) {
     console.error('[db] Bootstrap failed:', err.message);
     throw err;
@@ -0,0 +1,250 @@
+const { pool } = require('./init');
+
+// Serialises claims across every worker process so the running-job count
+// check and the claim itself happen atomically (global concurrency limit).
+const CLAIM_LOCK_KEY = 'jobs_claim';
+
+// A running job's locked_at doubles as its lease: the worker that claimed it
+// passes the value back on every heartbeat and outcome update, which only
+// apply while it is unchanged. Truncated to milliseconds so it round-trips
+// through a JS Date exactly.
+const LEASE_NOW = "date_trunc('milliseconds', NOW())";
+
+// ── Create ────────────────────────────────────────────────────────────────────
+// With `unlessActive` (a payload subset) the job is only created when no
+// queued or running job of the same type for the same generation has a
+// payload containing it; otherwise throws code JOB_DUPLICATE with the
+// existing row as `job`. Check and insert run under one advisory lock, so
+// two simultaneous requests cannot both get through.
+
+const INSERT_JOB = `INSERT INTO jobs
+       (client_id, type, generation_id, campaign_batch_id, payload, max_attempts)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`;
+
+async function createJob({
+  client_id,
+  type,
+  generation_id     = null,
+  campaign_batch_id = null,
+  payload           = {},
+  max_attempts      = 3,
+}, { unlessActive = null } = {}) {
+  const values = [client_id, type, generation_id, campaign_batch_id, JSON.stringify(payload), max_attempts];
+  if (!unlessActive) {
+    const { rows } = await pool.query(INSERT_JOB, values);
+    return rows[0];
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`jobs:${type}:${generation_id}`]);
+
+    const { rows: active } = await client.query(
+      `SELECT * FROM jobs
+        WHERE type = $1 AND generation_id IS NOT DISTINCT FROM $2
+          AND status IN ('queued', 'running') AND payload @> $3::jsonb
+        ORDER BY id ASC
+        LIMIT 1`,
+      [type, generation_id, JSON.stringify(unlessActive)]
+    );
+    if (active[0]) {
+      throw Object.assign(
+        new Error(`An identical ${type} job (${active[0].id}) is already ${active[0].status}`),
+        { code: 'JOB_DUPLICATE', job: active[0] }
+      );
+    }
+
+    const { rows } = await client.query(INSERT_JOB, values);
+    await client.query('COMMIT');
+    return rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── Fetch single ──────────────────────────────────────────────────────────────
+
+async function getJobById(id, clientId) {
+  const { rows } = await pool.query(
+    'SELECT * FROM jobs WHERE id = $1 AND client_id = $2',
+    [id, clientId]
+  );
+  return rows[0] || null;
+}
+
+// ── Claim ─────────────────────────────────────────────────────────────────────
+// Atomically moves the oldest due job to 'running' and bumps its attempt
+// count. Returns null when nothing is due or `maxRunning` jobs are already
+// running across all workers.
+
+async function claimNextJob(maxRunning) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [CLAIM_LOCK_KEY]);
+
+    const { rows: countRows } = await client.query(
+      `SELECT COUNT(*)::int AS running FROM jobs WHERE status = 'running'`
+    );
+    if (countRows[0].running >= maxRunning) {
+      await client.query('COMMIT');
+      return null;
+    }
+
+    const { rows } = await client.query(
+      `UPDATE jobs
+          SET status = 'running', attempts = attempts + 1,
+              locked_at = ${LEASE_NOW}, updated_at = NOW()
+        WHERE id = (
+          SELECT id FROM jobs
+           WHERE status = 'queued' AND run_at <= NOW()
+           ORDER BY run_at ASC, id ASC
+           LIMIT 1
+           FOR UPDATE SKIP LOCKED
+        )
+        RETURNING *`
+    );
+    await client.query('COMMIT');
+    return rows[0] || null;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ── Heartbeat ─────────────────────────────────────────────────────────────────
+// Renews the lease of a job still held by the caller. Returns the new
+// locked_at, or null when the job was requeued, cancelled or finished by
+// someone else in the meantime.
+
+async function touchJob(id, lockedAt) {
+  const { rows } = await pool.query(
+    `UPDATE jobs
+        SET locked_at = ${LEASE_NOW}, updated_at = NOW()
+      WHERE id = $1 AND status = 'running' AND locked_at = $2
+      RETURNING locked_at`,
+    [id, lockedAt]
+  );
+  return rows[0]?.locked_at || null;
+}
+
+// ── Outcome updates ───────────────────────────────────────────────────────────
+// Each applies only while the caller still holds the lease (`lockedAt` is the
+// job's current locked_at) and returns null otherwise, so a worker whose job
+// was requeued as stale cannot overwrite the outcome of the run that took over.
+
+async function completeJob(id, lockedAt, result = {}) {
+  const { rows } = await pool.query(
+    `UPDATE jobs
+        SET status = 'done', result = $1, locked_at = NULL, last_error = NULL, updated_at = NOW()
+      WHERE id = $2 AND status = 'running' AND locked_at = $3
+      RETURNING *`,
+    [JSON.stringify(result), id, lockedAt]
+  );
+  return rows[0] || null;
+}
+
+// Puts a job back in the queue to run again after `delayMs`.
+async function retryJob(id, lockedAt, error, delayMs) {
+  const { rows } = await pool.query(
+    `UPDATE jobs
+        SET status = 'queued', locked_at = NULL, last_error = $1,
+            run_at = NOW() + $2::int * INTERVAL '1 millisecond', updated_at = NOW()
+      WHERE id = $3 AND status = 'running' AND locked_at = $4
+      RETURNING *`,
+    [error, delayMs, id, lockedAt]
+  );
+  return rows[0] || null;
+}
+
+async function failJob(id, lockedAt, error) {
+  const { rows } = await pool.query(
+    `UPDATE jobs
+        SET status = 'failed', locked_at = NULL, last_error = $1, updated_at = NOW()
+      WHERE id = $2 AND status = 'running' AND locked_at = $3
+      RETURNING *`,
+    [error, id, lockedAt]
+  );
+  return rows[0] || null;
+}
+
+// Cancels a job whose batch was cancelled while it ran (cancel_requested),
+// instead of retrying or failing it. Returns the row, or null when no cancel
+// was requested or the caller no longer holds the lease.
+async function cancelRequestedJob(id, lockedAt, error) {
+  const { rows } = await pool.query(
+    `UPDATE jobs
+        SET status = 'cancelled', locked_at = NULL, last_error = $1, updated_at = NOW()
+      WHERE id = $2 AND status = 'running' AND locked_at = $3 AND cancel_requested
+      RETURNING *`,
+    [error, id, lockedAt]
+  );
+  return rows[0] || null;
+}
+
+// ── Recovery ──────────────────────────────────────────────────────────────────
+// requeueStaleJobs puts back jobs whose lease has not been renewed for
+// `staleMs` — their worker process died or hung. Live workers renew their
+// leases (touchJob), so their jobs are never taken. Does not consume an
+// attempt. Stale jobs with a cancel request are not requeued: run
+// cancelStaleRequestedJobs first, which cancels them and returns the rows.
+
+async function requeueStaleJobs(staleMs) {
+  const { rowCount } = await pool.query(
+    `UPDATE jobs
+        SET status = 'queued', locked_at = NULL, run_at = NOW(),
+            attempts = GREATEST(attempts - 1, 0), updated_at = NOW()
+      WHERE status = 'running' AND NOT cancel_requested
+        AND locked_at < NOW() - $1::int * INTERVAL '1 millisecond'`,
+    [staleMs]
+  );
+  return rowCount;
+}
+
+async function cancelStaleRequestedJobs(staleMs, error) {
+  const { rows } = await pool.query(
+    `UPDATE jobs
+        SET status = 'cancelled', locked_at = NULL, last_error = $2, updated_at = NOW()
+      WHERE status = 'running' AND cancel_requested
+        AND locked_at < NOW() - $1::int * INTERVAL '1 millisecond'
+      RETURNING *`,
+    [staleMs, error]
+  );
+  return rows;
+}
+
+// Generations left pending/processing with no open job — e.g. created before
+// the queue existed, or whose job row was removed by hand.
+async function getOrphanedGenerations() {
+  const { rows } = await pool.query(
+    `SELECT g.* FROM generations g
+      WHERE g.status IN ('pending', 'processing')
+        AND NOT EXISTS (
+          SELECT 1 FROM jobs j
+           WHERE j.generation_id = g.id AND j.status IN ('queued', 'running')
+        )
+      ORDER BY g.id ASC`
+  );
+  return rows;
+}
+
+module.exports = {
+  createJob,
+  getJobById,
+  claimNextJob,
+  touchJob,
+  completeJob,
+  retryJob,
+  failJob,
+  cancelRequestedJob,
+  requeueStaleJobs,
+  cancelStaleRequestedJobs,
+  getOrphanedGenerations,
+};
@@ -79,13 +79,14 @@ async function createTemplate({
   tags          = [],
   is_favorite   = false,
   source_type   = 'starter',
+  layout        = {},
   metadata      = {},
 }) {
   const { rows } = await pool.query(
     `INSERT INTO templates
        (name, slug, description, platform, category, dimensions,
-        thumbnail_url, is_active, tags, is_favorite, source_type, metadata)
-     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12)
+        thumbnail_url, is_active, tags, is_favorite, source_type, layout, metadata)
+     VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
      RETURNING *`,
     [
       name, slug, description, platform, category,
@@ -93,6 +94,7 @@ async function createTemplate({
       thumbnail_url, is_active,
       JSON.stringify(tags),
       is_favorite, source_type,
+      JSON.stringify(layout),
       JSON.stringify(metadata),
     ]
   );
@@ -104,11 +106,11 @@ async function createTemplate({
 
 const UPDATABLE = new Set([
   'name', 'slug', 'description', 'platform', 'category',
-  'dimensions', 'is_active', 'tags', 'is_favorite', 'source_type', 'metadata',
+  'dimensions', 'is_active', 'tags', 'is_favorite', 'source_type', 'layout', 'metadata',
 ]);
 
 // Fields whose values must be JSON-stringified before binding
-const JSON_FIELDS = new Set(['dimensions', 'tags', 'metadata']);
+const JSON_FIELDS = new Set(['dimensions', 'tags', 'layout', 'metadata']);
 
 async function updateTemplate(id, fields) {
   const sets   = [];
@@ -1,39 +1,8 @@
 const multer = require('multer');
-const path   = require('path');
-const fs     = require('fs');
 const crypto = require('crypto');
 
-// ── Upload directory management ───────────────────────────────────────────────
-
-const PUBLIC_ROOT  = path.resolve(path.join(__dirname, '../public'));
-const UPLOADS_ROOT = path.join(PUBLIC_ROOT, 'uploads');
-
-const UPLOAD_DIRS = {
-  logos:      path.join(UPLOADS_ROOT, 'logos'),
-  thumbnails: path.join(UPLOADS_ROOT, 'thumbnails'),
-  assets:     path.join(UPLOADS_ROOT, 'assets'),
-};
-
-// Creates all upload subdirectories synchronously. Safe to call on every boot.
-function ensureUploadDirs() {
-  for (const dir of Object.values(UPLOAD_DIRS)) {
-    fs.mkdirSync(dir, { recursive: true });
-  }
-}
-
-// Resolves a stored public path (e.g. "/uploads/logos/foo.png") to a safe
-// absolute filesystem path. Returns null if the path escapes UPLOADS_ROOT —
-// callers (unlinkSilent, copyFile) must treat null as "skip this operation".
-function resolveUploadPath(publicPath) {
-  if (!publicPath || typeof publicPath !== 'string') return null;
-  const relative = publicPath.startsWith('/') ? publicPath.slice(1) : publicPath;
-  const resolved = path.resolve(path.join(PUBLIC_ROOT, relative));
-  if (!resolved.startsWith(UPLOADS_ROOT + path.sep)) {
-    console.warn('[upload] Blocked unsafe path:', publicPath);
-    return null;
-  }
-  return resolved;
-}
+const { putFile, deleteFile }        = require('../services/storage');
+const { FONT_FORMATS, fontFormatOf } = require('../services/fonts');
 
 // ── Allowed types & limits ────────────────────────────────────────────────────
 
@@ -52,19 +21,34 @@ const ALLOWED_ASSET_MIME = new Set([
   'image/webp',
   'image/svg+xml',
   'image/gif',
+  'video/mp4',
+  'video/quicktime',
+  'video/webm',
+  'font/ttf',
+  'font/otf',
+  'font/woff',
+  'font/woff2',
 ]);
 
-const MAX_BYTES       = 5  * 1024 * 1024; // 5 MB  — logos & thumbnails
-const MAX_ASSET_BYTES = 20 * 1024 * 1024; // 20 MB — brand assets (high-res images)
-const MAX_ASSET_COUNT = 10;               // max files per multi-upload request
+const MAX_BYTES       = 5   * 1024 * 1024; // 5 MB   — logos & thumbnails
+const MAX_ASSET_BYTES = 20  * 1024 * 1024; // 20 MB  — brand assets (high-res images)
+const MAX_VIDEO_BYTES = 200 * 1024 * 1024; // 200 MB — video assets
+const MAX_ASSET_COUNT = 10;                // max files per multi-upload request
 
 // Map MIME → canonical extension (avoids trusting the client-supplied filename)
 const MIME_TO_EXT = {
-  'image/jpeg':   '.jpg',
-  'image/png':    '.png',
-  'image/webp':   '.webp',
-  'image/svg+xml': '.svg',
-  'image/gif':    '.gif',
+  'image/jpeg':      '.jpg',
+  'image/png':       '.png',
+  'image/webp':      '.webp',
+  'image/svg+xml':   '.svg',
+  'image/gif':       '.gif',
+  'video/mp4':       '.mp4',
+  'video/quicktime': '.mov',
+  'video/webm':      '.webm',
+  'font/ttf':        '.ttf',
+  'font/otf':        '.otf',
+  'font/woff':       '.woff',
+  'font/woff2':      '.woff2',
 };
 
 // ── Shared MIME filter factory ────────────────────────────────────────────────
@@ -86,49 +70,97 @@ function makeMimeFilter(label) {
 // Always generates a server-side name — never trusts client-supplied filenames.
 // Uses MIME-derived extension so the stored file always has the right extension
 // regardless of what the browser sent.
-function makeFilename(_req, file, cb) {
+function makeFilename(file) {
   const ext    = MIME_TO_EXT[file.mimetype] || '.bin';
   const unique = crypto.randomBytes(10).toString('hex');
-  cb(null, `${Date.now()}-${unique}${ext}`);
+  return `${Date.now()}-${unique}${ext}`;
 }
 
-// ── Logo uploader ─────────────────────────────────────────────────────────────
-const logoStorage = multer.diskStorage({
-  destination: path.join(__dirname, '../public/uploads/logos'),
-  filename:    makeFilename,
-});
+// ── Storage engine ────────────────────────────────────────────────────────────
+// Multer engine that buffers each file and writes it through services/storage
+// under `<folder>/<generated name>`. Uploaded files carry:
+//   key       – storage key, e.g. "logos/1700000000000-ab12….png"
+//   url       – public URL to store in the database
+//   filename  – generated name
+//   size      – bytes
+//   buffer    – the file contents, for post-processing (thumbnails, probing)
+// Files cut short by the size limit are never written; multer then reports
+// LIMIT_FILE_SIZE and removes anything already stored for the request.
+// `maxBytesFor(file)` sets a tighter per-file limit below multer's fileSize
+// (e.g. images vs. videos); files over it fail with the same code.
+function storageEngine(folder, maxBytesFor = null) {
+  return {
+    _handleFile(_req, file, cb) {
+      const limit  = maxBytesFor ? maxBytesFor(file) : Infinity;
+      let   chunks = [];
+      let   size   = 0;
+      file.stream.on('data', chunk => {
+        size += chunk.length;
+        if (size > limit) chunks = null; // keep draining, stop buffering
+        else chunks?.push(chunk);
+      });
+      file.stream.on('end', () => {
+        if (file.stream.truncated) return cb(null, {});
+        if (!chunks) {
+          return cb(Object.assign(
+            new Error(`File too large: "${file.originalname}"`),
+            { code: 'LIMIT_FILE_SIZE', field: file.fieldname }
+          ));
+        }
+
+        const buffer   = Buffer.concat(chunks);
+        const filename = makeFilename(file);
+        const key      = `${folder}/${filename}`;
+        putFile(key, buffer, { contentType: file.mimetype })
+          .then(({ url }) => cb(null, { key, url, filename, size: buffer.length, buffer }))
+          .catch(cb);
+      });
+    },
+
+    _removeFile(_req, file, cb) {
+      if (!file.key) return cb(null);
+      deleteFile(file.key).then(() => cb(null), cb);
+    },
+  };
+}
 
+// ── Logo uploader ─────────────────────────────────────────────────────────────
 const uploadLogo = multer({
-  storage:    logoStorage,
+  storage:    storageEngine('logos'),
   fileFilter: makeMimeFilter('logo'),
   limits:     { fileSize: MAX_BYTES },
 });
 
 // ── Thumbnail uploader ────────────────────────────────────────────────────────
-const thumbnailStorage = multer.diskStorage({
-  destination: path.join(__dirname, '../public/uploads/thumbnails'),
-  filename:    makeFilename,
-});
-
 const uploadThumbnail = multer({
-  storage:    thumbnailStorage,
+  storage:    storageEngine('thumbnails'),
   fileFilter: makeMimeFilter('thumbnail'),
   limits:     { fileSize: MAX_BYTES },
 });
 
-// ── Asset uploader (multi-file) ───────────────────────────────────────────────
-// Use as: uploadAssets.array('files', MAX_ASSET_COUNT)
-const assetStorage = multer.diskStorage({
-  destination: path.join(__dirname, '../public/uploads/assets'),
-  filename:    makeFilename,
+// ── Mask uploader ─────────────────────────────────────────────────────────────
+// Inpainting masks are resized and thresholded before they are stored, so
+// they stay in memory (req.file.buffer) instead of going to storage as-is.
+const uploadMask = multer({
+  storage:    multer.memoryStorage(),
+  fileFilter: makeMimeFilter('mask'),
+  limits:     { fileSize: MAX_BYTES },
 });
 
+// ── Asset uploader (multi-file) ───────────────────────────────────────────────
+// Use as: uploadAssets.array('files', MAX_ASSET_COUNT)
+// Videos may be up to MAX_VIDEO_BYTES; everything else MAX_ASSET_BYTES.
+// Browsers send fonts under many MIME types (often application/octet-stream),
+// so fonts are recognised by type or extension and normalised to font/*.
 function assetFileFilter(_req, file, cb) {
+  const font = fontFormatOf(file.mimetype, file.originalname);
+  if (font) file.mimetype = FONT_FORMATS[font].mime;
+
   if (ALLOWED_ASSET_MIME.has(file.mimetype)) {
     cb(null, true);
   } else {
     const err = new Error(
-      `Unsupported file type "${file.mimetype}" for asset. Allowed: jpeg, png, webp, svg, gif`
+      `Unsupported file type "${file.mimetype}" for asset. Allowed: jpeg, png, webp, svg, gif, mp4, mov, webm, ttf, otf, woff, woff2`
     );
     err.status = 415;
     cb(err, false);
@@ -136,9 +168,9 @@ function assetFileFilter(_req, file, cb) {
 }
 
 const uploadAssets = multer({
-  storage:    assetStorage,
+  storage:    storageEngine('assets', file => (file.mimetype.startsWith('video/') ? MAX_VIDEO_BYTES : MAX_ASSET_BYTES)),
   fileFilter: assetFileFilter,
-  limits:     { fileSize: MAX_ASSET_BYTES, files: MAX_ASSET_COUNT },
+  limits:     { fileSize: MAX_VIDEO_BYTES, files: MAX_ASSET_COUNT },
 });
 
 // ── Multer error normaliser ───────────────────────────────────────────────────
@@ -146,7 +178,7 @@ const uploadAssets = multer({
 function handleUploadError(err, res) {
   if (err.code === 'LIMIT_FILE_SIZE') {
     return res.status(413).json({
-      error: `File too large. Logos and thumbnails: max ${MAX_BYTES / 1024 / 1024} MB. Assets: max ${MAX_ASSET_BYTES / 1024 / 1024} MB.`,
+      error: `File too large. Logos and thumbnails: max ${MAX_BYTES / 1024 / 1024} MB. Assets: max ${MAX_ASSET_BYTES / 1024 / 1024} MB (videos ${MAX_VIDEO_BYTES / 1024 / 1024} MB).`,
     });
   }
   if (err.code === 'LIMIT_FILE_COUNT') {
@@ -158,4 +190,4 @@ function handleUploadError(err, res) {
   return null; // not a multer error — let the caller re-throw
 }
 
-module.exports = { uploadLogo, uploadThumbnail, uploadAssets, handleUploadError, ensureUploadDirs, resolveUploadPath };
+module.exports = { uploadLogo, uploadThumbnail, uploadMask, uploadAssets, handleUploadError };
@@ -2,5 +2,6 @@
   deps = [
     pkgs.nodejs_22
     pkgs.nodePackages.npm
+    pkgs.ffmpeg
   ];
 }
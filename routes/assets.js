@@ -1,14 +1,23 @@
 const express = require('express');
-const fs      = require('fs');
+const path    = require('path');
+const crypto  = require('crypto');
 
 const { clientScope }                                        = require('../middleware/clientScope');
-const { uploadAssets, handleUploadError, resolveUploadPath } = require('../middleware/upload');
+const { uploadAssets, handleUploadError }                    = require('../middleware/upload');
+const { putFile, readStoredFile, removeStoredFile }          = require('../services/storage');
+const { describeAsset, removeDerivatives }                   = require('../services/assetDerivatives');
+const { extractFrame }                                       = require('../services/video');
+const { generateStructuredWithImage, activeModel }           = require('../services/llm');
+const { ASSET_TAGS, ASSET_TAG_CATEGORIES }                   = require('../services/llmSchemas');
+const { ensureAssetCutout, CUTOUT_CATEGORY }                 = require('../services/cutout');
+const { isImageProvider, resolveImageProvider }              = require('../services/imageProvider');
 const {
   categoryFromMime,
   getAllAssets,
   getAssetById,
   createAsset,
   updateAsset,
+  updateAssets,
   deleteAsset,
   deleteAssets,
 } = require('../database/assets');
@@ -19,11 +28,6 @@ router.use(clientScope);
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-function unlinkSilent(fsPath) {
-  if (!fsPath) return;
-  fs.unlink(fsPath, () => {});
-}
-
 const VALID_CATEGORIES = new Set([
   'image', 'video', 'font', 'document',
   'product_image', 'packaging', 'lifestyle', 'logo',
@@ -48,12 +52,75 @@ function validateUpdateBody(body) {
       !Number.isInteger(body.brand_kit_id))
     errors.push('brand_kit_id must be an integer or null');
 
+  if ('description' in body && body.description !== null &&
+      (typeof body.description !== 'string' || body.description.length > 500))
+    errors.push('description must be a string of at most 500 characters, or null');
+
   return errors;
 }
 
+// ── Auto-tagging helpers ──────────────────────────────────────────────────────
+
+const MAX_AUTO_TAG  = 20;  // assets per POST /auto-tag request
+const MAX_SUGGESTED = 8;   // tags kept per suggestion
+
+// The image the vision model sees: the web-sized WebP (or thumbnail) when
+// derivatives exist — videos use their poster frame — else a raster original.
+// Returns null for assets with nothing to look at (fonts, documents).
+function taggingImageUrl(asset) {
+  if (asset.category === 'font') return null;
+  const derived = asset.derivatives?.web_webp?.url || asset.thumbnail_url;
+  if (derived) return derived;
+  const raster  = asset.file_type?.startsWith('image/') && asset.file_type !== 'image/svg+xml';
+  return raster ? asset.file_url : null;
+}
+
+function buildTaggingPrompt(asset) {
+  const isVideo = asset.file_type?.startsWith('video/');
+  return [
+    'You are organising a brand\'s media library for an ad creative team.',
+    `Look at this ${isVideo ? 'still frame from a video' : 'image'} and return a single JSON object.`,
+    'Return JSON only — no markdown fences, no explanation, no surrounding text.',
+    '',
+    'category — exactly one of:',
+    '- product_image: the product itself is the subject (packshot, cut-out, close-up)',
+    '- packaging: boxes, bags, labels or unboxing shots',
+    '- lifestyle: people, scenes or settings with the product in use or context',
+    '- logo: a logo, wordmark or brand mark',
+    '- other: anything else (textures, icons, screenshots, documents)',
+    '',
+    `tags — 3 to ${MAX_SUGGESTED} short lowercase search tags: subject, setting, colours, mood, shot type.`,
+    'No brand names unless clearly printed on the product.',
+    'description — one plain sentence (max 25 words) describing what is shown.',
+    '',
+    `File name: ${asset.original_name || asset.name}`,
+    Array.isArray(asset.tags) && asset.tags.length ? `Existing tags: ${asset.tags.join(', ')}` : null,
+    '',
+    'Return this exact JSON structure:',
+    JSON.stringify({
+      category:    ASSET_TAG_CATEGORIES.join(' | '),
+      tags:        ['tag 1', 'tag 2', 'tag 3'],
+      description: 'one sentence describing the asset',
+    }, null, 2),
+  ].filter(line => line !== null).join('\n');
+}
+
+// Lowercased, trimmed, de-duplicated, at most MAX_SUGGESTED.
+function normalizeTags(tags) {
+  const seen = new Set();
+  for (const tag of tags) {
+    const clean = tag.toLowerCase().replace(/\s+/g, ' ').trim().slice(0, 40);
+    if (clean) seen.add(clean);
+  }
+  return [...seen].slice(0, MAX_SUGGESTED);
+}
+
 // ── GET /api/assets ───────────────────────────────────────────────────────────
 // List all assets for the active client.
 // Query params: category, source, brand_kit_id, tags (comma-separated), search
+// Grids should show thumbnail_url / derivatives.thumb_webp rather than the
+// full-size file_url; thumbnail_url is null (derivatives empty) for files
+// that could not be processed.
 
 router.get('/', async (req, res, next) => {
   try {
@@ -88,8 +155,16 @@ router.get('/', async (req, res, next) => {
 //   brand_kit_id – integer, associates assets with a brand kit
 //   tags         – JSON string array, e.g. '["hero","product"]'
 //
+// Images are probed on the way in: width/height, a dominant colour palette, a
+// web-sized thumbnail_url and WebP derivatives (services/assetDerivatives.js).
+// Videos (mp4, mov, webm — up to 200 MB) also get metadata.video (duration,
+// codec, fps) and a poster frame that drives the thumbnails.
+// Fonts (ttf, otf, woff, woff2) get metadata.font (family, weight, style) and
+// can then be assigned to brand kit font roles; unreadable fonts are rejected.
+//
 // Returns: { assets: [...], errors: [...] }
-// Errors lists any files that failed DB insertion (file already cleaned up).
+// Errors lists any files that were rejected or failed DB insertion (file
+// already cleaned up).
 
 router.post(
   '/',
@@ -115,11 +190,19 @@ router.post(
         }
       }
 
-      const saved  = [];
-      const errors = [];
+      const saved    = [];
+      const errors   = [];
+      let   rejected = 0;
 
       for (const file of req.files) {
-        const publicPath = `/uploads/assets/${file.filename}`;
+        // Dimensions, palette, thumbnail and WebP copies; font names for fonts
+        const derived = await describeAsset(file.buffer, file.filename, file.mimetype);
+        if (file.mimetype.startsWith('font/') && !derived.metadata?.font) {
+          removeStoredFile(file.url);
+          errors.push({ originalname: file.originalname, error: 'Not a readable TTF, OTF, WOFF or WOFF2 font' });
+          rejected++;
+          continue;
+        }
 
         try {
           const asset = await createAsset({
@@ -127,32 +210,102 @@ router.post(
             brand_kit_id:  isNaN(brand_kit_id) ? null : brand_kit_id,
             name:          file.originalname,
             original_name: file.originalname,
-            file_url:      publicPath,
+            file_url:      file.url,
             file_type:     file.mimetype,
             file_size:     file.size,
             category:      categoryFromMime(file.mimetype),
             source:        'upload',
             tags:          sharedTags,
+            ...derived,
           });
           saved.push(asset);
         } catch (dbErr) {
           // DB failed for this file — remove the orphaned file and record the error
-          unlinkSilent(resolveUploadPath(publicPath));
+          removeStoredFile(file.url);
+          removeDerivatives(derived);
           errors.push({ originalname: file.originalname, error: dbErr.message });
         }
       }
 
-      const status = saved.length > 0 ? 201 : 500;
+      // Nothing saved: 422 when every file was rejected as unreadable
+      const status = saved.length > 0 ? 201 : rejected === errors.length ? 422 : 500;
       res.status(status).json({ assets: saved, errors });
     } catch (err) {
       // Clean up all uploaded files if the handler itself crashed
-      if (req.files) req.files.forEach(f => unlinkSilent(f.path));
+      if (req.files) req.files.forEach(f => removeStoredFile(f.url));
       if (handleUploadError(err, res)) return;
       next(err);
     }
   }
 );
 
+// ── POST /api/assets/auto-tag ─────────────────────────────────────────────────
+// Runs assets through the vision model and returns suggested category, tags
+// and description for each. Nothing is saved — the UI shows the suggestions
+// for review and applies the accepted ones with PATCH /api/assets.
+//
+// Body:
+//   asset_ids  {number[]}  required — 1 to 20 asset ids (images and videos;
+//                          videos are judged by their poster frame)
+//
+// Returns:
+//   {
+//     suggestions: [{ asset_id, category, tags[], description,
+//                     current: { category, tags[], description } }],
+//     errors:      [{ asset_id, error }]  — missing, untaggable or failed assets
+//     model:       string
+//   }
+// 503 when no LLM is configured (nothing can be tagged).
+
+router.post('/auto-tag', async (req, res, next) => {
+  try {
+    const ids = req.body.asset_ids;
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > MAX_AUTO_TAG ||
+        ids.some(id => !Number.isInteger(id))) {
+      return res.status(400).json({ error: `asset_ids must be an array of 1–${MAX_AUTO_TAG} integers` });
+    }
+
+    const suggestions = [];
+    const errors      = [];
+
+    // One at a time — vision calls are slow and rate-limited
+    for (const id of new Set(ids)) {
+      const asset = await getAssetById(id, req.clientId);
+      if (!asset) {
+        errors.push({ asset_id: id, error: 'Asset not found' });
+        continue;
+      }
+      const imageUrl = taggingImageUrl(asset);
+      if (!imageUrl) {
+        errors.push({ asset_id: id, error: 'Only images and videos with a preview can be auto-tagged' });
+        continue;
+      }
+
+      try {
+        const { data } = await generateStructuredWithImage(
+          imageUrl, buildTaggingPrompt(asset), ASSET_TAGS, { client: req.client }
+        );
+        suggestions.push({
+          asset_id:    id,
+          category:    data.category,
+          tags:        normalizeTags(data.tags),
+          description: data.description || null,
+          current:     { category: asset.category, tags: asset.tags, description: asset.description },
+        });
+      } catch (err) {
+        if (err.code === 'GEMINI_KEY_MISSING' || err.code === 'LLM_PROVIDER_UNKNOWN') {
+          return res.status(503).json({ error: `Auto-tagging unavailable: ${err.message}` });
+        }
+        errors.push({ asset_id: id, error: err.message });
+      }
+    }
+
+    res.json({ suggestions, errors, model: activeModel(req.client) });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ── GET /api/assets/:id ───────────────────────────────────────────────────────
 
 router.get('/:id', async (req, res, next) => {
@@ -165,8 +318,35 @@ router.get('/:id', async (req, res, next) => {
   }
 });
 
+// ── PATCH /api/assets (bulk) ──────────────────────────────────────────────────
+// Body: { updates: [{ id, name?, tags?, category?, brand_kit_id?, description? }] }
+// Applies every update in one transaction (e.g. accepted auto-tag
+// suggestions). Ids that don't exist or belong to another client are skipped.
+// Returns: { assets: [...] } — the updated rows.
+
+router.patch('/', async (req, res, next) => {
+  try {
+    const { updates } = req.body;
+    if (!Array.isArray(updates) || updates.length === 0 || updates.length > 100) {
+      return res.status(400).json({ error: 'updates must be an array of 1–100 objects' });
+    }
+
+    const errors = [];
+    updates.forEach((update, i) => {
+      if (!Number.isInteger(update?.id)) errors.push(`updates[${i}].id must be an integer`);
+      else errors.push(...validateUpdateBody(update).map(e => `updates[${i}].${e}`));
+    });
+    if (errors.length) return res.status(400).json({ errors });
+
+    const assets = await updateAssets(updates, req.clientId);
+    res.json({ assets });
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ── PATCH /api/assets/:id ─────────────────────────────────────────────────────
-// Update display name, tags, category, or brand_kit_id.
+// Update display name, tags, category, brand_kit_id or description.
 // file_url and file_type are immutable after upload.
 
 router.patch('/:id', async (req, res, next) => {
@@ -186,15 +366,121 @@ router.patch('/:id', async (req, res, next) => {
   }
 });
 
+// ── POST /api/assets/:id/frames ───────────────────────────────────────────────
+// Grabs a still from a video asset and saves it as a new image asset (source
+// "video_frame", with thumbnails and palette), so its file_url can be passed
+// to generation as reference_image_url or product_image_url.
+//
+// Body: at_seconds {number} optional — defaults to the poster frame time
+// Returns: 201 { asset }
+
+router.post('/:id/frames', async (req, res, next) => {
+  try {
+    const video = await getAssetById(parseInt(req.params.id, 10), req.clientId);
+    if (!video) return res.status(404).json({ error: 'Asset not found' });
+    if (!video.file_type?.startsWith('video/')) {
+      return res.status(422).json({ error: 'Frames can only be extracted from video assets' });
+    }
+
+    const info = video.metadata?.video || {};
+    const at   = req.body.at_seconds ?? info.poster_at ?? 0;
+    if (typeof at !== 'number' || !Number.isFinite(at) || at < 0) {
+      return res.status(400).json({ error: 'at_seconds must be a non-negative number' });
+    }
+    if (info.duration_seconds != null && at > info.duration_seconds) {
+      return res.status(400).json({ error: `at_seconds is past the end of the video (${info.duration_seconds}s)` });
+    }
+
+    let frame;
+    try {
+      const buffer = await readStoredFile(video.file_url);
+      frame = await extractFrame(buffer, path.extname(video.file_url), at);
+    } catch (err) {
+      if (err.code === 'VIDEO_TOOL_MISSING') return res.status(503).json({ error: err.message });
+      if (err.code === 'VIDEO_FRAME_ERROR')  return res.status(422).json({ error: err.message });
+      throw err;
+    }
+
+    const filename = `${Date.now()}-${crypto.randomBytes(10).toString('hex')}.png`;
+    const { url }  = await putFile(`assets/${filename}`, frame, { contentType: 'image/png' });
+    const derived  = await describeAsset(frame, filename, 'image/png');
+
+    let asset;
+    try {
+      asset = await createAsset({
+        client_id:     req.clientId,
+        brand_kit_id:  video.brand_kit_id,
+        name:          `${video.name || 'Video'} — frame @ ${at}s`,
+        original_name: filename,
+        file_url:      url,
+        file_type:     'image/png',
+        file_size:     frame.length,
+        source:        'video_frame',
+        // Keep a curated category (e.g. product_image); plain videos become images
+        category:      video.category === 'video' ? 'image' : video.category,
+        tags:          Array.isArray(video.tags) ? video.tags : [],
+        ...derived,
+        metadata:      { video_asset_id: video.id, at_seconds: at },
+      });
+    } catch (err) {
+      removeStoredFile(url);
+      removeDerivatives(derived);
+      throw err;
+    }
+
+    res.status(201).json({ asset });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── POST /api/assets/:id/cutout ───────────────────────────────────────────────
+// Removes the background of a product_image asset and stores the transparent
+// PNG as derivatives.cutout (trimmed to the product). Used by the
+// "product_cutout" generation mode, which creates it on demand if missing.
+//
+// Body: provider {string} optional — image provider (default: client setting, then IMAGE_PROVIDER)
+// Returns: { asset }
+// 422 for assets outside the product_image category; 503/504/502 when the
+// provider is not configured, times out or fails.
+
+router.post('/:id/cutout', async (req, res, next) => {
+  try {
+    const asset = await getAssetById(parseInt(req.params.id, 10), req.clientId);
+    if (!asset) return res.status(404).json({ error: 'Asset not found' });
+    if (asset.category !== CUTOUT_CATEGORY) {
+      return res.status(422).json({ error: 'Background removal is only available for product images' });
+    }
+
+    const provider = resolveImageProvider(req.body?.provider, req.client);
+    if (!isImageProvider(provider)) return res.status(400).json({ error: `Unknown image provider "${provider}"` });
+
+    try {
+      const { asset: updated } = await ensureAssetCutout(asset, { provider, force: true });
+      res.json({ asset: updated });
+    } catch (err) {
+      if (err.code === 'FAL_KEY_MISSING') return res.status(503).json({ error: 'Background removal is not configured (FAL_KEY missing)' });
+      if (err.code === 'FAL_TIMEOUT')     return res.status(504).json({ error: err.message });
+      if (['FAL_ERROR', 'CUTOUT_EMPTY', 'COMPOSE_IMAGE_FETCH_ERROR'].includes(err.code)) {
+        return res.status(502).json({ error: `Background removal failed: ${err.message}` });
+      }
+      throw err;
+    }
+  } catch (err) {
+    next(err);
+  }
+});
+
 // ── DELETE /api/assets/:id ────────────────────────────────────────────────────
-// Removes the DB record and deletes the file from disk.
+// Removes the DB record and deletes the stored file.
 
 router.delete('/:id', async (req, res, next) => {
   try {
     const deleted = await deleteAsset(parseInt(req.params.id, 10), req.clientId);
     if (!deleted) return res.status(404).json({ error: 'Asset not found' });
 
-    unlinkSilent(resolveUploadPath(deleted.file_url));
+    removeStoredFile(deleted.file_url);
+    removeDerivatives(deleted);
     res.json({ deleted });
   } catch (err) {
     next(err);
@@ -216,7 +502,10 @@ router.delete('/', async (req, res, next) => {
     }
 
     const deleted = await deleteAssets(ids, req.clientId);
-    deleted.forEach(a => unlinkSilent(resolveUploadPath(a.file_url)));
+    deleted.forEach(a => {
+      removeStoredFile(a.file_url);
+      removeDerivatives(a);
+    });
 
     res.json({ deleted });
   } catch (err) {
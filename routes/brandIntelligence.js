@@ -1,8 +1,9 @@
 const express = require('express');
 
-const { generateContent, activeModel } = require('../services/gemini');
+const { generateStructured, activeModel } = require('../services/llm');
+const { BRAND_INTELLIGENCE }           = require('../services/llmSchemas');
 const { clientScope }                  = require('../middleware/clientScope');
-const { getBrandKitByClientId } = require('../database/brandKits');
+const { resolveBrandKit }              = require('../database/brandKits');
 const {
   getBrandIntelligenceByClientId,
   getBrandIntelligenceById,
@@ -66,10 +67,6 @@ function buildGenerationPrompt(kit, researchText) {
   return lines.join('\n');
 }
 
-function safeArray(val) {
-  return Array.isArray(val) ? val : [];
-}
-
 // ── GET /api/brand-intelligence ───────────────────────────────────────────────
 
 router.get('/', async (req, res, next) => {
@@ -82,12 +79,16 @@ router.get('/', async (req, res, next) => {
 });
 
 // ── POST /api/brand-intelligence/generate ─────────────────────────────────────
-// Calls Gemini to derive strategic intelligence from the active brand kit.
-// Optional body: research_text {string}, source_url {string}
+// Calls the LLM to derive strategic intelligence from a brand kit.
+// Optional body: brand_kit_id {number} (default: the client's default kit),
+//                research_text {string}, source_url {string}
+// Returns 201 { brand_intelligence, validation } — validation lists fields the
+// schema check coerced or defaulted (also kept in raw_analysis._generation).
 
 router.post('/generate', async (req, res, next) => {
   try {
-    const kit = await getBrandKitByClientId(req.clientId);
+    const kit = await resolveBrandKit(req.clientId, req.body.brand_kit_id);
+    if (req.body.brand_kit_id && !kit) return res.status(404).json({ error: 'Brand kit not found' });
     if (!kit) {
       return res.status(422).json({
         error: 'No brand kit found. Set up your brand kit before generating intelligence.',
@@ -97,9 +98,9 @@ router.post('/generate', async (req, res, next) => {
     const researchText = req.body.research_text ? String(req.body.research_text).trim() : null;
     const prompt       = buildGenerationPrompt(kit, researchText);
 
-    let parsed;
+    let parsed, validation;
     try {
-      parsed = await generateContent(prompt, { json: true });
+      ({ data: parsed, validation } = await generateStructured(prompt, BRAND_INTELLIGENCE, { client: req.client }));
     } catch (err) {
       const status = err.code === 'GEMINI_KEY_MISSING' ? 503 : 502;
       return res.status(status).json({ error: `Brand intelligence generation failed: ${err.message}` });
@@ -109,29 +110,30 @@ router.post('/generate', async (req, res, next) => {
       client_id:        req.clientId,
       brand_kit_id:     kit.id,
       source_url:       req.body.source_url || null,
-      unique_value_prop: parsed.unique_value_prop || null,
-      target_audience:   parsed.target_audience   || null,
-      tone_summary:      parsed.tone_summary       || null,
-      keywords:          safeArray(parsed.keywords),
-      competitors:       safeArray(parsed.competitors),
-      pain_points:       safeArray(parsed.pain_points),
-      differentiators:   safeArray(parsed.differentiators),
+      unique_value_prop: parsed.unique_value_prop,
+      target_audience:   parsed.target_audience,
+      tone_summary:      parsed.tone_summary,
+      keywords:          parsed.keywords,
+      competitors:       parsed.competitors,
+      pain_points:       parsed.pain_points,
+      differentiators:   parsed.differentiators,
       raw_analysis: {
-        personas:          safeArray(parsed.personas),
-        angles:            safeArray(parsed.angles),
-        copy_hooks:        safeArray(parsed.copy_hooks),
-        visual_directions: safeArray(parsed.visual_directions),
-        emotions:          safeArray(parsed.emotions),
+        personas:          parsed.personas,
+        angles:            parsed.angles,
+        copy_hooks:        parsed.copy_hooks,
+        visual_directions: parsed.visual_directions,
+        emotions:          parsed.emotions,
         _generation: {
-          model:         activeModel(),
+          model:         activeModel(req.client),
           research_text: researchText,
           generated_at:  new Date().toISOString(),
+          validation,
         },
       },
       source: 'ai',
     });
 
-    res.status(201).json({ brand_intelligence: record });
+    res.status(201).json({ brand_intelligence: record, validation });
   } catch (err) {
     next(err);
   }
@@ -1,10 +1,16 @@
 const express = require('express');
-const fs      = require('fs');
 
 const { clientScope }                                        = require('../middleware/clientScope');
-const { uploadLogo, handleUploadError, resolveUploadPath }   = require('../middleware/upload');
+const { uploadLogo, handleUploadError }                      = require('../middleware/upload');
+const { removeStoredFile }                                   = require('../services/storage');
+const { getAssetById }                                       = require('../database/assets');
 const {
   getBrandKitByClientId,
+  getBrandKitById,
+  getBrandKitsByClientId,
+  createBrandKit,
+  updateBrandKit,
+  setDefaultBrandKit,
   upsertBrandKit,
   setLogoField,
   clearLogoField,
@@ -29,15 +35,47 @@ function validateColors(value, fieldName) {
   return null;
 }
 
+// Each font role is a family name ("Inter"), null, or a reference to an
+// uploaded font asset: { asset_id }. References are expanded by
+// resolveFontAssets() before saving.
 function validateFonts(value) {
   if (typeof value !== 'object' || Array.isArray(value) || value === null)
     return 'fonts must be an object';
   const allowed = new Set(['heading', 'body', 'accent', 'mono']);
   const bad = Object.keys(value).filter(k => !allowed.has(k));
   if (bad.length) return `fonts contains unknown keys: ${bad.join(', ')}. Allowed: heading, body, accent, mono`;
+  const invalid = Object.entries(value)
+    .filter(([, v]) => v !== null && typeof v !== 'string' && !Number.isInteger(v?.asset_id))
+    .map(([k]) => k);
+  if (invalid.length) return `fonts.${invalid.join(', fonts.')} must be a family name, null, or { asset_id }`;
   return null;
 }
 
+// Replaces { asset_id } font roles with
+//   { family, asset_id, url, weight, style }
+// taken from the client's font asset, so renderers need no extra lookup.
+// Returns a list of errors (unknown or non-font assets).
+async function resolveFontAssets(fonts, clientId) {
+  const errors = [];
+  for (const [role, value] of Object.entries(fonts || {})) {
+    if (!value || typeof value !== 'object') continue;
+    const asset = await getAssetById(value.asset_id, clientId);
+    const info  = asset?.metadata?.font;
+    if (!asset || asset.category !== 'font' || !info) {
+      errors.push(`fonts.${role}: asset ${value.asset_id} is not an uploaded font`);
+      continue;
+    }
+    fonts[role] = {
+      family:   info.family,
+      asset_id: asset.id,
+      url:      asset.file_url,
+      weight:   info.weight,
+      style:    info.style,
+    };
+  }
+  return errors;
+}
+
 function collectErrors(body) {
   const errors = [];
 
@@ -67,6 +105,26 @@ function collectErrors(body) {
   return errors;
 }
 
+// Sync field checks plus font asset resolution (mutates body.fonts).
+async function validateKitBody(body, clientId) {
+  const errors = collectErrors(body);
+  if (!errors.length && body.fonts) errors.push(...await resolveFontAssets(body.fonts, clientId));
+  return errors;
+}
+
+function parseKitId(req, res) {
+  const id = parseInt(req.params.id, 10);
+  if (isNaN(id)) {
+    res.status(400).json({ error: 'Invalid brand kit id' });
+    return null;
+  }
+  return id;
+}
+
+// ── Default kit ───────────────────────────────────────────────────────────────
+// The routes directly under /api/brand-kit operate on the client's default
+// kit. /api/brand-kit/kits (below) manages every kit a client owns.
+
 // ── GET /api/brand-kit ────────────────────────────────────────────────────────
 // Returns the active client's brand kit, or null when none exists yet.
 router.get('/', async (req, res, next) => {
@@ -81,9 +139,10 @@ router.get('/', async (req, res, next) => {
 // ── PUT /api/brand-kit ────────────────────────────────────────────────────────
 // Full create-or-replace. Sends the complete desired state; missing fields
 // revert to their defaults. Use PATCH for partial updates.
+// Font roles may reference uploaded font assets: fonts.heading = { asset_id }.
 router.put('/', async (req, res, next) => {
   try {
-    const errors = collectErrors(req.body);
+    const errors = await validateKitBody(req.body, req.clientId);
     if (errors.length) return res.status(400).json({ errors });
 
     const kit = await upsertBrandKit(req.clientId, req.body);
@@ -98,7 +157,7 @@ router.put('/', async (req, res, next) => {
 // Reads the current kit first so unchanged fields are preserved in the upsert.
 router.patch('/', async (req, res, next) => {
   try {
-    const errors = collectErrors(req.body);
+    const errors = await validateKitBody(req.body, req.clientId);
     if (errors.length) return res.status(400).json({ errors });
 
     const existing = await getBrandKitByClientId(req.clientId);
@@ -112,11 +171,13 @@ router.patch('/', async (req, res, next) => {
 });
 
 // ── DELETE /api/brand-kit ─────────────────────────────────────────────────────
-// Removes the brand kit for the active client.
+// Removes the default brand kit for the active client; the oldest remaining
+// kit (if any) becomes the new default.
 // Generations that referenced it will see brand_kit_id set to NULL (ON DELETE SET NULL).
 router.delete('/', async (req, res, next) => {
   try {
-    const deleted = await deleteBrandKit(req.clientId);
+    const existing = await getBrandKitByClientId(req.clientId);
+    const deleted  = existing && await deleteBrandKit(existing.id, req.clientId);
     if (!deleted) return res.status(404).json({ error: 'No brand kit found for this client' });
     res.json({ deleted });
   } catch (err) {
@@ -133,73 +194,195 @@ const VARIANT_TO_FIELD = {
   icon:  'icon_url',
 };
 
-function unlinkSilent(fsPath) {
-  if (!fsPath) return;
-  fs.unlink(fsPath, () => {}); // fire-and-forget; missing file is not an error
-}
+// Shared by the default-kit and per-kit logo routes. `loadKit(req, res)`
+// returns the target kit, null when it does not exist yet, or false after
+// it has already sent an error response.
 
-// ── POST /api/brand-kit/logo/:variant ────────────────────────────────────────
-// Upload a logo file.  :variant must be "light", "dark", or "icon".
-// Form field name must be "logo".
-// Returns the full updated brand kit so the UI can refresh in one shot.
-router.post(
-  '/logo/:variant',
-  uploadLogo.single('logo'),
-  async (req, res, next) => {
+function uploadLogoHandler(loadKit, createKit) {
+  return async (req, res, next) => {
     try {
       const field = VARIANT_TO_FIELD[req.params.variant];
       if (!field) {
+        if (req.file) removeStoredFile(req.file.url);
         return res.status(400).json({ error: 'variant must be light, dark, or icon' });
       }
       if (!req.file) {
         return res.status(400).json({ error: 'No file received. Send a multipart field named "logo".' });
       }
 
-      // Build the stable public URL path served by express.static
-      const publicPath = `/uploads/logos/${req.file.filename}`;
+      const existing = await loadKit(req, res);
+      if (existing === false) {
+        removeStoredFile(req.file.url);
+        return;
+      }
 
       // Delete the previous file for this variant (if one exists)
-      const existing = await getBrandKitByClientId(req.clientId);
-      if (existing) unlinkSilent(resolveUploadPath(existing[field]));
-
-      // Persist — if the kit doesn't exist yet, upsertBrandKit creates it
-      let kit;
-      if (existing) {
-        kit = await setLogoField(req.clientId, field, publicPath);
-      } else {
-        kit = await upsertBrandKit(req.clientId, { [field]: publicPath });
-      }
+      if (existing) removeStoredFile(existing[field]);
+
+      const kit = existing
+        ? await setLogoField(existing.id, req.clientId, field, req.file.url)
+        : await createKit(req, { [field]: req.file.url });
 
       res.json({ brandKit: kit });
     } catch (err) {
       // Clean up the freshly-written file if the DB update failed
-      if (req.file) unlinkSilent(req.file.path);
+      if (req.file) removeStoredFile(req.file.url);
       if (handleUploadError(err, res)) return;
       next(err);
     }
+  };
+}
+
+function deleteLogoHandler(loadKit) {
+  return async (req, res, next) => {
+    try {
+      const field = VARIANT_TO_FIELD[req.params.variant];
+      if (!field) {
+        return res.status(400).json({ error: 'variant must be light, dark, or icon' });
+      }
+
+      const existing = await loadKit(req, res);
+      if (existing === false) return;
+      if (!existing) return res.status(404).json({ error: 'No brand kit found for this client' });
+      if (!existing[field]) return res.status(404).json({ error: `No ${req.params.variant} logo set` });
+
+      removeStoredFile(existing[field]);
+      const kit = await clearLogoField(existing.id, req.clientId, field);
+
+      res.json({ brandKit: kit });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+const loadDefaultKit = req => getBrandKitByClientId(req.clientId);
+
+async function loadKitParam(req, res) {
+  const id = parseKitId(req, res);
+  if (id === null) return false;
+  const kit = await getBrandKitById(id, req.clientId);
+  if (!kit) {
+    res.status(404).json({ error: 'Brand kit not found' });
+    return false;
   }
+  return kit;
+}
+
+// ── POST /api/brand-kit/logo/:variant ────────────────────────────────────────
+// Upload a logo file to the default kit.  :variant must be "light", "dark",
+// or "icon".  Form field name must be "logo".
+// Returns the full updated brand kit so the UI can refresh in one shot.
+// If the client has no kit yet, one is created to hold the logo.
+router.post(
+  '/logo/:variant',
+  uploadLogo.single('logo'),
+  uploadLogoHandler(loadDefaultKit, (req, fields) => upsertBrandKit(req.clientId, fields))
 );
 
 // ── DELETE /api/brand-kit/logo/:variant ──────────────────────────────────────
-// Remove a specific logo variant from the brand kit and delete the file.
-router.delete('/logo/:variant', async (req, res, next) => {
+// Remove a specific logo variant from the default kit and delete the file.
+router.delete('/logo/:variant', deleteLogoHandler(loadDefaultKit));
+
+// ── GET /api/brand-kit/kits ──────────────────────────────────────────────────
+// Every kit for the active client, default first.
+router.get('/kits', async (req, res, next) => {
   try {
-    const field = VARIANT_TO_FIELD[req.params.variant];
-    if (!field) {
-      return res.status(400).json({ error: 'variant must be light, dark, or icon' });
-    }
+    const kits = await getBrandKitsByClientId(req.clientId);
+    res.json({ brandKits: kits });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    const existing = await getBrandKitByClientId(req.clientId);
-    if (!existing) return res.status(404).json({ error: 'No brand kit found for this client' });
-    if (!existing[field]) return res.status(404).json({ error: `No ${req.params.variant} logo set` });
+// ── POST /api/brand-kit/kits ─────────────────────────────────────────────────
+// Creates an additional kit. Pass is_default: true to make it the default
+// straight away; the client's first kit is always the default.
+router.post('/kits', async (req, res, next) => {
+  try {
+    const errors = await validateKitBody(req.body, req.clientId);
+    if (!('name' in req.body)) errors.unshift('name is required');
+    if (errors.length) return res.status(400).json({ errors });
+
+    const kit = await createBrandKit(req.clientId, { ...req.body, name: req.body.name.trim() });
+    res.status(201).json({ brandKit: kit });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── GET /api/brand-kit/kits/:id ──────────────────────────────────────────────
+router.get('/kits/:id', async (req, res, next) => {
+  try {
+    const kit = await loadKitParam(req, res);
+    if (kit === false) return;
+    res.json({ brandKit: kit });
+  } catch (err) {
+    next(err);
+  }
+});
 
-    unlinkSilent(resolveUploadPath(existing[field]));
-    const kit = await clearLogoField(req.clientId, field);
+// ── PATCH /api/brand-kit/kits/:id ────────────────────────────────────────────
+// Partial update — writes only the fields supplied.
+router.patch('/kits/:id', async (req, res, next) => {
+  try {
+    const id = parseKitId(req, res);
+    if (id === null) return;
+
+    const errors = await validateKitBody(req.body, req.clientId);
+    if (errors.length) return res.status(400).json({ errors });
 
+    const kit = await updateBrandKit(id, req.clientId, req.body);
+    if (!kit) return res.status(404).json({ error: 'Brand kit not found' });
     res.json({ brandKit: kit });
   } catch (err) {
     next(err);
   }
 });
 
+// ── POST /api/brand-kit/kits/:id/default ─────────────────────────────────────
+// Makes this kit the client's default.
+router.post('/kits/:id/default', async (req, res, next) => {
+  try {
+    const id = parseKitId(req, res);
+    if (id === null) return;
+
+    const kit = await setDefaultBrandKit(id, req.clientId);
+    if (!kit) return res.status(404).json({ error: 'Brand kit not found' });
+    res.json({ brandKit: kit });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── DELETE /api/brand-kit/kits/:id ───────────────────────────────────────────
+// Deleting the default promotes the oldest remaining kit. Logo files are
+// removed along with the kit.
+router.delete('/kits/:id', async (req, res, next) => {
+  try {
+    const id = parseKitId(req, res);
+    if (id === null) return;
+
+    const deleted = await deleteBrandKit(id, req.clientId);
+    if (!deleted) return res.status(404).json({ error: 'Brand kit not found' });
+
+    for (const field of Object.values(VARIANT_TO_FIELD)) {
+      removeStoredFile(deleted[field]);
+    }
+    res.json({ deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── POST /api/brand-kit/kits/:id/logo/:variant ───────────────────────────────
+router.post(
+  '/kits/:id/logo/:variant',
+  uploadLogo.single('logo'),
+  uploadLogoHandler(loadKitParam)
+);
+
+// ── DELETE /api/brand-kit/kits/:id/logo/:variant ─────────────────────────────
+router.delete('/kits/:id/logo/:variant', deleteLogoHandler(loadKitParam));
+
 module.exports = router;
@@ -1,12 +1,35 @@
 const express = require('express');
 
-const { generateContent, activeModel } = require('../services/gemini');
-const { generateImages }               = require('../services/fal');
+const { generateStructured, activeModel } = require('../services/llm');
+const { CAMPAIGN_PLAN }                = require('../services/llmSchemas');
+const { enqueueJob, requeueGeneration } = require('../services/jobQueue');
+const { isImageProvider, resolveImageProvider } = require('../services/imageProvider');
 const { clientScope }                  = require('../middleware/clientScope');
-const { getBrandKitByClientId }        = require('../database/brandKits');
+const { resolveBrandKit, getBrandKitById } = require('../database/brandKits');
 const { getBrandIntelligenceById }     = require('../database/brandIntelligence');
-const { createGeneration, updateGeneration } = require('../database/generations');
-const { createCampaignBatch, getCampaignBatch, refreshBatchStatus } = require('../database/campaignBatches');
+const { createGeneration, isClientImageUrl } = require('../database/generations');
+const {
+  createCampaignBatch,
+  listCampaignBatches,
+  getCampaignBatch,
+  cancelCampaignBatch,
+  resetFailedItems,
+  deleteCampaignBatch,
+  refreshBatchStatus,
+} = require('../database/campaignBatches');
+const {
+  createCampaignPlan,
+  listCampaignPlans,
+  getCampaignPlan,
+  updateCampaignPlan,
+  getCampaignPlanVersions,
+  getCampaignPlanVersion,
+  markCampaignPlanLaunched,
+  deleteCampaignPlan,
+} = require('../database/campaignPlans');
+const { ensureTags, attachTags }       = require('../database/campaignTags');
+const { streamProgress }               = require('../services/progress');
+const { removeStoredFile }             = require('../services/storage');
 
 const router = express.Router();
 
@@ -32,7 +55,7 @@ const PLAN_ITEM_SCHEMA = JSON.stringify({
 
 // ── Helpers ───────────────────────────────────────────────────────────────────
 
-function buildPlanPrompt({ kit, intel, combos, goal, headline, cta, productImageUrl }) {
+function buildPlanPrompt({ kit, intel, combos, goal, headline, cta, productImageUrl, revise = null }) {
   const lines = [
     'You are a Meta ad strategist building a campaign generation matrix.',
     `Return a JSON array of exactly ${combos.length} objects — one per persona × angle combination.`,
@@ -70,11 +93,51 @@ function buildPlanPrompt({ kit, intel, combos, goal, headline, cta, productImage
     lines.push(`  [${index}] Persona: ${persona}  |  Angle: ${angle}`);
   });
 
+  // Regenerating one item: show the direction being replaced
+  if (revise) {
+    lines.push('', 'Current direction for this combination — replace it with a clearly different one:');
+    if (revise.prompt)   lines.push(`  Prompt: ${revise.prompt}`);
+    if (revise.concept)  lines.push(`  Concept: ${revise.concept}`);
+    if (revise.headline) lines.push(`  Headline: ${revise.headline}`);
+    if (revise.instructions) lines.push(`Revision notes (follow these): ${revise.instructions}`);
+  }
+
   lines.push('', `Each object must follow this shape (combo_index must match the index above):`, PLAN_ITEM_SCHEMA);
 
   return lines.join('\n');
 }
 
+// ── Automatic tagging ─────────────────────────────────────────────────────────
+// Every batch item is tagged "Goal: …", "Persona: …" and "Angle: …" so the
+// history board can filter a campaign's output. Best-effort: a tagging failure
+// is logged and never fails the launch.
+
+async function tagBatchItems(clientId, goal, items, generations) {
+  const byName = new Map(); // tag name → generation ids
+  generations.forEach((gen, i) => {
+    const item  = items[i] || {};
+    const names = [
+      (goal || item.metadata?.goal) && `Goal: ${goal || item.metadata.goal}`,
+      item.persona && `Persona: ${item.persona}`,
+      item.angle   && `Angle: ${item.angle}`,
+    ].filter(Boolean);
+    for (const name of names) {
+      if (!byName.has(name)) byName.set(name, []);
+      byName.get(name).push(gen.id);
+    }
+  });
+  if (!byName.size) return;
+
+  try {
+    for (const [name, generationIds] of byName) {
+      const [tag] = await ensureTags(clientId, [name]);
+      if (tag) await attachTags(clientId, generationIds, [tag.id]);
+    }
+  } catch (err) {
+    console.error('[campaign] Auto-tagging failed:', err.message);
+  }
+}
+
 // Variant suffix applied to the base prompt for ads_per_combo > 1
 function variantPrompt(basePrompt, variantIndex) {
   const suffix = VARIANT_CROPS[variantIndex] || '';
@@ -82,47 +145,61 @@ function variantPrompt(basePrompt, variantIndex) {
 }
 
 // ── POST /api/campaign/plan ───────────────────────────────────────────────────
-// Compiles selected persona×angle pairs into a structured generation matrix.
+// Compiles selected persona×angle pairs into a structured generation matrix
+// and saves it as a draft plan (version 1) — see /plans below.
 //
 // Body:
+//   name                   {string}    optional — label for the saved plan
 //   brand_intelligence_id  {number}    optional — source for personas/angles/context
+//   brand_kit_id           {number}    optional — kit used as brand context (default: client default)
 //   personas               {string[]}  required (or derived from brand intel raw_analysis.personas)
 //   angles                 {string[]}  required (or derived from brand intel raw_analysis.angles)
 //   goal                   {string}    optional — campaign objective
 //   headline               {string}    optional — working headline
 //   cta                    {string}    optional
-//   product_image_url      {string}    optional — passed through to each item
+//   product_image_url      {string}    optional — passed through to each item; must be the
+//                                      file_url of one of your assets or generations' images
 //   ads_per_combo          {number}    optional — variants per combo 1–3 (default 1)
 //   image_size             {string}    optional — FAL size preset (default "square_hd")
 //
 // Returns:
 //   {
+//     plan_id, version,
 //     plan: {
 //       goal, total_ads,
 //       items: [{
 //         index, persona, angle, prompt, concept, headline, cta,
 //         image_size, product_image_url,
 //         metadata: { brand_intelligence_id, goal, strategy_rationale }
-//       }]
+//       }],
+//       brand_kit_id
 //     },
-//     model, planned_at
+//     model, validation, planned_at
 //   }
+//   validation: { repaired, coerced[], defaulted[], dropped[] } from the schema check
 
 router.post('/plan', async (req, res, next) => {
   try {
+    const body = req.body || {};
     const {
       brand_intelligence_id,
+      brand_kit_id,
       goal,
       headline,
       cta,
       product_image_url,
-    } = req.body;
+    } = body;
 
-    const adsPerCombo = Math.min(3, Math.max(1, parseInt(req.body.ads_per_combo, 10) || 1));
-    const imageSize   = req.body.image_size || 'square_hd';
+    const adsPerCombo = Math.min(3, Math.max(1, parseInt(body.ads_per_combo, 10) || 1));
+    const imageSize   = body.image_size || 'square_hd';
+
+    if (product_image_url && !await isClientImageUrl(product_image_url, req.clientId)) {
+      return res.status(400).json({ errors: ['product_image_url must be the file_url of one of your assets or one of your generations\' images'] });
+    }
 
     // ── Resolve personas and angles ──────────────────────────────────────────
-    const kit = await getBrandKitByClientId(req.clientId).catch(() => null);
+    const kit = await resolveBrandKit(req.clientId, brand_kit_id);
+    if (brand_kit_id && !kit) return res.status(404).json({ error: 'Brand kit not found' });
 
     let intel = null;
     if (brand_intelligence_id) {
@@ -134,8 +211,8 @@ router.post('/plan', async (req, res, next) => {
 
     // Personas: body param takes priority, then intel raw_analysis
     let personas = [];
-    if (Array.isArray(req.body.personas) && req.body.personas.length) {
-      personas = req.body.personas.map(String).map(s => s.trim()).filter(Boolean);
+    if (Array.isArray(body.personas) && body.personas.length) {
+      personas = body.personas.map(String).map(s => s.trim()).filter(Boolean);
     } else if (intel?.raw_analysis?.personas) {
       // personas stored as "Name | Description" strings or plain strings
       const raw = intel.raw_analysis.personas;
@@ -146,8 +223,8 @@ router.post('/plan', async (req, res, next) => {
 
     // Angles: body param takes priority, then intel raw_analysis
     let angles = [];
-    if (Array.isArray(req.body.angles) && req.body.angles.length) {
-      angles = req.body.angles.map(String).map(s => s.trim()).filter(Boolean);
+    if (Array.isArray(body.angles) && body.angles.length) {
+      angles = body.angles.map(String).map(s => s.trim()).filter(Boolean);
     } else if (intel?.raw_analysis?.angles) {
       const raw = intel.raw_analysis.angles;
       if (Array.isArray(raw)) {
@@ -170,10 +247,10 @@ router.post('/plan', async (req, res, next) => {
     // Cap total ads
     const cappedAdsPerCombo = Math.min(adsPerCombo, Math.floor(MAX_TOTAL_ADS / allCombos.length) || 1);
 
-    // ── Gemini: enrich each combo ─────────────────────────────────────────────
-    let enriched;
+    // ── LLM: enrich each combo ────────────────────────────────────────────────
+    let enriched, validation;
     try {
-      enriched = await generateContent(
+      ({ data: enriched, validation } = await generateStructured(
         buildPlanPrompt({
           kit, intel,
           combos:         allCombos,
@@ -182,28 +259,24 @@ router.post('/plan', async (req, res, next) => {
           cta:            cta             ? String(cta).trim()             : null,
           productImageUrl: product_image_url ? String(product_image_url).trim() : null,
         }),
-        { json: true }
-      );
+        CAMPAIGN_PLAN,
+        { client: req.client }
+      ));
     } catch (err) {
       const status = err.code === 'GEMINI_KEY_MISSING' ? 503 : 502;
       return res.status(status).json({ error: `Campaign planning failed: ${err.message}` });
     }
 
-    // Normalise Gemini output into a combo_index → item map
+    // Index validated items by combo_index; combos the model skipped fall back below
     const enrichedMap = {};
-    (Array.isArray(enriched) ? enriched : []).forEach(item => {
-      if (item && typeof item.combo_index === 'number') {
-        enrichedMap[item.combo_index] = item;
-      }
-    });
+    enriched.forEach(item => { enrichedMap[item.combo_index] = item; });
 
     // ── Expand into final plan items ──────────────────────────────────────────
     const items = [];
     for (const combo of allCombos) {
       const enrichedItem = enrichedMap[combo.index] || {};
-      const basePrompt   = typeof enrichedItem.prompt === 'string' && enrichedItem.prompt.trim()
-        ? enrichedItem.prompt.trim()
-        : `${combo.angle} scene, ${combo.persona}, professional Meta ad creative, high quality`;
+      const basePrompt   = enrichedItem.prompt
+        || `${combo.angle} scene, ${combo.persona}, professional Meta ad creative, high quality`;
 
       for (let v = 0; v < cappedAdsPerCombo; v++) {
         items.push({
@@ -211,142 +284,175 @@ router.post('/plan', async (req, res, next) => {
           persona:           combo.persona,
           angle:             combo.angle,
           prompt:            variantPrompt(basePrompt, v),
-          concept:           typeof enrichedItem.concept   === 'string' ? enrichedItem.concept.trim()            : '',
-          headline:          typeof enrichedItem.headline  === 'string' ? enrichedItem.headline.trim()           : (headline || ''),
+          concept:           enrichedItem.concept  || '',
+          headline:          enrichedItem.headline || headline || '',
           cta:               cta || '',
           image_size:        imageSize,
           product_image_url: product_image_url || null,
           metadata: {
             brand_intelligence_id: intel?.id   || null,
             goal:                  goal         || null,
-            strategy_rationale:    typeof enrichedItem.strategy_rationale === 'string'
-              ? enrichedItem.strategy_rationale.trim()
-              : '',
+            strategy_rationale:    enrichedItem.strategy_rationale || '',
             variant: cappedAdsPerCombo > 1 ? v + 1 : null,
           },
         });
       }
     }
 
+    const model = activeModel(req.client);
+    const saved = await createCampaignPlan({
+      client_id:             req.clientId,
+      name:                  body.name ? String(body.name).trim().slice(0, 255) || null : null,
+      goal:                  goal || null,
+      brand_kit_id:          kit?.id   ?? null,
+      brand_intelligence_id: intel?.id ?? null,
+      personas,
+      angles,
+      inputs: {
+        headline:          headline          || null,
+        cta:               cta               || null,
+        product_image_url: product_image_url || null,
+        ads_per_combo:     cappedAdsPerCombo,
+        image_size:        imageSize,
+      },
+      items,
+      model,
+    });
+
     res.json({
+      plan_id: saved.id,
+      version: saved.version,
       plan: {
-        goal:       goal || null,
-        total_ads:  items.length,
+        goal:         goal || null,
+        total_ads:    items.length,
         items,
+        brand_kit_id: kit?.id ?? null,
       },
-      model:      activeModel(),
-      planned_at: new Date().toISOString(),
+      model,
+      validation,
+      planned_at: saved.created_at,
     });
   } catch (err) {
     next(err);
   }
 });
 
-// ── Batch processing helpers ──────────────────────────────────────────────────
-
-const BATCH_CONCURRENCY = 3;
-
-// Runs `fn` over `items` with at most `concurrency` in-flight at once.
-async function withConcurrency(items, concurrency, fn) {
-  const results = new Array(items.length);
-  let next = 0;
-
-  async function worker() {
-    while (next < items.length) {
-      const i = next++;
-      results[i] = await fn(items[i], i);
-    }
-  }
-
-  await Promise.all(
-    Array.from({ length: Math.min(concurrency, items.length) }, worker)
-  );
-  return results;
-}
-
-// Executes a single plan item: pending → processing → done/failed
-async function executeItem(item, generation, clientId, batchId) {
-  try {
-    await updateGeneration(generation.id, clientId, { status: 'processing' });
-
-    const falOpts = {
-      imageSize: item.image_size || 'square_hd',
-      numImages: 1,
-    };
-    if (item.product_image_url) {
-      falOpts.imageUrl = item.product_image_url;
-      falOpts.strength = 0.75;
-    }
-
-    const result     = await generateImages(item.prompt, falOpts);
-    const firstImage = result.images[0] || null;
-
-    await updateGeneration(generation.id, clientId, {
-      status:             'done',
-      generated_images:   result.images,
-      selected_image_url: firstImage?.url || null,
-      metadata: {
-        ...(generation.metadata || {}),
-        fal_request_id: result.requestId,
-        fal_seed:       result.seed,
-        fal_model:      result.model,
-      },
-    });
-
-    return { success: true, image_url: firstImage?.url || null };
-  } catch (err) {
-    const errorMsg = err?.message || 'Generation failed';
-    await updateGeneration(generation.id, clientId, {
-      status: 'failed',
-      error:  errorMsg,
-    });
-    return { success: false, error: errorMsg };
-  } finally {
-    await refreshBatchStatus(batchId, clientId).catch(() => {});
-  }
-}
-
 // ── POST /api/campaign/generate ───────────────────────────────────────────────
-// Executes a plan by creating generation records and running FAL for each item.
-// Returns immediately with batch_id and per-item generation IDs.
-// FAL calls run in background (BATCH_CONCURRENCY at a time); client polls for status.
+// Executes a plan by creating generation records and queueing one FAL job per
+// item. Returns immediately with batch_id and per-item generation/job IDs.
+// Jobs run on the shared worker pool (FAL_CONCURRENCY at a time) and survive
+// restarts; client follows progress over the batch's SSE stream. Each item is
+// tagged with its goal, persona and angle (see tagBatchItems).
 //
 // Body:
-//   items  {object[]}  required — plan items from POST /api/campaign/plan response
-//   goal   {string}    optional — stored on the batch record
+//   plan_id       {number}    saved plan to launch (its goal, brand kit and items) — or:
+//   items         {object[]}  plan items from POST /api/campaign/plan response
+//   version       {number}    optional with plan_id — launch an earlier version
+//                             (default: the current one)
+//   goal          {string}    optional — stored on the batch record (default: the plan's)
+//   brand_kit_id  {number}    optional — kit the generations link to; send the plan's
+//                             brand_kit_id (default: the saved plan's, then the
+//                             client's default kit — also used when the plan's
+//                             kit has since been deleted)
+//   provider      {string}    optional — image provider for every item (default: client
+//                             setting, then IMAGE_PROVIDER)
 //
-// Returns: { batch_id, total, items: [{ index, generation_id, status: 'pending' }] }
+// The batch records campaign_plan_id and campaign_plan_version when launched
+// from a saved plan, and the plan is marked 'launched'. An item's
+// product_image_url must be one of your assets' files or generations' images
+// (400 otherwise).
+//
+// Returns: { batch_id, plan_id, plan_version, total,
+//            items: [{ index, generation_id, job_id, status: 'pending' }] }
 
 router.post('/generate', async (req, res, next) => {
   try {
-    const rawItems = req.body.items;
-    const goal     = req.body.goal ? String(req.body.goal).trim() : null;
+    const body = req.body || {};
+    let rawItems    = body.items;
+    let goal        = body.goal ? String(body.goal).trim() : null;
+    let brandKitId  = body.brand_kit_id;
+    let plan        = null;
+    let planVersion = null;
+
+    if (body.plan_id != null) {
+      const planId = parseInt(body.plan_id, 10);
+      if (isNaN(planId)) return res.status(400).json({ error: 'Invalid plan_id' });
+      plan = await getCampaignPlan(planId, req.clientId);
+      if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+      let source = plan;
+      if (body.version != null) {
+        const version = parseInt(body.version, 10);
+        if (isNaN(version)) return res.status(400).json({ error: 'Invalid version' });
+        if (version !== plan.version) {
+          const stored = await getCampaignPlanVersion(planId, req.clientId, version);
+          if (!stored) return res.status(404).json({ error: `Plan has no version ${version}` });
+          source = stored.snapshot;
+        }
+        planVersion = version;
+      } else {
+        planVersion = plan.version;
+      }
+
+      rawItems     = source.items;
+      goal       ||= source.goal || null;
+      brandKitId ??= source.brand_kit_id;
+    }
 
     if (!Array.isArray(rawItems) || rawItems.length === 0) {
-      return res.status(400).json({ error: 'items[] array is required' });
+      return res.status(400).json({ error: plan ? 'Plan has no items' : 'items[] or plan_id is required' });
     }
     if (rawItems.length > 20) {
       return res.status(400).json({ error: 'Maximum 20 items per batch' });
     }
 
+    const provider = resolveImageProvider(body.provider, req.client);
+    if (!isImageProvider(provider)) {
+      return res.status(400).json({ error: `Unknown image provider "${provider}"` });
+    }
+
+    // Product images are fetched server-side and by the provider, so only the
+    // client's own files are accepted
+    const productUrls = [...new Set(rawItems.map(item => item?.product_image_url).filter(Boolean))];
+    for (const url of productUrls) {
+      if (!await isClientImageUrl(url, req.clientId)) {
+        return res.status(400).json({
+          errors: [`product_image_url ${url} is not the file_url of one of your assets or generations' images`],
+        });
+      }
+    }
+
+    // A kit the plan (or the launched version) refers to that has since been
+    // deleted is cleared, as on restore; only an explicit brand_kit_id 404s
+    let kit = await resolveBrandKit(req.clientId, brandKitId);
+    if (brandKitId && !kit) {
+      if (body.brand_kit_id != null) return res.status(404).json({ error: 'Brand kit not found' });
+      kit = await resolveBrandKit(req.clientId, null);
+    }
+
     // Create the batch record
     const batch = await createCampaignBatch({
-      client_id:   req.clientId,
+      client_id:             req.clientId,
       goal,
-      total_items: rawItems.length,
-      metadata:    { source: 'campaign_plan' },
+      total_items:           rawItems.length,
+      metadata:              { source: 'campaign_plan' },
+      campaign_plan_id:      plan?.id ?? null,
+      campaign_plan_version: planVersion,
     });
+    if (plan) await markCampaignPlanLaunched(plan.id, req.clientId, planVersion);
 
     // Create all generation records immediately (status: pending) so the
-    // history board and polling see them right away
+    // history board and progress streams see them right away
     const generations = await Promise.all(
       rawItems.map((item, i) =>
         createGeneration({
-          client_id:        req.clientId,
-          prompt:           item.prompt   || '',
-          headline:         item.headline || null,
-          cta:              item.cta      || null,
-          concept:          item.concept  || null,
+          client_id:         req.clientId,
+          brand_kit_id:      kit?.id ?? null,
+          campaign_batch_id: batch.id,
+          prompt:            item.prompt   || '',
+          headline:          item.headline || null,
+          cta:               item.cta      || null,
+          concept:           item.concept  || null,
           metadata: {
             campaign_batch_id:  batch.id,
             batch_item_index:   item.index ?? (i + 1),
@@ -354,38 +460,51 @@ router.post('/generate', async (req, res, next) => {
             angle:              item.angle    || null,
             goal:               goal          || item.metadata?.goal || null,
             strategy_rationale: item.metadata?.strategy_rationale || null,
+            provider,
+            image_size:         item.image_size || 'square_hd',
+            num_images:         1,
+            product_image_url:  item.product_image_url || null,
+            ...(item.product_image_url && { strength: 0.75 }),
           },
-        }).then(gen => {
-          // Stamp the campaign_batch_id directly via raw SQL since createGeneration
-          // doesn't know about that column yet — update right after insert
-          const { pool } = require('../database/init');
-          return pool.query(
-            'UPDATE generations SET campaign_batch_id = $1 WHERE id = $2 RETURNING *',
-            [batch.id, gen.id]
-          ).then(r => r.rows[0] || gen);
         })
       )
     );
 
-    // Respond immediately — client can start polling GET /api/campaign/generate/:batchId
+    await tagBatchItems(req.clientId, goal, rawItems, generations);
+
+    // Queue one job per item — the worker pool picks them up in order
+    const jobs = [];
+    for (const [i, gen] of generations.entries()) {
+      const item = rawItems[i];
+      jobs.push(await enqueueJob({
+        client_id:         req.clientId,
+        type:              'generate',
+        generation_id:     gen.id,
+        campaign_batch_id: batch.id,
+        payload: {
+          prompt:     item.prompt || '',
+          provider,
+          image_size: item.image_size || 'square_hd',
+          num_images: 1,
+          image_url:  item.product_image_url || null,
+          strength:   item.product_image_url ? 0.75 : null,
+        },
+      }));
+    }
+
+    // Client can subscribe to GET /api/campaign/generate/:batchId/events
     res.json({
-      batch_id: batch.id,
-      total:    generations.length,
+      batch_id:     batch.id,
+      plan_id:      plan?.id ?? null,
+      plan_version: planVersion,
+      total:        generations.length,
       items: generations.map((g, i) => ({
         index:         rawItems[i]?.index ?? (i + 1),
         generation_id: g.id,
+        job_id:        jobs[i].id,
         status:        'pending',
       })),
     });
-
-    // ── Background processing ─────────────────────────────────────────────────
-    // Not awaited — response already sent above.
-    withConcurrency(
-      generations.map((gen, i) => ({ gen, item: rawItems[i] })),
-      BATCH_CONCURRENCY,
-      ({ gen, item }) => executeItem(item, gen, req.clientId, batch.id)
-    ).catch(err => console.error('[campaign] Batch error:', err.message));
-
   } catch (err) {
     next(err);
   }
@@ -393,7 +512,7 @@ router.post('/generate', async (req, res, next) => {
 
 // ── GET /api/campaign/generate/:batchId ───────────────────────────────────────
 // Returns current batch status with per-item generation data.
-// Poll this until batch.status !== 'running'.
+// For live updates subscribe to /events below instead of polling.
 //
 // Returns:
 //   {
@@ -401,7 +520,7 @@ router.post('/generate', async (req, res, next) => {
 //       id, goal, total_items, status,
 //       items: [{
 //         generation_id, index, persona, angle,
-//         status, prompt, headline, concept, image_url, error, created_at
+//         status, prompt, headline, concept, image_url, error, created_at, updated_at
 //       }]
 //     }
 //   }
@@ -420,4 +539,569 @@ router.get('/generate/:batchId', async (req, res, next) => {
   }
 });
 
+// ── GET /api/campaign/generate/:batchId/events ────────────────────────────────
+// Server-Sent Events stream of a batch's progress. Closes once the batch is no
+// longer 'running'.
+//
+// Events:
+//   "batch"       first event: the full batch as returned by GET above (with items);
+//                 afterwards: { batch_id, status, total, done, failed, cancelled, in_flight,
+//                 updated_at }
+//   "generation"  one item changed: { generation_id, campaign_batch_id, status,
+//                 generated_images, selected_image_url, error, updated_at }
+
+router.get('/generate/:batchId/events', async (req, res, next) => {
+  try {
+    const batchId = parseInt(req.params.batchId, 10);
+    if (isNaN(batchId)) return res.status(400).json({ error: 'Invalid batch ID' });
+
+    const opened = await streamProgress(req, res, {
+      topic:    `batch:${batchId}`,
+      snapshot: async () => {
+        const batch = await getCampaignBatch(batchId, req.clientId);
+        return batch && { event: 'batch', data: batch };
+      },
+      isFinished: msg => msg.event === 'batch' && msg.data.status !== 'running',
+    });
+    if (!opened) return res.status(404).json({ error: 'Batch not found' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── GET /api/campaign/batches ─────────────────────────────────────────────────
+// Lists the client's campaign batches, newest first.
+//
+// Query (all optional):
+//   status   comma-separated: running, done, failed, cancelled
+//   from, to ISO dates — created_at >= from, created_at < to
+//   plan_id  only batches launched from this saved plan
+//   limit    max 100, default 50
+//   offset   default 0
+//
+// Returns { batches: [{ id, goal, total_items, status, metadata,
+//                       campaign_plan_id, campaign_plan_version, created_at, updated_at,
+//                       counts: { total, done, failed, cancelled, in_flight } }] }
+
+const BATCH_STATUSES = new Set(['running', 'done', 'failed', 'cancelled']);
+
+router.get('/batches', async (req, res, next) => {
+  try {
+    const errors  = [];
+    const filters = {
+      limit:  Math.min(parseInt(req.query.limit || '50', 10) || 50, 100),
+      offset: Math.max(parseInt(req.query.offset || '0', 10) || 0, 0),
+    };
+
+    if (req.query.status) {
+      const statuses = String(req.query.status).split(',').map(v => v.trim()).filter(Boolean);
+      const bad      = statuses.filter(v => !BATCH_STATUSES.has(v));
+      if (bad.length) errors.push(`status contains unknown values: ${bad.join(', ')}`);
+      else filters.status = statuses;
+    }
+    for (const [param, key] of [['from', 'createdFrom'], ['to', 'createdTo']]) {
+      if (!req.query[param]) continue;
+      const date = new Date(String(req.query[param]));
+      if (isNaN(date.getTime())) errors.push(`${param} must be an ISO date`);
+      else filters[key] = date;
+    }
+    if (req.query.plan_id) {
+      const planId = parseInt(req.query.plan_id, 10);
+      if (isNaN(planId)) errors.push('plan_id must be an integer');
+      else filters.planId = planId;
+    }
+    if (errors.length) return res.status(400).json({ errors });
+
+    const batches = await listCampaignBatches(req.clientId, filters);
+    res.json({ batches });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── POST /api/campaign/batches/:batchId/cancel ────────────────────────────────
+// Stops the items still waiting for a worker: their jobs are cancelled and
+// their generations fail with error "Cancelled". Items already being
+// generated keep their images if they succeed; if they fail they are not
+// retried but cancelled too. The batch becomes 'cancelled' once they settle.
+//
+// Returns { batch_id, cancelled, still_running, status }
+
+router.post('/batches/:batchId/cancel', async (req, res, next) => {
+  try {
+    const batchId = parseInt(req.params.batchId, 10);
+    if (isNaN(batchId)) return res.status(400).json({ error: 'Invalid batch ID' });
+
+    const result = await cancelCampaignBatch(batchId, req.clientId);
+    if (!result) return res.status(404).json({ error: 'Batch not found' });
+
+    res.json({ batch_id: batchId, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── POST /api/campaign/batches/:batchId/retry ─────────────────────────────────
+// Re-runs only the batch's failed items (cancelled ones included) with the
+// prompt, size and provider they were created with; done items are left alone.
+//
+// Returns { batch_id, status, items: [{ index, generation_id, job_id, status: 'pending' }] }
+// 422 when the batch has no failed items.
+
+router.post('/batches/:batchId/retry', async (req, res, next) => {
+  try {
+    const batchId = parseInt(req.params.batchId, 10);
+    if (isNaN(batchId)) return res.status(400).json({ error: 'Invalid batch ID' });
+
+    const generations = await resetFailedItems(batchId, req.clientId);
+    if (!generations) return res.status(404).json({ error: 'Batch not found' });
+    if (!generations.length) return res.status(422).json({ error: 'Batch has no failed items to retry' });
+
+    const items = [];
+    for (const gen of generations) {
+      const job = await requeueGeneration(gen);
+      items.push({
+        index:         gen.metadata?.batch_item_index ?? null,
+        generation_id: gen.id,
+        job_id:        job.id,
+        status:        'pending',
+      });
+    }
+    const status = await refreshBatchStatus(batchId, req.clientId);
+
+    res.json({ batch_id: batchId, status, items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── DELETE /api/campaign/batches/:batchId ─────────────────────────────────────
+// Deletes a batch. Items still waiting are cancelled first.
+//
+// Query:
+//   generations  "keep" (default) — generations stay in the history, unlinked
+//                from the batch | "delete" — generations are deleted with it,
+//                together with their stored images and masks unless another
+//                generation or an asset still uses the same file
+//
+// Returns { batch_id, cancelled, generations_deleted, generations_kept }
+
+router.delete('/batches/:batchId', async (req, res, next) => {
+  try {
+    const batchId = parseInt(req.params.batchId, 10);
+    if (isNaN(batchId)) return res.status(400).json({ error: 'Invalid batch ID' });
+
+    const mode = req.query.generations ?? 'keep';
+    if (!['keep', 'delete'].includes(mode)) {
+      return res.status(400).json({ errors: ['generations must be "keep" or "delete"'] });
+    }
+
+    const deleted = await deleteCampaignBatch(batchId, req.clientId, { deleteGenerations: mode === 'delete' });
+    if (!deleted) return res.status(404).json({ error: 'Batch not found' });
+
+    const { unreferenced_files: files, ...result } = deleted;
+    files.forEach(removeStoredFile);
+    res.json({ batch_id: batchId, ...result });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── Saved plans ───────────────────────────────────────────────────────────────
+// Every plan from POST /plan is saved as a draft. Edits and regenerated items
+// each create a new version (the previous ones stay viewable and
+// restorable); POST /generate with plan_id launches it.
+//
+// Write routes accept an optional `version` — the version the edit was made
+// against. When the plan has moved on since, the write is refused with 409
+// { error, version } instead of overwriting the newer version.
+
+const PLAN_STATUSES    = new Set(['draft', 'launched']);
+const PLAN_ITEM_FIELDS = ['prompt', 'headline', 'concept', 'cta'];
+
+// Parses the optional `version` body field. Returns { version } or { error }.
+function parseExpectedVersion(body) {
+  if (body.version == null) return { version: null };
+  const version = parseInt(body.version, 10);
+  return isNaN(version) ? { error: 'version must be an integer' } : { version };
+}
+
+// Maps updateCampaignPlan errors to responses; returns false for anything else.
+function sendPlanUpdateError(res, err) {
+  if (err.code === 'PLAN_VERSION_CONFLICT') {
+    res.status(409).json({ error: err.message, version: err.version });
+    return true;
+  }
+  if (err.code === 'PLAN_ITEM_NOT_FOUND') {
+    res.status(404).json({ error: err.message });
+    return true;
+  }
+  // Foreign key violation: the brand kit or brand intelligence record was
+  // deleted while the change was being saved
+  if (err.code === '23503') {
+    res.status(409).json({ error: 'The plan\'s brand kit or brand intelligence no longer exists; reload the plan and try again' });
+    return true;
+  }
+  return false;
+}
+
+// Copy of the plan's items with item `index` replaced by change(item)
+function replaceItem(plan, index, change) {
+  const items = Array.isArray(plan.items) ? plan.items : [];
+  const at    = items.findIndex(item => item.index === index);
+  if (at === -1) {
+    throw Object.assign(new Error(`Plan has no item ${index}`), { code: 'PLAN_ITEM_NOT_FOUND' });
+  }
+  return items.map((item, i) => (i === at ? change(item) : item));
+}
+
+// ── GET /api/campaign/plans ───────────────────────────────────────────────────
+// Lists saved plans, most recently changed first (without items).
+//
+// Query (all optional):
+//   status   draft | launched
+//   limit    max 100, default 50
+//   offset   default 0
+//
+// Returns { plans: [{ id, name, status, version, goal, brand_kit_id, brand_intelligence_id,
+//                     personas, angles, item_count, model, launched_version,
+//                     last_launched_at, created_at, updated_at }] }
+
+router.get('/plans', async (req, res, next) => {
+  try {
+    const filters = {
+      limit:  Math.min(parseInt(req.query.limit || '50', 10) || 50, 100),
+      offset: Math.max(parseInt(req.query.offset || '0', 10) || 0, 0),
+    };
+    if (req.query.status) {
+      if (!PLAN_STATUSES.has(req.query.status)) {
+        return res.status(400).json({ errors: ['status must be "draft" or "launched"'] });
+      }
+      filters.status = req.query.status;
+    }
+
+    const plans = await listCampaignPlans(req.clientId, filters);
+    res.json({ plans });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── GET /api/campaign/plans/:planId ───────────────────────────────────────────
+// Returns { plan, batches } — the current version with its items, and the
+// batches launched from it (newest first, as listed by GET /batches).
+
+router.get('/plans/:planId', async (req, res, next) => {
+  try {
+    const planId = parseInt(req.params.planId, 10);
+    if (isNaN(planId)) return res.status(400).json({ error: 'Invalid plan ID' });
+
+    const plan = await getCampaignPlan(planId, req.clientId);
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+    const batches = await listCampaignBatches(req.clientId, { planId });
+    res.json({ plan, batches });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── PATCH /api/campaign/plans/:planId ─────────────────────────────────────────
+// Renames the plan or changes its goal (the goal launched batches record).
+//
+// Body: { name?, goal?, version? }
+// Returns { plan }
+
+router.patch('/plans/:planId', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const planId = parseInt(req.params.planId, 10);
+    if (isNaN(planId)) return res.status(400).json({ error: 'Invalid plan ID' });
+
+    const errors = [];
+    const fields = {};
+    for (const field of ['name', 'goal']) {
+      if (!(field in body)) continue;
+      const value = body[field];
+      if (value !== null && typeof value !== 'string') errors.push(`${field} must be a string or null`);
+      else fields[field] = value?.trim() || null;
+    }
+    if (fields.name) fields.name = fields.name.slice(0, 255);
+    const { version, error } = parseExpectedVersion(body);
+    if (error) errors.push(error);
+    if (!errors.length && !Object.keys(fields).length) errors.push('Provide at least one of: name, goal');
+    if (errors.length) return res.status(400).json({ errors });
+
+    let plan;
+    try {
+      plan = await updateCampaignPlan(planId, req.clientId, () => fields, {
+        change:          `Changed ${Object.keys(fields).join(', ')}`,
+        expectedVersion: version,
+      });
+    } catch (err) {
+      if (sendPlanUpdateError(res, err)) return;
+      throw err;
+    }
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+    res.json({ plan });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── PATCH /api/campaign/plans/:planId/items/:index ────────────────────────────
+// Edits one item's copy by hand. :index is the item's `index`.
+//
+// Body: { prompt?, headline?, concept?, cta?, version? }
+// Returns { plan, item }
+
+router.patch('/plans/:planId/items/:index', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const planId = parseInt(req.params.planId, 10);
+    const index  = parseInt(req.params.index, 10);
+    if (isNaN(planId)) return res.status(400).json({ error: 'Invalid plan ID' });
+    if (isNaN(index))  return res.status(400).json({ error: 'Invalid item index' });
+
+    const errors  = [];
+    const changes = {};
+    for (const field of PLAN_ITEM_FIELDS) {
+      if (!(field in body)) continue;
+      const value = body[field];
+      if (typeof value !== 'string') errors.push(`${field} must be a string`);
+      else changes[field] = value.trim();
+    }
+    if (changes.prompt === '') errors.push('prompt cannot be empty');
+    const { version, error } = parseExpectedVersion(body);
+    if (error) errors.push(error);
+    if (!errors.length && !Object.keys(changes).length) {
+      errors.push(`Provide at least one of: ${PLAN_ITEM_FIELDS.join(', ')}`);
+    }
+    if (errors.length) return res.status(400).json({ errors });
+
+    let plan;
+    try {
+      plan = await updateCampaignPlan(
+        planId, req.clientId,
+        current => ({ items: replaceItem(current, index, item => ({ ...item, ...changes })) }),
+        { change: `Edited item ${index} (${Object.keys(changes).join(', ')})`, expectedVersion: version }
+      );
+    } catch (err) {
+      if (sendPlanUpdateError(res, err)) return;
+      throw err;
+    }
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+    res.json({ plan, item: plan.items.find(item => item.index === index) });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── POST /api/campaign/plans/:planId/items/:index/regenerate ──────────────────
+// Asks the model for a fresh direction for one item — same persona, angle and
+// brand context — replacing its prompt, concept, headline and rationale.
+//
+// Body: { instructions?, version? }
+//   instructions  {string}  optional — what to change ("more playful", "outdoor scene")
+//
+// Returns { plan, item, model, validation }
+
+router.post('/plans/:planId/items/:index/regenerate', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const planId = parseInt(req.params.planId, 10);
+    const index  = parseInt(req.params.index, 10);
+    if (isNaN(planId)) return res.status(400).json({ error: 'Invalid plan ID' });
+    if (isNaN(index))  return res.status(400).json({ error: 'Invalid item index' });
+
+    const instructions = body.instructions ? String(body.instructions).trim() : null;
+    const { version, error } = parseExpectedVersion(body);
+    if (error) return res.status(400).json({ errors: [error] });
+
+    const current = await getCampaignPlan(planId, req.clientId);
+    if (!current) return res.status(404).json({ error: 'Plan not found' });
+    if (version != null && version !== current.version) {
+      return res.status(409).json({
+        error:   `Plan is at version ${current.version}, not ${version}; reload it and try again`,
+        version: current.version,
+      });
+    }
+
+    const item = (current.items || []).find(i => i.index === index);
+    if (!item) return res.status(404).json({ error: `Plan has no item ${index}` });
+
+    const kit   = await resolveBrandKit(req.clientId, current.brand_kit_id);
+    const intel = current.brand_intelligence_id
+      ? await getBrandIntelligenceById(current.brand_intelligence_id, req.clientId)
+      : null;
+    const inputs = current.inputs || {};
+
+    let enriched, validation;
+    try {
+      ({ data: enriched, validation } = await generateStructured(
+        buildPlanPrompt({
+          kit, intel,
+          combos:          [{ index: 0, persona: item.persona, angle: item.angle }],
+          goal:            current.goal,
+          headline:        inputs.headline,
+          cta:             inputs.cta,
+          productImageUrl: inputs.product_image_url,
+          revise:          { prompt: item.prompt, concept: item.concept, headline: item.headline, instructions },
+        }),
+        CAMPAIGN_PLAN,
+        { client: req.client }
+      ));
+    } catch (err) {
+      const status = err.code === 'GEMINI_KEY_MISSING' ? 503 : 502;
+      return res.status(status).json({ error: `Item regeneration failed: ${err.message}` });
+    }
+
+    const fresh = enriched.find(e => e.combo_index === 0) || enriched[0] || {};
+    if (!fresh.prompt) return res.status(502).json({ error: 'Item regeneration failed: the model returned no prompt' });
+
+    const variant = item.metadata?.variant ? item.metadata.variant - 1 : 0;
+    let plan;
+    try {
+      // The edit is applied to the plan as it is now, so edits to other items
+      // saved while the model was running are kept
+      plan = await updateCampaignPlan(
+        planId, req.clientId,
+        latest => ({
+          items: replaceItem(latest, index, it => ({
+            ...it,
+            prompt:   variantPrompt(fresh.prompt, variant),
+            concept:  fresh.concept  || it.concept,
+            headline: fresh.headline || it.headline,
+            metadata: {
+              ...it.metadata,
+              strategy_rationale: fresh.strategy_rationale || it.metadata?.strategy_rationale || '',
+            },
+          })),
+        }),
+        { change: `Regenerated item ${index}${instructions ? `: ${instructions}` : ''}`, expectedVersion: version }
+      );
+    } catch (err) {
+      if (sendPlanUpdateError(res, err)) return;
+      throw err;
+    }
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+    res.json({
+      plan,
+      item:  plan.items.find(i => i.index === index),
+      model: activeModel(req.client),
+      validation,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── GET /api/campaign/plans/:planId/versions ──────────────────────────────────
+// Returns { versions: [{ version, change, item_count, created_at }] } newest first.
+
+router.get('/plans/:planId/versions', async (req, res, next) => {
+  try {
+    const planId = parseInt(req.params.planId, 10);
+    if (isNaN(planId)) return res.status(400).json({ error: 'Invalid plan ID' });
+
+    const plan = await getCampaignPlan(planId, req.clientId);
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+    const versions = await getCampaignPlanVersions(planId, req.clientId);
+    res.json({ versions });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── GET /api/campaign/plans/:planId/versions/:version ─────────────────────────
+// Returns { version: { version, change, created_at, snapshot } } where snapshot is
+// { name, goal, brand_kit_id, brand_intelligence_id, personas, angles, inputs, items }.
+
+router.get('/plans/:planId/versions/:version', async (req, res, next) => {
+  try {
+    const planId  = parseInt(req.params.planId, 10);
+    const version = parseInt(req.params.version, 10);
+    if (isNaN(planId))  return res.status(400).json({ error: 'Invalid plan ID' });
+    if (isNaN(version)) return res.status(400).json({ error: 'Invalid version' });
+
+    const stored = await getCampaignPlanVersion(planId, req.clientId, version);
+    if (!stored) return res.status(404).json({ error: 'Plan version not found' });
+
+    res.json({ version: stored });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── POST /api/campaign/plans/:planId/versions/:version/restore ────────────────
+// Makes an earlier version current again, as a new version; nothing is lost.
+// A brand kit or brand intelligence record the version referred to that has
+// since been deleted is cleared rather than restored.
+//
+// Body: { version? } — the current version the restore is made against
+// Returns { plan }
+
+router.post('/plans/:planId/versions/:version/restore', async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    const planId  = parseInt(req.params.planId, 10);
+    const restore = parseInt(req.params.version, 10);
+    if (isNaN(planId))  return res.status(400).json({ error: 'Invalid plan ID' });
+    if (isNaN(restore)) return res.status(400).json({ error: 'Invalid version' });
+
+    const { version, error } = parseExpectedVersion(body);
+    if (error) return res.status(400).json({ errors: [error] });
+
+    const stored = await getCampaignPlanVersion(planId, req.clientId, restore);
+    if (!stored) return res.status(404).json({ error: 'Plan version not found' });
+
+    const snapshot = { ...stored.snapshot };
+    if (snapshot.brand_kit_id && !await getBrandKitById(snapshot.brand_kit_id, req.clientId)) {
+      snapshot.brand_kit_id = null;
+    }
+    if (snapshot.brand_intelligence_id && !await getBrandIntelligenceById(snapshot.brand_intelligence_id, req.clientId)) {
+      snapshot.brand_intelligence_id = null;
+    }
+
+    let plan;
+    try {
+      plan = await updateCampaignPlan(planId, req.clientId, () => snapshot, {
+        change:          `Restored version ${restore}`,
+        expectedVersion: version,
+      });
+    } catch (err) {
+      if (sendPlanUpdateError(res, err)) return;
+      throw err;
+    }
+    if (!plan) return res.status(404).json({ error: 'Plan not found' });
+
+    res.json({ plan });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── DELETE /api/campaign/plans/:planId ────────────────────────────────────────
+// Deletes the plan and its versions. Batches launched from it are kept.
+//
+// Returns { deleted } — the removed plan
+
+router.delete('/plans/:planId', async (req, res, next) => {
+  try {
+    const planId = parseInt(req.params.planId, 10);
+    if (isNaN(planId)) return res.status(400).json({ error: 'Invalid plan ID' });
+
+    const deleted = await deleteCampaignPlan(planId, req.clientId);
+    if (!deleted) return res.status(404).json({ error: 'Plan not found' });
+
+    res.json({ deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
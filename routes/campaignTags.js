@@ -0,0 +1,167 @@
+const express = require('express');
+
+const { clientScope } = require('../middleware/clientScope');
+const {
+  getTagsForClient,
+  getTagById,
+  createTag,
+  updateTag,
+  deleteTag,
+  attachTags,
+  detachTags,
+} = require('../database/campaignTags');
+
+const router = express.Router();
+
+// All tag routes are client-scoped. A client sees and manages its own tags
+// plus the global tags (client_id NULL) shared by every workspace.
+router.use(clientScope);
+
+// ── Validation helpers ────────────────────────────────────────────────────────
+
+const HEX_RE = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+function collectErrors(body, { requireName = false } = {}) {
+  const errors = [];
+
+  if (requireName || 'name' in body) {
+    if (typeof body.name !== 'string' || !body.name.trim())
+      errors.push('name must be a non-empty string');
+    else if (body.name.trim().length > 100)
+      errors.push('name must be 100 characters or fewer');
+    else if (!/[a-z0-9]/i.test(body.name))
+      errors.push('name must contain at least one letter or digit');
+  }
+  if ('color' in body && !(typeof body.color === 'string' && HEX_RE.test(body.color))) {
+    errors.push('color must be a hex value like #6366f1');
+  }
+
+  return errors;
+}
+
+// Accepts an array of integers (or numeric strings); returns null if invalid.
+function parseIdList(value) {
+  if (!Array.isArray(value) || value.length === 0) return null;
+  const ids = value.map(v => parseInt(v, 10));
+  if (ids.some(isNaN)) return null;
+  return [...new Set(ids)];
+}
+
+// ── GET /api/campaign-tags ────────────────────────────────────────────────────
+// Global tags first, then the client's own, each with generation_count.
+router.get('/', async (req, res, next) => {
+  try {
+    const tags = await getTagsForClient(req.clientId);
+    res.json({ tags });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── POST /api/campaign-tags ───────────────────────────────────────────────────
+// Body: name {string} required, color {string} optional hex,
+//       global {boolean} optional — create a tag shared by every client
+router.post('/', async (req, res, next) => {
+  try {
+    const errors = collectErrors(req.body, { requireName: true });
+    if (errors.length) return res.status(400).json({ errors });
+
+    const tag = await createTag({
+      client_id: req.body.global === true ? null : req.clientId,
+      name:      req.body.name.trim(),
+      color:     req.body.color,
+    });
+    res.status(201).json({ tag });
+  } catch (err) {
+    if (err.code === '23505')
+      return res.status(409).json({ error: 'A tag with that name already exists.' });
+    next(err);
+  }
+});
+
+// ── PATCH /api/campaign-tags/:id ──────────────────────────────────────────────
+// Rename or recolour a tag. Renaming also updates its slug.
+router.patch('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid tag id' });
+
+    const errors = collectErrors(req.body);
+    if (errors.length) return res.status(400).json({ errors });
+
+    const tag = await updateTag(id, req.clientId, {
+      name:  typeof req.body.name === 'string' ? req.body.name.trim() : undefined,
+      color: req.body.color,
+    });
+    if (!tag) return res.status(404).json({ error: 'Tag not found' });
+    res.json({ tag });
+  } catch (err) {
+    if (err.code === '23505')
+      return res.status(409).json({ error: 'A tag with that name already exists.' });
+    next(err);
+  }
+});
+
+// ── DELETE /api/campaign-tags/:id ─────────────────────────────────────────────
+// Removes the tag and detaches it from every generation.
+router.delete('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid tag id' });
+
+    const deleted = await deleteTag(id, req.clientId);
+    if (!deleted) return res.status(404).json({ error: 'Tag not found' });
+    res.json({ deleted });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── POST /api/campaign-tags/attach ────────────────────────────────────────────
+// ── POST /api/campaign-tags/detach ────────────────────────────────────────────
+// Bulk link or unlink tags and generations.
+//
+// Body:
+//   tag_ids         {number[]}  required
+//   generation_ids  {number[]}  required — at most 500
+//
+// Generations of other clients and tags the client cannot see are skipped.
+// Returns { attached } or { detached } — the number of links changed.
+
+const MAX_BULK_GENERATIONS = 500;
+
+function bulkHandler(action) {
+  return async (req, res, next) => {
+    try {
+      const tagIds        = parseIdList(req.body.tag_ids);
+      const generationIds = parseIdList(req.body.generation_ids);
+
+      const errors = [];
+      if (!tagIds)        errors.push('tag_ids must be a non-empty array of ids');
+      if (!generationIds) errors.push('generation_ids must be a non-empty array of ids');
+      else if (generationIds.length > MAX_BULK_GENERATIONS)
+        errors.push(`generation_ids may contain at most ${MAX_BULK_GENERATIONS} ids`);
+      if (errors.length) return res.status(400).json({ errors });
+
+      if (action === 'attach') {
+        for (const id of tagIds) {
+          if (!(await getTagById(id, req.clientId))) {
+            return res.status(404).json({ error: `Tag ${id} not found` });
+          }
+        }
+        const attached = await attachTags(req.clientId, generationIds, tagIds);
+        return res.json({ attached });
+      }
+
+      const detached = await detachTags(req.clientId, generationIds, tagIds);
+      res.json({ detached });
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+router.post('/attach', bulkHandler('attach'));
+router.post('/detach', bulkHandler('detach'));
+
+module.exports = router;
@@ -1,5 +1,7 @@
 const express = require('express');
 const { clientScope } = require('../middleware/clientScope');
+const { isImageProvider } = require('../services/imageProvider');
+const { isLlmProvider }   = require('../services/llm');
 const {
   getAllClients,
   getClientById,
@@ -34,6 +36,14 @@ function clearActiveCookie(res) {
   res.clearCookie('active_client_id');
 }
 
+// Per-client provider settings, stored in clients.metadata. Each validator
+// returns true for an acceptable non-empty value; null clears the setting.
+const PROVIDER_SETTINGS = {
+  image_provider: isImageProvider,
+  llm_provider:   isLlmProvider,
+  llm_model:      v => typeof v === 'string' && v.trim().length > 0 && v.length <= 100,
+};
+
 // ── GET /api/clients ──────────────────────────────────────────────────────────
 // List all clients. No scope guard — this is the workspace picker.
 router.get('/', async (req, res, next) => {
@@ -110,6 +120,10 @@ router.get('/:id', async (req, res, next) => {
 // ── PATCH /api/clients/:id ────────────────────────────────────────────────────
 // Rename or update a client's fields.
 // Re-derives the slug automatically when name changes.
+// Provider settings (see PROVIDER_SETTINGS) are merged into metadata:
+//   image_provider  "fal" | "mock" | null — unless a request names its own
+//   llm_provider    "gemini" | "fixture" | null
+//   llm_model       model name for the LLM provider, or null for its default
 router.patch('/:id', async (req, res, next) => {
   try {
     const id = parseInt(req.params.id, 10);
@@ -125,6 +139,16 @@ router.patch('/:id', async (req, res, next) => {
       fields.slug = slugify(fields.name);
     }
 
+    for (const [key, isValid] of Object.entries(PROVIDER_SETTINGS)) {
+      if (!(key in fields)) continue;
+      const value = fields[key] || null;
+      if (value && !isValid(value)) {
+        return res.status(400).json({ error: `Invalid ${key} "${value}"` });
+      }
+      fields.metadata = { ...(existing.metadata || {}), ...(fields.metadata || {}), [key]: value };
+      delete fields[key];
+    }
+
     const client = await updateClient(id, fields);
     res.json({ client });
   } catch (err) {
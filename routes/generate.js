@@ -1,12 +1,23 @@
 const express = require('express');
+const crypto  = require('crypto');
+const sharp   = require('sharp');
 
 const { clientScope }            = require('../middleware/clientScope');
-const { generateImages }         = require('../services/fal');
-const { getBrandKitByClientId }  = require('../database/brandKits');
+const { uploadMask }             = require('../middleware/upload');
+const { enqueueJob }             = require('../services/jobQueue');
+const { isImageProvider, resolveImageProvider } = require('../services/imageProvider');
+const { PRODUCT_PLACEMENTS, loadImageBuffer, prepareMask } = require('../services/compositor');
+const { putFile }                = require('../services/storage');
+const { CUTOUT_CATEGORY }        = require('../services/cutout');
+const { validateOutputSize }     = require('../services/outputSize');
+const { resolveBrandKit }        = require('../database/brandKits');
+const { getAssetById, getAssetByFileUrl } = require('../database/assets');
+const { getTemplateById }        = require('../database/templates');
 const {
   createGeneration,
-  updateGeneration,
   getGenerationById,
+  isGenerationMask,
+  isClientImageUrl,
 } = require('../database/generations');
 
 const router = express.Router();
@@ -20,6 +31,8 @@ const VALID_IMAGE_SIZES = new Set([
   'landscape_4_3', 'landscape_16_9',
 ]);
 
+const GENERATION_MODES = ['img2img', 'product_cutout'];
+
 // Appends brand identity constraints to the user's prompt.
 // Only includes fields that are actually set in the brand kit.
 function buildBrandPrompt(userPrompt, kit) {
@@ -37,28 +50,138 @@ function buildBrandPrompt(userPrompt, kit) {
   return `${userPrompt}. ${parts.join(', ')}. Professional Meta ad creative, high quality.`;
 }
 
+// Product cutout mode generates an empty scene for the product to sit in; the
+// real product is composited on afterwards, so the model must not draw one.
+function buildScenePrompt(prompt, placement) {
+  const area = placement === 'center' ? 'in the centre of the frame' : 'in the lower centre of the frame';
+  return `${prompt}. Leave a clear, uncluttered surface ${area} where a product will be placed. ` +
+    'Do not show the product or any other packaged goods.';
+}
+
+// Validates the product cutout options of POST /api/generate. Returns
+// { errors, composite, productImageUrl } where composite is the job payload's
+// `composite` and productImageUrl the asset URL to look up when no
+// product_asset_id was given.
+function parseCompositeOptions(body) {
+  const errors = [];
+  const { product_asset_id, product_image_url, placement = 'bottom', product_scale = 0.55, shadow = true } = body;
+
+  if (product_asset_id != null && !Number.isInteger(product_asset_id)) errors.push('product_asset_id must be an integer');
+  if (product_asset_id == null && !product_image_url) {
+    errors.push('product_asset_id or product_image_url is required for mode "product_cutout"');
+  }
+  if (!PRODUCT_PLACEMENTS.includes(placement)) errors.push(`placement must be one of: ${PRODUCT_PLACEMENTS.join(', ')}`);
+  if (typeof product_scale !== 'number' || product_scale < 0.1 || product_scale > 0.9) {
+    errors.push('product_scale must be a number between 0.1 and 0.9');
+  }
+  if (typeof shadow !== 'boolean') errors.push('shadow must be a boolean');
+
+  return {
+    errors,
+    composite: {
+      asset_id:  product_asset_id ?? null,
+      placement,
+      scale:     product_scale,
+      shadow,
+    },
+    productImageUrl: product_asset_id == null ? product_image_url : null,
+  };
+}
+
+// Explicit width/height from a request body: both or neither.
+// Returns { errors, size } — size is null when neither is given.
+function parseOutputSize(body) {
+  const { width, height } = body;
+  if (width == null && height == null) return { errors: [], size: null };
+  if (width == null || height == null) return { errors: ['width and height must be given together'], size: null };
+
+  const size   = { width: Number(width), height: Number(height) };
+  const errors = validateOutputSize(size.width, size.height);
+  return { errors, size: errors.length ? null : size };
+}
+
+// The image a variation or edit starts from: selected → first non-archived →
+// first in generated_images. Returns null when the generation has none.
+function sourceImageOf(generation) {
+  if (generation.selected_image_url) return generation.selected_image_url;
+  const images = Array.isArray(generation.generated_images) ? generation.generated_images : [];
+  const first  = images.find(img => img?.status !== 'archived') ?? images[0];
+  return typeof first === 'string' ? first : (first?.url || null);
+}
+
+function imageUrlsOf(generation) {
+  const images = Array.isArray(generation.generated_images) ? generation.generated_images : [];
+  return images.map(img => (typeof img === 'string' ? img : img?.url)).filter(Boolean);
+}
+
+// Error messages for the image URL fields (name → url, empty ones skipped)
+// that are not one of the client's assets or generation images.
+async function foreignImageUrls(clientId, fields) {
+  const errors = [];
+  for (const [field, url] of Object.entries(fields)) {
+    if (url == null || url === '') continue;
+    if (!await isClientImageUrl(url, clientId)) {
+      errors.push(`${field} must be the file_url of one of your assets or one of your generations' images`);
+    }
+  }
+  return errors;
+}
+
+// Request `provider` → client default → IMAGE_PROVIDER. Returns null if
+// unknown or not enabled on this server.
+function pickProvider(req) {
+  const name = resolveImageProvider(req.body.provider, req.client);
+  return isImageProvider(name) ? name : null;
+}
+
 // ── POST /api/generate ────────────────────────────────────────────────────────
-// Generates a static ad image via FAL.
+// Queues a static ad image generation. The image-provider call runs on a job
+// worker (services/jobQueue.js); poll GET /api/jobs/:id or the generation itself.
 //
 // Body:
 //   prompt               {string}   required — image generation prompt
-//   headline             {string}   optional — ad headline (stored only)
-//   body_copy            {string}   optional — ad body copy (stored only)
-//   cta                  {string}   optional — call to action (stored only)
+//   headline             {string}   optional — ad headline (rendered by POST /api/generations/:id/compose)
+//   body_copy            {string}   optional — ad body copy (rendered by compose)
+//   cta                  {string}   optional — call to action (rendered by compose)
 //   concept              {string}   optional — ad concept / strategic intent (stored only)
 //   avatar               {string}   optional — target audience persona (stored only)
 //   asset_ids            {number[]} optional — brand asset IDs used as source images
-//   brand_kit_id         {number}   optional — links generation to a brand kit
+//   brand_kit_id         {number}   optional — brand kit to link and inject (default: the client's default kit)
 //   template_id          {number}   optional — links generation to a template
-//   apply_brand_kit      {boolean}  optional — inject brand constraints into prompt
+//   apply_brand_kit      {boolean}  optional — inject the kit's brand constraints into prompt
 //   reference_image_url  {string}   optional — style reference; used as img2img base if no product image
 //   product_image_url    {string}   optional — product photo; used as img2img base (takes priority)
+//                                   Both must be the file_url of one of your assets or one of your
+//                                   generations' images.
 //   strength             {number}   optional — img2img denoising 0–1 (default: product=0.75, reference=0.9)
 //   num_images           {number}   optional — variants 1–4 (default 1)
 //   image_size           {string}   optional — FAL size preset (default "square_hd")
+//   width, height        {number}   optional — exact output pixels, 64–4096 (overrides image_size)
+//   provider             {string}   optional — image provider ("fal", or "mock" where the server
+//                                              enables it); defaults to the client's
+//                                              metadata.image_provider, then IMAGE_PROVIDER
+//   mode                 {string}   optional — "img2img" (default) | "product_cutout"
+//
+// Exact sizes: width/height, or else the dimensions of template_id, become
+// metadata.output_size. The model renders the nearest size it supports and
+// every image is cropped/resized to exactly that size (services/outputSize.js),
+// so generated_images entries carry the final width/height.
+//
+// Product cutout mode (mode: "product_cutout") keeps the real product: the
+// scene is generated from the prompt alone, then the product's background-
+// removed cutout is composited on top with a shadow. Extra body fields:
+//   product_asset_id     {number}   product_image asset to cut out (cutout is created and saved on first use)
+//   product_image_url    {string}   alternative to product_asset_id — the file_url of one of
+//                                   your product_image assets, which is then used instead
+//   placement            {string}   optional — "bottom" (default) | "center"
+//   product_scale        {number}   optional — 0.1–0.9 share of the frame (default 0.55)
+//   shadow               {boolean}  optional — default true
+// The scenes are kept in metadata.scene_images and the cutout in metadata.cutout_url.
 //
-// Success → 201 { generation }  (status: "done")
-// FAL failure → 502/503 { error, generation }  (status: "failed")
+// Success → 202 { job_id, generation }  (status: "pending")
+// Invalid cutout options or size, or an image URL that is not yours → 400
+// { errors }; product asset or template not found → 404; asset not in the
+// product_image category → 422
 
 router.post('/', async (req, res, next) => {
   const {
@@ -77,31 +200,93 @@ router.post('/', async (req, res, next) => {
     strength,
     num_images,
     image_size,
+    mode,
   } = req.body;
 
   if (!prompt || !prompt.trim()) {
     return res.status(400).json({ error: 'prompt is required' });
   }
 
+  const provider = pickProvider(req);
+  if (!provider) return res.status(400).json({ error: `Unknown image provider "${req.body.provider}"` });
+
+  if (mode != null && !GENERATION_MODES.includes(mode)) {
+    return res.status(400).json({ error: `mode must be one of: ${GENERATION_MODES.join(', ')}` });
+  }
+  const cutoutMode = mode === 'product_cutout';
+  let   composite  = null;
+  let   productAssetUrl = null;
+  if (cutoutMode) {
+    const parsed = parseCompositeOptions(req.body);
+    if (parsed.errors.length) return res.status(400).json({ errors: parsed.errors });
+    composite       = parsed.composite;
+    productAssetUrl = parsed.productImageUrl;
+  }
+
+  const requested  = parseOutputSize(req.body);
+  const templateId = template_id != null && template_id !== '' ? parseInt(template_id, 10) : null;
+  if (Number.isNaN(templateId)) requested.errors.push('template_id must be a number');
+  if (requested.errors.length) return res.status(400).json({ errors: requested.errors });
+
   const numImages = Math.min(Math.max(parseInt(num_images ?? 1, 10) || 1, 1), 4);
   const imageSize = VALID_IMAGE_SIZES.has(image_size) ? image_size : 'square_hd';
 
-  // Image input routing: product image takes priority over reference image
-  const imageUrl       = product_image_url || reference_image_url || null;
+  // Image input routing: product image takes priority over reference image.
+  // Cutout mode never sends the product to the model.
+  const imageUrl       = cutoutMode ? null : (product_image_url || reference_image_url || null);
   const defaultStrength = product_image_url ? 0.75 : 0.9;
   const resolvedStrength = strength != null
     ? Math.min(Math.max(parseFloat(strength), 0), 1)
     : defaultStrength;
 
-  let generation;
-
   try {
+    // Image inputs are fetched server-side (and by the provider), so only the
+    // client's own assets and generation images are accepted
+    const foreign = await foreignImageUrls(req.clientId, { reference_image_url, product_image_url });
+    if (foreign.length) return res.status(400).json({ errors: foreign });
+
     // ── 1. Brand kit injection ────────────────────────────────────────────────
+    // An explicit brand_kit_id must belong to this client; otherwise the
+    // default kit is used when apply_brand_kit is set.
     let brandKit = null;
-    if (apply_brand_kit) {
-      brandKit = await getBrandKitByClientId(req.clientId);
+    if (brand_kit_id || apply_brand_kit) {
+      brandKit = await resolveBrandKit(req.clientId, brand_kit_id);
+      if (brand_kit_id && !brandKit) return res.status(404).json({ error: 'Brand kit not found' });
+    }
+    const brandPrompt = buildBrandPrompt(prompt.trim(), apply_brand_kit ? brandKit : null);
+    const finalPrompt = cutoutMode ? buildScenePrompt(brandPrompt, composite.placement) : brandPrompt;
+
+    // A template's dimensions decide the output size unless width/height are given
+    let outputSize = requested.size;
+    if (templateId) {
+      const template = await getTemplateById(templateId);
+      if (!template) return res.status(404).json({ error: 'Template not found' });
+      const dims = template.dimensions;
+      if (!outputSize && dims && !validateOutputSize(dims.width, dims.height).length) {
+        outputSize = { width: dims.width, height: dims.height };
+      }
+    }
+
+    // Only assets are cut out: a product_image_url must be the file_url of
+    // one of this client's assets, which is then used as product_asset_id
+    if (composite && composite.asset_id == null) {
+      const asset = await getAssetByFileUrl(productAssetUrl, req.clientId);
+      if (!asset) {
+        return res.status(400).json({
+          errors: ['product_image_url must be the file_url of one of your product image assets in mode "product_cutout" — or send product_asset_id'],
+        });
+      }
+      composite = { ...composite, asset_id: asset.id };
+    }
+
+    // The product asset must be this client's and a product image
+    if (composite?.asset_id != null) {
+      const asset = await getAssetById(composite.asset_id, req.clientId);
+      if (!asset) return res.status(404).json({ error: 'Product asset not found' });
+      if (asset.category !== CUTOUT_CATEGORY) {
+        return res.status(422).json({ error: `Asset ${asset.id} is not a product image (category "${asset.category}")` });
+      }
     }
-    const finalPrompt = buildBrandPrompt(prompt.trim(), brandKit);
 
     // ── 2. Persist the intent immediately ─────────────────────────────────────
     // Parse asset_ids — accept JSON string or native array
@@ -113,10 +298,10 @@ router.post('/', async (req, res, next) => {
       } catch { /* ignore malformed input */ }
     }
 
-    generation = await createGeneration({
+    const generation = await createGeneration({
       client_id:    req.clientId,
-      brand_kit_id: brand_kit_id ? parseInt(brand_kit_id, 10) : null,
-      template_id:  template_id  ? parseInt(template_id, 10)  : null,
+      brand_kit_id: brandKit?.id ?? null,
+      template_id:  templateId,
       prompt:       prompt.trim(),
       headline:     headline  || null,
       body_copy:    body_copy || null,
@@ -124,66 +309,50 @@ router.post('/', async (req, res, next) => {
       concept:      concept   || null,
       avatar:       avatar    || null,
       asset_ids:    parsedAssetIds,
-    });
-
-    await updateGeneration(generation.id, req.clientId, { status: 'processing' });
-
-    // ── 3. Call FAL ──────────────────────────────────────────────────────────
-    const result = await generateImages(finalPrompt, {
-      imageSize,
-      numImages,
-      imageUrl,
-      strength: resolvedStrength,
-    });
-
-    // ── 4. Persist normalised result ─────────────────────────────────────────
-    const done = await updateGeneration(generation.id, req.clientId, {
-      status:             'done',
-      generated_images:   result.images,
-      selected_image_url: result.images[0]?.url || null,
       metadata: {
-        fal_request_id:      result.requestId,
-        seed:                result.seed,
-        model:               result.model,
+        provider,
         num_images:          numImages,
-        image_size:          imageSize,
+        image_size:          outputSize ? null : imageSize,
+        output_size:         outputSize,
         apply_brand_kit:     Boolean(apply_brand_kit),
         augmented_prompt:    finalPrompt,
         reference_image_url: reference_image_url || null,
         product_image_url:   product_image_url   || null,
         ...(imageUrl && { strength: resolvedStrength }),
+        ...(cutoutMode && {
+          mode:             'product_cutout',
+          product_asset_id: composite.asset_id,
+          composite:        { placement: composite.placement, scale: composite.scale, shadow: composite.shadow },
+        }),
       },
     });
 
-    return res.status(201).json({ generation: done });
+    // ── 3. Queue the provider call ───────────────────────────────────────────
+    const job = await enqueueJob({
+      client_id:     req.clientId,
+      type:          'generate',
+      generation_id: generation.id,
+      payload: {
+        prompt:      finalPrompt,
+        provider,
+        image_size:  imageSize,
+        output_size: outputSize,
+        num_images:  numImages,
+        image_url:   imageUrl,
+        strength:    imageUrl ? resolvedStrength : null,
+        ...(composite && { composite }),
+      },
+    });
 
+    return res.status(202).json({ job_id: job.id, generation });
   } catch (err) {
-    // ── 5. Actionable FAL error → mark failed, return structured response ─────
-    if (generation) {
-      const label =
-        err.code === 'FAL_KEY_MISSING' ? 'Image generation is not configured (FAL_KEY missing)'
-        : err.code === 'FAL_TIMEOUT'   ? 'Image generation timed out — please try again'
-        :                                `Image generation failed: ${err.message}`;
-
-      try {
-        const failed = await updateGeneration(generation.id, req.clientId, {
-          status: 'failed',
-          error:  label,
-        });
-        const status = err.code === 'FAL_KEY_MISSING' ? 503 : 502;
-        return res.status(status).json({ error: label, generation: failed });
-      } catch {
-        // DB update itself failed — fall through to global handler
-      }
-    }
-
     next(err);
   }
 });
 
 // ── POST /api/generate/edit ───────────────────────────────────────────────────
-// Creates a variation of an existing generation using img2img.
-// Fetches the source generation's selected image and re-runs FAL with a new prompt.
+// Queues a variation of an existing generation using img2img.
+// Uses the source generation's selected image as the base with a new prompt.
 //
 // Body:
 //   generation_id    {number}   required — source generation
@@ -194,12 +363,16 @@ router.post('/', async (req, res, next) => {
 //   concept          {string}   optional — stored only
 //   avatar           {string}   optional — stored only
 //   apply_brand_kit  {boolean}  optional — inject brand constraints into prompt
+//   brand_kit_id     {number}   optional — kit to use (default: the source's kit, then the client default)
 //   strength         {number}   optional — img2img denoising 0–1 (default 0.85)
 //   num_images       {number}   optional — variants 1–4 (default 1)
 //   image_size       {string}   optional — FAL size preset (default: inherits from source)
+//   width, height    {number}   optional — exact output pixels, 64–4096 (default: the source's
+//                                          exact size, unless image_size is given)
+//   provider         {string}   optional — image provider (default: client setting, then IMAGE_PROVIDER)
 //
-// Success → 201 { generation }
-// Source not found / wrong status → 404 / 422
+// Success → 202 { job_id, generation }
+// Invalid size → 400 { errors }; source not found / wrong status → 404 / 422
 
 router.post('/edit', async (req, res, next) => {
   const {
@@ -211,6 +384,7 @@ router.post('/edit', async (req, res, next) => {
     concept,
     avatar,
     apply_brand_kit,
+    brand_kit_id,
     strength,
     num_images,
     image_size,
@@ -224,6 +398,12 @@ router.post('/edit', async (req, res, next) => {
     return res.status(400).json({ error: 'prompt is required' });
   }
 
+  const provider = pickProvider(req);
+  if (!provider) return res.status(400).json({ error: `Unknown image provider "${req.body.provider}"` });
+
+  const requested = parseOutputSize(req.body);
+  if (requested.errors.length) return res.status(400).json({ errors: requested.errors });
+
   // ── 1. Load source generation (client-scoped) ──────────────────────────────
   const source = await getGenerationById(sourceId, req.clientId).catch(() => null);
   if (!source) return res.status(404).json({ error: 'Source generation not found' });
@@ -234,13 +414,7 @@ router.post('/edit', async (req, res, next) => {
     });
   }
 
-  // Resolve source image: selected → first in generated_images
-  let sourceImageUrl = source.selected_image_url;
-  if (!sourceImageUrl) {
-    const images = Array.isArray(source.generated_images) ? source.generated_images : [];
-    const first  = images[0];
-    sourceImageUrl = typeof first === 'string' ? first : (first?.url || null);
-  }
+  const sourceImageUrl = sourceImageOf(source);
   if (!sourceImageUrl) {
     return res.status(422).json({ error: 'Source generation has no image to vary from.' });
   }
@@ -252,24 +426,29 @@ router.post('/edit', async (req, res, next) => {
   const imageSize       = VALID_IMAGE_SIZES.has(image_size)
     ? image_size
     : (VALID_IMAGE_SIZES.has(inheritedSize) ? inheritedSize : 'square_hd');
+  const outputSize      = requested.size
+    ?? (VALID_IMAGE_SIZES.has(image_size) ? null : (sourceMetadata.output_size || null));
   const resolvedStrength = strength != null
     ? Math.min(Math.max(parseFloat(strength), 0), 1)
     : 0.85;
 
-  let generation;
-
   try {
     // ── 3. Brand kit injection ───────────────────────────────────────────────
+    // Variants stay on the source's kit unless the request names another.
     let brandKit = null;
-    if (apply_brand_kit) {
-      brandKit = await getBrandKitByClientId(req.clientId);
+    if (brand_kit_id) {
+      brandKit = await resolveBrandKit(req.clientId, brand_kit_id);
+      if (!brandKit) return res.status(404).json({ error: 'Brand kit not found' });
+    } else if (apply_brand_kit) {
+      brandKit = await resolveBrandKit(req.clientId, source.brand_kit_id);
+      if (!brandKit && source.brand_kit_id) brandKit = await resolveBrandKit(req.clientId, null);
     }
-    const finalPrompt = buildBrandPrompt(prompt.trim(), brandKit);
+    const finalPrompt = buildBrandPrompt(prompt.trim(), apply_brand_kit ? brandKit : null);
 
     // ── 4. Persist new generation record ────────────────────────────────────
-    generation = await createGeneration({
+    const generation = await createGeneration({
       client_id:    req.clientId,
-      brand_kit_id: source.brand_kit_id  || null,
+      brand_kit_id: brandKit?.id ?? source.brand_kit_id ?? null,
       template_id:  source.template_id   || null,
       prompt:       prompt.trim(),
       headline:     headline  || null,
@@ -278,29 +457,11 @@ router.post('/edit', async (req, res, next) => {
       concept:      concept   || null,
       avatar:       avatar    || null,
       asset_ids:    Array.isArray(source.asset_ids) ? source.asset_ids : [],
-    });
-
-    await updateGeneration(generation.id, req.clientId, { status: 'processing' });
-
-    // ── 5. Call FAL img2img ──────────────────────────────────────────────────
-    const result = await generateImages(finalPrompt, {
-      imageSize,
-      numImages,
-      imageUrl: sourceImageUrl,
-      strength: resolvedStrength,
-    });
-
-    // ── 6. Persist result ────────────────────────────────────────────────────
-    const done = await updateGeneration(generation.id, req.clientId, {
-      status:             'done',
-      generated_images:   result.images,
-      selected_image_url: result.images[0]?.url || null,
       metadata: {
-        fal_request_id:        result.requestId,
-        seed:                  result.seed,
-        model:                 result.model,
+        provider,
         num_images:            numImages,
-        image_size:            imageSize,
+        image_size:            outputSize ? null : imageSize,
+        output_size:           outputSize,
         apply_brand_kit:       Boolean(apply_brand_kit),
         augmented_prompt:      finalPrompt,
         strength:              resolvedStrength,
@@ -309,27 +470,166 @@ router.post('/edit', async (req, res, next) => {
       },
     });
 
-    return res.status(201).json({ generation: done });
+    // ── 5. Queue the img2img call ───────────────────────────────────────────
+    const job = await enqueueJob({
+      client_id:     req.clientId,
+      type:          'generate',
+      generation_id: generation.id,
+      payload: {
+        prompt:      finalPrompt,
+        provider,
+        image_size:  imageSize,
+        output_size: outputSize,
+        num_images:  numImages,
+        image_url:   sourceImageUrl,
+        strength:    resolvedStrength,
+      },
+    });
 
+    return res.status(202).json({ job_id: job.id, generation });
   } catch (err) {
-    if (generation) {
-      const label =
-        err.code === 'FAL_KEY_MISSING' ? 'Image generation is not configured (FAL_KEY missing)'
-        : err.code === 'FAL_TIMEOUT'   ? 'Image generation timed out — please try again'
-        :                                `Image generation failed: ${err.message}`;
+    next(err);
+  }
+});
 
-      try {
-        const failed = await updateGeneration(generation.id, req.clientId, {
-          status: 'failed',
-          error:  label,
-        });
-        const status = err.code === 'FAL_KEY_MISSING' ? 503 : 502;
-        return res.status(status).json({ error: label, generation: failed });
-      } catch {
-        // fall through to global handler
+// ── POST /api/generate/inpaint ────────────────────────────────────────────────
+// Queues a masked edit of one image of an existing generation: only the
+// mask's white area is redrawn from the prompt, the rest is kept. The result
+// is a child generation (metadata.parent_generation_id, mode "inpaint") that
+// keeps the normalised mask at metadata.mask_url.
+//
+// multipart/form-data (or JSON when reusing a stored mask):
+//   generation_id    {number}   required — source generation
+//   prompt           {string}   required — what to paint in the masked region
+//   mask             {file}     mask image (png/jpeg/webp/svg) — white = redraw, black or transparent = keep
+//   mask_url         {string}   alternative to the file — the stored mask of one of your earlier
+//                               inpaint generations (its metadata.mask_url) or an asset's file_url
+//   image_url        {string}   optional — which of the source's images to edit (default: its selected image)
+//   strength         {number}   optional — denoising inside the mask 0–1 (default 0.85)
+//   num_images       {number}   optional — variants 1–4 (default 1)
+//   width, height    {number}   optional — exact output size in px (default: the source's output_size)
+//   provider         {string}   optional — image provider (default: client setting, then IMAGE_PROVIDER)
+//   headline, body_copy, cta    optional — default to the source's copy
+//
+// The mask is resized to the source image and thresholded before it is stored.
+//
+// Success → 202 { job_id, generation }
+// Validation (including a mask_url that is not yours) → 400 { errors };
+// source not found → 404; source not done, no image, or an empty mask → 422
+
+router.post('/inpaint', uploadMask.single('mask'), async (req, res, next) => {
+  const body = req.body || {};
+  const errors = [];
+
+  const sourceId = parseInt(body.generation_id, 10);
+  if (isNaN(sourceId)) errors.push('generation_id is required and must be a number');
+  if (typeof body.prompt !== 'string' || !body.prompt.trim()) errors.push('prompt is required');
+  if (!req.file && !body.mask_url) errors.push('a mask file (field "mask") or mask_url is required');
+
+  const strength = body.strength != null && body.strength !== '' ? parseFloat(body.strength) : 0.85;
+  if (!Number.isFinite(strength) || strength < 0 || strength > 1) errors.push('strength must be a number between 0 and 1');
+
+  const requested = parseOutputSize(body);
+  errors.push(...requested.errors);
+  if (errors.length) return res.status(400).json({ errors });
+
+  const provider = pickProvider(req);
+  if (!provider) return res.status(400).json({ error: `Unknown image provider "${body.provider}"` });
+
+  const numImages = Math.min(Math.max(parseInt(body.num_images ?? 1, 10) || 1, 1), 4);
+
+  try {
+    // ── 1. Load the source and the image to edit ─────────────────────────────
+    const source = await getGenerationById(sourceId, req.clientId);
+    if (!source) return res.status(404).json({ error: 'Source generation not found' });
+    if (source.status !== 'done') {
+      return res.status(422).json({
+        error: `Source generation has status "${source.status}". Only completed generations can be edited.`,
+      });
+    }
+
+    const imageUrl = body.image_url || sourceImageOf(source);
+    if (!imageUrl) return res.status(422).json({ error: 'Source generation has no image to edit.' });
+    if (body.image_url && ![source.selected_image_url, ...imageUrlsOf(source)].includes(body.image_url)) {
+      return res.status(400).json({ errors: ['image_url must be one of the source generation\'s images'] });
+    }
+
+    // A mask_url is only read when it is one of this client's stored masks or
+    // assets — never an arbitrary stored file or remote URL
+    if (!req.file) {
+      const ownMask = await isGenerationMask(body.mask_url, req.clientId)
+        || Boolean(await getAssetByFileUrl(body.mask_url, req.clientId));
+      if (!ownMask) {
+        return res.status(400).json({ errors: ['mask_url must be the mask of one of your inpaint generations or one of your assets'] });
       }
     }
 
+    // ── 2. Normalise and store the mask ──────────────────────────────────────
+    let mask;
+    try {
+      const { width, height } = await sharp(await loadImageBuffer(imageUrl)).metadata();
+      const raw = req.file ? req.file.buffer : await loadImageBuffer(body.mask_url);
+      mask = await prepareMask(raw, width, height);
+    } catch (err) {
+      if (err.code === 'COMPOSE_MASK_INVALID')      return res.status(400).json({ errors: [err.message] });
+      if (err.code === 'COMPOSE_IMAGE_FETCH_ERROR') return res.status(502).json({ error: `Could not acquire image: ${err.message}` });
+      throw err;
+    }
+    if (mask.coverage === 0) return res.status(422).json({ error: 'Mask is empty — paint the area to change in white.' });
+
+    const maskKey          = `masks/${Date.now()}-${crypto.randomBytes(10).toString('hex')}.png`;
+    const { url: maskUrl } = await putFile(maskKey, mask.buffer, { contentType: 'image/png' });
+
+    // ── 3. Persist the child generation ──────────────────────────────────────
+    const sourceMetadata = source.metadata || {};
+    const prompt         = body.prompt.trim();
+    const imageSize      = sourceMetadata.image_size || 'square_hd';
+    const outputSize     = requested.size ?? sourceMetadata.output_size ?? null;
+    const generation = await createGeneration({
+      client_id:    req.clientId,
+      brand_kit_id: source.brand_kit_id || null,
+      template_id:  source.template_id  || null,
+      prompt,
+      headline:     body.headline  ?? source.headline  ?? null,
+      body_copy:    body.body_copy ?? source.body_copy ?? null,
+      cta:          body.cta       ?? source.cta       ?? null,
+      concept:      source.concept || null,
+      avatar:       source.avatar  || null,
+      asset_ids:    Array.isArray(source.asset_ids) ? source.asset_ids : [],
+      metadata: {
+        provider,
+        mode:                 'inpaint',
+        num_images:           numImages,
+        image_size:           outputSize ? null : imageSize,
+        output_size:          outputSize,
+        augmented_prompt:     prompt,
+        strength,
+        parent_generation_id: source.id,
+        parent_image_url:     imageUrl,
+        mask_url:             maskUrl,
+        mask_coverage:        mask.coverage,
+      },
+    });
+
+    // ── 4. Queue the inpainting call ─────────────────────────────────────────
+    const job = await enqueueJob({
+      client_id:     req.clientId,
+      type:          'generate',
+      generation_id: generation.id,
+      payload: {
+        prompt,
+        provider,
+        image_size:  imageSize,
+        output_size: outputSize,
+        num_images:  numImages,
+        image_url:   imageUrl,
+        mask_url:    maskUrl,
+        strength,
+      },
+    });
+
+    return res.status(202).json({ job_id: job.id, generation });
+  } catch (err) {
     next(err);
   }
 });
@@ -1,15 +1,34 @@
 const express  = require('express');
 const path     = require('path');
-const fs       = require('fs');
 const crypto   = require('crypto');
-const https    = require('https');
-const http     = require('http');
+const sharp    = require('sharp');
 
 const { clientScope }                          = require('../middleware/clientScope');
-const { resolveUploadPath }                    = require('../middleware/upload');
-const { getGenerationById, getAllGenerations }  = require('../database/generations');
+const { putFile, removeStoredFile }            = require('../services/storage');
+const {
+  createGeneration,
+  getGenerationById,
+  getAllGenerations,
+  getGenerationLineage,
+  updateGenerationImage,
+} = require('../database/generations');
 const { getTemplateById }   = require('../database/templates');
 const { createTemplate }    = require('../database/templates');
+const { resolveBrandKit }   = require('../database/brandKits');
+const { createAsset }       = require('../database/assets');
+const { findTags, getTagsForGenerations } = require('../database/campaignTags');
+const { composeAd, loadImageBuffer } = require('../services/compositor');
+const { streamProgress, generationProgress } = require('../services/progress');
+const { enqueueJob }                = require('../services/jobQueue');
+const { isImageProvider, resolveImageProvider } = require('../services/imageProvider');
+const {
+  PLACEMENTS,
+  PLACEMENT_METHODS,
+  templateSafeArea,
+  mergeSafeAreas,
+  choosePlacementMethod,
+  buildOutpaintPrompt,
+} = require('../services/placements');
 
 const router = express.Router();
 
@@ -18,8 +37,6 @@ router.use(clientScope);
 
 // ── Image acquisition helpers ─────────────────────────────────────────────────
 
-const THUMBNAILS_DIR = path.join(__dirname, '../public/uploads/thumbnails');
-
 // Determines extension from a URL or filename, defaulting to .jpg
 function extFromUrl(url) {
   const clean = url.split('?')[0];
@@ -32,64 +49,33 @@ function makeFilename(ext) {
   return `${Date.now()}-${crypto.randomBytes(10).toString('hex')}${ext}`;
 }
 
-// Copy a local public file (path like "/uploads/assets/foo.jpg") to thumbnails/
-async function copyLocalImage(publicPath) {
-  const src = resolveUploadPath(publicPath);
-  if (!src) throw new Error(`Invalid local image path: ${publicPath}`);
-  const ext  = extFromUrl(publicPath);
-  const name = makeFilename(ext);
-  const dest = path.join(THUMBNAILS_DIR, name);
-  await fs.promises.copyFile(src, dest);
-  return `/uploads/thumbnails/${name}`;
-}
-
-// Download a remote image URL and save to thumbnails/
-function downloadRemoteImage(url) {
-  return new Promise((resolve, reject) => {
-    const ext      = extFromUrl(url);
-    const name     = makeFilename(ext);
-    const dest     = path.join(THUMBNAILS_DIR, name);
-    const file     = fs.createWriteStream(dest);
-    const protocol = url.startsWith('https') ? https : http;
-
-    protocol.get(url, (res) => {
-      if (res.statusCode !== 200) {
-        file.close();
-        fs.unlink(dest, () => {});
-        return reject(new Error(`Failed to download image: HTTP ${res.statusCode}`));
-      }
-      res.pipe(file);
-      file.on('finish', () => {
-        file.close();
-        resolve(`/uploads/thumbnails/${name}`);
-      });
-    }).on('error', (err) => {
-      file.close();
-      fs.unlink(dest, () => {});
-      reject(err);
-    });
-  });
-}
-
-// Acquire an image from either a local public path or a remote URL.
-// Returns the new public path of the saved thumbnail.
+// Copies an image — a stored file ("/uploads/…", storage URL) or a remote
+// URL — into thumbnails/. Returns the new file's public URL.
 async function acquireImage(imageUrl) {
-  if (imageUrl.startsWith('/')) {
-    return copyLocalImage(imageUrl);
-  }
-  return downloadRemoteImage(imageUrl);
+  const buffer  = await loadImageBuffer(imageUrl);
+  const { url } = await putFile(`thumbnails/${makeFilename(extFromUrl(imageUrl))}`, buffer);
+  return url;
 }
 
 // ── Metadata helpers ──────────────────────────────────────────────────────────
 
-// Resolve the image to use: body override → selected → first in generated_images
+// URLs of every image the generation holds (plain strings or { url } objects)
+function generationImageUrls(generation) {
+  const images = Array.isArray(generation.generated_images) ? generation.generated_images : [];
+  return images.map(img => (typeof img === 'string' ? img : img?.url)).filter(Boolean);
+}
+
+// Resolve the image to use: body override → selected → first non-archived in
+// generated_images (→ first of any status). A body override must be one of
+// the generation's own images — it is fetched server-side — and resolves to
+// null otherwise.
 function resolveImageUrl(generation, bodyImageUrl) {
-  if (bodyImageUrl) return bodyImageUrl;
+  if (bodyImageUrl) return generationImageUrls(generation).includes(bodyImageUrl) ? bodyImageUrl : null;
   if (generation.selected_image_url) return generation.selected_image_url;
 
   const images = generation.generated_images;
   if (Array.isArray(images) && images.length > 0) {
-    const first = images[0];
+    const first = images.find(img => img?.status !== 'archived') ?? images[0];
     // Support both plain strings and { url } objects
     return typeof first === 'string' ? first : (first?.url || null);
   }
@@ -128,15 +114,580 @@ async function resolveDimensions(generation) {
 }
 
 // ── GET /api/generations ──────────────────────────────────────────────────────
-// List generations for the active client, newest first.
-// Query: ?limit= (max 100, default 50)  ?offset= (default 0)
+// List generations for the active client, newest first. Each generation carries
+// its campaign tags as tags: [{ id, client_id, name, slug, color }].
+//
+// Query (all optional):
+//   limit              max 100, default 50
+//   cursor             next_cursor from the previous page
+//   offset             legacy paging, ignored when cursor is set
+//   status             comma-separated: pending, processing, done, failed
+//   brand_kit_id       number
+//   template_id        number
+//   campaign_batch_id  number
+//   persona, angle     exact match (case-insensitive) on metadata.persona / .angle
+//   asset_id           generations that used this brand asset
+//   from, to           ISO dates — created_at >= from, created_at < to
+//   q                  full-text search over headline, concept and prompt
+//                      (web-search syntax: "quoted phrase", -exclude, or)
+//   tags               comma-separated campaign tag ids or slugs
+//   tag_match          "any" (default) | "all"
+//   selected           "true" | "false" — has a selected image or not
+//   min_score          1–5 — at least one image scored this high
+//   image_status       "ready" | "archived" — at least one image in this state
+//
+// Returns { generations, next_cursor } — next_cursor is null on the last page.
+
+const GENERATION_STATUSES = new Set(['pending', 'processing', 'done', 'failed']);
+const IMAGE_STATUSES      = new Set(['ready', 'archived']);
+
+// Parses req.query into getAllGenerations() filters. Returns { filters, errors }.
+function parseHistoryQuery(query) {
+  const errors  = [];
+  const filters = {
+    limit:  Math.min(parseInt(query.limit || '50', 10) || 50, 100),
+    offset: Math.max(parseInt(query.offset || '0', 10) || 0, 0),
+  };
+
+  if (query.cursor) filters.cursor = String(query.cursor);
+
+  if (query.status) {
+    const statuses = String(query.status).split(',').map(v => v.trim()).filter(Boolean);
+    const bad      = statuses.filter(v => !GENERATION_STATUSES.has(v));
+    if (bad.length) errors.push(`status contains unknown values: ${bad.join(', ')}`);
+    else filters.status = statuses;
+  }
+
+  const INT_PARAMS = {
+    brand_kit_id:      'brandKitId',
+    template_id:       'templateId',
+    campaign_batch_id: 'campaignBatchId',
+    asset_id:          'assetId',
+  };
+  for (const [param, key] of Object.entries(INT_PARAMS)) {
+    if (query[param] === undefined || query[param] === '') continue;
+    const value = Number(query[param]);
+    if (!Number.isInteger(value)) errors.push(`${param} must be an integer`);
+    else filters[key] = value;
+  }
+
+  if (query.persona) filters.persona = String(query.persona).trim();
+  if (query.angle)   filters.angle   = String(query.angle).trim();
+
+  for (const [param, key] of [['from', 'createdFrom'], ['to', 'createdTo']]) {
+    if (!query[param]) continue;
+    const date = new Date(String(query[param]));
+    if (isNaN(date.getTime())) errors.push(`${param} must be an ISO date`);
+    else filters[key] = date;
+  }
+
+  if (query.q && String(query.q).trim()) filters.search = String(query.q).trim().slice(0, 200);
+
+  if (query.selected === 'true' || query.selected === 'false') filters.hasSelection = query.selected === 'true';
+  else if (query.selected !== undefined) errors.push('selected must be true or false');
+
+  if (query.min_score !== undefined && query.min_score !== '') {
+    const score = Number(query.min_score);
+    if (!Number.isInteger(score) || score < 1 || score > 5) errors.push('min_score must be an integer 1–5');
+    else filters.minScore = score;
+  }
+
+  if (query.image_status) {
+    if (!IMAGE_STATUSES.has(query.image_status)) errors.push('image_status must be ready or archived');
+    else filters.imageStatus = query.image_status;
+  }
+
+  filters.tagMatch = query.tag_match === 'all' ? 'all' : 'any';
+  return { filters, errors };
+}
 
 router.get('/', async (req, res, next) => {
   try {
-    const limit  = Math.min(parseInt(req.query.limit  || '50', 10) || 50, 100);
-    const offset = Math.max(parseInt(req.query.offset || '0',  10) || 0,  0);
-    const generations = await getAllGenerations(req.clientId, { limit, offset });
-    res.json({ generations });
+    const { filters, errors } = parseHistoryQuery(req.query);
+    if (errors.length) return res.status(400).json({ errors });
+
+    if (req.query.tags) {
+      filters.tagIds = await resolveTagFilter(req.clientId, String(req.query.tags), filters.tagMatch);
+      if (filters.tagIds === null) return res.json({ generations: [], next_cursor: null });
+    }
+
+    let page;
+    try {
+      page = await getAllGenerations(req.clientId, filters);
+    } catch (err) {
+      if (err.code === 'INVALID_CURSOR') return res.status(400).json({ error: 'Invalid cursor' });
+      throw err;
+    }
+
+    const { generations, nextCursor } = page;
+    const tagMap = await getTagsForGenerations(generations.map(g => g.id));
+    for (const g of generations) g.tags = tagMap[g.id] || [];
+
+    res.json({ generations, next_cursor: nextCursor });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// Maps "3,spring-sale" to visible tag ids. Returns null when nothing can match:
+// no token resolved, or (for "all") any token did not resolve.
+async function resolveTagFilter(clientId, raw, tagMatch) {
+  const tokens = [...new Set(raw.split(',').map(t => t.trim().toLowerCase()).filter(Boolean))];
+  if (!tokens.length) return undefined;
+
+  const ids   = tokens.filter(t => /^\d+$/.test(t)).map(Number);
+  const slugs = tokens.filter(t => !/^\d+$/.test(t));
+  const found = await findTags(clientId, { ids, slugs });
+
+  const resolved = tokens.filter(t => found.some(tag => String(tag.id) === t || tag.slug === t));
+  if (!resolved.length || (tagMatch === 'all' && resolved.length < tokens.length)) return null;
+  return [...new Set(found.map(tag => tag.id))];
+}
+
+// ── GET /api/generations/:id/events ───────────────────────────────────────────
+// Server-Sent Events stream of one generation's progress. Sends the current
+// state immediately, then every status change until the generation reaches
+// 'done' or 'failed', then closes.
+//
+// Event "generation":
+//   { generation_id, campaign_batch_id, status, generated_images,
+//     selected_image_url, error, updated_at }
+
+const FINISHED_STATUSES = new Set(['done', 'failed']);
+
+router.get('/:id/events', async (req, res, next) => {
+  try {
+    const generationId = parseInt(req.params.id, 10);
+    if (isNaN(generationId)) return res.status(400).json({ error: 'Invalid generation ID' });
+
+    const opened = await streamProgress(req, res, {
+      topic:    `generation:${generationId}`,
+      snapshot: async () => {
+        const generation = await getGenerationById(generationId, req.clientId);
+        return generation && { event: 'generation', data: generationProgress(generation) };
+      },
+      isFinished: msg => FINISHED_STATUSES.has(msg.data.status),
+    });
+    if (!opened) return res.status(404).json({ error: 'Generation not found' });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── GET /api/generations/:id/lineage ──────────────────────────────────────────
+// The whole variation family of a generation: its root ancestor and every
+// descendant created from it (via metadata.parent_generation_id).
+//
+// Returns:
+//   {
+//     focus_id, root_id, total,
+//     tree: {
+//       id, parent_id, depth, status, prompt, headline, image_url,
+//       parent_image_url, strength, mode, created_at,
+//       prompt_change: { added[], removed[] } | null   — words vs the parent prompt
+//       children: [ …same shape ]
+//     }
+//   }
+
+function promptWords(prompt) {
+  return (prompt || '').toLowerCase().match(/[\p{L}\p{N}'-]+/gu) || [];
+}
+
+// Word-level change between a parent prompt and its child.
+function diffPrompt(parentPrompt, prompt) {
+  const before = new Set(promptWords(parentPrompt));
+  const after  = new Set(promptWords(prompt));
+  return {
+    added:   [...after].filter(w => !before.has(w)),
+    removed: [...before].filter(w => !after.has(w)),
+  };
+}
+
+function buildLineageTree(rows) {
+  const nodes = new Map();
+  for (const row of rows) {
+    const meta = row.metadata || {};
+    nodes.set(row.id, {
+      id:               row.id,
+      parent_id:        meta.parent_generation_id ?? null,
+      depth:            row.depth,
+      status:           row.status,
+      prompt:           row.prompt,
+      headline:         row.headline,
+      image_url:        resolveImageUrl(row),
+      parent_image_url: meta.parent_image_url ?? null,
+      strength:         meta.strength ?? null,
+      mode:             meta.mode || (meta.parent_generation_id ? 'variation' : 'original'),
+      created_at:       row.created_at,
+      prompt_change:    null,
+      children:         [],
+    });
+  }
+
+  let root = null;
+  for (const node of nodes.values()) {
+    const parent = nodes.get(node.parent_id);
+    if (parent && node.depth > 0) {
+      node.prompt_change = diffPrompt(parent.prompt, node.prompt);
+      parent.children.push(node);
+    } else if (!root || node.depth < root.depth) {
+      root = node;
+    }
+  }
+  return root;
+}
+
+router.get('/:id/lineage', async (req, res, next) => {
+  try {
+    const generationId = parseInt(req.params.id, 10);
+    if (isNaN(generationId)) return res.status(400).json({ error: 'Invalid generation id' });
+
+    const rows = await getGenerationLineage(generationId, req.clientId);
+    if (!rows) return res.status(404).json({ error: 'Generation not found' });
+
+    const tree = buildLineageTree(rows);
+    res.json({
+      focus_id: generationId,
+      root_id:  tree?.id ?? generationId,
+      total:    rows.length,
+      tree,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── PATCH /api/generations/:id/images/:index ──────────────────────────────────
+// Curates one variant in generated_images (by array index).
+//
+// Body (any combination):
+//   selected  {boolean}          true picks this variant (selected_image_url follows);
+//                                false clears the selection if it is this variant
+//   score     {number|null}      1–5, or null to clear
+//   thumbs    {"up"|"down"|null} shorthand for score 5 / 1 / null
+//   status    {"ready"|"archived"} archive or restore; archiving the selected
+//                                variant clears the selection
+//
+// Returns { generation } — the updated row.
+
+const THUMBS_TO_SCORE = { up: 5, down: 1 };
+
+router.patch('/:id/images/:index', async (req, res, next) => {
+  try {
+    const generationId = parseInt(req.params.id, 10);
+    const index        = parseInt(req.params.index, 10);
+    if (isNaN(generationId)) return res.status(400).json({ error: 'Invalid generation id' });
+    if (isNaN(index) || index < 0) return res.status(400).json({ error: 'Invalid image index' });
+
+    const body    = req.body || {};
+    const changes = {};
+    const errors  = [];
+
+    if ('selected' in body) {
+      if (typeof body.selected !== 'boolean') errors.push('selected must be a boolean');
+      else changes.selected = body.selected;
+    }
+    if ('score' in body && 'thumbs' in body) {
+      errors.push('send either score or thumbs, not both');
+    } else if ('score' in body) {
+      if (body.score !== null && !(Number.isInteger(body.score) && body.score >= 1 && body.score <= 5))
+        errors.push('score must be an integer 1–5 or null');
+      else changes.score = body.score;
+    } else if ('thumbs' in body) {
+      if (body.thumbs !== null && !THUMBS_TO_SCORE[body.thumbs])
+        errors.push('thumbs must be "up", "down" or null');
+      else changes.score = body.thumbs === null ? null : THUMBS_TO_SCORE[body.thumbs];
+    }
+    if ('status' in body) {
+      if (!IMAGE_STATUSES.has(body.status)) errors.push('status must be ready or archived');
+      else changes.status = body.status;
+    }
+    if (!errors.length && !Object.keys(changes).length)
+      errors.push('Provide at least one of: selected, score, thumbs, status');
+    if (errors.length) return res.status(400).json({ errors });
+
+    let generation;
+    try {
+      generation = await updateGenerationImage(generationId, req.clientId, index, changes);
+    } catch (err) {
+      if (err.code === 'IMAGE_NOT_FOUND') return res.status(404).json({ error: err.message });
+      if (err.code === 'IMAGE_ARCHIVED')  return res.status(422).json({ error: err.message });
+      throw err;
+    }
+    if (!generation) return res.status(404).json({ error: 'Generation not found' });
+
+    res.json({ generation });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── POST /api/generations/:id/upscale ─────────────────────────────────────────
+// Queues a 2× or 4× upscale of one of the generation's images. When the job
+// finishes the result is appended to generated_images as a derived variant
+// ({ derived_from, variant: { type: 'upscale', scale, provider, model } })
+// carrying its real width/height, ready for save-as-template. Follow the job
+// with GET /api/jobs/:id.
+//
+// Body (all optional):
+//   image_url  {string}  image to upscale (default: selected → first non-archived)
+//   scale      {number}  2 (default) or 4
+//   provider   {string}  image provider (default: client setting, then IMAGE_PROVIDER)
+//
+// Returns 202 { job_id, image_url, scale }
+// 409 when that image was already upscaled at that scale (returns { error, image })
+// or such an upscale is already queued or running (returns { error, job_id });
+// 422 when the generation is not done or the result would exceed MAX_UPSCALE_SIDE;
+// 502 when the image has no recorded size and cannot be read.
+
+const UPSCALE_FACTORS  = new Set([2, 4]);
+const MAX_UPSCALE_SIDE = 8192;
+
+router.post('/:id/upscale', async (req, res, next) => {
+  try {
+    const generationId = parseInt(req.params.id, 10);
+    if (isNaN(generationId)) return res.status(400).json({ error: 'Invalid generation id' });
+
+    const body   = req.body || {};
+    const scale  = body.scale ?? 2;
+    const errors = [];
+    if (!UPSCALE_FACTORS.has(scale)) errors.push('scale must be 2 or 4');
+    if (body.image_url != null && typeof body.image_url !== 'string') errors.push('image_url must be a string');
+    const provider = resolveImageProvider(body.provider, req.client);
+    if (!isImageProvider(provider)) errors.push(`Unknown image provider "${provider}"`);
+    if (errors.length) return res.status(400).json({ errors });
+
+    const generation = await getGenerationById(generationId, req.clientId);
+    if (!generation) return res.status(404).json({ error: 'Generation not found' });
+    if (generation.status !== 'done') {
+      return res.status(422).json({
+        error: `Cannot upscale a generation with status "${generation.status}". Only completed generations can be upscaled.`,
+      });
+    }
+
+    const images   = Array.isArray(generation.generated_images) ? generation.generated_images : [];
+    const imageUrl = resolveImageUrl(generation, body.image_url);
+    const image    = images.find(img => img?.url === imageUrl);
+    if (!image) {
+      return res.status(body.image_url ? 400 : 422).json({
+        error: body.image_url ? 'image_url is not one of this generation\'s images' : 'Generation has no image to upscale.',
+      });
+    }
+
+    const existing = images.find(img =>
+      img?.derived_from === imageUrl && img.variant?.type === 'upscale' && img.variant.scale === scale
+    );
+    if (existing) {
+      return res.status(409).json({ error: `This image has already been upscaled ${scale}×`, image: existing });
+    }
+
+    let { width, height } = image;
+    if (!width || !height) {
+      try {
+        ({ width, height } = await sharp(await loadImageBuffer(imageUrl)).metadata());
+      } catch (err) {
+        return res.status(502).json({ error: `Could not acquire image: ${err.message}` });
+      }
+    }
+    if (Math.max(width, height) * scale > MAX_UPSCALE_SIDE) {
+      return res.status(422).json({
+        error: `A ${scale}× upscale of a ${width}×${height} image exceeds ${MAX_UPSCALE_SIDE}px`,
+      });
+    }
+
+    let job;
+    try {
+      job = await enqueueJob({
+        client_id:     req.clientId,
+        type:          'upscale',
+        generation_id: generation.id,
+        payload:       { image_url: imageUrl, scale, provider },
+      }, { unlessActive: { image_url: imageUrl, scale } });
+    } catch (err) {
+      if (err.code !== 'JOB_DUPLICATE') throw err;
+      return res.status(409).json({ error: `A ${scale}× upscale of this image is already in progress`, job_id: err.job.id });
+    }
+
+    res.status(202).json({ job_id: job.id, image_url: imageUrl, scale });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── POST /api/generations/:id/placement-pack ──────────────────────────────────
+// Queues one image of a finished generation at every Meta placement size
+// (see services/placements.js). Each size becomes a child generation
+// (metadata.parent_generation_id, mode "placement") sharing one
+// placement_pack_id, so the pack is grouped under the source generation.
+// When the source was made from a template, the template's headline, body,
+// CTA and logo slots widen each placement's safe area so the subject stays
+// clear of the copy.
+//
+// Body (all optional):
+//   image_url   {string}    image to resize (default: selected → first non-archived)
+//   placements  {string[]}  subset of: feed_square, feed_portrait, story, reels, landscape (default: all)
+//   method      {string}    "auto" (default) | "crop" | "outpaint" — auto crops
+//                           close aspect ratios and outpaints the rest
+//   prompt      {string}    scene description for outpainting (default: the source's prompt)
+//   provider    {string}    image provider (default: client setting, then IMAGE_PROVIDER)
+//
+// Returns 202 { placement_pack_id, parent_generation_id, items: [{ placement, method, width, height, job_id, generation }] }
+// 422 when the generation is not done or has no image.
+
+router.post('/:id/placement-pack', async (req, res, next) => {
+  try {
+    const generationId = parseInt(req.params.id, 10);
+    if (isNaN(generationId)) return res.status(400).json({ error: 'Invalid generation id' });
+
+    const body       = req.body || {};
+    const method     = body.method ?? 'auto';
+    const placements = body.placements ?? Object.keys(PLACEMENTS);
+    const errors     = [];
+    if (!PLACEMENT_METHODS.includes(method)) errors.push(`method must be one of: ${PLACEMENT_METHODS.join(', ')}`);
+    if (!Array.isArray(placements) || !placements.length) {
+      errors.push('placements must be a non-empty array');
+    } else {
+      const unknown = placements.filter(p => !PLACEMENTS[p]);
+      if (unknown.length) errors.push(`placements contains unknown values: ${unknown.join(', ')}. Allowed: ${Object.keys(PLACEMENTS).join(', ')}`);
+    }
+    if (body.image_url != null && typeof body.image_url !== 'string') errors.push('image_url must be a string');
+    if (body.prompt != null && typeof body.prompt !== 'string') errors.push('prompt must be a string');
+    const provider = resolveImageProvider(body.provider, req.client);
+    if (!isImageProvider(provider)) errors.push(`Unknown image provider "${provider}"`);
+    if (errors.length) return res.status(400).json({ errors });
+
+    // ── 1. Fetch generation and the image to resize ───────────────────────────
+    const generation = await getGenerationById(generationId, req.clientId);
+    if (!generation) return res.status(404).json({ error: 'Generation not found' });
+    if (generation.status !== 'done') {
+      return res.status(422).json({
+        error: `Cannot resize a generation with status "${generation.status}". Only completed generations can be resized.`,
+      });
+    }
+
+    const images   = Array.isArray(generation.generated_images) ? generation.generated_images : [];
+    const imageUrl = resolveImageUrl(generation, body.image_url);
+    const image    = images.find(img => img?.url === imageUrl);
+    if (!image) {
+      return res.status(body.image_url ? 400 : 422).json({
+        error: body.image_url ? 'image_url is not one of this generation\'s images' : 'Generation has no image to resize.',
+      });
+    }
+
+    let { width, height } = image;
+    if (!width || !height) {
+      try {
+        ({ width, height } = await sharp(await loadImageBuffer(imageUrl)).metadata());
+      } catch (err) {
+        return res.status(502).json({ error: `Could not acquire image: ${err.message}` });
+      }
+    }
+
+    // ── 2. Plan each placement ────────────────────────────────────────────────
+    const template     = generation.template_id ? await getTemplateById(generation.template_id) : null;
+    const templateSafe = templateSafeArea(template);
+    const meta         = generation.metadata || {};
+    const prompt       = buildOutpaintPrompt(body.prompt?.trim() || meta.augmented_prompt || generation.prompt);
+    const packId       = crypto.randomBytes(8).toString('hex');
+
+    // ── 3. Persist one child generation per placement and queue it ────────────
+    const items = [];
+    for (const key of [...new Set(placements)]) {
+      const placement = PLACEMENTS[key];
+      const size      = { width: placement.width, height: placement.height };
+      const safeArea  = mergeSafeAreas(placement.safe, templateSafe);
+      const chosen    = choosePlacementMethod(width, height, placement, method);
+
+      const child = await createGeneration({
+        client_id:    req.clientId,
+        brand_kit_id: generation.brand_kit_id || null,
+        template_id:  generation.template_id  || null,
+        prompt:       generation.prompt,
+        headline:     generation.headline,
+        body_copy:    generation.body_copy,
+        cta:          generation.cta,
+        concept:      generation.concept || null,
+        avatar:       generation.avatar  || null,
+        asset_ids:    Array.isArray(generation.asset_ids) ? generation.asset_ids : [],
+        metadata: {
+          provider,
+          mode:                 'placement',
+          placement:            key,
+          placement_label:      placement.label,
+          placement_size:       size,
+          placement_method:     chosen,
+          placement_pack_id:    packId,
+          safe_area:            safeArea,
+          augmented_prompt:     prompt,
+          parent_generation_id: generation.id,
+          parent_image_url:     imageUrl,
+        },
+      });
+
+      const job = await enqueueJob({
+        client_id:     req.clientId,
+        type:          'placement',
+        generation_id: child.id,
+        payload: {
+          image_url: imageUrl,
+          placement: key,
+          ...size,
+          method:    chosen,
+          safe_area: safeArea,
+          prompt,
+          provider,
+        },
+      });
+
+      items.push({ placement: key, method: chosen, ...size, job_id: job.id, generation: child });
+    }
+
+    res.status(202).json({ placement_pack_id: packId, parent_generation_id: generation.id, items });
+  } catch (err) {
+    next(err);
+  }
+});
+
+// ── GET /api/generations/:id/placement-packs ──────────────────────────────────
+// The placement packs made from a generation, newest first.
+//
+// Returns { packs: [{ placement_pack_id, image_url, created_at,
+//   items: [{ placement, label, method, width, height, generation_id, status, image_url, error }] }] }
+
+router.get('/:id/placement-packs', async (req, res, next) => {
+  try {
+    const generationId = parseInt(req.params.id, 10);
+    if (isNaN(generationId)) return res.status(400).json({ error: 'Invalid generation id' });
+
+    const rows = await getGenerationLineage(generationId, req.clientId);
+    if (!rows) return res.status(404).json({ error: 'Generation not found' });
+
+    const packs = new Map();
+    for (const row of rows) {
+      const meta = row.metadata || {};
+      if (meta.mode !== 'placement' || meta.parent_generation_id !== generationId) continue;
+      if (!packs.has(meta.placement_pack_id)) {
+        packs.set(meta.placement_pack_id, {
+          placement_pack_id: meta.placement_pack_id,
+          image_url:         meta.parent_image_url,
+          created_at:        row.created_at,
+          items:             [],
+        });
+      }
+      packs.get(meta.placement_pack_id).items.push({
+        placement:     meta.placement,
+        label:         meta.placement_label,
+        method:        meta.placement_method,
+        width:         meta.placement_size?.width  ?? null,
+        height:        meta.placement_size?.height ?? null,
+        generation_id: row.id,
+        status:        row.status,
+        image_url:     resolveImageUrl(row),
+        error:         row.error,
+      });
+    }
+
+    res.json({ packs: [...packs.values()].reverse() });
   } catch (err) {
     next(err);
   }
@@ -147,7 +698,9 @@ router.get('/', async (req, res, next) => {
 //
 // Optional body fields:
 //   name       – custom template name (defaults to headline → prompt → timestamp)
-//   image_url  – specific image URL to use (defaults to selected_image_url → first in generated_images)
+//   image_url  – one of the generation's image URLs (defaults to selected_image_url → first in
+//                generated_images; any other URL is a 400); derived images (e.g. upscales) record their real size in
+//                metadata.image_dimensions and their origin in metadata.image_variant
 //   category   – template category string
 //   tags       – array of additional tag strings (merged with auto-derived tags)
 
@@ -169,7 +722,9 @@ router.post('/:id/save-as-template', async (req, res, next) => {
     // ── 2. Resolve which image to promote ────────────────────────────────────
     const imageUrl = resolveImageUrl(generation, req.body.image_url);
     if (!imageUrl) {
-      return res.status(422).json({ error: 'Generation has no image to save as a template.' });
+      return res.status(req.body.image_url ? 400 : 422).json({
+        error: req.body.image_url ? 'image_url is not one of this generation\'s images' : 'Generation has no image to save as a template.',
+      });
     }
 
     // ── 3. Copy / download the image into the thumbnails directory ────────────
@@ -203,6 +758,13 @@ router.post('/:id/save-as-template', async (req, res, next) => {
       original_image_url: imageUrl,
       saved_at:        new Date().toISOString(),
     };
+    // Upscaled (or otherwise derived) images keep their real size and origin
+    const entry = (generation.generated_images || []).find(img => img?.url === imageUrl);
+    if (entry?.width && entry?.height) metadata.image_dimensions = { width: entry.width, height: entry.height };
+    if (entry?.variant) {
+      metadata.image_variant    = entry.variant;
+      metadata.derived_from_url = entry.derived_from;
+    }
 
     let template;
     try {
@@ -222,8 +784,7 @@ router.post('/:id/save-as-template', async (req, res, next) => {
       });
     } catch (err) {
       // DB insert failed — remove the thumbnail we just wrote so it doesn't orphan
-      const thumbFs = resolveUploadPath(thumbnailUrl);
-      if (thumbFs) fs.unlink(thumbFs, () => {});
+      removeStoredFile(thumbnailUrl);
       throw err;
     }
 
@@ -233,4 +794,127 @@ router.post('/:id/save-as-template', async (req, res, next) => {
   }
 });
 
+// ── POST /api/generations/:id/compose ─────────────────────────────────────────
+// Renders the finished ad: headline, body copy, CTA button and brand logo laid
+// over the generation's image. The result is saved as a new asset
+// (source "composite") whose metadata.generation_id links back here.
+//
+// Optional body fields (copy defaults to the generation's own fields):
+//   headline   – overrides generation.headline
+//   body_copy  – overrides generation.body_copy
+//   cta        – overrides generation.cta
+//   image_url  – one of the generation's image URLs (defaults to selected_image_url → first in
+//                generated_images); any other URL is a 400
+//   brand_kit_id – kit for styling and logo (defaults to the generation's kit → client default)
+//   logo       – "light" (default) | "dark" | "icon" | "none"
+//   position   – "bottom" (default) | "top" — where the copy block sits
+//   format     – "png" (default) | "jpeg"
+
+const COMPOSE_LOGO_FIELDS = { light: 'logo_url', dark: 'logo_dark_url', icon: 'icon_url' };
+
+router.post('/:id/compose', async (req, res, next) => {
+  try {
+    const generationId = parseInt(req.params.id, 10);
+    if (isNaN(generationId)) return res.status(400).json({ error: 'Invalid generation id' });
+
+    const body     = req.body || {};
+    const logo     = body.logo     ?? 'light';
+    const position = body.position ?? 'bottom';
+    const format   = body.format   ?? 'png';
+
+    const errors = [];
+    if (logo !== 'none' && !COMPOSE_LOGO_FIELDS[logo])
+      errors.push('logo must be one of: light, dark, icon, none');
+    if (!['bottom', 'top'].includes(position))
+      errors.push('position must be one of: bottom, top');
+    if (!['png', 'jpeg'].includes(format))
+      errors.push('format must be one of: png, jpeg');
+    if (errors.length) return res.status(400).json({ errors });
+
+    // ── 1. Fetch generation (client-scoped) ───────────────────────────────────
+    const generation = await getGenerationById(generationId, req.clientId);
+    if (!generation) return res.status(404).json({ error: 'Generation not found' });
+
+    if (generation.status !== 'done') {
+      return res.status(422).json({
+        error: `Cannot compose a generation with status "${generation.status}". Only completed generations can be composed.`,
+      });
+    }
+
+    const imageUrl = resolveImageUrl(generation, body.image_url);
+    if (!imageUrl) {
+      return res.status(body.image_url ? 400 : 422).json({
+        error: body.image_url ? 'image_url is not one of this generation\'s images' : 'Generation has no image to compose onto.',
+      });
+    }
+
+    // ── 2. Resolve copy and brand styling ─────────────────────────────────────
+    const headline = 'headline'  in body ? body.headline  : generation.headline;
+    const bodyCopy = 'body_copy' in body ? body.body_copy : generation.body_copy;
+    const cta      = 'cta'       in body ? body.cta       : generation.cta;
+
+    const kit     = await resolveBrandKit(req.clientId, body.brand_kit_id || generation.brand_kit_id);
+    if (body.brand_kit_id && !kit) return res.status(404).json({ error: 'Brand kit not found' });
+    const logoUrl = logo !== 'none' ? (kit?.[COMPOSE_LOGO_FIELDS[logo]] || null) : null;
+
+    // ── 3. Render ─────────────────────────────────────────────────────────────
+    let rendered;
+    try {
+      rendered = await composeAd(imageUrl, {
+        headline: headline ? String(headline).trim() : null,
+        bodyCopy: bodyCopy ? String(bodyCopy).trim() : null,
+        cta:      cta      ? String(cta).trim()      : null,
+        kit,
+        logoUrl,
+        position,
+        format,
+      });
+    } catch (err) {
+      if (err.code === 'COMPOSE_IMAGE_FETCH_ERROR') {
+        return res.status(502).json({ error: `Could not acquire image: ${err.message}` });
+      }
+      throw err;
+    }
+
+    // ── 4. Persist file + asset record ───────────────────────────────────────
+    const name          = makeFilename(format === 'jpeg' ? '.jpg' : '.png');
+    const { url: fileUrl } = await putFile(`assets/${name}`, rendered.buffer, { contentType: rendered.content_type });
+
+    let asset;
+    try {
+      asset = await createAsset({
+        client_id:     req.clientId,
+        brand_kit_id:  kit?.id ?? null,
+        name:          `${buildTemplateName(generation, null)} — composite`,
+        original_name: name,
+        file_url:      fileUrl,
+        file_type:     rendered.content_type,
+        file_size:     rendered.buffer.length,
+        width:         rendered.width,
+        height:        rendered.height,
+        source:        'composite',
+        category:      'image',
+        metadata: {
+          generation_id:  generation.id,
+          base_image_url: imageUrl,
+          headline:       headline  || null,
+          body_copy:      bodyCopy  || null,
+          cta:            cta       || null,
+          logo,
+          position,
+          composed_at:    new Date().toISOString(),
+        },
+      });
+    } catch (err) {
+      // DB insert failed — remove the rendered file so it doesn't orphan
+      removeStoredFile(fileUrl);
+      throw err;
+    }
+
+    res.status(201).json({ asset });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
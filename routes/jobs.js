@@ -0,0 +1,31 @@
+const express = require('express');
+
+const { clientScope } = require('../middleware/clientScope');
+const { getJobById }  = require('../database/jobs');
+
+const router = express.Router();
+
+router.use(clientScope);
+
+// ── GET /api/jobs/:id ─────────────────────────────────────────────────────────
+// Returns a queued job's state. Poll until status is "done", "failed" or
+// "cancelled"; the generation it drives carries the images.
+//
+// Returns: { job: { id, type, status, generation_id, campaign_batch_id,
+//                   attempts, max_attempts, run_at, last_error, result, … } }
+
+router.get('/:id', async (req, res, next) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (isNaN(id)) return res.status(400).json({ error: 'Invalid job id' });
+
+    const job = await getJobById(id, req.clientId);
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+
+    res.json({ job });
+  } catch (err) {
+    next(err);
+  }
+});
+
+module.exports = router;
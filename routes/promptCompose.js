@@ -1,8 +1,8 @@
 const express = require('express');
 
-const { generateContent, activeModel } = require('../services/gemini');
+const { generateContent, activeModel } = require('../services/llm');
 const { clientScope }                  = require('../middleware/clientScope');
-const { getBrandKitByClientId }        = require('../database/brandKits');
+const { resolveBrandKit }              = require('../database/brandKits');
 const { getBrandIntelligenceById }     = require('../database/brandIntelligence');
 
 const router = express.Router();
@@ -176,6 +176,7 @@ function buildRationalePrompt({ kit, intel, goal, referenceStyle, headline, comp
 // Composes an image generation prompt from brand context + strategy.
 //
 // Body:
+//   brand_kit_id           {number}  optional — kit used as brand context (default: client default)
 //   brand_intelligence_id  {number}  optional — fetch brand intel by ID
 //   reference_style        {string}  optional — visual style description
 //   product_image_url      {string}  optional — product photo URL (informs composition)
@@ -190,6 +191,7 @@ router.post('/', async (req, res, next) => {
   try {
     const {
       brand_intelligence_id,
+      brand_kit_id,
       reference_style,
       product_image_url,
       goal,
@@ -198,8 +200,9 @@ router.post('/', async (req, res, next) => {
       audience,
     } = req.body;
 
-    // Fetch brand kit (best-effort; compose without it if absent)
-    const kit = await getBrandKitByClientId(req.clientId).catch(() => null);
+    // Fetch brand kit (compose without it when the client has none)
+    const kit = await resolveBrandKit(req.clientId, brand_kit_id);
+    if (brand_kit_id && !kit) return res.status(404).json({ error: 'Brand kit not found' });
 
     // Fetch brand intelligence if requested
     let intel = null;
@@ -226,7 +229,7 @@ router.post('/', async (req, res, next) => {
     let usedFallback = false;
 
     try {
-      composedPrompt = await generateContent(buildComposePrompt(ctx));
+      composedPrompt = await generateContent(buildComposePrompt(ctx), { client: req.client });
     } catch (_err) {
       composedPrompt = buildFallbackPrompt(ctx);
       usedFallback = true;
@@ -236,7 +239,7 @@ router.post('/', async (req, res, next) => {
     let rationale = null;
     if (!usedFallback) {
       try {
-        rationale = await generateContent(buildRationalePrompt({ ...ctx, composedPrompt }));
+        rationale = await generateContent(buildRationalePrompt({ ...ctx, composedPrompt }), { client: req.client });
       } catch (_err) {
         // rationale is non-critical
       }
@@ -246,7 +249,7 @@ router.post('/', async (req, res, next) => {
       prompt:      composedPrompt,
       rationale,
       fallback:    usedFallback,
-      model:       usedFallback ? null : activeModel(),
+      model:       usedFallback ? null : activeModel(req.client),
       composed_at: new Date().toISOString(),
     });
   } catch (err) {
@@ -1,8 +1,9 @@
 const express = require('express');
 
-const { generateContent, activeModel } = require('../services/gemini');
+const { generateStructured, activeModel } = require('../services/llm');
+const { CONCEPTS }                     = require('../services/llmSchemas');
 const { clientScope }                  = require('../middleware/clientScope');
-const { getBrandKitByClientId }        = require('../database/brandKits');
+const { resolveBrandKit }              = require('../database/brandKits');
 const { getBrandIntelligenceById }     = require('../database/brandIntelligence');
 
 const router = express.Router();
@@ -88,6 +89,7 @@ function buildConceptsPrompt({ kit, intel, goal, referenceStyle, headline, cta,
 // Generates multiple distinct concept directions as a planning layer.
 //
 // Body:
+//   brand_kit_id           {number}  optional — kit used as brand context (default: client default)
 //   brand_intelligence_id  {number}  optional
 //   goal                   {string}  optional — campaign objective
 //   reference_style        {string}  optional — visual reference
@@ -96,13 +98,15 @@ function buildConceptsPrompt({ kit, intel, goal, referenceStyle, headline, cta,
 //   audience               {string}  optional — specific persona
 //   num_concepts           {number}  optional — how many concepts (2–6, default 4)
 //
-// Returns: { concepts[], model, generated_at }
+// Returns: { concepts[], model, validation, generated_at }
 // Each concept: { concept_type, angle, audience_stage, why_distinct, prompt_template }
+// validation: { repaired, coerced[], defaulted[], dropped[] } from the schema check
 
 router.post('/', async (req, res, next) => {
   try {
     const {
       brand_intelligence_id,
+      brand_kit_id,
       goal,
       reference_style,
       headline,
@@ -113,7 +117,8 @@ router.post('/', async (req, res, next) => {
     const rawNum    = parseInt(req.body.num_concepts, 10);
     const numConcepts = (!isNaN(rawNum) && rawNum >= 2 && rawNum <= 6) ? rawNum : 4;
 
-    const kit = await getBrandKitByClientId(req.clientId).catch(() => null);
+    const kit = await resolveBrandKit(req.clientId, brand_kit_id);
+    if (brand_kit_id && !kit) return res.status(404).json({ error: 'Brand kit not found' });
 
     let intel = null;
     if (brand_intelligence_id) {
@@ -134,33 +139,20 @@ router.post('/', async (req, res, next) => {
       numConcepts,
     };
 
-    let raw;
+    // Concepts missing an angle or prompt_template are dropped by the schema;
+    // an empty result is a validation failure and triggers the repair prompt.
+    let concepts, validation;
     try {
-      raw = await generateContent(buildConceptsPrompt(ctx), { json: true });
+      ({ data: concepts, validation } = await generateStructured(buildConceptsPrompt(ctx), CONCEPTS, { client: req.client }));
     } catch (err) {
       const status = err.code === 'GEMINI_KEY_MISSING' ? 503 : 502;
       return res.status(status).json({ error: `Concept generation failed: ${err.message}` });
     }
 
-    // Normalise — ensure array, filter malformed entries
-    const concepts = (Array.isArray(raw) ? raw : [])
-      .filter(c => c && typeof c === 'object')
-      .map(c => ({
-        concept_type:    String(c.concept_type    || 'product-hero').trim(),
-        angle:           String(c.angle           || '').trim(),
-        audience_stage:  String(c.audience_stage  || 'awareness').trim(),
-        why_distinct:    String(c.why_distinct    || '').trim(),
-        prompt_template: String(c.prompt_template || '').trim(),
-      }))
-      .filter(c => c.angle && c.prompt_template);
-
-    if (concepts.length === 0) {
-      return res.status(502).json({ error: 'Concept generation returned no usable concepts' });
-    }
-
     res.json({
       concepts,
-      model:        activeModel(),
+      model:        activeModel(req.client),
+      validation,
       generated_at: new Date().toISOString(),
     });
   } catch (err) {
@@ -1,6 +1,7 @@
 const express = require('express');
 
-const { generateContentWithImage, activeModel } = require('../services/gemini');
+const { generateStructuredWithImage, activeModel } = require('../services/llm');
+const { REVERSE_ANALYSIS }                      = require('../services/llmSchemas');
 const { clientScope }                           = require('../middleware/clientScope');
 
 const router = express.Router();
@@ -64,6 +65,7 @@ function buildReversePrompt(platform) {
 //     variant_prompts: string[]        — 3 standalone generation prompts (style variations)
 //     analysis:        { visual_style, composition, color_palette[], mood, format, hooks[] }
 //     model:           string
+//     validation:      { repaired, coerced[], defaulted[], dropped[] }
 //     analyzed_at:     string
 //   }
 
@@ -77,13 +79,14 @@ router.post('/', async (req, res, next) => {
 
     const url = image_url.trim();
 
-    let analysis;
+    let analysis, validation;
     try {
-      analysis = await generateContentWithImage(
+      ({ data: analysis, validation } = await generateStructuredWithImage(
         url,
         buildReversePrompt(platform ? String(platform).trim() : null),
-        { json: true }
-      );
+        REVERSE_ANALYSIS,
+        { client: req.client }
+      ));
     } catch (err) {
       if (err.code === 'GEMINI_IMAGE_FETCH_ERROR') {
         return res.status(422).json({ error: `Could not fetch image: ${err.message}` });
@@ -92,34 +95,10 @@ router.post('/', async (req, res, next) => {
       return res.status(status).json({ error: `Reverse engineering failed: ${err.message}` });
     }
 
-    // Normalise — guard against partial responses
-    const safe = {
-      style_prompt:    typeof analysis.style_prompt === 'string' ? analysis.style_prompt.trim() : '',
-      copy_skeleton: {
-        headline: analysis.copy_skeleton?.headline || '',
-        body:     analysis.copy_skeleton?.body     || '',
-        cta:      analysis.copy_skeleton?.cta      || '',
-      },
-      variant_prompts: Array.isArray(analysis.variant_prompts)
-        ? analysis.variant_prompts.filter(v => typeof v === 'string' && v.trim())
-        : [],
-      analysis: {
-        visual_style:  analysis.analysis?.visual_style  || '',
-        composition:   analysis.analysis?.composition   || '',
-        color_palette: Array.isArray(analysis.analysis?.color_palette)
-          ? analysis.analysis.color_palette.filter(Boolean)
-          : [],
-        mood:   analysis.analysis?.mood   || '',
-        format: analysis.analysis?.format || '',
-        hooks:  Array.isArray(analysis.analysis?.hooks)
-          ? analysis.analysis.hooks.filter(Boolean)
-          : [],
-      },
-    };
-
     res.json({
-      ...safe,
-      model:       activeModel(),
+      ...analysis,
+      model:       activeModel(req.client),
+      validation,
       analyzed_at: new Date().toISOString(),
     });
   } catch (err) {
@@ -1,7 +1,13 @@
 const express = require('express');
-const fs      = require('fs');
-
-const { uploadThumbnail, handleUploadError, resolveUploadPath } = require('../middleware/upload');
+const crypto  = require('crypto');
+
+const { clientScope }                                           = require('../middleware/clientScope');
+const { uploadThumbnail, handleUploadError }                    = require('../middleware/upload');
+const { putFile, removeStoredFile }                             = require('../services/storage');
+const { renderLayout, TEXT_SLOTS, IMAGE_SLOTS, COLOR_ROLES }    = require('../services/compositor');
+const { getGenerationById, isClientImageUrl } = require('../database/generations');
+const { resolveBrandKit }       = require('../database/brandKits');
+const { createAsset }           = require('../database/assets');
 const {
   getAllTemplates,
   getTemplateById,
@@ -19,9 +25,108 @@ const router = express.Router();
 
 const VALID_SOURCE_TYPES = new Set(['starter', 'user', 'winner']);
 const VALID_PLATFORMS    = new Set(['meta', 'instagram', 'facebook', 'tiktok', 'google']);
+const DEFAULT_DIMENSIONS = { width: 1080, height: 1080 };
+
+const LAYOUT_SLOTS  = new Set([...TEXT_SLOTS, ...IMAGE_SLOTS]);
+const LAYOUT_ALIGN  = new Set(['left', 'center', 'right']);
+const LAYOUT_VALIGN = new Set(['top', 'middle', 'bottom']);
+const FONT_ROLES    = new Set(['heading', 'body']);
+const IMAGE_FITS    = new Set(['cover', 'contain']);
+const HEX_RE        = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
 
 // ── Validation helpers ────────────────────────────────────────────────────────
 
+function isColorValue(v) {
+  return typeof v === 'string' && (HEX_RE.test(v) || COLOR_ROLES.includes(v));
+}
+
+// Validates one layout slot against the template canvas.
+// Text-only keys (font_role, font_size, max_chars, color, fill) are rejected on
+// image slots and vice versa (fit) so a typo never silently does nothing.
+function validateSlot(name, slot, dimensions) {
+  const errors = [];
+  const label  = `layout.slots.${name}`;
+
+  if (typeof slot !== 'object' || slot === null || Array.isArray(slot))
+    return [`${label} must be an object`];
+
+  for (const key of ['x', 'y']) {
+    if (!Number.isInteger(slot[key]) || slot[key] < 0)
+      errors.push(`${label}.${key} must be a non-negative integer`);
+  }
+  for (const key of ['width', 'height']) {
+    if (!Number.isInteger(slot[key]) || slot[key] <= 0)
+      errors.push(`${label}.${key} must be a positive integer`);
+  }
+  if (errors.length) return errors;
+
+  if (slot.x + slot.width > dimensions.width || slot.y + slot.height > dimensions.height)
+    errors.push(`${label} extends beyond the template canvas (${dimensions.width}×${dimensions.height})`);
+
+  if ('safe_area' in slot) {
+    const sa = slot.safe_area;
+    if (typeof sa !== 'object' || sa === null || Array.isArray(sa)) {
+      errors.push(`${label}.safe_area must be an object`);
+    } else {
+      const bad = ['top', 'right', 'bottom', 'left']
+        .filter(k => k in sa && (!Number.isInteger(sa[k]) || sa[k] < 0));
+      if (bad.length) errors.push(`${label}.safe_area.${bad.join('/')} must be non-negative integers`);
+      if ((sa.left || 0) + (sa.right || 0) >= slot.width ||
+          (sa.top  || 0) + (sa.bottom || 0) >= slot.height)
+        errors.push(`${label}.safe_area leaves no room inside the slot`);
+    }
+  }
+
+  if ('align'  in slot && !LAYOUT_ALIGN.has(slot.align))
+    errors.push(`${label}.align must be one of: ${[...LAYOUT_ALIGN].join(', ')}`);
+  if ('valign' in slot && !LAYOUT_VALIGN.has(slot.valign))
+    errors.push(`${label}.valign must be one of: ${[...LAYOUT_VALIGN].join(', ')}`);
+
+  if (TEXT_SLOTS.includes(name)) {
+    if ('font_role' in slot && !FONT_ROLES.has(slot.font_role))
+      errors.push(`${label}.font_role must be one of: ${[...FONT_ROLES].join(', ')}`);
+    if ('font_size' in slot && (typeof slot.font_size !== 'number' || slot.font_size <= 0))
+      errors.push(`${label}.font_size must be a positive number`);
+    if ('max_chars' in slot && (!Number.isInteger(slot.max_chars) || slot.max_chars <= 0))
+      errors.push(`${label}.max_chars must be a positive integer`);
+    for (const key of ['color', 'fill']) {
+      if (key in slot && !isColorValue(slot[key]))
+        errors.push(`${label}.${key} must be a hex colour or one of: ${COLOR_ROLES.join(', ')}`);
+    }
+    if ('fit' in slot) errors.push(`${label}.fit only applies to image slots`);
+  } else {
+    if ('fit' in slot && !IMAGE_FITS.has(slot.fit))
+      errors.push(`${label}.fit must be one of: ${[...IMAGE_FITS].join(', ')}`);
+    const textOnly = ['font_role', 'font_size', 'max_chars', 'color', 'fill'].filter(k => k in slot);
+    if (textOnly.length) errors.push(`${label}.${textOnly.join('/')} only apply to text slots`);
+  }
+
+  return errors;
+}
+
+function validateLayout(layout, dimensions) {
+  if (typeof layout !== 'object' || layout === null || Array.isArray(layout))
+    return ['layout must be an object'];
+
+  const errors = [];
+  if ('background_color' in layout && !isColorValue(layout.background_color))
+    errors.push(`layout.background_color must be a hex colour or one of: ${COLOR_ROLES.join(', ')}`);
+
+  if (!('slots' in layout)) return errors;
+  const slots = layout.slots;
+  if (typeof slots !== 'object' || slots === null || Array.isArray(slots))
+    return [...errors, 'layout.slots must be an object'];
+
+  const unknown = Object.keys(slots).filter(k => !LAYOUT_SLOTS.has(k));
+  if (unknown.length)
+    errors.push(`layout.slots contains unknown slots: ${unknown.join(', ')}. Allowed: ${[...LAYOUT_SLOTS].join(', ')}`);
+
+  for (const [name, slot] of Object.entries(slots)) {
+    if (LAYOUT_SLOTS.has(name)) errors.push(...validateSlot(name, slot, dimensions));
+  }
+  return errors;
+}
+
 function validateBody(body) {
   const errors = [];
 
@@ -42,12 +147,8 @@ function validateBody(body) {
       errors.push(`source_type must be one of: ${[...VALID_SOURCE_TYPES].join(', ')}`);
   }
   if ('dimensions' in body && body.dimensions !== null) {
-    const d = body.dimensions;
-    if (typeof d !== 'object' || Array.isArray(d) ||
-        !Number.isInteger(d.width)  || d.width  <= 0 ||
-        !Number.isInteger(d.height) || d.height <= 0) {
+    if (!isValidDimensions(body.dimensions))
       errors.push('dimensions must be an object with positive integer width and height');
-    }
   }
   if ('tags' in body) {
     if (!Array.isArray(body.tags) || body.tags.some(t => typeof t !== 'string'))
@@ -61,13 +162,31 @@ function validateBody(body) {
   return errors;
 }
 
-function slugify(str) {
-  return str.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+function isValidDimensions(d) {
+  return d && typeof d === 'object' && !Array.isArray(d) &&
+    Number.isInteger(d.width) && d.width > 0 && Number.isInteger(d.height) && d.height > 0;
+}
+
+// Builds a unique filename for rendered output
+function makeFilename(ext) {
+  return `${Date.now()}-${crypto.randomBytes(10).toString('hex')}${ext}`;
 }
 
-function unlinkSilent(fsPath) {
-  if (!fsPath) return;
-  fs.unlink(fsPath, () => {});
+// Resolve the image to use: body override → selected → first non-archived in
+// generated_images (→ first of any status). A body override must be one of
+// the generation's own images and resolves to null otherwise.
+function resolveImageUrl(generation, bodyImageUrl) {
+  const images = Array.isArray(generation.generated_images) ? generation.generated_images : [];
+  if (bodyImageUrl) {
+    return images.some(img => (typeof img === 'string' ? img : img?.url) === bodyImageUrl) ? bodyImageUrl : null;
+  }
+  if (generation.selected_image_url) return generation.selected_image_url;
+  const first  = images.find(img => img?.status !== 'archived') ?? images[0];
+  return typeof first === 'string' ? first : (first?.url || null);
+}
+
+function slugify(str) {
+  return str.toLowerCase().trim().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
 }
 
 // ── GET /api/templates ────────────────────────────────────────────────────────
@@ -104,6 +223,8 @@ router.get('/', async (req, res, next) => {
 
 // ── POST /api/templates ───────────────────────────────────────────────────────
 // Create a new template. name is required; all other fields are optional.
+// layout (see services/compositor.js for the slot shape) is validated against
+// dimensions, defaulting to 1080×1080.
 
 router.post('/', async (req, res, next) => {
   try {
@@ -111,6 +232,10 @@ router.post('/', async (req, res, next) => {
       return res.status(400).json({ errors: ['name is required'] });
 
     const errors = validateBody(req.body);
+    if (!errors.length && 'layout' in req.body) {
+      const dimensions = isValidDimensions(req.body.dimensions) ? req.body.dimensions : DEFAULT_DIMENSIONS;
+      errors.push(...validateLayout(req.body.layout, dimensions));
+    }
     if (errors.length) return res.status(400).json({ errors });
 
     const slug = slugify(req.body.name.trim());
@@ -151,6 +276,12 @@ router.patch('/:id', async (req, res, next) => {
     if (!existing) return res.status(404).json({ error: 'Template not found' });
 
     const errors = validateBody(req.body);
+    // Re-check the layout whenever it or the canvas it must fit inside changes
+    if (!errors.length && ('layout' in req.body || 'dimensions' in req.body)) {
+      const dimensions = isValidDimensions(req.body.dimensions) ? req.body.dimensions
+        : (existing.dimensions || DEFAULT_DIMENSIONS);
+      errors.push(...validateLayout(req.body.layout ?? existing.layout ?? {}, dimensions));
+    }
     if (errors.length) return res.status(400).json({ errors });
 
     const fields = { ...req.body };
@@ -179,7 +310,7 @@ router.delete('/:id', async (req, res, next) => {
     const existing = await getTemplateById(id);
     if (!existing) return res.status(404).json({ error: 'Template not found' });
 
-    unlinkSilent(resolveUploadPath(existing.thumbnail_url));
+    removeStoredFile(existing.thumbnail_url);
     const deleted = await deleteTemplate(id);
     res.json({ deleted });
   } catch (err) {
@@ -218,13 +349,12 @@ router.post(
         return res.status(400).json({ error: 'No file received. Send a multipart field named "thumbnail".' });
 
       // Remove the previous thumbnail file before writing the new record
-      unlinkSilent(resolveUploadPath(existing.thumbnail_url));
+      removeStoredFile(existing.thumbnail_url);
 
-      const publicPath = `/uploads/thumbnails/${req.file.filename}`;
-      const template   = await setThumbnail(id, publicPath);
+      const template = await setThumbnail(id, req.file.url);
       res.json({ template });
     } catch (err) {
-      if (req.file) unlinkSilent(req.file.path);
+      if (req.file) removeStoredFile(req.file.url);
       if (handleUploadError(err, res)) return;
       next(err);
     }
@@ -241,7 +371,7 @@ router.delete('/:id/thumbnail', async (req, res, next) => {
     if (!existing) return res.status(404).json({ error: 'Template not found' });
     if (!existing.thumbnail_url) return res.status(404).json({ error: 'No thumbnail set' });
 
-    unlinkSilent(resolveUploadPath(existing.thumbnail_url));
+    removeStoredFile(existing.thumbnail_url);
     const template = await clearThumbnail(id);
     res.json({ template });
   } catch (err) {
@@ -249,4 +379,138 @@ router.delete('/:id/thumbnail', async (req, res, next) => {
   }
 });
 
+// ── POST /api/templates/:id/render ───────────────────────────────────────────
+// Fills the template's layout slots from a generation and saves the finished
+// ad as a new asset (source "template_render") for the active client.
+//
+// Body:
+//   generation_id      {number}  required — client-scoped source generation
+//   image_url          {string}  optional — background image, one of the generation's images
+//                                (defaults to selected → first image)
+//   product_image_url  {string}  optional — product_image slot, one of your assets or generation images
+//                                (defaults to the generation's product image)
+//   headline           {string}  optional — overrides generation.headline
+//   body_copy          {string}  optional — overrides generation.body_copy
+//   cta                {string}  optional — overrides generation.cta
+//   brand_kit_id       {number}  optional — kit for styling and logo (defaults to the generation's kit → client default)
+//   logo               {string}  optional — "light" (default) | "dark" | "icon" | "none"
+//   format             {string}  optional — "png" (default) | "jpeg"
+//
+// Returns 201 { asset, slots_filled, slots_skipped }
+// 422 { error, slots } when a layout slot lies outside the template canvas.
+
+const RENDER_LOGO_FIELDS = { light: 'logo_url', dark: 'logo_dark_url', icon: 'icon_url' };
+
+router.post('/:id/render', clientScope, async (req, res, next) => {
+  try {
+    const body         = req.body || {};
+    const id           = parseInt(req.params.id, 10);
+    const generationId = parseInt(body.generation_id, 10);
+    const logo         = body.logo   ?? 'light';
+    const format       = body.format ?? 'png';
+
+    const errors = [];
+    if (isNaN(generationId)) errors.push('generation_id is required and must be a number');
+    if (logo !== 'none' && !RENDER_LOGO_FIELDS[logo])
+      errors.push('logo must be one of: light, dark, icon, none');
+    if (!['png', 'jpeg'].includes(format)) errors.push('format must be one of: png, jpeg');
+    if (errors.length) return res.status(400).json({ errors });
+
+    const template = await getTemplateById(id);
+    if (!template) return res.status(404).json({ error: 'Template not found' });
+
+    const slots = template.layout?.slots || {};
+    if (Object.keys(slots).length === 0)
+      return res.status(422).json({ error: 'Template has no layout slots to render.' });
+
+    const generation = await getGenerationById(generationId, req.clientId);
+    if (!generation) return res.status(404).json({ error: 'Generation not found' });
+    if (generation.status !== 'done') {
+      return res.status(422).json({
+        error: `Cannot render a generation with status "${generation.status}". Only completed generations can be rendered.`,
+      });
+    }
+
+    const kit       = await resolveBrandKit(req.clientId, body.brand_kit_id || generation.brand_kit_id);
+    if (body.brand_kit_id && !kit) return res.status(404).json({ error: 'Brand kit not found' });
+    const imageUrl  = resolveImageUrl(generation, body.image_url);
+    if (body.image_url && !imageUrl)
+      return res.status(400).json({ error: 'image_url is not one of this generation\'s images' });
+    const pick      = (key, fallback) => (key in body ? body[key] : fallback);
+
+    // The product image is read server-side, so an override must be one of
+    // this client's assets or generation images
+    if (body.product_image_url && !await isClientImageUrl(body.product_image_url, req.clientId)) {
+      return res.status(400).json({ error: 'product_image_url must be the file_url of one of your assets or one of your generations\' images' });
+    }
+
+    let rendered;
+    try {
+      rendered = await renderLayout(
+        { dimensions: template.dimensions || DEFAULT_DIMENSIONS, layout: template.layout },
+        {
+          images: {
+            background:    imageUrl,
+            product_image: pick('product_image_url', generation.metadata?.product_image_url || null),
+            logo:          logo !== 'none' ? (kit?.[RENDER_LOGO_FIELDS[logo]] || null) : null,
+          },
+          text: {
+            headline: pick('headline',  generation.headline),
+            body:     pick('body_copy', generation.body_copy),
+            cta:      pick('cta',       generation.cta),
+          },
+          kit,
+          format,
+        }
+      );
+    } catch (err) {
+      if (err.code === 'COMPOSE_IMAGE_FETCH_ERROR') {
+        return res.status(502).json({ error: `Could not acquire image: ${err.message}` });
+      }
+      if (err.code === 'COMPOSE_LAYOUT_INVALID') {
+        return res.status(422).json({ error: err.message, slots: err.slots });
+      }
+      throw err;
+    }
+
+    const name          = makeFilename(format === 'jpeg' ? '.jpg' : '.png');
+    const { url: fileUrl } = await putFile(`assets/${name}`, rendered.buffer, { contentType: rendered.content_type });
+
+    let asset;
+    try {
+      asset = await createAsset({
+        client_id:     req.clientId,
+        brand_kit_id:  kit?.id ?? null,
+        name:          `${template.name} — ${generation.headline || `generation #${generation.id}`}`,
+        original_name: name,
+        file_url:      fileUrl,
+        file_type:     rendered.content_type,
+        file_size:     rendered.buffer.length,
+        width:         rendered.width,
+        height:        rendered.height,
+        source:        'template_render',
+        category:      'image',
+        metadata: {
+          generation_id:  generation.id,
+          template_id:    template.id,
+          base_image_url: imageUrl,
+          slots_filled:   rendered.slots_filled,
+          rendered_at:    new Date().toISOString(),
+        },
+      });
+    } catch (err) {
+      removeStoredFile(fileUrl);
+      throw err;
+    }
+
+    res.status(201).json({
+      asset,
+      slots_filled:  rendered.slots_filled,
+      slots_skipped: rendered.slots_skipped,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,103 @@
+require('dotenv').config();
+
+const { pool }                                                = require('../database/init');
+const { getGenerationsWithRemoteImages, applyMirroredImages } = require('../database/generations');
+const { mirrorImage, isRemoteUrl }                            = require('../services/imageMirror');
+const { configureStorage }                                    = require('../services/storage');
+
+// ── Image mirror backfill ─────────────────────────────────────────────────────
+// Downloads the remote images of finished generations created before
+// mirroring existed and rewrites their URLs to the local copies.
+//
+//   npm run backfill:images -- [--client <id>] [--limit <n>] [--dry-run]
+//
+//   --client   only backfill one client's generations
+//   --limit    stop after this many generations (default: all)
+//   --dry-run  list what would be mirrored without downloading anything
+//
+// Safe to re-run: rows whose images are all local are skipped, and an image
+// that fails to download stays remote until the next run.
+
+const PAGE_SIZE = 25;
+
+function parseArgs(argv) {
+  const opts = { clientId: null, limit: Infinity, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--dry-run')     opts.dryRun   = true;
+    else if (arg === '--client') opts.clientId = parseInt(argv[++i], 10);
+    else if (arg === '--limit')  opts.limit    = parseInt(argv[++i], 10);
+    else throw new Error(`Unknown argument "${arg}"`);
+  }
+  if (Number.isNaN(opts.clientId)) throw new Error('--client must be a numeric id');
+  if (Number.isNaN(opts.limit) || opts.limit < 1) throw new Error('--limit must be a positive number');
+  return opts;
+}
+
+async function backfillGeneration(generation, dryRun) {
+  const images   = Array.isArray(generation.generated_images) ? generation.generated_images : [];
+  const remote   = images.map(img => (typeof img === 'string' ? img : img?.url)).filter(isRemoteUrl);
+  const mirrored = new Map();
+  let   failed   = 0;
+
+  // Rows can match on S3 storage URLs alone, which are http(s) too
+  if (remote.length === 0) return { mirrored: 0, failed: 0 };
+
+  if (dryRun) {
+    console.log(`[backfill] #${generation.id}: ${remote.length} remote image(s)`);
+    return { mirrored: 0, failed: 0 };
+  }
+
+  for (const url of new Set(remote)) {
+    try {
+      mirrored.set(url, await mirrorImage({ url }));
+    } catch (err) {
+      failed++;
+      console.warn(`[backfill] #${generation.id}: ${err.message}`);
+    }
+  }
+
+  if (mirrored.size) {
+    await applyMirroredImages(generation.id, generation.client_id, mirrored);
+  }
+  console.log(`[backfill] #${generation.id}: mirrored ${mirrored.size}, failed ${failed}`);
+  return { mirrored: mirrored.size, failed };
+}
+
+async function main() {
+  const opts = parseArgs(process.argv.slice(2));
+  configureStorage();
+
+  const totals = { generations: 0, mirrored: 0, failed: 0 };
+  let afterId = 0;
+
+  while (totals.generations < opts.limit) {
+    const page = await getGenerationsWithRemoteImages({
+      afterId,
+      limit:    Math.min(PAGE_SIZE, opts.limit - totals.generations),
+      clientId: opts.clientId,
+    });
+    if (page.length === 0) break;
+
+    for (const generation of page) {
+      const result = await backfillGeneration(generation, opts.dryRun);
+      totals.generations++;
+      totals.mirrored += result.mirrored;
+      totals.failed   += result.failed;
+    }
+    afterId = page[page.length - 1].id;
+  }
+
+  console.log(
+    `[backfill] ${opts.dryRun ? 'Dry run — ' : ''}${totals.generations} generation(s), ` +
+    `${totals.mirrored} image(s) mirrored, ${totals.failed} failed`
+  );
+  if (totals.failed) process.exitCode = 1;
+}
+
+main()
+  .catch(err => {
+    console.error('[backfill] Fatal:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
@@ -0,0 +1,98 @@
+const assert = require('assert');
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+
+// ── LLM fixture check ─────────────────────────────────────────────────────────
+// Runs the fixture LLM provider offline, with no keys and no database:
+//
+//   npm run check:fixtures            (also what `npm test` runs)
+//
+//   1. a response recorded with recordFixture() replays through
+//      generateStructured() and passes its schema
+//   2. a call with no recording fails with LLM_FIXTURE_MISSING
+//   3. every recording under fixtures/llm replays unchanged and is valid JSON
+//
+// Works on a temporary copy of the recordings, so nothing in the repo is
+// written. Exits 1 on the first failed step.
+
+const SOURCE_DIR = path.join(__dirname, '../fixtures/llm');
+const WORK_DIR   = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+
+// The LLM modules read these when they are loaded
+process.env.LLM_PROVIDER       = 'fixture';
+process.env.LLM_FIXTURE_DIR    = WORK_DIR;
+process.env.LLM_FIXTURE_RECORD = '0';
+
+const { generateContent, generateContentWithImage, generateStructured } = require('../services/llm');
+const { recordFixture }                                                 = require('../services/llmFixtures');
+
+const PROBE_SCHEMA = {
+  type: 'object',
+  properties: {
+    headline: { type: 'string' },
+    angles:   { type: 'array', items: { type: 'string' }, minItems: 1 },
+  },
+};
+
+function recordings() {
+  if (!fs.existsSync(SOURCE_DIR)) return [];
+  return fs.readdirSync(SOURCE_DIR).filter(f => f.endsWith('.json')).sort();
+}
+
+async function checkRoundTrip() {
+  const prompt   = 'fixture check: round trip';
+  const response = '```json\n{"headline":"Fresh every morning","angles":"Convenience"}\n```';
+  await recordFixture('text', prompt, null, 'fixture-check', response);
+
+  const { data, validation } = await generateStructured(prompt, PROBE_SCHEMA);
+  assert.deepStrictEqual(data, { headline: 'Fresh every morning', angles: ['Convenience'] });
+  assert.deepStrictEqual(validation.coerced, ['$.angles']);
+}
+
+async function checkMissing() {
+  await assert.rejects(
+    generateContent('fixture check: never recorded'),
+    err => err.code === 'LLM_FIXTURE_MISSING'
+  );
+}
+
+async function checkRecording(file) {
+  const fixture = JSON.parse(fs.readFileSync(path.join(SOURCE_DIR, file), 'utf8'));
+  const text    = fixture.kind === 'image'
+    ? await generateContentWithImage(fixture.image_url, fixture.prompt)
+    : await generateContent(fixture.prompt);
+
+  assert.strictEqual(text, fixture.response, 'replayed response differs from the recording');
+  JSON.parse(text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '').trim());
+}
+
+async function main() {
+  const files = recordings();
+  for (const file of files) fs.copyFileSync(path.join(SOURCE_DIR, file), path.join(WORK_DIR, file));
+
+  const steps = [
+    ['round trip through generateStructured', checkRoundTrip],
+    ['missing recording',                     checkMissing],
+    ...files.map(file => [`replay ${file}`, () => checkRecording(file)]),
+  ];
+
+  for (const [name, step] of steps) {
+    try {
+      await step();
+      console.log(`[fixtures] ok    ${name}`);
+    } catch (err) {
+      console.error(`[fixtures] FAIL  ${name}: ${err.message}`);
+      process.exitCode = 1;
+      return;
+    }
+  }
+  console.log(`[fixtures] ${steps.length} check(s) passed  recordings=${files.length}`);
+}
+
+main()
+  .catch(err => {
+    console.error('[fixtures] Check failed:', err.message);
+    process.exitCode = 1;
+  })
+  .finally(() => fs.rmSync(WORK_DIR, { recursive: true, force: true }));
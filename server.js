@@ -5,9 +5,13 @@ const cookieParser = require('cookie-parser');
 
 const { initDatabase }       = require('./database/init');
 const { ensureDefaultClient } = require('./database/clients');
-const { configureFal }    = require('./services/fal');
-const { configureGemini } = require('./services/gemini');
-const { ensureUploadDirs } = require('./middleware/upload');
+const { configureImageProviders, DEFAULT_PROVIDER } = require('./services/imageProvider');
+const { configureLlmProviders, DEFAULT_PROVIDER: DEFAULT_LLM } = require('./services/llm');
+const { startJobWorkers } = require('./services/jobQueue');
+const { MIRROR_ENABLED } = require('./services/imageMirror');
+const { startProgressListener } = require('./services/progress');
+const { configureStorage, STORAGE_DRIVER } = require('./services/storage');
+const { handleUploadError } = require('./middleware/upload');
 
 const clientsRouter          = require('./routes/clients');
 const brandKitRouter         = require('./routes/brandKit');
@@ -20,6 +24,8 @@ const promptComposeRouter    = require('./routes/promptCompose');
 const promptReverseRouter    = require('./routes/promptReverse');
 const promptConceptsRouter   = require('./routes/promptConcepts');
 const campaignRouter         = require('./routes/campaign');
+const campaignTagsRouter     = require('./routes/campaignTags');
+const jobsRouter             = require('./routes/jobs');
 
 const app      = express();
 const PORT     = process.env.PORT || 3000;
@@ -43,6 +49,8 @@ app.use('/api/prompt',            promptComposeRouter);
 app.use('/api/prompt/reverse',    promptReverseRouter);
 app.use('/api/prompt/concepts',   promptConceptsRouter);
 app.use('/api/campaign',          campaignRouter);
+app.use('/api/campaign-tags',     campaignTagsRouter);
+app.use('/api/jobs',              jobsRouter);
 
 // Future resource routers (assets, …) mount here.
 // Each router applies clientScope so req.clientId is always set.
@@ -63,6 +71,9 @@ app.get('/', (req, res) => {
 
 // ── Global error handler ──────────────────────────────────────────────────────
 app.use((err, req, res, _next) => {
+  // Multer rejects uploads (size, count, type) before the route runs
+  if (handleUploadError(err, res)) return;
+
   if (NODE_ENV !== 'production') {
     console.error('[error]', err.stack || err.message);
   } else {
@@ -79,19 +90,24 @@ async function start() {
     process.exit(1);
   }
 
-  ensureUploadDirs();
+  configureStorage();
   await initDatabase();
   await ensureDefaultClient();
-  configureFal();
-  configureGemini();
+  configureImageProviders();
+  configureLlmProviders();
+  await startProgressListener();
+  await startJobWorkers();
 
   app.listen(PORT, '0.0.0.0', () => {
     console.log('──────────────────────────────────────────');
     console.log('  Static Ads Generator');
     console.log('──────────────────────────────────────────');
     console.log(`  Environment : ${NODE_ENV}`);
-    console.log(`  FAL key     : ${process.env.FAL_KEY     ? 'set' : 'MISSING — image generation disabled'}`);
-    console.log(`  Gemini key  : ${process.env.GEMINI_KEY  ? 'set' : 'MISSING — AI features disabled'}`);
+    console.log(`  Images      : ${DEFAULT_PROVIDER}${MIRROR_ENABLED ? ' (mirrored to storage)' : ''}`);
+    console.log(`  Storage     : ${STORAGE_DRIVER}`);
+    console.log(`  FAL key     : ${process.env.FAL_KEY     ? 'set' : 'MISSING — FAL image generation disabled'}`);
+    console.log(`  LLM         : ${DEFAULT_LLM}`);
+    console.log(`  Gemini key  : ${process.env.GEMINI_KEY  ? 'set' : 'MISSING — Gemini AI features disabled'}`);
     console.log(`  URL         : http://0.0.0.0:${PORT}`);
     console.log(`  Health      : http://0.0.0.0:${PORT}/api/health`);
     console.log('──────────────────────────────────────────');
@@ -0,0 +1,159 @@
+const path  = require('path');
+const sharp = require('sharp');
+
+const { putFile, removeStoredFile } = require('./storage');
+const { probeWithPoster }           = require('./video');
+const { parseFontInfo }             = require('./fonts');
+
+// ── Asset derivatives ─────────────────────────────────────────────────────────
+// Uploaded images are probed and resized once so the Media Library never has
+// to load the (up to 20 MB) original. For each image asset we store:
+//
+//   width, height   – display dimensions (EXIF orientation applied)
+//   palette         – up to PALETTE_SIZE dominant colours,
+//                     [{ hex: '#aabbcc', share: 0.42 }] most common first
+//   thumbnail_url   – THUMB_SIZE px JPEG (PNG when the image has transparency)
+//   derivatives     – { thumb, thumb_webp, web_webp }, each
+//                     { url, width, height, content_type, size_bytes }
+//
+// Derivatives live next to the original under assets/derived/. GIFs use their
+// first frame; SVGs are rasterised.
+//
+// Videos are probed with ffprobe: width/height are the video resolution,
+// metadata.video holds { duration_seconds, codec, fps, bitrate, has_audio,
+// poster_at }, and a poster frame (derivatives.poster, JPEG at full size)
+// feeds the same thumbnail, WebP and palette pipeline.
+//
+// Fonts get no derivatives, only metadata.font = { format, family, subfamily,
+// full_name, weight, style } read from the font's name and OS/2 tables.
+
+const THUMB_SIZE   = 400;
+const WEB_SIZE     = 1600;
+const PALETTE_SIZE = 6;
+
+// ── Palette ───────────────────────────────────────────────────────────────────
+// Counts pixels of a small copy in 4-bit-per-channel buckets, then keeps the
+// biggest buckets that are visibly distinct from those already picked.
+
+const MIN_SHARE    = 0.01;
+const MIN_DISTANCE = 28;  // RGB euclidean distance between palette entries
+
+function toHex(r, g, b) {
+  return `#${[r, g, b].map(v => Math.round(v).toString(16).padStart(2, '0')).join('')}`;
+}
+
+async function extractPalette(image) {
+  const { data } = await image.clone()
+    .resize(64, 64, { fit: 'inside' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const buckets = new Map();
+  let   total   = 0;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) continue; // ignore transparent pixels
+    const key    = ((data[i] >> 4) << 8) | ((data[i + 1] >> 4) << 4) | (data[i + 2] >> 4);
+    const bucket = buckets.get(key) || { r: 0, g: 0, b: 0, n: 0 };
+    bucket.r += data[i];
+    bucket.g += data[i + 1];
+    bucket.b += data[i + 2];
+    bucket.n++;
+    buckets.set(key, bucket);
+    total++;
+  }
+
+  const palette = [];
+  const picked  = [];
+  for (const { r, g, b, n } of [...buckets.values()].sort((a, c) => c.n - a.n)) {
+    if (palette.length === PALETTE_SIZE || n / total < MIN_SHARE) break;
+    const rgb = [r / n, g / n, b / n];
+    if (picked.some(p => Math.hypot(p[0] - rgb[0], p[1] - rgb[1], p[2] - rgb[2]) < MIN_DISTANCE)) continue;
+    picked.push(rgb);
+    palette.push({ hex: toHex(...rgb), share: Math.round((n / total) * 1000) / 1000 });
+  }
+  return palette;
+}
+
+// ── Derivatives ───────────────────────────────────────────────────────────────
+
+async function storeVariant(image, key, contentType) {
+  const { data, info } = await image.toBuffer({ resolveWithObject: true });
+  const { url } = await putFile(key, data, { contentType });
+  return { url, width: info.width, height: info.height, content_type: contentType, size_bytes: data.length };
+}
+
+// Probes `buffer` and writes its derivatives. `baseName` is the original's
+// generated filename (e.g. "1700000000000-ab12.png"). Returns the asset
+// fields listed above. Throws sharp's error for undecodable input.
+async function processImageAsset(buffer, baseName) {
+  const source = sharp(buffer, { animated: false }).autoOrient();
+  const meta   = await sharp(buffer).metadata();
+  const width  = meta.autoOrient?.width  ?? meta.width  ?? null;
+  const height = meta.autoOrient?.height ?? meta.height ?? null;
+  const stem   = `assets/derived/${path.parse(baseName).name}`;
+  const resize = size => source.clone().resize(size, size, { fit: 'inside', withoutEnlargement: true });
+
+  const palette = await extractPalette(source);
+
+  const thumb = meta.hasAlpha
+    ? await storeVariant(resize(THUMB_SIZE).png(), `${stem}-thumb.png`, 'image/png')
+    : await storeVariant(resize(THUMB_SIZE).jpeg({ quality: 82, mozjpeg: true }), `${stem}-thumb.jpg`, 'image/jpeg');
+  const derivatives = {
+    thumb,
+    thumb_webp: await storeVariant(resize(THUMB_SIZE).webp({ quality: 80 }), `${stem}-thumb.webp`, 'image/webp'),
+    web_webp:   await storeVariant(resize(WEB_SIZE).webp({ quality: 82 }),   `${stem}-web.webp`,   'image/webp'),
+  };
+
+  return { width, height, palette, thumbnail_url: thumb.url, derivatives };
+}
+
+async function processVideoAsset(buffer, baseName) {
+  const { name, ext }                = path.parse(baseName);
+  const { probe, poster, poster_at } = await probeWithPoster(buffer, ext);
+
+  const posterVariant = await storeVariant(
+    sharp(poster).jpeg({ quality: 88, mozjpeg: true }), `assets/derived/${name}-poster.jpg`, 'image/jpeg'
+  );
+  const derived = await processImageAsset(poster, baseName);
+  const { width, height, ...video } = probe;
+
+  return {
+    ...derived,
+    width:       width  ?? derived.width,
+    height:      height ?? derived.height,
+    derivatives: { ...derived.derivatives, poster: posterVariant },
+    metadata:    { video: { ...video, poster_at } },
+  };
+}
+
+function processFontAsset(buffer) {
+  return { metadata: { font: parseFontInfo(buffer) } };
+}
+
+const PROCESSORS = {
+  image: processImageAsset,
+  video: processVideoAsset,
+  font:  processFontAsset,
+};
+
+// Best-effort wrapper for upload paths: a file that cannot be read (or a
+// video without ffmpeg installed) is still saved, just without derivatives.
+// Returns {} on failure.
+async function describeAsset(buffer, baseName, mimeType) {
+  const processor = PROCESSORS[mimeType?.split('/')[0]];
+  if (!processor) return {};
+  try {
+    return await processor(buffer, baseName);
+  } catch (err) {
+    console.warn(`[assets] Could not process ${baseName}: ${err.message}`);
+    return {};
+  }
+}
+
+// Deletes an asset's derivative files (fire-and-forget).
+function removeDerivatives(asset) {
+  for (const variant of Object.values(asset?.derivatives || {})) removeStoredFile(variant?.url);
+}
+
+module.exports = { processImageAsset, describeAsset, removeDerivatives };
@@ -0,0 +1,654 @@
+const sharp = require('sharp');
+
+const { isStoredUrl, readStoredFile } = require('./storage');
+const { localFontFile }               = require('./fonts');
+
+// ── Image acquisition ─────────────────────────────────────────────────────────
+// Loads an image from storage ("/uploads/…" or the storage driver's URL) or
+// any other remote URL. Callers pass only URLs they have checked belong to
+// the client (its generations, assets or brand kit) — never a raw request
+// field.
+//
+// Throws structured errors with .code:
+//   COMPOSE_IMAGE_FETCH_ERROR — path is unsafe, file missing, HTTP failure or timeout
+
+const IMAGE_FETCH_TIMEOUT = parseInt(process.env.IMAGE_FETCH_TIMEOUT_MS || '30000', 10);
+
+async function loadImageBuffer(imageUrl) {
+  try {
+    if (isStoredUrl(imageUrl)) return await readStoredFile(imageUrl);
+    if (imageUrl.startsWith('/')) throw new Error(`Invalid local image path: ${imageUrl}`);
+    const response = await fetch(imageUrl, { signal: AbortSignal.timeout(IMAGE_FETCH_TIMEOUT) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+  } catch (err) {
+    throw Object.assign(
+      new Error(`Failed to load image: ${err.message}`),
+      { code: 'COMPOSE_IMAGE_FETCH_ERROR', cause: err }
+    );
+  }
+}
+
+// Width and height as displayed: EXIF orientations 5–8 are rotated a quarter
+// turn, so .rotate() swaps the stored dimensions.
+function orientedSize({ width, height, orientation }) {
+  return orientation >= 5 ? { width: height, height: width } : { width, height };
+}
+
+// ── Colour helpers ────────────────────────────────────────────────────────────
+
+const HEX_RE = /^#([0-9a-fA-F]{3}|[0-9a-fA-F]{6})$/;
+
+function firstHex(...lists) {
+  for (const list of lists) {
+    const hit = Array.isArray(list) ? list.find(c => typeof c === 'string' && HEX_RE.test(c)) : null;
+    if (hit) return hit;
+  }
+  return null;
+}
+
+// Picks black or white text for a given background using relative luminance.
+function contrastText(hex) {
+  let h = hex.slice(1);
+  if (h.length === 3) h = h.split('').map(c => c + c).join('');
+  const [r, g, b] = [0, 2, 4].map(o => parseInt(h.slice(o, o + 2), 16) / 255)
+    .map(c => (c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4));
+  const luminance = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  return luminance > 0.4 ? '#111111' : '#ffffff';
+}
+
+// ── Text rendering ────────────────────────────────────────────────────────────
+// Text is rendered by libvips/Pango so word-wrapping follows real glyph
+// metrics. Font roles come from brand_kits.fonts: a plain family name is
+// looked up among installed fonts, while an uploaded font asset
+// ({ family, url, weight, style }) is loaded from its file and rendered at
+// its own weight and style. Pango falls back to sans-serif when a family
+// cannot be found.
+
+function escapeMarkup(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+// CSS numeric weight → Pango weight keyword (400 is Pango's default).
+const PANGO_WEIGHTS = {
+  100: 'Thin', 200: 'Ultra-Light', 300: 'Light', 400: '', 500: 'Medium',
+  600: 'Semi-Bold', 700: 'Bold', 800: 'Ultra-Bold', 900: 'Heavy',
+};
+
+// Turns one brand kit font role into { family, weight?, style?, fontfile? }.
+// A font file that cannot be fetched degrades to the family name alone.
+async function resolveFont(value) {
+  if (!value) return null;
+  if (typeof value === 'string') return { family: value };
+
+  const font = {
+    family: value.family,
+    weight: PANGO_WEIGHTS[Math.round((value.weight || 400) / 100) * 100] ?? '',
+    style:  value.style === 'italic' ? 'Italic' : '',
+  };
+  if (value.url) {
+    try {
+      font.fontfile = await localFontFile(value.url);
+    } catch (err) {
+      console.warn(`[compositor] Could not load font ${value.url}:`, err.message);
+    }
+  }
+  return font;
+}
+
+// Resolves every role set on the kit; unset roles are omitted.
+async function resolveKitFonts(kit) {
+  const fonts = {};
+  for (const [role, value] of Object.entries(kit?.fonts || {})) {
+    const font = await resolveFont(value);
+    if (font) fonts[role] = font;
+  }
+  return fonts;
+}
+
+// `font` is a resolved role (see resolveFont). An uploaded font's own weight
+// wins over the requested `weight`, since the kit picked that exact file.
+async function renderText(text, { font = null, weight = '', size, color, width, align = 'left' }) {
+  const description = [
+    `${font?.family ? `${font.family},` : ''}sans-serif`,
+    font?.style || '',
+    font?.weight ?? weight,
+    Math.round(size),
+  ].join(' ').replace(/\s+/g, ' ');
+
+  const { data, info } = await sharp({
+    text: {
+      text:  `<span foreground="${color}">${escapeMarkup(text)}</span>`,
+      font:  description,
+      ...(font?.fontfile && { fontfile: font.fontfile }),
+      width: Math.round(width),
+      align,
+      wrap:  'word-char', // words wider than the line break rather than overflow it
+      rgba:  true,
+    },
+  }).png().toBuffer({ resolveWithObject: true });
+  return { input: data, width: info.width, height: info.height };
+}
+
+function scrimSvg(width, height, position) {
+  const [from, to] = position === 'top' ? ['0.7', '0'] : ['0', '0.7'];
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <defs><linearGradient id="g" x1="0" y1="0" x2="0" y2="1">
+        <stop offset="0" stop-color="#000" stop-opacity="${from}"/>
+        <stop offset="1" stop-color="#000" stop-opacity="${to}"/>
+      </linearGradient></defs>
+      <rect width="100%" height="100%" fill="url(#g)"/>
+    </svg>`
+  );
+}
+
+function rectSvg(width, height, fill, radius = 0) {
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <rect width="${width}" height="${height}" rx="${radius}" ry="${radius}" fill="${fill}"/>
+    </svg>`
+  );
+}
+
+// ── Compositor ────────────────────────────────────────────────────────────────
+// Lays headline, body copy, a CTA button and the brand logo over a base image.
+//
+// Options:
+//   headline   {string}  optional
+//   bodyCopy   {string}  optional
+//   cta        {string}  optional — rendered as a pill button
+//   kit        {object}  optional — brand kit row (fonts, colours)
+//   logoUrl    {string}  optional — public path or URL of the logo to stamp
+//   position   {string}  'bottom' (default) | 'top' — where the copy block sits
+//   format     {string}  'png' (default) | 'jpeg'
+//
+// Returns { buffer, width, height, format, content_type }
+// Throws COMPOSE_IMAGE_FETCH_ERROR when the base image cannot be loaded.
+// A logo that fails to load is skipped rather than failing the whole render.
+
+async function composeAd(imageUrl, {
+  headline = null,
+  bodyCopy = null,
+  cta      = null,
+  kit      = null,
+  logoUrl  = null,
+  position = 'bottom',
+  format   = 'png',
+} = {}) {
+  const base = sharp(await loadImageBuffer(imageUrl)).rotate();
+  const { width: W, height: H } = orientedSize(await base.metadata());
+
+  const unit   = Math.min(W, H);
+  const pad    = Math.round(unit * 0.06);
+  const innerW = W - pad * 2;
+  const fonts  = await resolveKitFonts(kit);
+
+  const textColor = '#ffffff';
+  const ctaFill   = firstHex(kit?.accent_colors, kit?.primary_colors) || '#111827';
+
+  // Render each block first so the copy stack can be measured before placement
+  const blocks = [];
+  if (headline) {
+    blocks.push(await renderText(headline, {
+      font: fonts.heading, weight: 'bold', size: unit * 0.065, color: textColor, width: innerW,
+    }));
+  }
+  if (bodyCopy) {
+    blocks.push(await renderText(bodyCopy, {
+      font: fonts.body, size: unit * 0.035, color: textColor, width: innerW,
+    }));
+  }
+
+  let button = null;
+  if (cta) {
+    const label  = await renderText(cta, {
+      font: fonts.body || fonts.heading, weight: 'bold', size: unit * 0.035,
+      color: contrastText(ctaFill), width: innerW * 0.6, align: 'centre',
+    });
+    const padX   = Math.round(label.height * 1.1);
+    const padY   = Math.round(label.height * 0.45);
+    button = {
+      label,
+      width:  label.width  + padX * 2,
+      height: label.height + padY * 2,
+    };
+  }
+
+  const gap        = Math.round(unit * 0.025);
+  const stackParts = [...blocks.map(b => b.height), ...(button ? [button.height] : [])];
+  const stackH     = stackParts.reduce((sum, h) => sum + h, 0) + gap * Math.max(stackParts.length - 1, 0);
+
+  const layers = [];
+
+  if (stackH > 0) {
+    const scrimH = Math.min(H, stackH + pad * 3);
+    layers.push({
+      input: scrimSvg(W, scrimH, position),
+      left:  0,
+      top:   position === 'top' ? 0 : H - scrimH,
+    });
+  }
+
+  let y = position === 'top' ? pad : H - pad - stackH;
+  for (const block of blocks) {
+    layers.push({ input: block.input, left: pad, top: y });
+    y += block.height + gap;
+  }
+  if (button) {
+    layers.push({
+      input: rectSvg(button.width, button.height, ctaFill, Math.round(button.height / 2)),
+      left:  pad,
+      top:   y,
+    });
+    layers.push({
+      input: button.label.input,
+      left:  pad + Math.round((button.width  - button.label.width)  / 2),
+      top:   y   + Math.round((button.height - button.label.height) / 2),
+    });
+  }
+
+  if (logoUrl) {
+    try {
+      const logo = await sharp(await loadImageBuffer(logoUrl))
+        .resize({ width: Math.round(W * 0.22), height: Math.round(H * 0.1), fit: 'inside' })
+        .png()
+        .toBuffer({ resolveWithObject: true });
+      // Logo sits in the corner opposite the copy block
+      layers.push({
+        input: logo.data,
+        left:  W - pad - logo.info.width,
+        top:   position === 'top' ? H - pad - logo.info.height : pad,
+      });
+    } catch (err) {
+      console.warn('[compositor] Skipping logo:', err.message);
+    }
+  }
+
+  const out = base.composite(layers);
+  const buffer = format === 'jpeg'
+    ? await out.jpeg({ quality: 92 }).toBuffer()
+    : await out.png().toBuffer();
+
+  return {
+    buffer,
+    width:        W,
+    height:       H,
+    format,
+    content_type: format === 'jpeg' ? 'image/jpeg' : 'image/png',
+  };
+}
+
+// ── Template layouts ──────────────────────────────────────────────────────────
+// A template layout positions named slots on a canvas of the template's
+// dimensions. Coordinates are pixels in that canvas.
+//
+// Slot shape:
+//   { x, y, width, height,
+//     safe_area:  { top, right, bottom, left }   inset in px (default 0)
+//     align:      'left' | 'center' | 'right'     (default 'left'; cta 'center')
+//     valign:     'top' | 'middle' | 'bottom'     (default 'top'; cta 'middle')
+//     font_role:  'heading' | 'body'              text slots only
+//     font_size:  number                          text slots only — starting size, shrinks to fit
+//     max_chars:  number                          text slots only — longer copy is truncated
+//     color:      hex | 'primary' | 'secondary' | 'accent'   text slots only
+//     fill:       hex | 'primary' | 'secondary' | 'accent'   text slots only — cta defaults to accent
+//     fit:        'cover' | 'contain'             image slots only }
+//
+// Slots are painted in SLOT_ORDER so text and logo always sit above imagery.
+
+const TEXT_SLOTS  = ['headline', 'body', 'cta'];
+const IMAGE_SLOTS = ['background', 'product_image', 'logo'];
+const SLOT_ORDER  = ['background', 'product_image', 'headline', 'body', 'cta', 'logo'];
+const COLOR_ROLES = ['primary', 'secondary', 'accent'];
+
+function resolveColor(value, kit, fallback) {
+  if (typeof value === 'string' && HEX_RE.test(value)) return value;
+  if (COLOR_ROLES.includes(value)) return firstHex(kit?.[`${value}_colors`]) || fallback;
+  return fallback;
+}
+
+function truncateChars(str, maxChars) {
+  const text = String(str).trim();
+  if (!maxChars || text.length <= maxChars) return text;
+  return `${text.slice(0, Math.max(maxChars - 1, 1)).trimEnd()}…`;
+}
+
+// Inner box of a slot after its safe area is applied
+function slotBox(slot) {
+  const sa = slot.safe_area || {};
+  const top = sa.top || 0, right = sa.right || 0, bottom = sa.bottom || 0, left = sa.left || 0;
+  return {
+    x:      slot.x + left,
+    y:      slot.y + top,
+    width:  Math.max(slot.width  - left - right, 1),
+    height: Math.max(slot.height - top - bottom, 1),
+  };
+}
+
+// Overlap of two { x, y, width, height } rectangles, or null when they do not meet
+function intersectBox(a, b) {
+  const x = Math.max(a.x, b.x);
+  const y = Math.max(a.y, b.y);
+  const width  = Math.min(a.x + a.width,  b.x + b.width)  - x;
+  const height = Math.min(a.y + a.height, b.y + b.height) - y;
+  return width > 0 && height > 0 ? { x, y, width, height } : null;
+}
+
+// A composite layer of width × height placed at left/top, cropped to `box`.
+// sharp refuses overlays that reach past the canvas, so every layer goes
+// through here. Returns null when nothing of it is inside the box.
+async function clipLayer(input, width, height, { left, top }, box) {
+  const visible = intersectBox({ x: left, y: top, width, height }, box);
+  if (!visible) return null;
+  if (visible.width === width && visible.height === height) return { input, left, top };
+  const data = await sharp(input)
+    .extract({ left: visible.x - left, top: visible.y - top, width: visible.width, height: visible.height })
+    .png()
+    .toBuffer();
+  return { input: data, left: visible.x, top: visible.y };
+}
+
+function placeInBox(box, w, h, align, valign) {
+  const left = align  === 'right'  ? box.x + box.width  - w
+             : align  === 'center' ? box.x + Math.round((box.width  - w) / 2)
+             :                       box.x;
+  const top  = valign === 'bottom' ? box.y + box.height - h
+             : valign === 'middle' ? box.y + Math.round((box.height - h) / 2)
+             :                       box.y;
+  return { left: Math.max(left, 0), top: Math.max(top, 0) };
+}
+
+// Renders text no taller than maxHeight, shrinking the font up to six times.
+async function renderFittedText(text, opts, maxHeight) {
+  let size = opts.size;
+  let rendered = await renderText(text, { ...opts, size });
+  for (let i = 0; i < 6 && rendered.height > maxHeight; i++) {
+    size *= 0.85;
+    rendered = await renderText(text, { ...opts, size });
+  }
+  return rendered;
+}
+
+// Fills a template layout with copy and imagery.
+//
+// Options:
+//   images  { background, product_image, logo }  public paths or URLs
+//   text    { headline, body, cta }
+//   kit     brand kit row — fonts and colour roles
+//   format  'png' (default) | 'jpeg'
+//
+// Returns { buffer, width, height, format, content_type, slots_filled, slots_skipped }
+// Throws COMPOSE_IMAGE_FETCH_ERROR only when the background cannot be loaded;
+// other image slots that fail to load are skipped. Throws COMPOSE_LAYOUT_INVALID
+// when a slot lies entirely outside the canvas; slots overhanging an edge are
+// cut to the canvas, and every overlay is cut to its slot.
+
+async function renderLayout({ dimensions, layout }, {
+  images = {},
+  text   = {},
+  kit    = null,
+  format = 'png',
+} = {}) {
+  const W     = dimensions.width;
+  const H     = dimensions.height;
+  const unit  = Math.min(W, H);
+  const slots = layout?.slots || {};
+  const fonts = await resolveKitFonts(kit);
+
+  const canvasBox = { x: 0, y: 0, width: W, height: H };
+  const outside   = SLOT_ORDER.filter(name => slots[name] && !intersectBox(slots[name], canvasBox));
+  if (outside.length) {
+    throw Object.assign(
+      new Error(`Layout slots lie outside the ${W}×${H} canvas: ${outside.join(', ')}`),
+      { code: 'COMPOSE_LAYOUT_INVALID', slots: outside }
+    );
+  }
+
+  const layers  = [];
+  const filled  = [];
+  const skipped = [];
+  const push    = layer => { if (layer) layers.push(layer); };
+
+  for (const name of SLOT_ORDER) {
+    const slot = slots[name];
+    if (!slot) continue;
+    const area = intersectBox(slot, canvasBox);
+    const box  = intersectBox(slotBox(slot), area);
+    if (!box) { skipped.push(name); continue; }
+
+    if (IMAGE_SLOTS.includes(name)) {
+      if (!images[name]) { skipped.push(name); continue; }
+
+      let buffer;
+      try {
+        buffer = await loadImageBuffer(images[name]);
+      } catch (err) {
+        if (name === 'background') throw err;
+        console.warn(`[compositor] Skipping ${name} slot:`, err.message);
+        skipped.push(name);
+        continue;
+      }
+
+      const fit = slot.fit || (name === 'background' ? 'cover' : 'contain');
+      const img = await sharp(buffer)
+        .rotate()
+        .resize({ width: box.width, height: box.height, fit: fit === 'cover' ? 'cover' : 'inside' })
+        .png()
+        .toBuffer({ resolveWithObject: true });
+
+      const pos = placeInBox(box, img.info.width, img.info.height, slot.align || 'center', slot.valign || 'middle');
+      push(await clipLayer(img.data, img.info.width, img.info.height, pos, box));
+      filled.push(name);
+      continue;
+    }
+
+    // ── Text slots ──
+    if (!text[name]) { skipped.push(name); continue; }
+    const copy = truncateChars(text[name], slot.max_chars);
+
+    const isCta    = name === 'cta';
+    const role     = slot.font_role || (name === 'headline' ? 'heading' : 'body');
+    const fill     = resolveColor(slot.fill, kit, isCta ? (firstHex(kit?.accent_colors, kit?.primary_colors) || '#111827') : null);
+    const color    = resolveColor(slot.color, kit, fill ? contrastText(fill) : '#ffffff');
+    const align    = slot.align  || (isCta ? 'center' : 'left');
+    const valign   = slot.valign || (isCta ? 'middle' : 'top');
+    const baseSize = slot.font_size || unit * (name === 'headline' ? 0.07 : isCta ? 0.035 : 0.04);
+
+    const rendered = await renderFittedText(copy, {
+      font:   fonts[role],
+      weight: role === 'heading' || isCta ? 'bold' : '',
+      size:   baseSize,
+      color,
+      width:  isCta ? box.width * 0.8 : box.width,
+      align:  align === 'center' ? 'centre' : align,
+    }, isCta ? box.height * 0.6 : box.height);
+
+    if (isCta) {
+      // CTA is a pill sized to its label, clamped to the slot
+      const btnW = Math.min(rendered.width  + Math.round(rendered.height * 2.2), box.width);
+      const btnH = Math.min(rendered.height + Math.round(rendered.height * 0.9), box.height);
+      const pos  = placeInBox(box, btnW, btnH, align, valign);
+      push(await clipLayer(rectSvg(btnW, btnH, fill, Math.round(btnH / 2)), btnW, btnH, pos, box));
+      push(await clipLayer(rendered.input, rendered.width, rendered.height, {
+        left: pos.left + Math.round((btnW - rendered.width)  / 2),
+        top:  pos.top  + Math.round((btnH - rendered.height) / 2),
+      }, box));
+    } else {
+      if (fill) layers.push({ input: rectSvg(area.width, area.height, fill), left: area.x, top: area.y });
+      const pos = placeInBox(box, rendered.width, rendered.height, align, valign);
+      push(await clipLayer(rendered.input, rendered.width, rendered.height, pos, box));
+    }
+    filled.push(name);
+  }
+
+  const canvas = sharp({
+    create: {
+      width:      W,
+      height:     H,
+      channels:   4,
+      background: resolveColor(layout?.background_color, kit, '#ffffff'),
+    },
+  }).composite(layers);
+
+  const buffer = format === 'jpeg'
+    ? await canvas.flatten({ background: '#ffffff' }).jpeg({ quality: 92 }).toBuffer()
+    : await canvas.png().toBuffer();
+
+  return {
+    buffer,
+    width:         W,
+    height:        H,
+    format,
+    content_type:  format === 'jpeg' ? 'image/jpeg' : 'image/png',
+    slots_filled:  filled,
+    slots_skipped: skipped,
+  };
+}
+
+// ── Inpainting masks ──────────────────────────────────────────────────────────
+// Masks mark the region to redraw in white on black. Uploaded or drawn masks
+// rarely match the image exactly, so they are stretched to the source size,
+// flattened (transparent = keep), and thresholded to pure black and white.
+//
+// Returns { buffer (PNG), coverage } where coverage is the share of the image
+// that will be redrawn, 0–1.
+// Throws COMPOSE_MASK_INVALID when the mask cannot be decoded.
+
+async function prepareMask(maskBuffer, width, height) {
+  let data;
+  try {
+    data = await sharp(maskBuffer)
+      .rotate()
+      .flatten({ background: '#000000' })
+      .resize(width, height, { fit: 'fill' })
+      .greyscale()
+      .threshold(128)
+      .raw()
+      .toBuffer();
+  } catch (err) {
+    throw Object.assign(new Error(`Mask is not a readable image: ${err.message}`), { code: 'COMPOSE_MASK_INVALID', cause: err });
+  }
+
+  let painted = 0;
+  for (const value of data) if (value) painted++;
+
+  return {
+    buffer:   await sharp(data, { raw: { width, height, channels: 1 } }).png().toBuffer(),
+    coverage: Math.round((painted / data.length) * 1000) / 1000,
+  };
+}
+
+// ── Product cutout over a scene ───────────────────────────────────────────────
+// Places a transparent product cutout, unmodified apart from scaling, on a
+// generated scene. Used by the cutout generation mode so the real product is
+// shown rather than the model's redraw of it.
+//
+// Options:
+//   scale      {number}   0.1–0.9 (default 0.55) — max share of the scene's width/height
+//   placement  {string}   'bottom' (default) | 'center'
+//   shadow     {boolean}  default true — soft drop shadow plus a contact shadow
+//   format     {string}   'png' (default) | 'jpeg'
+//
+// Returns { buffer, width, height, format, content_type }
+// Throws COMPOSE_IMAGE_FETCH_ERROR when either image cannot be loaded.
+
+const PRODUCT_PLACEMENTS = ['bottom', 'center'];
+
+function contactShadowSvg(width, height) {
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <defs><filter id="b"><feGaussianBlur stdDeviation="${Math.max(2, height / 5)}"/></filter></defs>
+      <ellipse cx="${width / 2}" cy="${height / 2}" rx="${width * 0.42}" ry="${height * 0.22}"
+        fill="#000000" fill-opacity="0.45" filter="url(#b)"/>
+    </svg>`
+  );
+}
+
+async function compositeProduct(sceneUrl, cutoutUrl, {
+  scale     = 0.55,
+  placement = 'bottom',
+  shadow    = true,
+  format    = 'png',
+} = {}) {
+  const base = sharp(await loadImageBuffer(sceneUrl)).rotate();
+  const { width: W, height: H } = orientedSize(await base.metadata());
+
+  const product = await sharp(await loadImageBuffer(cutoutUrl))
+    .ensureAlpha()
+    .resize({ width: Math.round(W * scale), height: Math.round(H * scale), fit: 'inside' })
+    .png()
+    .toBuffer({ resolveWithObject: true });
+  const { width: w, height: h } = product.info;
+
+  const left = Math.round((W - w) / 2);
+  const top  = placement === 'center'
+    ? Math.round((H - h) / 2)
+    : H - h - Math.round(H * 0.08);
+
+  const layers = [];
+  if (shadow) {
+    // Contact shadow: a flat blurred ellipse where the product meets the surface
+    const cw = Math.round(w * 1.1);
+    const ch = Math.max(8, Math.round(h * 0.12));
+    layers.push({
+      input: contactShadowSvg(cw, ch),
+      left:  Math.round((W - cw) / 2),
+      top:   Math.min(H - ch, top + h - Math.round(ch / 2)),
+    });
+
+    // Drop shadow: the product's silhouette, darkened, blurred and offset
+    const blur   = Math.max(1, Math.round(Math.min(w, h) * 0.03));
+    const alpha  = await sharp(product.data).extractChannel(3).linear(0.35, 0).raw().toBuffer();
+    const shape  = await sharp({ create: { width: w, height: h, channels: 3, background: '#000000' } })
+      .joinChannel(alpha, { raw: { width: w, height: h, channels: 1 } })
+      .extend({ top: blur * 2, bottom: blur * 2, left: blur * 2, right: blur * 2, background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .blur(blur)
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    const offset = Math.round(blur * 0.8);
+    const sx     = left - blur * 2 + offset;
+    const sy     = top  - blur * 2 + offset;
+    // Trim the shadow to the canvas so sharp accepts the overlay
+    const cropL  = Math.max(0, -sx);
+    const cropT  = Math.max(0, -sy);
+    const cropW  = Math.min(shape.info.width  - cropL, W - Math.max(0, sx));
+    const cropH  = Math.min(shape.info.height - cropT, H - Math.max(0, sy));
+    if (cropW > 0 && cropH > 0) {
+      layers.push({
+        input: await sharp(shape.data).extract({ left: cropL, top: cropT, width: cropW, height: cropH }).toBuffer(),
+        left:  Math.max(0, sx),
+        top:   Math.max(0, sy),
+      });
+    }
+  }
+  layers.push({ input: product.data, left, top });
+
+  const out = base.composite(layers);
+  const buffer = format === 'jpeg'
+    ? await out.jpeg({ quality: 92 }).toBuffer()
+    : await out.png().toBuffer();
+
+  return {
+    buffer,
+    width:        W,
+    height:       H,
+    format,
+    content_type: format === 'jpeg' ? 'image/jpeg' : 'image/png',
+  };
+}
+
+module.exports = {
+  composeAd,
+  renderLayout,
+  compositeProduct,
+  prepareMask,
+  PRODUCT_PLACEMENTS,
+  loadImageBuffer,
+  TEXT_SLOTS,
+  IMAGE_SLOTS,
+  COLOR_ROLES,
+};
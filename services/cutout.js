@@ -0,0 +1,88 @@
+const path   = require('path');
+const sharp  = require('sharp');
+
+const { getImageProvider, DEFAULT_PROVIDER }      = require('./imageProvider');
+const { loadImageBuffer }                         = require('./compositor');
+const { putFile }                                 = require('./storage');
+const { getAssetById, setAssetDerivative }        = require('../database/assets');
+
+// ── Product cutouts ───────────────────────────────────────────────────────────
+// Background removal for product_image assets. The provider returns a
+// transparent PNG; we trim it to the product's bounds and store it next to the
+// asset's other derivatives as derivatives.cutout:
+//
+//   { url, width, height, content_type, size_bytes, provider, model }
+//
+// Provider errors pass through unchanged (FAL_KEY_MISSING, FAL_TIMEOUT, …);
+// CUTOUT_NOT_PRODUCT is thrown for assets outside the product_image category,
+// CUTOUT_EMPTY when the provider returns no image, and CUTOUT_SOURCE_MISSING
+// when there is no asset to cut out.
+
+const CUTOUT_CATEGORY = 'product_image';
+
+function cutoutKeyFor(asset) {
+  return `assets/derived/${path.parse(asset.file_url.split(/[?#]/)[0]).name}-cutout.png`;
+}
+
+// Runs background removal on `imageUrl` and writes the trimmed PNG to `key`.
+async function removeBackground(imageUrl, key, { provider = DEFAULT_PROVIDER } = {}) {
+  const impl   = getImageProvider(provider);
+  const result = await impl.removeBackground(imageUrl);
+  if (!result.images[0]) {
+    throw Object.assign(new Error('Background removal returned no image'), { code: 'CUTOUT_EMPTY' });
+  }
+
+  const image = sharp(await loadImageBuffer(result.images[0].url)).ensureAlpha();
+  let trimmed;
+  try {
+    // Crop away the transparent margin so placement works on the product itself
+    trimmed = await image.clone().trim({ background: { r: 0, g: 0, b: 0, alpha: 0 } }).png().toBuffer({ resolveWithObject: true });
+  } catch {
+    // Nothing to trim (a fully opaque or fully transparent result)
+    trimmed = await image.png().toBuffer({ resolveWithObject: true });
+  }
+
+  const { url } = await putFile(key, trimmed.data, { contentType: 'image/png' });
+  return {
+    url,
+    width:        trimmed.info.width,
+    height:       trimmed.info.height,
+    content_type: 'image/png',
+    size_bytes:   trimmed.data.length,
+    provider:     impl.name,
+    model:        result.model,
+  };
+}
+
+// Returns the asset's cutout, creating and recording it when missing (or
+// when `force` is set). Returns the updated asset row alongside the variant.
+async function ensureAssetCutout(asset, { provider, force = false } = {}) {
+  if (asset.category !== CUTOUT_CATEGORY) {
+    throw Object.assign(
+      new Error(`Asset ${asset.id} is not a product image (category "${asset.category}")`),
+      { code: 'CUTOUT_NOT_PRODUCT' }
+    );
+  }
+  if (!force && asset.derivatives?.cutout?.url) return { cutout: asset.derivatives.cutout, asset };
+
+  const cutout  = await removeBackground(asset.file_url, cutoutKeyFor(asset), { provider });
+  const updated = await setAssetDerivative(asset.id, asset.client_id, 'cutout', cutout);
+  return { cutout, asset: updated || asset };
+}
+
+// Resolves the cutout for a generation: the client's asset's, created on
+// first use. Only assets are cut out — a plain URL would be read or fetched
+// server-side unchecked — so generations without a product asset fail with
+// CUTOUT_SOURCE_MISSING.
+async function productCutout({ assetId = null, clientId, provider }) {
+  const asset = assetId ? await getAssetById(assetId, clientId) : null;
+  if (!asset) {
+    throw Object.assign(
+      new Error(assetId ? `Product asset ${assetId} no longer exists` : 'Product cutouts need a product asset'),
+      { code: 'CUTOUT_SOURCE_MISSING' }
+    );
+  }
+  return (await ensureAssetCutout(asset, { provider })).cutout;
+}
+
+module.exports = { CUTOUT_CATEGORY, removeBackground, ensureAssetCutout, productCutout };
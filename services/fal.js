@@ -1,7 +1,12 @@
 const { fal } = require('@fal-ai/client');
 
+const { isStoredUrl, readStoredFile, contentTypeFor } = require('./storage');
+
 const FAL_MODEL         = process.env.FAL_MODEL         || 'fal-ai/flux/dev';
 const FAL_IMG2IMG_MODEL = process.env.FAL_IMG2IMG_MODEL || 'fal-ai/flux/dev/image-to-image';
+const FAL_INPAINT_MODEL = process.env.FAL_INPAINT_MODEL || 'fal-ai/flux-lora/inpainting';
+const FAL_UPSCALE_MODEL = process.env.FAL_UPSCALE_MODEL || 'fal-ai/esrgan';
+const FAL_CUTOUT_MODEL  = process.env.FAL_CUTOUT_MODEL  || 'fal-ai/birefnet';
 const FAL_TIMEOUT       = parseInt(process.env.FAL_TIMEOUT_MS || '120000', 10);
 
 // ── Startup validation ────────────────────────────────────────────────────────
@@ -15,7 +20,7 @@ function configureFal() {
     return;
   }
   fal.config({ credentials: key });
-  console.log(`[fal] Ready  txt2img=${FAL_MODEL}  img2img=${FAL_IMG2IMG_MODEL}  timeout=${FAL_TIMEOUT}ms`);
+  console.log(`[fal] Ready  txt2img=${FAL_MODEL}  img2img=${FAL_IMG2IMG_MODEL}  inpaint=${FAL_INPAINT_MODEL}  upscale=${FAL_UPSCALE_MODEL}  cutout=${FAL_CUTOUT_MODEL}  timeout=${FAL_TIMEOUT}ms`);
 }
 
 // ── Response normalisation ────────────────────────────────────────────────────
@@ -34,33 +39,40 @@ function normalizeImages(raw) {
     .filter(img => img.url);
 }
 
-// ── Core generation call ──────────────────────────────────────────────────────
-// Options:
-//   imageSize  {string}  FAL size preset (default: 'square_hd')
-//   numImages  {number}  variants 1–4 (default: 1)
-//   imageUrl   {string}  base image for img2img; triggers img2img model automatically
-//   strength   {number}  img2img denoising strength 0–1 (default: 0.85)
-//
+// ── Input images ──────────────────────────────────────────────────────────────
+// FAL fetches input images itself, so files only reachable through our own
+// storage (relative "/uploads/…" paths) are uploaded to FAL storage first.
+// Uploads are remembered per URL for the life of the process.
+// Routes only queue URLs they have checked belong to the client.
+
+const uploadedInputs = new Map();
+
+function resolveInputUrl(url) {
+  if (!url || /^https?:\/\//i.test(url) || !isStoredUrl(url)) return url;
+  if (!uploadedInputs.has(url)) {
+    const upload = (async () => {
+      try {
+        const buffer = await readStoredFile(url);
+        return await fal.storage.upload(new Blob([buffer], { type: contentTypeFor(url) }));
+      } catch (err) {
+        throw Object.assign(new Error(`Could not upload input image ${url}: ${err.message}`), { code: 'FAL_ERROR', cause: err });
+      }
+    })();
+    upload.catch(() => uploadedInputs.delete(url));
+    uploadedInputs.set(url, upload);
+  }
+  return uploadedInputs.get(url);
+}
+
+// ── Core FAL call ─────────────────────────────────────────────────────────────
 // Returns { images, seed, requestId, model }
 // Throws structured errors: code = FAL_KEY_MISSING | FAL_TIMEOUT | FAL_ERROR
 
-async function generateImages(prompt, {
-  imageSize = 'square_hd',
-  numImages = 1,
-  imageUrl  = null,
-  strength  = 0.85,
-} = {}) {
+async function runModel(model, input) {
   if (!process.env.FAL_KEY) {
     throw Object.assign(new Error('FAL_KEY is not configured'), { code: 'FAL_KEY_MISSING' });
   }
 
-  const isImg2Img     = Boolean(imageUrl);
-  const resolvedModel = isImg2Img ? FAL_IMG2IMG_MODEL : FAL_MODEL;
-
-  const input = isImg2Img
-    ? { prompt, image_url: imageUrl, strength, num_images: numImages, image_size: imageSize, enable_safety_checker: false }
-    : { prompt,                                num_images: numImages, image_size: imageSize, enable_safety_checker: false };
-
   const timeout = new Promise((_, reject) =>
     setTimeout(
       () => reject(Object.assign(
@@ -74,7 +86,7 @@ async function generateImages(prompt, {
   let result;
   try {
     result = await Promise.race([
-      fal.subscribe(resolvedModel, { input, logs: false }),
+      fal.subscribe(model, { input, logs: false }),
       timeout,
     ]);
   } catch (err) {
@@ -83,15 +95,57 @@ async function generateImages(prompt, {
     throw Object.assign(new Error(msg), { code: 'FAL_ERROR', cause: err });
   }
 
-  const data      = result?.data ?? result ?? {};
-  const rawImages = data.images ?? [];
+  const data = result?.data ?? result ?? {};
+  // Upscalers return a single `image`; generators return `images`
+  const rawImages = data.images ?? (data.image ? [data.image] : []);
 
   return {
     images:    normalizeImages(rawImages),
     seed:      data.seed      ?? null,
     requestId: result?.requestId ?? null,
-    model:     resolvedModel,
+    model,
   };
 }
 
-module.exports = { configureFal, generateImages };
+// ── Provider interface ────────────────────────────────────────────────────────
+// See services/imageProvider.js for the contract every provider implements.
+
+const falProvider = {
+  name: 'fal',
+
+  configure: configureFal,
+
+  generate(prompt, { imageSize = 'square_hd', numImages = 1 } = {}) {
+    return runModel(FAL_MODEL, {
+      prompt, num_images: numImages, image_size: imageSize, enable_safety_checker: false,
+    });
+  },
+
+  async img2img(prompt, imageUrl, { imageSize = 'square_hd', numImages = 1, strength = 0.85 } = {}) {
+    return runModel(FAL_IMG2IMG_MODEL, {
+      prompt, image_url: await resolveInputUrl(imageUrl), strength, num_images: numImages, image_size: imageSize, enable_safety_checker: false,
+    });
+  },
+
+  async inpaint(prompt, imageUrl, maskUrl, { numImages = 1, strength = 0.85 } = {}) {
+    return runModel(FAL_INPAINT_MODEL, {
+      prompt,
+      image_url:             await resolveInputUrl(imageUrl),
+      mask_url:              await resolveInputUrl(maskUrl),
+      strength,
+      num_images:            numImages,
+      enable_safety_checker: false,
+    });
+  },
+
+  async upscale(imageUrl, { scale = 2 } = {}) {
+    return runModel(FAL_UPSCALE_MODEL, { image_url: await resolveInputUrl(imageUrl), scale });
+  },
+
+  // Returns a single transparent PNG of the foreground subject.
+  async removeBackground(imageUrl) {
+    return runModel(FAL_CUTOUT_MODEL, { image_url: await resolveInputUrl(imageUrl), output_format: 'png' });
+  },
+};
+
+module.exports = { configureFal, falProvider };
@@ -0,0 +1,260 @@
+const fs     = require('fs');
+const os     = require('os');
+const path   = require('path');
+const zlib   = require('zlib');
+const crypto = require('crypto');
+
+const { isStoredUrl, readStoredFile } = require('./storage');
+
+// ── Font files ────────────────────────────────────────────────────────────────
+// Reads family / weight / style out of uploaded TTF, OTF, WOFF and WOFF2
+// files (the sfnt "name", "OS/2" and "head" tables) and keeps local copies
+// for the text renderer, which needs a path on disk.
+//
+// Errors carry code FONT_INVALID (not a font file we can read).
+
+const FONT_FORMATS = {
+  ttf:   { mime: 'font/ttf',   ext: '.ttf'   },
+  otf:   { mime: 'font/otf',   ext: '.otf'   },
+  woff:  { mime: 'font/woff',  ext: '.woff'  },
+  woff2: { mime: 'font/woff2', ext: '.woff2' },
+};
+
+function invalid(message) {
+  return Object.assign(new Error(message), { code: 'FONT_INVALID' });
+}
+
+// ── Table directory ───────────────────────────────────────────────────────────
+// Each reader returns { format, tables: { tag → Buffer } } for the tables we
+// need, decompressing WOFF (zlib) and WOFF2 (brotli) as required.
+// Decompression stops at the size the header declares (never above
+// MAX_SFNT_SIZE), so a small upload cannot inflate into gigabytes.
+
+const WANTED        = new Set(['name', 'OS/2', 'head']);
+const MAX_SFNT_SIZE = 64 * 1024 * 1024;
+
+// Decompresses with `decompress` (a zlib *Sync function), allowing at most
+// `expected` bytes of output.
+function decompressTo(decompress, data, expected, label) {
+  if (expected > MAX_SFNT_SIZE) throw invalid(`${label} declares ${expected} bytes, more than the ${MAX_SFNT_SIZE}-byte limit`);
+  try {
+    return decompress(data, { maxOutputLength: Math.max(expected, 1) });
+  } catch (err) {
+    if (err.code === 'ERR_BUFFER_TOO_LARGE') throw invalid(`${label} decompresses to more than its declared ${expected} bytes`);
+    throw err;
+  }
+}
+
+function readSfnt(buf) {
+  const tag    = buf.toString('latin1', 0, 4);
+  const format = tag === 'OTTO' ? 'otf' : 'ttf';
+  const count  = buf.readUInt16BE(4);
+  const tables = {};
+  for (let i = 0; i < count; i++) {
+    const rec  = 12 + i * 16;
+    const name = buf.toString('latin1', rec, rec + 4);
+    if (!WANTED.has(name)) continue;
+    const offset = buf.readUInt32BE(rec + 8);
+    tables[name] = buf.subarray(offset, offset + buf.readUInt32BE(rec + 12));
+  }
+  return { format, tables };
+}
+
+function readWoff(buf) {
+  const count  = buf.readUInt16BE(12);
+  const tables = {};
+  for (let i = 0; i < count; i++) {
+    const rec  = 44 + i * 20;
+    const name = buf.toString('latin1', rec, rec + 4);
+    if (!WANTED.has(name)) continue;
+    const offset     = buf.readUInt32BE(rec + 4);
+    const compLength = buf.readUInt32BE(rec + 8);
+    const origLength = buf.readUInt32BE(rec + 12);
+    const data       = buf.subarray(offset, offset + compLength);
+    tables[name] = compLength < origLength
+      ? decompressTo(zlib.inflateSync, data, origLength, `WOFF table ${name.trim()}`)
+      : data;
+  }
+  return { format: 'woff', tables };
+}
+
+// WOFF2 known-table tags, indexed by the low 6 bits of each entry's flags.
+const WOFF2_TAGS = [
+  'cmap', 'head', 'hhea', 'hmtx', 'maxp', 'name', 'OS/2', 'post', 'cvt ', 'fpgm', 'glyf', 'loca', 'prep',
+  'CFF ', 'VORG', 'EBDT', 'EBLC', 'gasp', 'hdmx', 'kern', 'LTSH', 'PCLT', 'VDMX', 'vhea', 'vmtx', 'BASE',
+  'GDEF', 'GPOS', 'GSUB', 'EBSC', 'JSTF', 'MATH', 'CBDT', 'CBLC', 'COLR', 'CPAL', 'SVG ', 'sbix', 'acnt',
+  'avar', 'bdat', 'bloc', 'bsln', 'cvar', 'fdsc', 'feat', 'fmtx', 'fvar', 'gvar', 'hsty', 'just', 'lcar',
+  'mort', 'morx', 'opbd', 'prop', 'trak', 'Zapf', 'Silf', 'Glat', 'Gloc', 'Feat', 'Sill',
+];
+
+function readWoff2(buf) {
+  if (buf.toString('latin1', 4, 8) === 'ttcf') throw invalid('WOFF2 font collections are not supported');
+
+  const count = buf.readUInt16BE(12);
+  let   pos   = 48;
+  const base128 = () => {
+    let value = 0;
+    for (let i = 0; i < 5; i++) {
+      const byte = buf[pos++];
+      value = value * 128 + (byte & 0x7f);
+      if (!(byte & 0x80)) return value;
+    }
+    throw invalid('Malformed WOFF2 table directory');
+  };
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    const flags = buf[pos++];
+    let   tag   = WOFF2_TAGS[flags & 0x3f];
+    if ((flags & 0x3f) === 0x3f) {
+      tag = buf.toString('latin1', pos, pos + 4);
+      pos += 4;
+    }
+    const version     = flags >> 6;
+    const origLength  = base128();
+    // glyf/loca are transformed at version 0; every other table at version ≠ 0
+    const transformed = (tag === 'glyf' || tag === 'loca') ? version === 0 : version !== 0;
+    const length      = transformed ? base128() : origLength;
+    entries.push({ tag, length });
+  }
+
+  const total  = entries.reduce((sum, { length }) => sum + length, 0);
+  const data   = decompressTo(zlib.brotliDecompressSync, buf.subarray(pos, pos + buf.readUInt32BE(20)), total, 'WOFF2 font data');
+  const tables = {};
+  let   offset = 0;
+  for (const { tag, length } of entries) {
+    if (WANTED.has(tag)) tables[tag] = data.subarray(offset, offset + length);
+    offset += length;
+  }
+  return { format: 'woff2', tables };
+}
+
+// ── Tables ────────────────────────────────────────────────────────────────────
+
+// Returns nameId → string, preferring Windows English (UTF-16BE) records.
+function readNames(table) {
+  const count   = table.readUInt16BE(2);
+  const strings = table.readUInt16BE(4);
+  const names   = {};
+  const rank    = {};
+
+  for (let i = 0; i < count; i++) {
+    const rec = 6 + i * 12;
+    const platform = table.readUInt16BE(rec);
+    const language = table.readUInt16BE(rec + 4);
+    const nameId   = table.readUInt16BE(rec + 6);
+    const start    = strings + table.readUInt16BE(rec + 10);
+    const raw      = table.subarray(start, start + table.readUInt16BE(rec + 8));
+
+    let value;
+    let score;
+    if (platform === 3 || platform === 0) {
+      value = raw.swap16 && raw.length % 2 === 0 ? Buffer.from(raw).swap16().toString('utf16le') : null;
+      score = platform === 3 && language === 0x409 ? 3 : 2;
+    } else if (platform === 1) {
+      value = raw.toString('latin1');
+      score = language === 0 ? 1 : 0;
+    }
+    if (value && score > (rank[nameId] ?? -1)) {
+      names[nameId] = value.replace(/\0/g, '').trim();
+      rank[nameId]  = score;
+    }
+  }
+  return names;
+}
+
+// Parses a font file. Returns
+//   { format, family, subfamily, full_name, weight, style }
+// family/subfamily prefer the typographic names (IDs 16/17) that group a
+// family's weights, falling back to the legacy names (IDs 1/2).
+function parseFontInfo(buffer) {
+  if (!Buffer.isBuffer(buffer) || buffer.length < 12) throw invalid('File is too small to be a font');
+
+  const signature = buffer.toString('latin1', 0, 4);
+  let parsed;
+  try {
+    if (signature === 'wOFF')      parsed = readWoff(buffer);
+    else if (signature === 'wOF2') parsed = readWoff2(buffer);
+    else if (signature === 'OTTO' || signature === 'true' || buffer.readUInt32BE(0) === 0x00010000) {
+      parsed = readSfnt(buffer);
+    } else {
+      throw invalid('Not a TTF, OTF, WOFF or WOFF2 file');
+    }
+  } catch (err) {
+    if (err.code === 'FONT_INVALID') throw err;
+    throw Object.assign(invalid(`Could not read font: ${err.message}`), { cause: err });
+  }
+
+  const { format, tables } = parsed;
+  if (!tables.name) throw invalid('Font has no name table');
+
+  const names  = readNames(tables.name);
+  const os2    = tables['OS/2'];
+  const head   = tables.head;
+  const family = names[16] || names[1];
+  if (!family) throw invalid('Font has no family name');
+
+  const weight = os2?.length >= 6 ? os2.readUInt16BE(4) : ((head?.readUInt16BE(44) & 1) ? 700 : 400);
+  const italic = os2?.length >= 64 ? Boolean(os2.readUInt16BE(62) & 1) : Boolean(head?.readUInt16BE(44) & 2);
+
+  return {
+    format,
+    family,
+    subfamily: names[17] || names[2] || null,
+    full_name: names[4] || null,
+    weight:    weight || 400,
+    style:     italic ? 'italic' : 'normal',
+  };
+}
+
+// Maps an upload to a font format by MIME type or, since browsers often send
+// fonts as application/octet-stream, by file extension. Returns the
+// FONT_FORMATS key or null.
+const FONT_MIME_ALIASES = {
+  'font/ttf':                      'ttf',
+  'font/otf':                      'otf',
+  'font/woff':                     'woff',
+  'font/woff2':                    'woff2',
+  'application/x-font-ttf':        'ttf',
+  'application/x-font-truetype':   'ttf',
+  'application/x-font-otf':        'otf',
+  'application/x-font-opentype':   'otf',
+  'application/vnd.ms-opentype':   'otf',
+  'application/font-woff':         'woff',
+  'application/font-woff2':        'woff2',
+};
+
+function fontFormatOf(mimeType, filename) {
+  if (FONT_MIME_ALIASES[mimeType]) return FONT_MIME_ALIASES[mimeType];
+  const ext = path.extname(filename || '').slice(1).toLowerCase();
+  return FONT_FORMATS[ext] ? ext : null;
+}
+
+// ── Local copies for rendering ────────────────────────────────────────────────
+// The renderer loads fonts by file path, so stored fonts (possibly on S3) are
+// copied once per process into the temp dir, keyed by URL.
+
+const FONT_CACHE_DIR = path.join(os.tmpdir(), 'static-ads-fonts');
+const localCopies    = new Map();
+
+function localFontFile(url) {
+  if (!localCopies.has(url)) {
+    const copy = (async () => {
+      if (!isStoredUrl(url)) throw invalid(`Not a stored font: ${url}`);
+      const buffer = await readStoredFile(url);
+      const file   = path.join(
+        FONT_CACHE_DIR,
+        `${crypto.createHash('sha1').update(url).digest('hex')}${path.extname(url).split('?')[0]}`
+      );
+      await fs.promises.mkdir(FONT_CACHE_DIR, { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+      return file;
+    })();
+    // Forget failures so a later render can retry
+    copy.catch(() => localCopies.delete(url));
+    localCopies.set(url, copy);
+  }
+  return localCopies.get(url);
+}
+
+module.exports = { FONT_FORMATS, parseFontInfo, fontFormatOf, localFontFile };
@@ -1,5 +1,7 @@
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
+const { isStoredUrl, readStoredFile, contentTypeFor } = require('./storage');
+
 const DEFAULT_MODEL   = process.env.GEMINI_MODEL      || 'gemini-2.0-flash';
 const DEFAULT_TIMEOUT = parseInt(process.env.GEMINI_TIMEOUT_MS || '60000', 10);
 
@@ -16,20 +18,15 @@ function configureGemini() {
   console.log(`[gemini] Ready  model=${DEFAULT_MODEL}  timeout=${DEFAULT_TIMEOUT}ms`);
 }
 
-// ── Core generate call ────────────────────────────────────────────────────────
-// Options:
-//   model    {string}  model name; defaults to GEMINI_MODEL env var or 'gemini-2.0-flash'
-//   json     {boolean} parse response as JSON (strips markdown fences); default false
-//   timeout  {number}  ms before rejecting; default GEMINI_TIMEOUT_MS env var or 60000
-//
-// Returns the text response, or a parsed JSON value if json=true.
+// ── Core call ─────────────────────────────────────────────────────────────────
+// `parts` is a prompt string or an array of Gemini content parts.
+// Returns the trimmed text response.
 // Throws structured errors with .code:
 //   GEMINI_KEY_MISSING  — GEMINI_KEY env var not set
 //   GEMINI_TIMEOUT      — request exceeded timeout
-//   GEMINI_PARSE_ERROR  — json=true but response was not valid JSON (.raw has the text)
 //   GEMINI_ERROR        — any other API or network error
 
-async function generateContent(prompt, { model, json = false, timeout } = {}) {
+async function callGemini(parts, { model, timeout } = {}) {
   if (!process.env.GEMINI_KEY) {
     throw Object.assign(
       new Error('GEMINI_KEY is not configured'),
@@ -55,7 +52,7 @@ async function generateContent(prompt, { model, json = false, timeout } = {}) {
     const genAI    = new GoogleGenerativeAI(process.env.GEMINI_KEY);
     const genModel = genAI.getGenerativeModel({ model: resolvedModel });
     result = await Promise.race([
-      genModel.generateContent(prompt),
+      genModel.generateContent(parts),
       timeoutPromise,
     ]);
   } catch (err) {
@@ -66,101 +63,52 @@ async function generateContent(prompt, { model, json = false, timeout } = {}) {
     );
   }
 
-  const text = result.response.text().trim();
-
-  if (!json) return text;
-
-  // Strip markdown code fences if model returns them despite instructions
-  const clean = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '').trim();
-  try {
-    return JSON.parse(clean);
-  } catch (err) {
-    throw Object.assign(
-      new Error(`Gemini returned invalid JSON: ${err.message}`),
-      { code: 'GEMINI_PARSE_ERROR', raw: clean, cause: err }
-    );
-  }
+  return result.response.text().trim();
 }
 
-// ── Multimodal generate call ──────────────────────────────────────────────────
-// Same behaviour as generateContent but includes an image alongside the prompt.
-// Fetches imageUrl via global fetch, converts to base64, sends as inlineData.
+// ── Image fetch ───────────────────────────────────────────────────────────────
+// Returns imageUrl as a base64 inlineData part. Files in our own storage
+// (including relative "/uploads/…" paths) are read directly; anything else is
+// fetched via global fetch.
 //
-// Additional error code:
-//   GEMINI_IMAGE_FETCH_ERROR — could not fetch or read the image URL
+// Throws GEMINI_IMAGE_FETCH_ERROR — could not fetch or read the image URL
 
-async function generateContentWithImage(imageUrl, textPrompt, { model, json = false, timeout } = {}) {
-  if (!process.env.GEMINI_KEY) {
-    throw Object.assign(
-      new Error('GEMINI_KEY is not configured'),
-      { code: 'GEMINI_KEY_MISSING' }
-    );
-  }
-
-  const resolvedModel   = model   || DEFAULT_MODEL;
-  const resolvedTimeout = timeout ?? DEFAULT_TIMEOUT;
-
-  let imageData, mimeType;
+async function fetchInlineImage(imageUrl) {
   try {
+    if (isStoredUrl(imageUrl)) {
+      const data = (await readStoredFile(imageUrl)).toString('base64');
+      return { inlineData: { data, mimeType: contentTypeFor(imageUrl) } };
+    }
     const response = await fetch(imageUrl);
     if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    mimeType  = (response.headers.get('content-type') || 'image/jpeg').split(';')[0].trim();
-    imageData = Buffer.from(await response.arrayBuffer()).toString('base64');
+    const mimeType = (response.headers.get('content-type') || 'image/jpeg').split(';')[0].trim();
+    const data     = Buffer.from(await response.arrayBuffer()).toString('base64');
+    return { inlineData: { data, mimeType } };
   } catch (err) {
-    if (err.code) throw err;
     throw Object.assign(
       new Error(`Failed to fetch image: ${err.message}`),
       { code: 'GEMINI_IMAGE_FETCH_ERROR', cause: err }
     );
   }
+}
 
-  const timeoutPromise = new Promise((_, reject) =>
-    setTimeout(
-      () => reject(Object.assign(
-        new Error(`Gemini request timed out after ${resolvedTimeout}ms`),
-        { code: 'GEMINI_TIMEOUT' }
-      )),
-      resolvedTimeout
-    )
-  );
-
-  let result;
-  try {
-    const genAI    = new GoogleGenerativeAI(process.env.GEMINI_KEY);
-    const genModel = genAI.getGenerativeModel({ model: resolvedModel });
-    result = await Promise.race([
-      genModel.generateContent([
-        textPrompt,
-        { inlineData: { data: imageData, mimeType } },
-      ]),
-      timeoutPromise,
-    ]);
-  } catch (err) {
-    if (err.code) throw err;
-    throw Object.assign(
-      new Error(err?.message || 'Unknown Gemini error'),
-      { code: 'GEMINI_ERROR', cause: err }
-    );
-  }
+// ── Provider interface ────────────────────────────────────────────────────────
+// See services/llm.js for the contract every LLM provider implements.
 
-  const text = result.response.text().trim();
+const geminiProvider = {
+  name:         'gemini',
+  defaultModel: DEFAULT_MODEL,
 
-  if (!json) return text;
+  configure: configureGemini,
 
-  const clean = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '').trim();
-  try {
-    return JSON.parse(clean);
-  } catch (err) {
-    throw Object.assign(
-      new Error(`Gemini returned invalid JSON: ${err.message}`),
-      { code: 'GEMINI_PARSE_ERROR', raw: clean, cause: err }
-    );
-  }
-}
+  generateText(prompt, options) {
+    return callGemini(prompt, options);
+  },
 
-// Returns the model name that will be used for calls (respects GEMINI_MODEL env var).
-function activeModel() {
-  return process.env.GEMINI_MODEL || DEFAULT_MODEL;
-}
+  async generateTextWithImage(imageUrl, textPrompt, options) {
+    const image = await fetchInlineImage(imageUrl);
+    return callGemini([textPrompt, image], options);
+  },
+};
 
-module.exports = { configureGemini, generateContent, generateContentWithImage, activeModel };
+module.exports = { configureGemini, geminiProvider };
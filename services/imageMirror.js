@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const sharp  = require('sharp');
+
+const { putFile, isStoredUrl, readStoredFile } = require('./storage');
+
+// ── Image mirroring ───────────────────────────────────────────────────────────
+// Provider CDN URLs (FAL) expire, so every finished generation's images are
+// copied into storage under generated/ and the stored URLs rewritten to the
+// copy. Files are content-addressed (sha256), so mirroring the same bytes
+// twice reuses one file.
+//
+// A mirrored entry keeps the generated_images shape and adds:
+//   source_url  – the original remote URL
+//   checksum    – "sha256:<hex>" of the stored bytes
+//   size_bytes  – file size
+// width, height and content_type are read from the image itself.
+//
+// Errors carry code MIRROR_FETCH_ERROR (download failed) or
+// MIRROR_INVALID_IMAGE (bytes are not a decodable image).
+
+const MIRROR_TIMEOUT = parseInt(process.env.IMAGE_MIRROR_TIMEOUT_MS || '30000', 10);
+const MIRROR_ENABLED = process.env.IMAGE_MIRROR !== '0';
+
+const FORMAT_INFO = {
+  jpeg: { ext: '.jpg',  contentType: 'image/jpeg' },
+  png:  { ext: '.png',  contentType: 'image/png'  },
+  webp: { ext: '.webp', contentType: 'image/webp' },
+  gif:  { ext: '.gif',  contentType: 'image/gif'  },
+  avif: { ext: '.avif', contentType: 'image/avif' },
+};
+
+// http(s) URLs that are not already in our storage (S3 URLs are stored).
+function isRemoteUrl(url) {
+  return typeof url === 'string' && /^https?:\/\//i.test(url) && !isStoredUrl(url);
+}
+
+async function download(url) {
+  try {
+    const response = await fetch(url, { signal: AbortSignal.timeout(MIRROR_TIMEOUT) });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return Buffer.from(await response.arrayBuffer());
+  } catch (err) {
+    throw Object.assign(
+      new Error(`Could not download ${url}: ${err.message}`),
+      { code: 'MIRROR_FETCH_ERROR', cause: err }
+    );
+  }
+}
+
+async function describe(buffer) {
+  try {
+    const { format, width, height } = await sharp(buffer).metadata();
+    return { format, width, height };
+  } catch (err) {
+    throw Object.assign(
+      new Error(`Not a readable image: ${err.message}`),
+      { code: 'MIRROR_INVALID_IMAGE', cause: err }
+    );
+  }
+}
+
+// Stores `buffer` under its checksum and returns the mirrored entry fields.
+async function storeBuffer(buffer) {
+  const hash   = crypto.createHash('sha256').update(buffer).digest('hex');
+  const info   = await describe(buffer);
+  const format = FORMAT_INFO[info.format] || { ext: `.${info.format || 'bin'}`, contentType: `image/${info.format}` };
+
+  // Identical bytes map to the same key, so rewriting is harmless
+  const { url } = await putFile(`generated/${hash.slice(0, 40)}${format.ext}`, buffer, {
+    contentType: format.contentType,
+  });
+
+  return {
+    url,
+    checksum:     `sha256:${hash}`,
+    size_bytes:   buffer.length,
+    width:        info.width  ?? null,
+    height:       info.height ?? null,
+    content_type: format.contentType,
+  };
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+// Mirrors one generated_images entry (string or { url, … }). Remote URLs are
+// downloaded and rewritten; stored files only get checksum, size and
+// dimensions filled in. Curation fields (score, status, …) are preserved.
+async function mirrorImage(entry) {
+  const base = typeof entry === 'string' ? { url: entry } : { ...entry };
+  if (!base.url) return base;
+
+  if (isRemoteUrl(base.url)) {
+    const stored = await storeBuffer(await download(base.url));
+    return { ...base, ...stored, source_url: base.url };
+  }
+
+  if (base.checksum || !isStoredUrl(base.url)) return base;
+  const buffer = await readStoredFile(base.url);
+  const hash   = crypto.createHash('sha256').update(buffer).digest('hex');
+  const info   = await describe(buffer);
+  return {
+    ...base,
+    checksum:     `sha256:${hash}`,
+    size_bytes:   buffer.length,
+    width:        info.width  ?? base.width  ?? null,
+    height:       info.height ?? base.height ?? null,
+    content_type: FORMAT_INFO[info.format]?.contentType || base.content_type,
+  };
+}
+
+// Mirrors a list of entries side by side, so a generation waits for at most
+// one MIRROR_TIMEOUT however many images it has. An image that fails keeps
+// its original entry (and is picked up again by the backfill), so a CDN
+// hiccup never fails the generation. Returns { images, mirrored, failed }.
+async function mirrorImages(images) {
+  let mirrored = 0;
+  let failed   = 0;
+
+  const out = await Promise.all((Array.isArray(images) ? images : []).map(async entry => {
+    if (!MIRROR_ENABLED) return entry;
+    try {
+      const next = await mirrorImage(entry);
+      if (isRemoteUrl(entry?.url ?? entry) && !isRemoteUrl(next.url)) mirrored++;
+      return next;
+    } catch (err) {
+      failed++;
+      console.warn(`[mirror] ${err.message}`);
+      return entry;
+    }
+  }));
+  return { images: out, mirrored, failed };
+}
+
+module.exports = { mirrorImage, mirrorImages, storeBuffer, isRemoteUrl, MIRROR_ENABLED, MIRROR_TIMEOUT };
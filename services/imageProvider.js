@@ -0,0 +1,93 @@
+const { falProvider }  = require('./fal');
+const { mockProvider } = require('./mockImages');
+
+// ── Image providers ───────────────────────────────────────────────────────────
+// Every provider implements the same interface and returns
+// { images: [{ url, width, height, content_type }], seed, requestId, model }:
+//
+//   generate(prompt, { imageSize, numImages })
+//   img2img(prompt, imageUrl, { imageSize, numImages, strength })
+//   inpaint(prompt, imageUrl, maskUrl, { numImages, strength })
+//   upscale(imageUrl, { scale })
+//   removeBackground(imageUrl)   → one PNG with the background transparent
+//
+// Which provider runs is decided per request: an explicit `provider` field,
+// then the client's metadata.image_provider, then IMAGE_PROVIDER (default "fal").
+// The mock provider is only available when the server enables it
+// (IMAGE_PROVIDER=mock or IMAGE_MOCK_ENABLED=1) — it reads its input images
+// itself, so requests must not be able to switch it on.
+
+const PROVIDERS = {
+  [falProvider.name]:  falProvider,
+  [mockProvider.name]: mockProvider,
+};
+
+const DEFAULT_PROVIDER = process.env.IMAGE_PROVIDER || 'fal';
+const MOCK_ENABLED     = DEFAULT_PROVIDER === mockProvider.name || process.env.IMAGE_MOCK_ENABLED === '1';
+
+// Registered and enabled on this server
+function isImageProvider(name) {
+  if (name === mockProvider.name && !MOCK_ENABLED) return false;
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+function availableProviders() {
+  return Object.keys(PROVIDERS).filter(isImageProvider);
+}
+
+// Throws code IMAGE_PROVIDER_UNKNOWN for names that are not registered.
+function getImageProvider(name) {
+  if (!isImageProvider(name)) {
+    throw Object.assign(new Error(`Unknown image provider "${name}"`), { code: 'IMAGE_PROVIDER_UNKNOWN' });
+  }
+  return PROVIDERS[name];
+}
+
+function resolveImageProvider(requested, client) {
+  return requested || client?.metadata?.image_provider || DEFAULT_PROVIDER;
+}
+
+// Call once at boot.
+function configureImageProviders() {
+  if (!isImageProvider(DEFAULT_PROVIDER)) {
+    console.warn(`[images] WARNING: IMAGE_PROVIDER "${DEFAULT_PROVIDER}" is not registered — available: ${availableProviders().join(', ')}`);
+  }
+  for (const name of availableProviders()) PROVIDERS[name].configure();
+  console.log(`[images] Default provider=${DEFAULT_PROVIDER}  available=${availableProviders().join(',')}`);
+}
+
+// ── Generation entry point ────────────────────────────────────────────────────
+// txt2img, img2img when imageUrl is set, or inpainting when maskUrl is set
+// too. Result also carries `provider`.
+
+async function generateImages(prompt, {
+  provider  = DEFAULT_PROVIDER,
+  imageSize = 'square_hd',
+  numImages = 1,
+  imageUrl  = null,
+  maskUrl   = null,
+  strength  = 0.85,
+} = {}) {
+  const impl   = getImageProvider(provider);
+  const result = imageUrl && maskUrl ? await impl.inpaint(prompt, imageUrl, maskUrl, { numImages, strength })
+    : imageUrl                       ? await impl.img2img(prompt, imageUrl, { imageSize, numImages, strength })
+    :                                  await impl.generate(prompt, { imageSize, numImages });
+  return { ...result, provider: impl.name };
+}
+
+// Upscales one image by `scale` (2 or 4). Result also carries `provider`.
+async function upscaleImage(imageUrl, { provider = DEFAULT_PROVIDER, scale = 2 } = {}) {
+  const impl   = getImageProvider(provider);
+  const result = await impl.upscale(imageUrl, { scale });
+  return { ...result, provider: impl.name };
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  isImageProvider,
+  getImageProvider,
+  resolveImageProvider,
+  configureImageProviders,
+  generateImages,
+  upscaleImage,
+};
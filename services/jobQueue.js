@@ -0,0 +1,518 @@
+const crypto = require('crypto');
+
+const { generateImages, upscaleImage, DEFAULT_PROVIDER } = require('./imageProvider');
+const { mirrorImages, storeBuffer }         = require('./imageMirror');
+const { productCutout }                     = require('./cutout');
+const { compositeProduct, loadImageBuffer } = require('./compositor');
+const { putFile }                           = require('./storage');
+const { modelSizeFor, fitToOutputSize }     = require('./outputSize');
+const {
+  cropToPlacement,
+  outpaintCanvas,
+  fitToPlacement,
+} = require('./placements');
+const {
+  createJob,
+  claimNextJob,
+  touchJob,
+  completeJob,
+  retryJob,
+  failJob,
+  cancelRequestedJob,
+  requeueStaleJobs,
+  cancelStaleRequestedJobs,
+  getOrphanedGenerations,
+} = require('../database/jobs');
+const {
+  getGenerationById,
+  updateGeneration,
+  appendGenerationImage,
+} = require('../database/generations');
+const { refreshBatchStatus, cancelBatchItem } = require('../database/campaignBatches');
+
+// Max jobs running at once across every worker process — each job is one
+// image-provider call.
+const FAL_CONCURRENCY = parseInt(process.env.FAL_CONCURRENCY || '3', 10);
+const POLL_INTERVAL   = parseInt(process.env.JOB_POLL_MS    || '1000', 10);
+const HEARTBEAT_MS    = 15000;                 // running jobs renew their lease this often
+const STALE_AFTER     = HEARTBEAT_MS * 4;      // no renewal this long → worker is presumed dead
+const SWEEP_INTERVAL  = 30000;
+const RETRY_BASE_MS   = 5000;                  // backoff: 5s, 10s, 20s …
+
+// Errors that will fail again no matter how often they are retried
+const NON_RETRYABLE = new Set([
+  'FAL_KEY_MISSING', 'IMAGE_PROVIDER_UNKNOWN', 'JOB_TARGET_MISSING', 'CUTOUT_NOT_PRODUCT', 'CUTOUT_SOURCE_MISSING',
+]);
+
+// ── Error labels ──────────────────────────────────────────────────────────────
+
+function generationErrorLabel(err) {
+  return err?.code === 'FAL_KEY_MISSING'       ? 'Image generation is not configured (FAL_KEY missing)'
+    : err?.code === 'FAL_TIMEOUT'              ? 'Image generation timed out — please try again'
+    : err?.code === 'IMAGE_PROVIDER_UNKNOWN'   ? err.message
+    :                                            `Image generation failed: ${err?.message || err}`;
+}
+
+// ── Job handlers ──────────────────────────────────────────────────────────────
+// Each job type maps to { run, onRetry?, onFailure?, onCancel?, onSettled? }.
+//   run(job)             → result object stored on the job row
+//   onRetry(job, err)    → called when the job is re-queued after an error
+//   onFailure(job, err)  → called once attempts are exhausted
+//   onCancel(job, err)   → called instead of either when the job errors after
+//                          a cancel was requested (cancel_requested), or is
+//                          found stale with one pending (err is null)
+//   onSettled(job)       → called after every attempt, whatever the outcome
+
+// Product cutout mode: each generated scene gets the product cutout placed on
+// top. Returns the composited images plus the scene URLs they were built on.
+async function compositeScenes(scenes, cutoutUrl, { placement, scale, shadow }) {
+  const images = [];
+  for (const scene of scenes) {
+    const { buffer } = await compositeProduct(scene.url, cutoutUrl, { placement, scale, shadow });
+    images.push({
+      ...(await storeBuffer(buffer)),
+      derived_from: scene.url,
+      variant:      { type: 'product_cutout', placement, scale, shadow },
+    });
+  }
+  return images;
+}
+
+// Exact output size: each provider image is cropped and resized to `size`
+// and stored; source_url keeps the provider's original.
+async function fitImages(images, size) {
+  const out = [];
+  for (const img of images) {
+    const buffer = await fitToOutputSize(await loadImageBuffer(img.url), size);
+    out.push({ ...(await storeBuffer(buffer)), source_url: img.url });
+  }
+  return out;
+}
+
+// 'generate' payload: { prompt, provider, image_size, output_size?, num_images, image_url, mask_url?, strength, composite? }
+//   output_size: { width, height } — exact pixels; the model is asked for the
+//                nearest size it supports instead of image_size
+//   mask_url:    inpainting — only the mask's white area of image_url is redrawn
+//   composite:   { asset_id, placement, scale, shadow } — product cutout
+//                mode; the scene is generated from the prompt alone and the
+//                cutout of the asset is composited onto it.
+// The generation row already carries request metadata; the provider outcome is
+// merged into it on success.
+const generateHandler = {
+  async run(job) {
+    const { generation_id: id, client_id: clientId, payload } = job;
+
+    const generation = await getGenerationById(id, clientId);
+    if (!generation) {
+      throw Object.assign(new Error(`Generation ${id} no longer exists`), { code: 'JOB_TARGET_MISSING' });
+    }
+
+    await updateGeneration(id, clientId, { status: 'processing' });
+
+    const provider  = payload.provider || DEFAULT_PROVIDER;
+    const composite = payload.composite || null;
+    // Cut out first: it is cheaper than the scene and fails fast on bad input
+    const cutout = composite && await productCutout({
+      assetId:  composite.asset_id,
+      clientId,
+      provider,
+    });
+
+    const outputSize = payload.output_size || null;
+    const result = await generateImages(payload.prompt, {
+      provider,
+      imageSize: outputSize ? modelSizeFor(outputSize) : (payload.image_size || 'square_hd'),
+      numImages: payload.num_images || 1,
+      imageUrl:  payload.image_url  || null,
+      maskUrl:   payload.mask_url   || null,
+      ...(payload.image_url && payload.strength != null && { strength: payload.strength }),
+    });
+
+    // Copy provider CDN images into local storage before recording them;
+    // images that fail to mirror keep their remote URL for the backfill.
+    // Exact sizes are stored already cropped, so they need no mirroring.
+    const { images: mirrored, failed: mirrorFailed } = outputSize
+      ? { images: await fitImages(result.images, outputSize), failed: 0 }
+      : await mirrorImages(result.images);
+    const images = cutout ? await compositeScenes(mirrored, cutout.url, composite) : mirrored;
+
+    await updateGeneration(id, clientId, {
+      status:             'done',
+      generated_images:   images,
+      selected_image_url: images[0]?.url || null,
+      error:              null,
+      metadata: {
+        ...(generation.metadata || {}),
+        fal_request_id: result.requestId,
+        seed:           result.seed,
+        provider:       result.provider,
+        model:          result.model,
+        // Campaign items recorded these as fal_seed / fal_model before the
+        // queue existed; keep writing them for readers of the old keys
+        ...(job.campaign_batch_id && { fal_seed: result.seed, fal_model: result.model }),
+        ...(outputSize && { model_image_size: modelSizeFor(outputSize) }),
+        ...(cutout && {
+          cutout_url:   cutout.url,
+          scene_images: mirrored.map(img => img.url),
+        }),
+      },
+    });
+
+    return {
+      image_count:     images.length,
+      provider:        result.provider,
+      model:           result.model,
+      mirror_failures: mirrorFailed,
+    };
+  },
+
+  async onRetry(job) {
+    await updateGeneration(job.generation_id, job.client_id, { status: 'pending' });
+  },
+
+  async onFailure(job, err) {
+    if (err?.code === 'JOB_TARGET_MISSING') return;
+    await updateGeneration(job.generation_id, job.client_id, {
+      status: 'failed',
+      error:  generationErrorLabel(err),
+    });
+  },
+
+  // The item's batch was cancelled while this job ran and the job then failed,
+  // or its worker died
+  async onCancel(job) {
+    await cancelBatchItem(job.generation_id, job.client_id);
+  },
+
+  async onSettled(job) {
+    if (job.campaign_batch_id) await refreshBatchStatus(job.campaign_batch_id, job.client_id);
+  },
+};
+
+// 'upscale' payload: { image_url, scale, provider }
+// Appends the upscaled copy of image_url to the generation's generated_images
+// as a derived variant; the generation's own status is left untouched, so
+// callers follow the job row instead.
+const upscaleHandler = {
+  async run(job) {
+    const { generation_id: id, client_id: clientId, payload } = job;
+    const missing = () => Object.assign(new Error(`Generation ${id} no longer exists`), { code: 'JOB_TARGET_MISSING' });
+
+    if (!await getGenerationById(id, clientId)) throw missing();
+
+    const scale  = payload.scale || 2;
+    const result = await upscaleImage(payload.image_url, { provider: payload.provider || DEFAULT_PROVIDER, scale });
+    if (!result.images[0]) throw new Error('Upscaler returned no image');
+
+    const { images: [image], failed: mirrorFailed } = await mirrorImages(result.images.slice(0, 1));
+    const entry = {
+      ...image,
+      derived_from: payload.image_url,
+      variant:      { type: 'upscale', scale, provider: result.provider, model: result.model },
+    };
+    if (!await appendGenerationImage(id, clientId, entry)) throw missing();
+
+    return {
+      image_url:       entry.url,
+      width:           entry.width  ?? null,
+      height:          entry.height ?? null,
+      scale,
+      provider:        result.provider,
+      model:           result.model,
+      mirror_failures: mirrorFailed,
+    };
+  },
+};
+
+// 'placement' payload: { image_url, placement, width, height, method, safe_area, prompt, provider }
+// One size of a placement pack. "crop" smart-crops image_url locally;
+// "outpaint" fits it into safe_area on the placement canvas and has the
+// provider paint the rest. Either way the result is resized to exactly
+// width × height and becomes the generation's only image. Status handling
+// is shared with 'generate'.
+const placementHandler = {
+  async run(job) {
+    const { generation_id: id, client_id: clientId, payload } = job;
+
+    const generation = await getGenerationById(id, clientId);
+    if (!generation) {
+      throw Object.assign(new Error(`Generation ${id} no longer exists`), { code: 'JOB_TARGET_MISSING' });
+    }
+
+    await updateGeneration(id, clientId, { status: 'processing' });
+
+    const size   = { width: payload.width, height: payload.height };
+    const source = await loadImageBuffer(payload.image_url);
+    const outcome = {};
+    let buffer;
+
+    if (payload.method === 'crop') {
+      const cropped = await cropToPlacement(source, size, payload.safe_area);
+      buffer        = cropped.buffer;
+      outcome.crop  = cropped.crop;
+    } else {
+      const canvas  = await outpaintCanvas(source, size, payload.safe_area);
+      const stored  = await storeBuffer(canvas.image);
+      const maskKey = `masks/${Date.now()}-${crypto.randomBytes(10).toString('hex')}.png`;
+      const { url: maskUrl } = await putFile(maskKey, canvas.mask, { contentType: 'image/png' });
+
+      const result = await generateImages(payload.prompt, {
+        provider: payload.provider || DEFAULT_PROVIDER,
+        imageUrl: stored.url,
+        maskUrl,
+        strength: 1,
+      });
+      if (!result.images[0]) throw new Error('Outpainting returned no image');
+
+      buffer = await fitToPlacement(await loadImageBuffer(result.images[0].url), size);
+      Object.assign(outcome, {
+        canvas_url:     stored.url,
+        mask_url:       maskUrl,
+        source_box:     canvas.box,
+        fal_request_id: result.requestId,
+        seed:           result.seed,
+        provider:       result.provider,
+        model:          result.model,
+      });
+    }
+
+    const image = {
+      ...(await storeBuffer(buffer)),
+      derived_from: payload.image_url,
+      variant:      { type: 'placement', placement: payload.placement, method: payload.method },
+    };
+
+    await updateGeneration(id, clientId, {
+      status:             'done',
+      generated_images:   [image],
+      selected_image_url: image.url,
+      error:              null,
+      metadata:           { ...(generation.metadata || {}), ...outcome },
+    });
+
+    return {
+      image_url: image.url,
+      placement: payload.placement,
+      method:    payload.method,
+      width:     image.width,
+      height:    image.height,
+    };
+  },
+
+  onRetry:   generateHandler.onRetry,
+  onFailure: generateHandler.onFailure,
+  onCancel:  generateHandler.onCancel,
+  onSettled: generateHandler.onSettled,
+};
+
+const HANDLERS = {
+  generate:  generateHandler,
+  upscale:   upscaleHandler,
+  placement: placementHandler,
+};
+
+// ── Enqueue ───────────────────────────────────────────────────────────────────
+// Persists a job and nudges the worker loop so it starts without waiting for
+// the next poll. `options` are passed to createJob (e.g. unlessActive).
+
+async function enqueueJob(fields, options = {}) {
+  if (!HANDLERS[fields.type]) throw new Error(`Unknown job type: ${fields.type}`);
+  const job = await createJob(fields, options);
+  setImmediate(tick);
+  return job;
+}
+
+// ── Execution ─────────────────────────────────────────────────────────────────
+
+// Renews the job's lease every HEARTBEAT_MS while its handler runs, however
+// many steps (cutout, provider calls, mirroring, compositing) that takes.
+// job.locked_at follows each renewal; the returned stop() waits for any
+// renewal in flight, so the outcome update sees the current lease.
+function startHeartbeat(job) {
+  let beat = Promise.resolve();
+  const timer = setInterval(() => {
+    beat = beat
+      .then(() => touchJob(job.id, job.locked_at))
+      .then(lockedAt => {
+        if (lockedAt) job.locked_at = lockedAt;
+        else console.warn(`[jobs] Job ${job.id} (${job.type}) lost its lease — another worker or a cancel took it over`);
+      })
+      .catch(err => console.warn(`[jobs] Heartbeat for job ${job.id} failed: ${err.message}`));
+  }, HEARTBEAT_MS);
+
+  return () => {
+    clearInterval(timer);
+    return beat;
+  };
+}
+
+async function runJob(job) {
+  const handler       = HANDLERS[job.type];
+  const stopHeartbeat = startHeartbeat(job);
+  // Outcome updates return null once the lease is gone; the job then belongs
+  // to whoever holds it now, so its hooks are not run here
+  const lost = () => console.warn(`[jobs] Job ${job.id} (${job.type}) is no longer held by this worker — outcome discarded`);
+
+  try {
+    if (!handler) {
+      throw Object.assign(new Error(`No handler for job type "${job.type}"`), { code: 'JOB_TARGET_MISSING' });
+    }
+    const result = await handler.run(job);
+    await stopHeartbeat();
+    if (!await completeJob(job.id, job.locked_at, result || {})) lost();
+  } catch (err) {
+    const message   = err?.message || 'Job failed';
+    const retryable = !NON_RETRYABLE.has(err?.code) && job.attempts < job.max_attempts;
+
+    try {
+      await stopHeartbeat();
+      // A cancel requested while the job ran wins over retrying it
+      if (await cancelRequestedJob(job.id, job.locked_at, `Cancelled: ${message}`)) {
+        console.warn(`[jobs] Job ${job.id} (${job.type}) failed after its cancel was requested — not retrying: ${message}`);
+        await handler?.onCancel?.(job, err);
+        return;
+      }
+      if (retryable) {
+        const delay = RETRY_BASE_MS * 2 ** (job.attempts - 1);
+        if (!await retryJob(job.id, job.locked_at, message, delay)) return lost();
+        console.warn(`[jobs] Job ${job.id} (${job.type}) attempt ${job.attempts} failed — retrying in ${delay}ms: ${message}`);
+        await handler?.onRetry?.(job, err);
+      } else {
+        if (!await failJob(job.id, job.locked_at, message)) return lost();
+        console.error(`[jobs] Job ${job.id} (${job.type}) failed after ${job.attempts} attempt(s): ${message}`);
+        await handler?.onFailure?.(job, err);
+      }
+    } catch (dbErr) {
+      console.error(`[jobs] Could not record outcome for job ${job.id}:`, dbErr.message);
+    }
+  } finally {
+    await stopHeartbeat();
+    if (handler?.onSettled) await handler.onSettled(job).catch(() => {});
+  }
+}
+
+// ── Worker loop ───────────────────────────────────────────────────────────────
+
+let inFlight = 0;
+let ticking  = false;
+let timer    = null;
+
+async function tick() {
+  if (ticking || !timer) return;
+  ticking = true;
+  try {
+    while (inFlight < FAL_CONCURRENCY) {
+      const job = await claimNextJob(FAL_CONCURRENCY);
+      if (!job) break;
+      inFlight++;
+      runJob(job).finally(() => {
+        inFlight--;
+        setImmediate(tick);
+      });
+    }
+  } catch (err) {
+    console.error('[jobs] Poll failed:', err.message);
+  } finally {
+    ticking = false;
+  }
+}
+
+// ── Stale sweep ───────────────────────────────────────────────────────────────
+// Jobs whose worker died are requeued — unless a cancel was requested while
+// they ran: those are cancelled instead and go through onCancel/onSettled as
+// if the run had stopped on the request.
+
+async function sweepStaleJobs() {
+  const cancelled = await cancelStaleRequestedJobs(STALE_AFTER, 'Cancelled: worker stopped before the job finished');
+  for (const job of cancelled) {
+    const handler = HANDLERS[job.type];
+    console.warn(`[jobs] Job ${job.id} (${job.type}) went stale after its cancel was requested — cancelled, not requeued`);
+    try {
+      await handler?.onCancel?.(job, null);
+    } catch (err) {
+      console.error(`[jobs] Could not cancel the target of job ${job.id}:`, err.message);
+    }
+    if (handler?.onSettled) await handler.onSettled(job).catch(() => {});
+  }
+  const requeued = await requeueStaleJobs(STALE_AFTER);
+  return { requeued, cancelled: cancelled.length };
+}
+
+// Rebuilds a 'placement' payload from a placement generation's metadata.
+function placementPayload(meta) {
+  return {
+    image_url: meta.parent_image_url,
+    placement: meta.placement,
+    width:     meta.placement_size?.width,
+    height:    meta.placement_size?.height,
+    method:    meta.placement_method,
+    safe_area: meta.safe_area,
+    prompt:    meta.augmented_prompt || '',
+    provider:  meta.provider || null,
+  };
+}
+
+// Re-creates a job for a generation that has none, from what the row recorded.
+async function resumeGeneration(generation) {
+  const meta       = generation.metadata || {};
+  if (meta.mode === 'placement') {
+    return createJob({
+      client_id:     generation.client_id,
+      type:          'placement',
+      generation_id: generation.id,
+      payload:       placementPayload(meta),
+    });
+  }
+
+  const cutoutMode = meta.mode === 'product_cutout';
+  return createJob({
+    client_id:         generation.client_id,
+    type:              'generate',
+    generation_id:     generation.id,
+    campaign_batch_id: generation.campaign_batch_id || null,
+    payload: {
+      prompt:      meta.augmented_prompt || generation.prompt || '',
+      provider:    meta.provider || null,
+      image_size:  meta.image_size || 'square_hd',
+      output_size: meta.output_size || null,
+      num_images:  meta.num_images || 1,
+      image_url:   cutoutMode ? null : (meta.product_image_url || meta.reference_image_url || meta.parent_image_url || null),
+      mask_url:    cutoutMode ? null : (meta.mask_url || null),
+      strength:    cutoutMode ? null : (meta.strength ?? null),
+      ...(cutoutMode && {
+        composite: { asset_id: meta.product_asset_id || null, ...meta.composite },
+      }),
+    },
+  });
+}
+
+// Queues a fresh job for a generation that was reset to 'pending' (e.g. a
+// failed campaign item being retried), rebuilt from its metadata.
+async function requeueGeneration(generation) {
+  const job = await resumeGeneration(generation);
+  setImmediate(tick);
+  return job;
+}
+
+// Call once at boot, after initDatabase. Recovers work interrupted by a
+// restart, then starts polling. Jobs still marked 'running' are left alone:
+// other worker processes may hold them, and those of a dead process are
+// requeued by the stale sweep once their lease runs out.
+async function startJobWorkers() {
+  const { requeued, cancelled } = await sweepStaleJobs();
+
+  const orphans = await getOrphanedGenerations();
+  for (const generation of orphans) {
+    await resumeGeneration(generation);
+  }
+
+  timer = setInterval(tick, POLL_INTERVAL);
+  setInterval(() => {
+    sweepStaleJobs().catch(err => console.error('[jobs] Stale sweep failed:', err.message));
+  }, SWEEP_INTERVAL);
+
+  console.log(`[jobs] Workers started  concurrency=${FAL_CONCURRENCY}  requeued=${requeued}  cancelled=${cancelled}  resumed=${orphans.length}`);
+  tick();
+}
+
+module.exports = { enqueueJob, requeueGeneration, startJobWorkers };
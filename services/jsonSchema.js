@@ -0,0 +1,183 @@
+// ── Declarative response schemas ──────────────────────────────────────────────
+// A small JSON-Schema-like vocabulary for LLM output. validate() coerces what it
+// safely can and reports every change, so callers never hand-roll
+// normalisation and can see how far a response drifted from the contract.
+//
+// Node shapes:
+//   { type: 'string',  default?, enum?, maxLength? }
+//   { type: 'number' | 'integer', default?, minimum?, maximum? }
+//   { type: 'boolean', default? }
+//   { type: 'array',   items, default?, minItems?, maxItems? }
+//   { type: 'object',  properties, default?, shorthand? }
+//
+// Rules:
+//   - A property without `default` is required; a missing or empty value is an issue.
+//   - Strings are trimmed; an empty string counts as missing.
+//   - Numbers/booleans given where a string is expected become strings, numeric
+//     strings become numbers, a lone value where an array is expected is wrapped.
+//   - Enum values match case-insensitively; otherwise the default is used.
+//   - Array items that fail validation are dropped (reported), then minItems applies.
+//   - `shorthand: 'name'` lets an object be given as a bare string → { name: value }.
+//   - Unknown object properties are discarded.
+//
+// validate() returns { value, issues, coerced, defaulted, dropped } where the
+// last four are arrays of "$.path" strings (issues carry a message too).
+
+function isMissing(value) {
+  return value === undefined || value === null || (typeof value === 'string' && value.trim() === '');
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function validate(schema, input) {
+  const report = { issues: [], coerced: [], defaulted: [], dropped: [] };
+  const value  = check(schema, input, '$', report, false);
+  return { value, ...report };
+}
+
+// `quiet` suppresses reports for values filled in from a parent's default.
+function check(schema, input, path, report, quiet) {
+  if (isMissing(input)) {
+    if ('default' in schema) return useDefault(schema, path, report, quiet);
+    report.issues.push(`${path}: missing required value`);
+    return undefined;
+  }
+
+  switch (schema.type) {
+    case 'string':  return checkString(schema, input, path, report, quiet);
+    case 'number':
+    case 'integer': return checkNumber(schema, input, path, report, quiet);
+    case 'boolean': return checkBoolean(schema, input, path, report, quiet);
+    case 'array':   return checkArray(schema, input, path, report, quiet);
+    case 'object':  return checkObject(schema, input, path, report, quiet);
+    default:
+      throw new Error(`Unsupported schema type "${schema.type}" at ${path}`);
+  }
+}
+
+function note(report, list, path, quiet) {
+  if (!quiet) report[list].push(path);
+}
+
+// Object and array defaults are run through the schema so nested defaults apply.
+function useDefault(schema, path, report, quiet) {
+  note(report, 'defaulted', path, quiet);
+  const fallback = clone(schema.default);
+  if (fallback === null || typeof fallback !== 'object') return fallback;
+  return check(schema, fallback, path, report, true);
+}
+
+function fallbackOrIssue(schema, path, report, quiet, message) {
+  if ('default' in schema) return useDefault(schema, path, report, quiet);
+  report.issues.push(`${path}: ${message}`);
+  return undefined;
+}
+
+function checkString(schema, input, path, report, quiet) {
+  let value = input;
+  if (typeof value === 'number' || typeof value === 'boolean') {
+    value = String(value);
+    note(report, 'coerced', path, quiet);
+  }
+  if (typeof value !== 'string') {
+    return fallbackOrIssue(schema, path, report, quiet, `expected a string, got ${typeof value}`);
+  }
+  value = value.trim();
+
+  if (schema.enum) {
+    const match = schema.enum.find(option => option.toLowerCase() === value.toLowerCase());
+    if (match === undefined) {
+      return fallbackOrIssue(schema, path, report, quiet, `"${value}" is not one of ${schema.enum.join(', ')}`);
+    }
+    if (match !== value) note(report, 'coerced', path, quiet);
+    value = match;
+  }
+
+  if (schema.maxLength && value.length > schema.maxLength) {
+    value = value.slice(0, schema.maxLength);
+    note(report, 'coerced', path, quiet);
+  }
+  return value;
+}
+
+function checkNumber(schema, input, path, report, quiet) {
+  let value = input;
+  if (typeof value === 'string' && value.trim() !== '' && !isNaN(Number(value))) {
+    value = Number(value);
+    note(report, 'coerced', path, quiet);
+  }
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    return fallbackOrIssue(schema, path, report, quiet, `expected a number, got ${JSON.stringify(input)}`);
+  }
+  if (schema.type === 'integer' && !Number.isInteger(value)) {
+    value = Math.round(value);
+    note(report, 'coerced', path, quiet);
+  }
+  if ((schema.minimum != null && value < schema.minimum) || (schema.maximum != null && value > schema.maximum)) {
+    return fallbackOrIssue(schema, path, report, quiet, `${value} is out of range`);
+  }
+  return value;
+}
+
+function checkBoolean(schema, input, path, report, quiet) {
+  if (typeof input === 'boolean') return input;
+  if (input === 'true' || input === 'false') {
+    note(report, 'coerced', path, quiet);
+    return input === 'true';
+  }
+  return fallbackOrIssue(schema, path, report, quiet, `expected a boolean, got ${JSON.stringify(input)}`);
+}
+
+function checkArray(schema, input, path, report, quiet) {
+  let list = input;
+  if (!Array.isArray(list)) {
+    list = [list];
+    note(report, 'coerced', path, quiet);
+  }
+
+  const items = [];
+  list.forEach((item, i) => {
+    const itemPath = `${path}[${i}]`;
+    const scratch  = { issues: [], coerced: [], defaulted: [], dropped: [] };
+    const value    = check(schema.items, item, itemPath, scratch, quiet);
+    if (scratch.issues.length || value === undefined) {
+      note(report, 'dropped', itemPath, quiet);
+      return;
+    }
+    report.coerced.push(...scratch.coerced);
+    report.defaulted.push(...scratch.defaulted);
+    report.dropped.push(...scratch.dropped);
+    items.push(value);
+  });
+
+  if (schema.maxItems != null && items.length > schema.maxItems) {
+    items.length = schema.maxItems;
+    note(report, 'coerced', path, quiet);
+  }
+  if (schema.minItems != null && items.length < schema.minItems) {
+    report.issues.push(`${path}: expected at least ${schema.minItems} valid item(s), got ${items.length}`);
+  }
+  return items;
+}
+
+function checkObject(schema, input, path, report, quiet) {
+  let source = input;
+  if (typeof source === 'string' && schema.shorthand) {
+    source = { [schema.shorthand]: source };
+    note(report, 'coerced', path, quiet);
+  }
+  if (!source || typeof source !== 'object' || Array.isArray(source)) {
+    return fallbackOrIssue(schema, path, report, quiet, `expected an object, got ${Array.isArray(source) ? 'array' : typeof source}`);
+  }
+
+  const out = {};
+  for (const [key, propSchema] of Object.entries(schema.properties)) {
+    const value = check(propSchema, source[key], `${path}.${key}`, report, quiet);
+    if (value !== undefined) out[key] = value;
+  }
+  return out;
+}
+
+module.exports = { validate };
@@ -0,0 +1,191 @@
+const { geminiProvider }                 = require('./gemini');
+const { fixtureProvider, recordFixture } = require('./llmFixtures');
+const { validate }                       = require('./jsonSchema');
+
+// ── LLM providers ─────────────────────────────────────────────────────────────
+// Every provider implements the same interface and resolves with the trimmed
+// text response:
+//
+//   generateText(prompt, { model, timeout })
+//   generateTextWithImage(imageUrl, textPrompt, { model, timeout })
+//
+// Provider and model are chosen per client: metadata.llm_provider and
+// metadata.llm_model, falling back to LLM_PROVIDER (default "gemini") and the
+// provider's own default model. Route handlers pass `client: req.client`.
+
+const PROVIDERS = {
+  [geminiProvider.name]:  geminiProvider,
+  [fixtureProvider.name]: fixtureProvider,
+};
+
+const DEFAULT_PROVIDER = process.env.LLM_PROVIDER || 'gemini';
+const RECORD_FIXTURES  = process.env.LLM_FIXTURE_RECORD === '1';
+
+function isLlmProvider(name) {
+  return Object.prototype.hasOwnProperty.call(PROVIDERS, name);
+}
+
+// Returns { provider, model } for a client (or the defaults when client is null).
+// Throws code LLM_PROVIDER_UNKNOWN for names that are not registered.
+function resolveLlm(client) {
+  const name = client?.metadata?.llm_provider || DEFAULT_PROVIDER;
+  if (!isLlmProvider(name)) {
+    throw Object.assign(new Error(`Unknown LLM provider "${name}"`), { code: 'LLM_PROVIDER_UNKNOWN' });
+  }
+  const provider = PROVIDERS[name];
+  return { provider, model: client?.metadata?.llm_model || provider.defaultModel };
+}
+
+// Call once at boot.
+function configureLlmProviders() {
+  if (!isLlmProvider(DEFAULT_PROVIDER)) {
+    console.warn(`[llm] WARNING: LLM_PROVIDER "${DEFAULT_PROVIDER}" is not registered — available: ${Object.keys(PROVIDERS).join(', ')}`);
+  }
+  for (const provider of Object.values(PROVIDERS)) provider.configure();
+  console.log(`[llm] Default provider=${DEFAULT_PROVIDER}${RECORD_FIXTURES ? '  recording fixtures' : ''}`);
+}
+
+// ── Response handling ─────────────────────────────────────────────────────────
+
+// Strips markdown code fences if the model returns them despite instructions.
+// Throws LLM_PARSE_ERROR (.raw has the text) when the response is not JSON.
+function parseJson(text) {
+  const clean = text.replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/i, '').trim();
+  try {
+    return JSON.parse(clean);
+  } catch (err) {
+    throw Object.assign(
+      new Error(`LLM returned invalid JSON: ${err.message}`),
+      { code: 'LLM_PARSE_ERROR', raw: clean, cause: err }
+    );
+  }
+}
+
+async function maybeRecord(provider, kind, prompt, imageUrl, model, text) {
+  if (!RECORD_FIXTURES || provider === fixtureProvider) return;
+  await recordFixture(kind, prompt, imageUrl, model, text)
+    .catch(err => console.error('[llm] Could not record fixture:', err.message));
+}
+
+// ── Text calls ────────────────────────────────────────────────────────────────
+// Options:
+//   client   {object}  the requesting client (req.client) — selects provider/model
+//   model    {string}  overrides the resolved model
+//   timeout  {number}  ms before rejecting; provider default otherwise
+//
+// Returns the text response.
+// Errors carry the provider's codes (GEMINI_KEY_MISSING, GEMINI_TIMEOUT,
+// GEMINI_ERROR, GEMINI_IMAGE_FETCH_ERROR, LLM_FIXTURE_MISSING) plus
+// LLM_PROVIDER_UNKNOWN.
+
+async function generateContent(prompt, { client = null, model, timeout } = {}) {
+  const resolved = resolveLlm(client);
+  const useModel = model || resolved.model;
+
+  const text = await resolved.provider.generateText(prompt, { model: useModel, timeout });
+  await maybeRecord(resolved.provider, 'text', prompt, null, useModel, text);
+  return text;
+}
+
+async function generateContentWithImage(imageUrl, textPrompt, { client = null, model, timeout } = {}) {
+  const resolved = resolveLlm(client);
+  const useModel = model || resolved.model;
+
+  const text = await resolved.provider.generateTextWithImage(imageUrl, textPrompt, { model: useModel, timeout });
+  await maybeRecord(resolved.provider, 'image', textPrompt, imageUrl, useModel, text);
+  return text;
+}
+
+// ── Structured calls ──────────────────────────────────────────────────────────
+// Every JSON response is parsed and checked against a schema from
+// services/llmSchemas.js. If parsing or validation fails, the model gets one
+// repair prompt listing the problems alongside its previous answer.
+//
+// Returns { data, validation: { repaired, coerced[], defaulted[], dropped[] } }
+// where the lists hold "$.path" strings for every field that was changed.
+// Throws LLM_PARSE_ERROR or LLM_SCHEMA_ERROR (.issues) if the repair fails too,
+// plus any error from the underlying text call.
+
+function checkResponse(text, schema) {
+  let parsed;
+  try {
+    parsed = parseJson(text);
+  } catch (err) {
+    return { parseError: err, issues: [`response is not valid JSON (${err.cause?.message || err.message})`] };
+  }
+  return validate(schema, parsed);
+}
+
+function buildRepairPrompt(prompt, previous, issues) {
+  return [
+    prompt,
+    '',
+    '---',
+    'Your previous response did not match the required JSON structure:',
+    previous,
+    '',
+    'Problems found:',
+    ...issues.map(issue => `- ${issue}`),
+    '',
+    'Return the corrected JSON only — no markdown fences, no explanation, no surrounding text.',
+  ].join('\n');
+}
+
+async function withRepair(call, prompt, schema) {
+  let text   = await call(prompt);
+  let result = checkResponse(text, schema);
+  let repaired = false;
+
+  if (result.issues.length) {
+    console.warn(`[llm] Structured response failed validation — requesting repair: ${result.issues.slice(0, 5).join('; ')}`);
+    text     = await call(buildRepairPrompt(prompt, text, result.issues));
+    result   = checkResponse(text, schema);
+    repaired = true;
+  }
+
+  if (result.parseError) throw result.parseError;
+  if (result.issues.length) {
+    throw Object.assign(
+      new Error(`LLM response did not match the expected structure: ${result.issues.slice(0, 3).join('; ')}`),
+      { code: 'LLM_SCHEMA_ERROR', issues: result.issues }
+    );
+  }
+
+  return {
+    data: result.value,
+    validation: {
+      repaired,
+      coerced:   result.coerced,
+      defaulted: result.defaulted,
+      dropped:   result.dropped,
+    },
+  };
+}
+
+function generateStructured(prompt, schema, options = {}) {
+  return withRepair(p => generateContent(p, options), prompt, schema);
+}
+
+function generateStructuredWithImage(imageUrl, textPrompt, schema, options = {}) {
+  return withRepair(p => generateContentWithImage(imageUrl, p, options), textPrompt, schema);
+}
+
+// Returns the model calls will use for this client (or the default).
+function activeModel(client = null) {
+  try {
+    return resolveLlm(client).model;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  isLlmProvider,
+  configureLlmProviders,
+  generateContent,
+  generateContentWithImage,
+  generateStructured,
+  generateStructuredWithImage,
+  activeModel,
+};
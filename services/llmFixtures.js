@@ -0,0 +1,84 @@
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+
+// ── Fixture LLM provider ──────────────────────────────────────────────────────
+// Replays recorded LLM responses from disk so planner routes work offline and
+// give the same answer every time. One JSON file per call, named by a hash of
+// the call kind, prompt and image URL (not the model, so recordings made with
+// any Gemini model replay unchanged):
+//
+//   { kind, prompt, image_url, model, response, recorded_at }
+//
+// Fixtures are recorded by running with LLM_FIXTURE_RECORD=1 against a live
+// provider — services/llm.js saves every successful response here.
+// `npm run check:fixtures` replays them (and a synthetic recording) through
+// this provider.
+
+const FIXTURE_DIR = process.env.LLM_FIXTURE_DIR
+  ? path.resolve(process.env.LLM_FIXTURE_DIR)
+  : path.join(__dirname, '../fixtures/llm');
+
+function fixtureKey(kind, prompt, imageUrl = null) {
+  return crypto.createHash('sha256')
+    .update(JSON.stringify([kind, prompt, imageUrl]))
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function fixturePath(key) {
+  return path.join(FIXTURE_DIR, `${key}.json`);
+}
+
+// Throws LLM_FIXTURE_MISSING when no recording exists for the call.
+async function replay(kind, prompt, imageUrl = null) {
+  const key = fixtureKey(kind, prompt, imageUrl);
+  let raw;
+  try {
+    raw = await fs.promises.readFile(fixturePath(key), 'utf8');
+  } catch {
+    throw Object.assign(
+      new Error(`No recorded LLM response for this ${kind} call (fixture ${key}). Record one with LLM_FIXTURE_RECORD=1.`),
+      { code: 'LLM_FIXTURE_MISSING', fixture: key }
+    );
+  }
+  return JSON.parse(raw).response;
+}
+
+async function recordFixture(kind, prompt, imageUrl, model, response) {
+  const key = fixtureKey(kind, prompt, imageUrl);
+  await fs.promises.mkdir(FIXTURE_DIR, { recursive: true });
+  await fs.promises.writeFile(fixturePath(key), JSON.stringify({
+    kind,
+    prompt,
+    image_url:   imageUrl,
+    model,
+    response,
+    recorded_at: new Date().toISOString(),
+  }, null, 2));
+  return key;
+}
+
+// ── Provider interface ────────────────────────────────────────────────────────
+
+const fixtureProvider = {
+  name:         'fixture',
+  defaultModel: 'fixture-replay',
+
+  configure() {
+    const count = fs.existsSync(FIXTURE_DIR)
+      ? fs.readdirSync(FIXTURE_DIR).filter(f => f.endsWith('.json')).length
+      : 0;
+    console.log(`[llm] Fixture provider  dir=${FIXTURE_DIR}  recordings=${count}`);
+  },
+
+  generateText(prompt) {
+    return replay('text', prompt);
+  },
+
+  generateTextWithImage(imageUrl, textPrompt) {
+    return replay('image', textPrompt, imageUrl);
+  },
+};
+
+module.exports = { fixtureProvider, recordFixture };
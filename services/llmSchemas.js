@@ -0,0 +1,128 @@
+// ── LLM response schemas ──────────────────────────────────────────────────────
+// One schema per structured LLM response, validated by services/jsonSchema.js
+// through generateStructured() in services/llm.js. The example objects shown to
+// the model live next to each prompt builder; these are the contract.
+
+const str     = (extra = {}) => ({ type: 'string', ...extra });
+const optStr  = (fallback = '') => str({ default: fallback });
+const strList = () => ({ type: 'array', items: str(), default: [] });
+
+// routes/brandIntelligence.js — POST /generate
+const BRAND_INTELLIGENCE = {
+  type: 'object',
+  properties: {
+    unique_value_prop: optStr(null),
+    target_audience:   optStr(null),
+    tone_summary:      optStr(null),
+    keywords:          strList(),
+    competitors:       strList(),
+    pain_points:       strList(),
+    differentiators:   strList(),
+    personas: {
+      type:    'array',
+      default: [],
+      items: {
+        type:      'object',
+        shorthand: 'name',
+        properties: {
+          name:        str(),
+          description: optStr(),
+          goals:       strList(),
+          pain_points: strList(),
+        },
+      },
+    },
+    angles:            strList(),
+    copy_hooks:        strList(),
+    visual_directions: strList(),
+    emotions:          strList(),
+  },
+};
+
+// routes/promptConcepts.js
+const CONCEPT_TYPES   = ['emotional', 'product-hero', 'lifestyle', 'social-proof', 'educational', 'urgency'];
+const AUDIENCE_STAGES = ['awareness', 'consideration', 'conversion'];
+
+const CONCEPTS = {
+  type:     'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    properties: {
+      concept_type:    str({ enum: CONCEPT_TYPES,   default: 'product-hero' }),
+      angle:           str(),
+      audience_stage:  str({ enum: AUDIENCE_STAGES, default: 'awareness' }),
+      why_distinct:    optStr(),
+      prompt_template: str(),
+    },
+  },
+};
+
+// routes/promptReverse.js
+const REVERSE_ANALYSIS = {
+  type: 'object',
+  properties: {
+    style_prompt: str(),
+    copy_skeleton: {
+      type:    'object',
+      default: {},
+      properties: {
+        headline: optStr(),
+        body:     optStr(),
+        cta:      optStr(),
+      },
+    },
+    variant_prompts: strList(),
+    analysis: {
+      type:    'object',
+      default: {},
+      properties: {
+        visual_style:  optStr(),
+        composition:   optStr(),
+        color_palette: strList(),
+        mood:          optStr(),
+        format:        optStr(),
+        hooks:         strList(),
+      },
+    },
+  },
+};
+
+// routes/campaign.js — POST /plan
+const CAMPAIGN_PLAN = {
+  type:     'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    properties: {
+      combo_index:        { type: 'integer', minimum: 0 },
+      prompt:             optStr(),
+      concept:            optStr(),
+      headline:           optStr(),
+      strategy_rationale: optStr(),
+    },
+  },
+};
+
+// routes/assets.js — POST /auto-tag
+// Content categories only; file-type categories (image, video, font,
+// document) are derived from the MIME type on upload.
+const ASSET_TAG_CATEGORIES = ['product_image', 'packaging', 'lifestyle', 'logo', 'other'];
+
+const ASSET_TAGS = {
+  type: 'object',
+  properties: {
+    category:    str({ enum: ASSET_TAG_CATEGORIES, default: 'other' }),
+    tags:        { ...strList(), maxItems: 12 },
+    description: optStr(),
+  },
+};
+
+module.exports = {
+  BRAND_INTELLIGENCE,
+  CONCEPTS,
+  REVERSE_ANALYSIS,
+  CAMPAIGN_PLAN,
+  ASSET_TAG_CATEGORIES,
+  ASSET_TAGS,
+};
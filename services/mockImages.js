@@ -0,0 +1,218 @@
+const crypto = require('crypto');
+const sharp  = require('sharp');
+
+const { loadImageBuffer }             = require('./compositor');
+const { getFile, putFile, publicUrl } = require('./storage');
+
+// ── Mock image provider ───────────────────────────────────────────────────────
+// Writes placeholder PNGs to storage so the app runs end to end without a FAL key.
+// Output is deterministic: the same prompt, size and inputs always produce the
+// same file (and the same URL), which keeps demos and fixtures stable.
+//
+// generate  → labelled gradient of the requested size
+// img2img   → source image cover-fitted to the size under a tinted wash
+// inpaint   → source image with the mask's white area filled by a flat colour
+// upscale   → source image resized by `scale`
+// removeBackground → pixels connected to the border that match the border
+//                    colour made transparent (good enough for packshots on
+//                    a plain backdrop)
+
+const MODEL = 'mock/placeholder';
+
+// Pixel sizes of the FAL presets (so mock output matches real output)
+const PRESET_SIZES = {
+  square_hd:      { width: 1024, height: 1024 },
+  square:         { width: 512,  height: 512  },
+  portrait_4_3:   { width: 768,  height: 1024 },
+  portrait_16_9:  { width: 576,  height: 1024 },
+  landscape_4_3:  { width: 1024, height: 768  },
+  landscape_16_9: { width: 1024, height: 576  },
+};
+
+function resolveSize(imageSize) {
+  if (imageSize && typeof imageSize === 'object' && imageSize.width && imageSize.height) {
+    return { width: Math.round(imageSize.width), height: Math.round(imageSize.height) };
+  }
+  return PRESET_SIZES[imageSize] || PRESET_SIZES.square_hd;
+}
+
+function digest(...parts) {
+  return crypto.createHash('sha256').update(parts.map(p => JSON.stringify(p ?? null)).join('|')).digest('hex');
+}
+
+// Two hues derived from the hash so each prompt gets its own colour pair
+function hashColors(hash) {
+  const hue = parseInt(hash.slice(0, 4), 16) % 360;
+  return [`hsl(${hue}, 55%, 45%)`, `hsl(${(hue + 40) % 360}, 60%, 30%)`];
+}
+
+function hashRgb(hash) {
+  return { r: parseInt(hash.slice(0, 2), 16), g: parseInt(hash.slice(2, 4), 16), b: parseInt(hash.slice(4, 6), 16) };
+}
+
+function escapeXml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function placeholderSvg(width, height, hash, label) {
+  const [from, to] = hashColors(hash);
+  const fontSize   = Math.max(12, Math.round(Math.min(width, height) / 24));
+  const text       = label.length > 60 ? `${label.slice(0, 59)}…` : label;
+  return Buffer.from(
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <defs><linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
+        <stop offset="0" stop-color="${from}"/><stop offset="1" stop-color="${to}"/>
+      </linearGradient></defs>
+      <rect width="100%" height="100%" fill="url(#g)"/>
+      <text x="50%" y="46%" text-anchor="middle" font-family="sans-serif" font-weight="bold"
+        font-size="${fontSize * 2}" fill="#ffffff" fill-opacity="0.85">MOCK ${width}×${height}</text>
+      <text x="50%" y="56%" text-anchor="middle" font-family="sans-serif"
+        font-size="${fontSize}" fill="#ffffff" fill-opacity="0.75">${escapeXml(text)}</text>
+    </svg>`
+  );
+}
+
+// Writes the PNG once per hash and returns the image entry
+async function writeImage(hash, render) {
+  const key = `generated/mock-${hash.slice(0, 24)}.png`;
+
+  let buffer;
+  try {
+    buffer = await getFile(key);
+  } catch (err) {
+    if (err.code !== 'STORAGE_NOT_FOUND') throw err;
+    buffer = await render();
+    await putFile(key, buffer, { contentType: 'image/png' });
+  }
+
+  const { width, height } = await sharp(buffer).metadata();
+  return { url: publicUrl(key), width, height, content_type: 'image/png' };
+}
+
+function result(images, hash) {
+  return {
+    images,
+    seed:      parseInt(hash.slice(0, 8), 16),
+    requestId: `mock-${hash.slice(0, 12)}`,
+    model:     MODEL,
+  };
+}
+
+async function generateVariants(numImages, seedParts, render) {
+  const hashes = Array.from({ length: numImages }, (_, i) => digest(...seedParts, i));
+  const images = [];
+  for (const hash of hashes) images.push(await writeImage(hash, () => render(hash)));
+  return result(images, hashes[0]);
+}
+
+// ── Background keying ─────────────────────────────────────────────────────────
+// Averages the border pixels to estimate the backdrop colour, then flood-fills
+// inward from the edges through pixels close to it. Alpha ramps between the
+// two distance thresholds so edges are softened rather than jagged.
+
+const KEY_NEAR = 18; // colour distance at or below which a pixel is backdrop
+const KEY_FAR  = 48; // distance at or above which a pixel is foreground
+
+async function keyOutBackground(source) {
+  const { data, info } = await sharp(source).rotate().ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = info;
+  const px = i => i * 4;
+
+  const border = [];
+  for (let x = 0; x < width; x++) border.push(x, (height - 1) * width + x);
+  for (let y = 1; y < height - 1; y++) border.push(y * width, y * width + width - 1);
+
+  const bg = [0, 0, 0];
+  for (const i of border) for (let c = 0; c < 3; c++) bg[c] += data[px(i) + c];
+  for (let c = 0; c < 3; c++) bg[c] /= border.length;
+
+  const distance = i => Math.hypot(data[px(i)] - bg[0], data[px(i) + 1] - bg[1], data[px(i) + 2] - bg[2]);
+
+  const seen  = new Uint8Array(width * height);
+  const queue = new Int32Array(width * height);
+  let head = 0;
+  let tail = 0;
+  for (const i of border) {
+    if (!seen[i] && distance(i) < KEY_FAR) { seen[i] = 1; queue[tail++] = i; }
+  }
+  while (head < tail) {
+    const i = queue[head++];
+    const d = distance(i);
+    data[px(i) + 3] = Math.round(data[px(i) + 3] * Math.max(0, Math.min(1, (d - KEY_NEAR) / (KEY_FAR - KEY_NEAR))));
+    // Only keep spreading through solid backdrop, not through soft edges
+    if (d > KEY_NEAR) continue;
+    const x = i % width;
+    const next = [i - width, i + width, x > 0 ? i - 1 : -1, x < width - 1 ? i + 1 : -1];
+    for (const n of next) {
+      if (n < 0 || n >= width * height || seen[n]) continue;
+      seen[n] = 1;
+      if (distance(n) < KEY_FAR) queue[tail++] = n;
+    }
+  }
+
+  return sharp(data, { raw: { width, height, channels: 4 } }).png().toBuffer();
+}
+
+// ── Provider interface ────────────────────────────────────────────────────────
+
+const mockProvider = {
+  name: 'mock',
+
+  // Output goes through services/storage, which sets up its own folders
+  configure() {},
+
+  generate(prompt, { imageSize = 'square_hd', numImages = 1 } = {}) {
+    const { width, height } = resolveSize(imageSize);
+    return generateVariants(numImages, ['generate', prompt, width, height], hash =>
+      sharp(placeholderSvg(width, height, hash, prompt)).png().toBuffer()
+    );
+  },
+
+  async img2img(prompt, imageUrl, { imageSize = 'square_hd', numImages = 1, strength = 0.85 } = {}) {
+    const { width, height } = resolveSize(imageSize);
+    const source = await loadImageBuffer(imageUrl);
+    return generateVariants(numImages, ['img2img', prompt, imageUrl, width, height, strength], hash =>
+      sharp(source)
+        .resize(width, height, { fit: 'cover' })
+        .composite([{
+          input: { create: { width, height, channels: 4, background: { ...hashRgb(hash), alpha: strength * 0.6 } } },
+        }])
+        .png()
+        .toBuffer()
+    );
+  },
+
+  async inpaint(prompt, imageUrl, maskUrl, { numImages = 1 } = {}) {
+    const source = await loadImageBuffer(imageUrl);
+    const mask   = await loadImageBuffer(maskUrl);
+    const { width, height } = await sharp(source).metadata();
+    const alpha  = await sharp(mask).resize(width, height, { fit: 'fill' }).greyscale().raw().toBuffer();
+
+    return generateVariants(numImages, ['inpaint', prompt, imageUrl, maskUrl], async hash => {
+      const fill = await sharp({ create: { width, height, channels: 3, background: hashRgb(hash) } })
+        .joinChannel(alpha, { raw: { width, height, channels: 1 } })
+        .png()
+        .toBuffer();
+      return sharp(source).composite([{ input: fill }]).png().toBuffer();
+    });
+  },
+
+  async upscale(imageUrl, { scale = 2 } = {}) {
+    const source = await loadImageBuffer(imageUrl);
+    const { width, height } = await sharp(source).metadata();
+    return generateVariants(1, ['upscale', imageUrl, scale], () =>
+      sharp(source).resize(width * scale, height * scale, { kernel: 'lanczos3' }).png().toBuffer()
+    );
+  },
+
+  async removeBackground(imageUrl) {
+    const source = await loadImageBuffer(imageUrl);
+    return generateVariants(1, ['cutout', imageUrl], () => keyOutBackground(source));
+  },
+};
+
+module.exports = { mockProvider, PRESET_SIZES };
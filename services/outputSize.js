@@ -0,0 +1,53 @@
+const sharp = require('sharp');
+
+// ── Exact output sizes ────────────────────────────────────────────────────────
+// Image models only render certain sizes, while ads need exact pixels (a
+// template's 1080×1350, a placement's 1200×628). A generation with an
+// output_size { width, height } asks the model for the nearest size it
+// supports — same aspect ratio, both sides a multiple of MODEL_SIZE_STEP and
+// no larger than MODEL_MAX_SIDE — then each result is cropped (subject-aware)
+// and resized to exactly output_size.
+
+const MIN_OUTPUT_SIDE = 64;
+const MAX_OUTPUT_SIDE = 4096;
+
+const MODEL_SIZE_STEP = 16;
+const MODEL_MIN_SIDE  = 256;
+const MODEL_MAX_SIDE  = parseInt(process.env.MODEL_MAX_SIDE || '1536', 10);
+
+// Validates a requested width/height pair. Returns a list of error strings.
+function validateOutputSize(width, height) {
+  const errors = [];
+  for (const [name, value] of [['width', width], ['height', height]]) {
+    if (!Number.isInteger(value) || value < MIN_OUTPUT_SIDE || value > MAX_OUTPUT_SIDE) {
+      errors.push(`${name} must be an integer between ${MIN_OUTPUT_SIDE} and ${MAX_OUTPUT_SIDE}`);
+    }
+  }
+  return errors;
+}
+
+// The size to request from the model for an exact output size.
+function modelSizeFor({ width, height }) {
+  let scale = Math.min(1, MODEL_MAX_SIDE / Math.max(width, height));
+  scale     = Math.max(scale, Math.min(MODEL_MIN_SIDE / Math.min(width, height), MODEL_MAX_SIDE / Math.max(width, height)));
+  const snap = v => Math.max(Math.round(v * scale / MODEL_SIZE_STEP) * MODEL_SIZE_STEP, MODEL_SIZE_STEP);
+  return { width: snap(width), height: snap(height) };
+}
+
+// Crops `buffer` to the aspect ratio of `size` around its most salient region
+// and resizes it to exactly size.width × size.height.
+function fitToOutputSize(buffer, { width, height }) {
+  return sharp(buffer)
+    .rotate()
+    .resize(width, height, { fit: 'cover', position: sharp.strategy.attention })
+    .png()
+    .toBuffer();
+}
+
+module.exports = {
+  MIN_OUTPUT_SIDE,
+  MAX_OUTPUT_SIDE,
+  validateOutputSize,
+  modelSizeFor,
+  fitToOutputSize,
+};
@@ -0,0 +1,207 @@
+const sharp = require('sharp');
+
+// ── Meta placements ───────────────────────────────────────────────────────────
+// One creative has to ship at every Meta placement size. Each placement has
+// exact output pixels and a safe area — insets, as fractions of the canvas,
+// that Meta's own UI (profile bar, caption, CTA button) covers, so the
+// subject must stay clear of them.
+//
+// A placement pack resizes one finished image to each placement, either by
+// smart-cropping (sharp's attention strategy finds the subject, which is kept
+// centred in the safe area) or by outpainting (the whole image is fitted into
+// the safe area and the provider paints the surrounding canvas).
+
+const PLACEMENTS = {
+  feed_square: {
+    label: 'Feed 1:1', aspect: '1:1', width: 1080, height: 1080,
+    safe:  { top: 0, right: 0, bottom: 0, left: 0 },
+  },
+  feed_portrait: {
+    label: 'Feed 4:5', aspect: '4:5', width: 1080, height: 1350,
+    safe:  { top: 0, right: 0, bottom: 0, left: 0 },
+  },
+  story: {
+    label: 'Stories 9:16', aspect: '9:16', width: 1080, height: 1920,
+    safe:  { top: 0.14, right: 0.06, bottom: 0.2, left: 0.06 },
+  },
+  reels: {
+    label: 'Reels 9:16', aspect: '9:16', width: 1080, height: 1920,
+    safe:  { top: 0.14, right: 0.06, bottom: 0.35, left: 0.06 },
+  },
+  landscape: {
+    label: 'Landscape 1.91:1', aspect: '1.91:1', width: 1200, height: 628,
+    safe:  { top: 0, right: 0, bottom: 0, left: 0 },
+  },
+};
+
+const PLACEMENT_METHODS = ['auto', 'crop', 'outpaint'];
+
+// "auto" crops when at most this much of one side would be lost (1:1 → 4:5),
+// and outpaints anything further apart (1:1 → 9:16).
+const CROP_TOLERANCE = 1.25;
+
+// Template slots that are painted over the image
+const OVERLAY_SLOTS = ['headline', 'body', 'cta', 'logo'];
+
+// No edge inset may take more than this share of the canvas
+const MAX_INSET = 0.45;
+
+const EDGES = ['top', 'right', 'bottom', 'left'];
+
+// ── Safe areas ────────────────────────────────────────────────────────────────
+
+// Converts a template's overlay slots into canvas insets: each slot reserves
+// the band between it and the canvas edge it sits nearest to. Returns null
+// when the template has no overlay slots.
+function templateSafeArea(template) {
+  const slots = template?.layout?.slots || {};
+  const W     = template?.dimensions?.width;
+  const H     = template?.dimensions?.height;
+  if (!W || !H) return null;
+
+  const safe  = { top: 0, right: 0, bottom: 0, left: 0 };
+  let   found = false;
+  for (const name of OVERLAY_SLOTS) {
+    const slot = slots[name];
+    if (!slot) continue;
+    found = true;
+
+    const reach = {
+      top:    (slot.y + slot.height) / H,
+      bottom: (H - slot.y) / H,
+      left:   (slot.x + slot.width) / W,
+      right:  (W - slot.x) / W,
+    };
+    const edge = EDGES.reduce((best, e) => (reach[e] < reach[best] ? e : best));
+    safe[edge] = Math.max(safe[edge], Math.min(reach[edge], MAX_INSET));
+  }
+  return found ? safe : null;
+}
+
+// Edge-wise maximum of the placement's own safe area and any extra insets.
+function mergeSafeAreas(...areas) {
+  const merged = { top: 0, right: 0, bottom: 0, left: 0 };
+  for (const area of areas) {
+    if (!area) continue;
+    for (const e of EDGES) merged[e] = Math.max(merged[e], Math.min(area[e] || 0, MAX_INSET));
+  }
+  return merged;
+}
+
+// The safe area in pixels of a width × height canvas
+function safeBox(width, height, safe) {
+  const left = Math.round(width  * safe.left);
+  const top  = Math.round(height * safe.top);
+  return {
+    left,
+    top,
+    width:  Math.max(Math.round(width  * (1 - safe.left - safe.right)), 1),
+    height: Math.max(Math.round(height * (1 - safe.top  - safe.bottom)), 1),
+  };
+}
+
+// ── Planning ──────────────────────────────────────────────────────────────────
+
+// Resolves "auto" to crop or outpaint for a source of sourceW × sourceH.
+function choosePlacementMethod(sourceW, sourceH, placement, method = 'auto') {
+  if (method !== 'auto') return method;
+  const ratio = (sourceW / sourceH) / (placement.width / placement.height);
+  return Math.max(ratio, 1 / ratio) <= CROP_TOLERANCE ? 'crop' : 'outpaint';
+}
+
+function buildOutpaintPrompt(prompt) {
+  const base = (prompt || '').trim().replace(/[.\s]+$/, '');
+  return `${base ? `${base}. ` : ''}Extend the scene naturally beyond the original frame, ` +
+    'matching its lighting, perspective and colours. No text, borders or frames.';
+}
+
+// ── Rendering ─────────────────────────────────────────────────────────────────
+
+// Smart crop: the largest window of the placement's aspect ratio, positioned
+// so the subject sits in the middle of the safe area, then resized to exact
+// pixels. Returns { buffer, crop: { left, top, width, height }, focus: { x, y } }.
+async function cropToPlacement(buffer, { width, height }, safe) {
+  const { data: flat, info: { width: sw, height: sh } } = await sharp(buffer).rotate().png().toBuffer({ resolveWithObject: true });
+
+  const { info } = await sharp(flat)
+    .resize(width, height, { fit: 'cover', position: sharp.strategy.attention })
+    .toBuffer({ resolveWithObject: true });
+  const focus = { x: info.attentionX ?? sw / 2, y: info.attentionY ?? sh / 2 };
+
+  const wide = sw / sh > width / height;
+  const cw   = wide ? Math.round(sh * width / height) : sw;
+  const ch   = wide ? sh : Math.round(sw * height / width);
+
+  const box   = safeBox(cw, ch, safe);
+  const clamp = (v, max) => Math.min(Math.max(Math.round(v), 0), max);
+  const crop  = {
+    left:   clamp(focus.x - (box.left + box.width  / 2), sw - cw),
+    top:    clamp(focus.y - (box.top  + box.height / 2), sh - ch),
+    width:  cw,
+    height: ch,
+  };
+
+  const out = await sharp(flat).extract(crop).resize(width, height, { fit: 'fill' }).png().toBuffer();
+  return { buffer: out, crop, focus };
+}
+
+// Outpaint input: the whole image fitted into the safe area of a width ×
+// height canvas whose remainder is a blurred stretch of the image (a colour
+// hint for the model). The mask is white wherever the model should paint,
+// overlapping the image edge by a few pixels so the seam is redrawn too.
+// Returns { image, mask, box } — PNG buffers and where the image was placed.
+async function outpaintCanvas(buffer, { width, height }, safe) {
+  const { data: flat, info } = await sharp(buffer).rotate().png().toBuffer({ resolveWithObject: true });
+
+  const area  = safeBox(width, height, safe);
+  const scale = Math.min(area.width / info.width, area.height / info.height);
+  const w     = Math.max(Math.round(info.width  * scale), 1);
+  const h     = Math.max(Math.round(info.height * scale), 1);
+  const box   = {
+    left:   area.left + Math.round((area.width  - w) / 2),
+    top:    area.top  + Math.round((area.height - h) / 2),
+    width:  w,
+    height: h,
+  };
+
+  const fitted     = await sharp(flat).resize(w, h, { fit: 'fill' }).png().toBuffer();
+  const background = await sharp(flat).resize(width, height, { fit: 'cover' }).blur(40).png().toBuffer();
+  const image      = await sharp(background)
+    .composite([{ input: fitted, left: box.left, top: box.top }])
+    .flatten({ background: '#808080' })
+    .png()
+    .toBuffer();
+
+  const overlap = Math.max(Math.round(Math.min(width, height) * 0.015), 2);
+  const keep    = {
+    width:  Math.max(box.width  - overlap * 2, 1),
+    height: Math.max(box.height - overlap * 2, 1),
+  };
+  const mask = await sharp({ create: { width, height, channels: 3, background: '#ffffff' } })
+    .composite([{
+      input: { create: { ...keep, channels: 3, background: '#000000' } },
+      left:  box.left + overlap,
+      top:   box.top  + overlap,
+    }])
+    .png()
+    .toBuffer();
+
+  return { image, mask, box };
+}
+
+// Resizes a provider result to the placement's exact pixels.
+function fitToPlacement(buffer, { width, height }) {
+  return sharp(buffer).resize(width, height, { fit: 'cover' }).png().toBuffer();
+}
+
+module.exports = {
+  PLACEMENTS,
+  PLACEMENT_METHODS,
+  templateSafeArea,
+  mergeSafeAreas,
+  choosePlacementMethod,
+  buildOutpaintPrompt,
+  cropToPlacement,
+  outpaintCanvas,
+  fitToPlacement,
+};
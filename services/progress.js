@@ -0,0 +1,187 @@
+const { EventEmitter } = require('events');
+const { pool }         = require('../database/init');
+
+// ── Progress events ───────────────────────────────────────────────────────────
+// Generation and batch status changes are published through Postgres
+// NOTIFY so every process sees them — the job worker that changed a row may
+// not be the process holding the browser's SSE connection. Each process keeps
+// one LISTEN connection and fans notifications out to local subscribers by
+// topic: "generation:<id>" and "batch:<id>".
+
+const CHANNEL         = 'generation_progress';
+const MAX_PAYLOAD     = 7900;   // NOTIFY payloads are capped at 8000 bytes
+const RECONNECT_DELAY = 5000;
+const HEARTBEAT_MS    = 25000;  // keeps proxies from closing idle streams
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// ── Payloads ──────────────────────────────────────────────────────────────────
+
+function generationProgress(generation) {
+  return {
+    generation_id:      generation.id,
+    campaign_batch_id:  generation.campaign_batch_id || null,
+    status:             generation.status,
+    generated_images:   Array.isArray(generation.generated_images) ? generation.generated_images : [],
+    selected_image_url: generation.selected_image_url || null,
+    error:              generation.error || null,
+    updated_at:         generation.updated_at,
+  };
+}
+
+// ── Publish ───────────────────────────────────────────────────────────────────
+// Never throws — a missed progress event must not fail the write that caused it.
+
+async function notify(event, data) {
+  let payload = JSON.stringify({ event, data });
+  if (Buffer.byteLength(payload) > MAX_PAYLOAD && data.generated_images) {
+    // Too many images to fit; subscribers fall back to selected_image_url
+    payload = JSON.stringify({ event, data: { ...data, generated_images: [] } });
+  }
+  try {
+    await pool.query('SELECT pg_notify($1, $2)', [CHANNEL, payload]);
+  } catch (err) {
+    console.error('[progress] Publish failed:', err.message);
+  }
+}
+
+function publishGeneration(generation) {
+  return notify('generation', generationProgress(generation));
+}
+
+// counts: { total, done, failed, cancelled, in_flight }
+function publishBatch(batchId, status, counts, updatedAt = null) {
+  return notify('batch', { batch_id: batchId, status, ...counts, updated_at: updatedAt });
+}
+
+// ── Subscribe ─────────────────────────────────────────────────────────────────
+// Returns an unsubscribe function. Item updates for a batch are delivered to
+// both the generation topic and the batch topic.
+
+function subscribe(topic, fn) {
+  emitter.on(topic, fn);
+  return () => emitter.off(topic, fn);
+}
+
+function dispatch(raw) {
+  let message;
+  try {
+    message = JSON.parse(raw);
+  } catch {
+    return;
+  }
+  const { event, data } = message;
+  if (event === 'generation') {
+    emitter.emit(`generation:${data.generation_id}`, message);
+    if (data.campaign_batch_id) emitter.emit(`batch:${data.campaign_batch_id}`, message);
+  } else if (event === 'batch') {
+    emitter.emit(`batch:${data.batch_id}`, message);
+  }
+}
+
+// ── Listener ──────────────────────────────────────────────────────────────────
+// Holds one pooled connection for LISTEN; reconnects if it drops.
+
+async function startProgressListener() {
+  let client;
+  try {
+    client = await pool.connect();
+    client.on('notification', msg => {
+      if (msg.channel === CHANNEL) dispatch(msg.payload);
+    });
+    client.once('error', err => {
+      console.error('[progress] Listener connection lost:', err.message);
+      client.release(err);
+      setTimeout(startProgressListener, RECONNECT_DELAY);
+    });
+    await client.query(`LISTEN ${CHANNEL}`);
+  } catch (err) {
+    console.error('[progress] Could not start listener:', err.message);
+    if (client) client.release(err);
+    setTimeout(startProgressListener, RECONNECT_DELAY);
+  }
+}
+
+// ── SSE ───────────────────────────────────────────────────────────────────────
+// Opens a text/event-stream on `res` for one topic.
+//
+//   snapshot()      → { event, data } current state, or null if not found
+//   isFinished(msg) → true once no further events are expected
+//
+// The subscription is taken before the snapshot is read and events arriving
+// meanwhile are held back. Once the snapshot is written, held-back events the
+// snapshot already covers (see isCovered) are dropped, so the stream never
+// regresses to an older state.
+// Returns false (without touching `res`) when snapshot() yields null, so the
+// caller can answer 404.
+
+const toTime = value => (value ? new Date(value).getTime() : NaN);
+
+// True when `msg` is no newer than what the snapshot shows for the same row:
+// a generation snapshot, a batch snapshot, or one of a batch snapshot's items.
+function isCovered(msg, initial) {
+  const { data } = msg;
+  let seen;
+  if (msg.event === 'batch') {
+    seen = initial.event === 'batch' && initial.data.id === data.batch_id ? initial.data.updated_at : null;
+  } else if (initial.event === 'generation') {
+    seen = initial.data.generation_id === data.generation_id ? initial.data.updated_at : null;
+  } else {
+    seen = initial.data.items?.find(item => item.generation_id === data.generation_id)?.updated_at;
+  }
+  return toTime(data.updated_at) <= toTime(seen);
+}
+
+async function streamProgress(req, res, { topic, snapshot, isFinished }) {
+  const pending = [];
+  let   write   = msg => pending.push(msg);
+  const unsubscribe = subscribe(topic, msg => write(msg));
+
+  let initial;
+  try {
+    initial = await snapshot();
+  } catch (err) {
+    unsubscribe();
+    throw err;
+  }
+  if (!initial) {
+    unsubscribe();
+    return false;
+  }
+
+  res.set({
+    'Content-Type':      'text/event-stream',
+    'Cache-Control':     'no-cache',
+    'Connection':        'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  const close = () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    if (!res.writableEnded) res.end();
+  };
+  req.on('close', close);
+
+  write = msg => {
+    if (res.writableEnded) return;
+    res.write(`event: ${msg.event}\ndata: ${JSON.stringify(msg.data)}\n\n`);
+    if (isFinished(msg)) close();
+  };
+
+  write(initial);
+  pending.filter(msg => !isCovered(msg, initial)).forEach(write);
+  return true;
+}
+
+module.exports = {
+  generationProgress,
+  publishGeneration,
+  publishBatch,
+  subscribe,
+  startProgressListener,
+  streamProgress,
+};
@@ -0,0 +1,143 @@
+const path = require('path');
+
+const { localDriver } = require('./storageLocal');
+const { s3Driver }    = require('./storageS3');
+
+// ── File storage ──────────────────────────────────────────────────────────────
+// Every uploaded, rendered or mirrored file goes through one driver. Drivers
+// implement the same interface, addressed by key ("logos/1700-ab12.png"):
+//
+//   put(key, buffer, { contentType })
+//   get(key)                     → Buffer
+//   exists(key)                  → boolean
+//   delete(key)                  — missing keys are not an error
+//   signedUrl(key, { expiresIn }) → time-limited URL for private objects
+//   urlFor(key) / keyFor(url)    — public URL ↔ key
+//
+// The database stores public URLs, so the helpers below also accept them.
+// Legacy "/uploads/…" paths stay readable and deletable through the local
+// driver after switching STORAGE_DRIVER to "s3".
+//
+// Errors carry code STORAGE_INVALID_KEY, STORAGE_NOT_FOUND,
+// STORAGE_NOT_CONFIGURED or STORAGE_ERROR.
+
+const DRIVERS = {
+  [localDriver.name]: localDriver,
+  [s3Driver.name]:    s3Driver,
+};
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'local';
+
+function activeDriver() {
+  const driver = DRIVERS[STORAGE_DRIVER];
+  if (!driver) {
+    throw Object.assign(new Error(`Unknown storage driver "${STORAGE_DRIVER}"`), { code: 'STORAGE_NOT_CONFIGURED' });
+  }
+  return driver;
+}
+
+// Call once at boot. The local driver is always configured so legacy
+// "/uploads/…" files keep working.
+function configureStorage() {
+  if (!DRIVERS[STORAGE_DRIVER]) {
+    console.warn(`[storage] WARNING: STORAGE_DRIVER "${STORAGE_DRIVER}" is not registered — available: ${Object.keys(DRIVERS).join(', ')}`);
+    return;
+  }
+  localDriver.configure();
+  if (STORAGE_DRIVER !== localDriver.name) activeDriver().configure();
+  console.log(`[storage] ${activeDriver().describe()}`);
+}
+
+// ── Key-based API ─────────────────────────────────────────────────────────────
+
+const EXT_TO_MIME = {
+  '.jpg':  'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png':  'image/png',
+  '.webp': 'image/webp',
+  '.gif':  'image/gif',
+  '.svg':  'image/svg+xml',
+  '.avif': 'image/avif',
+};
+
+// MIME type for a key or URL, from its extension.
+function contentTypeFor(keyOrUrl) {
+  return EXT_TO_MIME[path.extname(String(keyOrUrl).split(/[?#]/)[0]).toLowerCase()] || 'application/octet-stream';
+}
+
+// Writes buffer and returns { key, url }. contentType defaults from the key's
+// extension.
+async function putFile(key, buffer, { contentType } = {}) {
+  const driver = activeDriver();
+  await driver.put(key, buffer, { contentType: contentType || contentTypeFor(key) });
+  return { key, url: driver.urlFor(key) };
+}
+
+function getFile(key) {
+  return activeDriver().get(key);
+}
+
+function fileExists(key) {
+  return activeDriver().exists(key);
+}
+
+function deleteFile(key) {
+  return activeDriver().delete(key);
+}
+
+function signedUrl(key, options) {
+  return activeDriver().signedUrl(key, options);
+}
+
+function publicUrl(key) {
+  return activeDriver().urlFor(key);
+}
+
+// ── URL-based helpers ─────────────────────────────────────────────────────────
+
+// Finds the driver and key behind a stored URL; null when the URL is not one
+// of ours (a remote image, an unsafe path).
+function locate(url) {
+  for (const driver of [activeDriver(), localDriver]) {
+    const key = driver.keyFor(url);
+    if (key) return { driver, key };
+  }
+  return null;
+}
+
+function isStoredUrl(url) {
+  return Boolean(locate(url));
+}
+
+// Reads the file behind a stored URL. Throws STORAGE_INVALID_KEY for URLs
+// that are not in storage.
+async function readStoredFile(url) {
+  const hit = locate(url);
+  if (!hit) {
+    throw Object.assign(new Error(`Not a stored file: ${url}`), { code: 'STORAGE_INVALID_KEY' });
+  }
+  return hit.driver.get(hit.key);
+}
+
+// Fire-and-forget delete by URL; unknown URLs and failures are only logged.
+function removeStoredFile(url) {
+  if (!url) return;
+  const hit = locate(url);
+  if (!hit) return;
+  hit.driver.delete(hit.key).catch(err => console.warn(`[storage] Could not delete ${hit.key}: ${err.message}`));
+}
+
+module.exports = {
+  STORAGE_DRIVER,
+  configureStorage,
+  contentTypeFor,
+  putFile,
+  getFile,
+  fileExists,
+  deleteFile,
+  signedUrl,
+  publicUrl,
+  isStoredUrl,
+  readStoredFile,
+  removeStoredFile,
+};
@@ -0,0 +1,97 @@
+const fs   = require('fs');
+const path = require('path');
+
+// ── Local disk storage driver ─────────────────────────────────────────────────
+// Stores objects under public/uploads, where express.static serves them, so
+// an object's URL is simply "/uploads/<key>". Nothing is private on disk, so
+// signedUrl() returns the plain public URL.
+
+const PUBLIC_ROOT  = path.resolve(path.join(__dirname, '../public'));
+const UPLOADS_ROOT = path.join(PUBLIC_ROOT, 'uploads');
+const URL_PREFIX   = '/uploads/';
+
+// Top-level folders created at boot. Keys may use any prefix; these are the
+// ones the app writes to.
+const UPLOAD_FOLDERS = ['logos', 'thumbnails', 'assets', 'generated'];
+
+// Resolves a key to an absolute path inside UPLOADS_ROOT, or null when the
+// key would escape it ("../", absolute paths).
+function resolveKey(key) {
+  if (!key || typeof key !== 'string') return null;
+  const resolved = path.resolve(path.join(UPLOADS_ROOT, key));
+  if (!resolved.startsWith(UPLOADS_ROOT + path.sep)) {
+    console.warn('[storage] Blocked unsafe key:', key);
+    return null;
+  }
+  return resolved;
+}
+
+function requirePath(key) {
+  const fsPath = resolveKey(key);
+  if (!fsPath) {
+    throw Object.assign(new Error(`Invalid storage key "${key}"`), { code: 'STORAGE_INVALID_KEY' });
+  }
+  return fsPath;
+}
+
+const localDriver = {
+  name: 'local',
+
+  configure() {
+    for (const folder of UPLOAD_FOLDERS) {
+      fs.mkdirSync(path.join(UPLOADS_ROOT, folder), { recursive: true });
+    }
+  },
+
+  describe() {
+    return `local dir=${path.relative(process.cwd(), UPLOADS_ROOT) || UPLOADS_ROOT}`;
+  },
+
+  urlFor(key) {
+    return `${URL_PREFIX}${key}`;
+  },
+
+  // "/uploads/logos/a.png" → "logos/a.png"; null for anything else.
+  keyFor(url) {
+    if (typeof url !== 'string' || !url.startsWith(URL_PREFIX)) return null;
+    const key = url.slice(URL_PREFIX.length).split(/[?#]/)[0];
+    return resolveKey(key) ? key : null;
+  },
+
+  async put(key, buffer) {
+    const fsPath = requirePath(key);
+    await fs.promises.mkdir(path.dirname(fsPath), { recursive: true });
+    await fs.promises.writeFile(fsPath, buffer);
+  },
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(requirePath(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+      throw Object.assign(new Error(`Stored file "${key}" not found`), { code: 'STORAGE_NOT_FOUND', cause: err });
+    }
+  },
+
+  async exists(key) {
+    try {
+      await fs.promises.access(requirePath(key));
+      return true;
+    } catch {
+      return false;
+    }
+  },
+
+  // Missing files are not an error.
+  async delete(key) {
+    await fs.promises.unlink(requirePath(key)).catch(err => {
+      if (err.code !== 'ENOENT') throw err;
+    });
+  },
+
+  async signedUrl(key) {
+    return this.urlFor(key);
+  },
+};
+
+module.exports = { localDriver };
@@ -0,0 +1,216 @@
+const crypto = require('crypto');
+
+const S3_ENDPOINT   = (process.env.S3_ENDPOINT || '').replace(/\/+$/, '');
+const S3_REGION     = process.env.S3_REGION || 'us-east-1';
+const S3_BUCKET     = process.env.S3_BUCKET || '';
+const S3_PUBLIC_URL = (process.env.S3_PUBLIC_URL || '').replace(/\/+$/, '');
+const S3_TIMEOUT    = parseInt(process.env.S3_TIMEOUT_MS || '30000', 10);
+// MinIO and most self-hosted stand-ins only support path-style addressing
+const S3_PATH_STYLE = process.env.S3_FORCE_PATH_STYLE
+  ? process.env.S3_FORCE_PATH_STYLE === 'true'
+  : Boolean(S3_ENDPOINT);
+
+// ── S3-compatible storage driver ──────────────────────────────────────────────
+// Talks to AWS S3, MinIO, R2 and friends over plain HTTPS with Signature V4,
+// so no SDK is needed. Objects are written with their content type; the URL
+// stored in the database is S3_PUBLIC_URL/<key> (a CDN or public bucket
+// endpoint), falling back to the bucket's own endpoint URL.
+//
+// Errors carry code STORAGE_NOT_CONFIGURED (bucket or credentials missing),
+// STORAGE_NOT_FOUND (get on a missing key) or STORAGE_ERROR (any other
+// non-2xx response or network failure).
+
+function credentials() {
+  const accessKeyId     = process.env.S3_ACCESS_KEY_ID;
+  const secretAccessKey = process.env.S3_SECRET_ACCESS_KEY;
+  if (!S3_BUCKET || !accessKeyId || !secretAccessKey) {
+    throw Object.assign(
+      new Error('S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY'),
+      { code: 'STORAGE_NOT_CONFIGURED' }
+    );
+  }
+  return { accessKeyId, secretAccessKey };
+}
+
+// ── URLs ──────────────────────────────────────────────────────────────────────
+
+// RFC 3986 encoding as SigV4 expects it; "/" is kept between key segments.
+function encodeRfc3986(value) {
+  return encodeURIComponent(value).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`);
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeRfc3986).join('/');
+}
+
+function objectUrl(key) {
+  const endpoint = new URL(S3_ENDPOINT || `https://s3.${S3_REGION}.amazonaws.com`);
+  const base = S3_PATH_STYLE
+    ? `${endpoint.origin}/${S3_BUCKET}`
+    : `${endpoint.protocol}//${S3_BUCKET}.${endpoint.host}`;
+  return new URL(`${base}/${encodeKey(key)}`);
+}
+
+function publicBase() {
+  return S3_PUBLIC_URL || objectUrl('').href.replace(/\/$/, '');
+}
+
+// ── Signature V4 ──────────────────────────────────────────────────────────────
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+const hmac   = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+function signingKey(secret, date) {
+  return hmac(hmac(hmac(hmac(`AWS4${secret}`, date), S3_REGION), 's3'), 'aws4_request');
+}
+
+function amzTimestamp(now = new Date()) {
+  const stamp = now.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  return { stamp, date: stamp.slice(0, 8) };
+}
+
+function canonicalQuery(params) {
+  return [...params.entries()]
+    .map(([k, v]) => [encodeRfc3986(k), encodeRfc3986(v)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([k, v]) => `${k}=${v}`)
+    .join('&');
+}
+
+// Returns the hex signature for a canonical request.
+function sign({ method, url, headers, payloadHash, stamp, date, secretAccessKey }) {
+  const names = Object.keys(headers).map(h => h.toLowerCase()).sort();
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), String(v).trim()]));
+
+  const canonical = [
+    method,
+    url.pathname,
+    canonicalQuery(url.searchParams),
+    names.map(n => `${n}:${lower[n]}\n`).join(''),
+    names.join(';'),
+    payloadHash,
+  ].join('\n');
+
+  const scope        = `${date}/${S3_REGION}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', stamp, scope, sha256(canonical)].join('\n');
+  return {
+    scope,
+    signedHeaders: names.join(';'),
+    signature:     crypto.createHmac('sha256', signingKey(secretAccessKey, date)).update(stringToSign).digest('hex'),
+  };
+}
+
+async function request(method, key, { body, contentType } = {}) {
+  const { accessKeyId, secretAccessKey } = credentials();
+  const url             = objectUrl(key);
+  const { stamp, date } = amzTimestamp();
+  const payloadHash     = sha256(body || '');
+
+  const headers = {
+    host:                   url.host,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date':           stamp,
+    ...(contentType && { 'content-type': contentType }),
+  };
+  const { scope, signedHeaders, signature } = sign({ method, url, headers, payloadHash, stamp, date, secretAccessKey });
+  headers.authorization =
+    `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+  delete headers.host; // fetch sets it from the URL
+
+  let response;
+  try {
+    response = await fetch(url, { method, headers, body, signal: AbortSignal.timeout(S3_TIMEOUT) });
+  } catch (err) {
+    throw Object.assign(new Error(`S3 ${method} ${key} failed: ${err.message}`), { code: 'STORAGE_ERROR', cause: err });
+  }
+  if (response.status === 404 && method !== 'DELETE') {
+    throw Object.assign(new Error(`Stored file "${key}" not found`), { code: 'STORAGE_NOT_FOUND' });
+  }
+  if (!response.ok && response.status !== 404) {
+    const detail = (await response.text().catch(() => '')).slice(0, 300);
+    throw Object.assign(
+      new Error(`S3 ${method} ${key} failed: HTTP ${response.status} ${detail}`.trim()),
+      { code: 'STORAGE_ERROR', status: response.status }
+    );
+  }
+  return response;
+}
+
+// ── Driver interface ──────────────────────────────────────────────────────────
+
+const s3Driver = {
+  name: 's3',
+
+  configure() {
+    try {
+      credentials();
+    } catch (err) {
+      console.warn(`[storage] WARNING: ${err.message} — uploads will fail at request time.`);
+    }
+  },
+
+  describe() {
+    return `s3 bucket=${S3_BUCKET || '(unset)'} endpoint=${S3_ENDPOINT || 'aws'} path_style=${S3_PATH_STYLE}`;
+  },
+
+  urlFor(key) {
+    return `${publicBase()}/${encodeKey(key)}`;
+  },
+
+  keyFor(url) {
+    const prefix = `${publicBase()}/`;
+    if (typeof url !== 'string' || !url.startsWith(prefix)) return null;
+    const key = url.slice(prefix.length).split(/[?#]/)[0];
+    try {
+      return decodeURIComponent(key) || null;
+    } catch {
+      return null;
+    }
+  },
+
+  async put(key, buffer, { contentType = 'application/octet-stream' } = {}) {
+    await request('PUT', key, { body: buffer, contentType });
+  },
+
+  async get(key) {
+    const response = await request('GET', key);
+    return Buffer.from(await response.arrayBuffer());
+  },
+
+  async exists(key) {
+    try {
+      await request('HEAD', key);
+      return true;
+    } catch (err) {
+      if (err.code === 'STORAGE_NOT_FOUND') return false;
+      throw err;
+    }
+  },
+
+  // S3 answers 204 whether or not the key existed.
+  async delete(key) {
+    await request('DELETE', key);
+  },
+
+  // Pre-signed GET URL for private buckets (expiresIn in seconds, max 7 days).
+  async signedUrl(key, { expiresIn = 3600 } = {}) {
+    const { accessKeyId, secretAccessKey } = credentials();
+    const url             = objectUrl(key);
+    const { stamp, date } = amzTimestamp();
+    const scope           = `${date}/${S3_REGION}/s3/aws4_request`;
+
+    url.searchParams.set('X-Amz-Algorithm',     'AWS4-HMAC-SHA256');
+    url.searchParams.set('X-Amz-Credential',    `${accessKeyId}/${scope}`);
+    url.searchParams.set('X-Amz-Date',          stamp);
+    url.searchParams.set('X-Amz-Expires',       String(Math.min(Math.max(1, expiresIn), 604800)));
+    url.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+    const { signature } = sign({
+      method: 'GET', url, headers: { host: url.host }, payloadHash: 'UNSIGNED-PAYLOAD', stamp, date, secretAccessKey,
+    });
+    url.searchParams.set('X-Amz-Signature', signature);
+    return url.href;
+  },
+};
+
+module.exports = { s3Driver };
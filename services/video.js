@@ -0,0 +1,138 @@
+const fs           = require('fs');
+const os           = require('os');
+const path         = require('path');
+const crypto       = require('crypto');
+const { execFile } = require('child_process');
+
+const FFPROBE_PATH  = process.env.FFPROBE_PATH || 'ffprobe';
+const FFMPEG_PATH   = process.env.FFMPEG_PATH  || 'ffmpeg';
+const VIDEO_TIMEOUT = parseInt(process.env.VIDEO_TOOL_TIMEOUT_MS || '60000', 10);
+
+// ── Video probing & frame extraction ──────────────────────────────────────────
+// Thin wrappers around the ffprobe / ffmpeg binaries (FFPROBE_PATH and
+// FFMPEG_PATH, default: on PATH). Both work on a file, so buffers are written
+// to a temp file first — mp4s with the index at the end cannot be piped.
+//
+// Throws structured errors with .code:
+//   VIDEO_TOOL_MISSING  — ffprobe/ffmpeg is not installed
+//   VIDEO_PROBE_ERROR   — the file is not a readable video
+//   VIDEO_FRAME_ERROR   — no frame could be decoded at the requested time
+
+function run(bin, args) {
+  return new Promise((resolve, reject) => {
+    execFile(bin, args, { timeout: VIDEO_TIMEOUT, maxBuffer: 64 * 1024 * 1024, encoding: 'buffer' }, (err, stdout, stderr) => {
+      if (err?.code === 'ENOENT') {
+        return reject(Object.assign(
+          new Error(`${path.basename(bin)} is not installed — video processing is unavailable`),
+          { code: 'VIDEO_TOOL_MISSING' }
+        ));
+      }
+      if (err) {
+        err.stderr = stderr.toString().trim().split('\n').slice(-3).join(' ');
+        return reject(err);
+      }
+      resolve(stdout);
+    });
+  });
+}
+
+// Runs fn(tempPath) with buffer written to a temp file, then removes it.
+async function withTempFile(buffer, ext, fn) {
+  const tmp = path.join(os.tmpdir(), `video-${crypto.randomBytes(8).toString('hex')}${ext || ''}`);
+  await fs.promises.writeFile(tmp, buffer);
+  try {
+    return await fn(tmp);
+  } finally {
+    fs.promises.unlink(tmp).catch(() => {});
+  }
+}
+
+function parseRate(rate) {
+  const [num, den] = String(rate || '').split('/').map(Number);
+  return num && den ? Math.round((num / den) * 100) / 100 : null;
+}
+
+// Returns { duration_seconds, width, height, codec, fps, bitrate, has_audio }.
+// width/height account for rotation metadata (phone footage).
+async function probeFile(filePath) {
+  let info;
+  try {
+    const out = await run(FFPROBE_PATH, [
+      '-v', 'error', '-print_format', 'json', '-show_format', '-show_streams', filePath,
+    ]);
+    info = JSON.parse(out.toString());
+  } catch (err) {
+    if (err.code === 'VIDEO_TOOL_MISSING') throw err;
+    throw Object.assign(
+      new Error(`Could not read video: ${err.stderr || err.message}`),
+      { code: 'VIDEO_PROBE_ERROR', cause: err }
+    );
+  }
+
+  const video = (info.streams || []).find(s => s.codec_type === 'video');
+  if (!video) throw Object.assign(new Error('File has no video stream'), { code: 'VIDEO_PROBE_ERROR' });
+
+  const rotation = Math.abs(parseInt(
+    video.tags?.rotate ?? video.side_data_list?.find(d => d.rotation != null)?.rotation ?? 0, 10
+  ));
+  const swap     = rotation === 90 || rotation === 270;
+  const duration = parseFloat(info.format?.duration ?? video.duration);
+
+  return {
+    duration_seconds: Number.isFinite(duration) ? Math.round(duration * 1000) / 1000 : null,
+    width:            (swap ? video.height : video.width)  || null,
+    height:           (swap ? video.width  : video.height) || null,
+    codec:            video.codec_name || null,
+    fps:              parseRate(video.avg_frame_rate) ?? parseRate(video.r_frame_rate),
+    bitrate:          parseInt(info.format?.bit_rate, 10) || null,
+    has_audio:        (info.streams || []).some(s => s.codec_type === 'audio'),
+  };
+}
+
+// Decodes one frame at `atSeconds` as a PNG buffer (rotation applied).
+async function frameFromFile(filePath, atSeconds) {
+  let png;
+  try {
+    png = await run(FFMPEG_PATH, [
+      '-v', 'error', '-ss', String(Math.max(0, atSeconds)), '-i', filePath,
+      '-frames:v', '1', '-f', 'image2pipe', '-vcodec', 'png', 'pipe:1',
+    ]);
+  } catch (err) {
+    if (err.code === 'VIDEO_TOOL_MISSING') throw err;
+    throw Object.assign(
+      new Error(`Could not extract frame at ${atSeconds}s: ${err.stderr || err.message}`),
+      { code: 'VIDEO_FRAME_ERROR', cause: err }
+    );
+  }
+  if (!png.length) {
+    throw Object.assign(new Error(`No frame at ${atSeconds}s`), { code: 'VIDEO_FRAME_ERROR' });
+  }
+  return png;
+}
+
+// Poster frames come from 10% in (max 1s) to skip black lead-in frames.
+function posterTime(durationSeconds) {
+  return durationSeconds ? Math.min(1, durationSeconds * 0.1) : 0;
+}
+
+// ── Public API ────────────────────────────────────────────────────────────────
+
+function probeVideo(buffer, ext) {
+  return withTempFile(buffer, ext, probeFile);
+}
+
+function extractFrame(buffer, ext, atSeconds) {
+  return withTempFile(buffer, ext, file => frameFromFile(file, atSeconds));
+}
+
+// Probe plus poster frame in one temp-file round trip.
+// Returns { probe, poster: Buffer, poster_at }.
+function probeWithPoster(buffer, ext) {
+  return withTempFile(buffer, ext, async file => {
+    const probe     = await probeFile(file);
+    const poster_at = posterTime(probe.duration_seconds);
+    return { probe, poster: await frameFromFile(file, poster_at), poster_at };
+  });
+}
+
+module.exports = { probeVideo, extractFrame, probeWithPoster };